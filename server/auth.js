@@ -0,0 +1,63 @@
+// ── Auth: signed session tokens + Express middleware ─────────────────────────
+// Tokens are `<base64url(payload)>.<base64url(hmac-sha256)>`. Access tokens are
+// short-lived and sent on every request; refresh tokens are exchanged at
+// POST /api/users/refresh for a new pair. Bumping `tokenVersion` on the user
+// document (done on logout) invalidates every refresh token issued before it.
+
+const crypto = require('crypto');
+
+const SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET) {
+  console.warn('[Auth] AUTH_SECRET is not set — using a random secret. Sessions will not survive a server restart.');
+}
+
+const ACCESS_TTL_SEC = parseInt(process.env.AUTH_ACCESS_TTL_SEC, 10) || 60 * 60;            // 1 hour
+const REFRESH_TTL_SEC = parseInt(process.env.AUTH_REFRESH_TTL_SEC, 10) || 30 * 24 * 60 * 60; // 30 days
+
+const hmac = (body) => crypto.createHmac('sha256', SECRET).update(body).digest('base64url');
+
+function signToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${hmac(body)}`;
+}
+
+// Returns the payload for a valid, unexpired token of the given type, else null.
+function verifyToken(token, type) {
+  if (typeof token !== 'string') return null;
+  const [body, sig] = token.split('.');
+  if (!body || !sig) return null;
+  const expected = Buffer.from(hmac(body));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (payload.typ !== type || !payload.sub) return null;
+  if (!payload.exp || payload.exp * 1000 <= Date.now()) return null;
+  return payload;
+}
+
+function issueTokens(username, tokenVersion = 0) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    token: signToken({ sub: username, typ: 'access', iat: now, exp: now + ACCESS_TTL_SEC }),
+    refreshToken: signToken({ sub: username, typ: 'refresh', ver: tokenVersion, iat: now, exp: now + REFRESH_TTL_SEC }),
+    expiresAt: new Date((now + ACCESS_TTL_SEC) * 1000).toISOString(),
+  };
+}
+
+// Rejects the request with 401 unless it carries a valid access token.
+// On success `req.user` is `{ username }` — routes must scope queries by it.
+function requireAuth(req, res, next) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  const payload = verifyToken(token, 'access');
+  if (!payload) return res.status(401).json({ error: 'Not authenticated' });
+  req.user = { username: payload.sub };
+  next();
+}
+
+module.exports = { issueTokens, verifyToken, requireAuth };
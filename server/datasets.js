@@ -0,0 +1,345 @@
+// ── Uploaded datasets ────────────────────────────────────────────────────────
+// CSV and channel-JSON files loaded into a chat are uploaded here so they
+// survive reloads and session switches. The bytes live in the `datasets`
+// GridFS bucket; each distinct file gets one document in the `datasets`
+// collection: { username, kind: 'csv' | 'json', name, version, tags, sha256,
+// size, rowCount, columns, file_id, createdAt, lastUsedAt }. Uploads are hashed
+// while they stream in, and a file the user has stored before (same sha256)
+// reuses the existing document, so re-dropping a CSV costs no extra storage.
+//
+// The documents sharing a name form the user's library entry for that file:
+// uploading new content under an existing name adds version n + 1 (inheriting
+// the tags), and rename / tag / delete act on the whole entry. A unique index
+// on { username, name, version } keeps two uploads at once from taking the same
+// number. rowCount and columns are profiled during the upload so versions can
+// be compared.
+//
+// A session lists the data it was working with in `session.datasets`:
+// [{ dataset_id, kind, name, channel }] for uploads, or
+// [{ job_id, kind: 'youtube', name, channel }] for downloads opened from My
+// datasets (those already live in youtube_videos and stay fresh when tracked).
+// The chat reloads them when the session is opened.
+
+const crypto = require('crypto');
+const { pipeline, Transform } = require('stream');
+const { GridFSBucket, ObjectId } = require('mongodb');
+
+const KINDS = ['csv', 'json'];
+const MAX_UPLOAD_BYTES = 1024 * 1024 * 1024;
+// JSON has to be parsed whole to be profiled; bigger files get rowCount: null
+const JSON_PROFILE_MAX_BYTES = 64 * 1024 * 1024;
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+const MAX_TAGS = 20;
+
+class UploadTooLargeError extends Error {}
+
+const bucketFor = (db) => new GridFSBucket(db, { bucketName: 'datasets' });
+
+const VERSION_INDEX = 'username_1_name_1_version_-1';
+// Attempts at the next version number when concurrent uploads race for it
+const MAX_VERSION_ATTEMPTS = 5;
+
+// Creates the unique version index. Entries whose versions can't be unique yet
+// — stored before versions existed, or raced before the index did — are first
+// renumbered 1…n in upload order, and the earlier non-unique index is replaced.
+async function ensureVersionIndex(db) {
+  const datasets = db.collection('datasets');
+  const clashing = await datasets
+    .aggregate([
+      { $group: { _id: { username: '$username', name: '$name' }, n: { $sum: 1 }, versions: { $addToSet: '$version' } } },
+      { $match: { $expr: { $ne: ['$n', { $size: '$versions' }] } } },
+    ])
+    .toArray();
+  for (const { _id: entry } of clashing) {
+    const docs = await datasets.find(entry, { projection: { _id: 1 } }).sort({ createdAt: 1, _id: 1 }).toArray();
+    for (const [i, d] of docs.entries()) await datasets.updateOne({ _id: d._id }, { $set: { version: i + 1 } });
+  }
+  const existing = (await datasets.indexes().catch(() => [])).find((ix) => ix.name === VERSION_INDEX);
+  if (existing && !existing.unique) await datasets.dropIndex(VERSION_INDEX);
+  await datasets.createIndex({ username: 1, name: 1, version: -1 }, { unique: true, name: VERSION_INDEX });
+}
+
+const toClientDataset = (d) => ({
+  id: d._id.toString(),
+  kind: d.kind,
+  name: d.name,
+  version: d.version || 1,
+  tags: d.tags || [],
+  size: d.size,
+  sha256: d.sha256,
+  rowCount: d.rowCount ?? null,
+  columns: d.columns || null,
+  createdAt: d.createdAt,
+  lastUsedAt: d.lastUsedAt || d.createdAt,
+});
+
+// ── Profiling ────────────────────────────────────────────────────────────────
+// Row count and column names, gathered chunk by chunk as the upload streams.
+
+// Splits one CSV record on `delimiter`, honouring quotes
+const splitCsvRecord = (line, delimiter) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (line[i + 1] === '"') field += line[++i];
+      else quoted = false;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else field += ch;
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+// Records are counted on line breaks outside quotes (quoted tweet text may
+// span lines); blank lines are skipped. The header is the first record, split
+// on whichever delimiter gives it the most fields.
+function csvProfiler() {
+  let quoted = false;
+  let lineHasContent = false;
+  let records = 0;
+  const headerBytes = [];
+  let headerDone = false;
+
+  return {
+    update(chunk) {
+      for (let i = 0; i < chunk.length; i++) {
+        const b = chunk[i];
+        if (!headerDone && headerBytes.length < 65536) headerBytes.push(b);
+        if (b === 0x22) quoted = !quoted;
+        if (b === 0x0a && !quoted) {
+          if (lineHasContent) records++;
+          lineHasContent = false;
+          headerDone = headerDone || records > 0;
+        } else if (b !== 0x0d && b !== 0x0a) lineHasContent = true;
+      }
+    },
+    result() {
+      if (lineHasContent) records++;
+      const line = Buffer.from(headerBytes).toString('utf8').replace(/^[\uFEFF\r\n]+/, '').split(/\r?\n/)[0];
+      const columns = CSV_DELIMITERS.map((d) => splitCsvRecord(line, d)).reduce((a, b) => (b.length > a.length ? b : a));
+      return { rowCount: Math.max(0, records - 1), columns: columns.filter(Boolean) };
+    },
+  };
+}
+
+// Channel JSON ({ videos: [...] } or a bare array): videos and the union of
+// their fields
+function jsonProfiler() {
+  let chunks = [];
+  let size = 0;
+  return {
+    update(chunk) {
+      size += chunk.length;
+      if (size > JSON_PROFILE_MAX_BYTES) chunks = null;
+      else chunks.push(chunk);
+    },
+    result() {
+      if (!chunks) return { rowCount: null, columns: null };
+      try {
+        const data = JSON.parse(Buffer.concat(chunks).toString('utf8').replace(/^\uFEFF/, ''));
+        const items = Array.isArray(data) ? data : Array.isArray(data?.videos) ? data.videos : [];
+        const columns = new Set();
+        for (const item of items) if (item && typeof item === 'object') Object.keys(item).forEach((k) => columns.add(k));
+        return { rowCount: items.length, columns: [...columns] };
+      } catch {
+        return { rowCount: null, columns: null };
+      }
+    },
+  };
+}
+
+// ── Uploads ──────────────────────────────────────────────────────────────────
+
+// Session link → what the client needs to reload it
+const toClientLink = (link) =>
+  link.job_id
+    ? { jobId: link.job_id.toString(), kind: 'youtube', name: link.name, channel: link.channel || null }
+    : { id: link.dataset_id.toString(), kind: link.kind, name: link.name, channel: link.channel || null };
+
+// Streams `source` into GridFS while hashing and profiling it. Resolves to
+// { dataset, duplicate } — duplicate: the user had already stored these bytes
+// (under any name), so no new version was made.
+async function storeUpload(db, { username, kind, name, source }) {
+  const bucket = bucketFor(db);
+  const hash = crypto.createHash('sha256');
+  const profile = kind === 'csv' ? csvProfiler() : jsonProfiler();
+  let size = 0;
+  const upload = bucket.openUploadStream(name, { metadata: { username, kind } });
+  const meter = new Transform({
+    transform(chunk, _enc, done) {
+      size += chunk.length;
+      if (size > MAX_UPLOAD_BYTES) return done(new UploadTooLargeError(`Datasets are limited to ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`));
+      hash.update(chunk);
+      profile.update(chunk);
+      done(null, chunk);
+    },
+  });
+  try {
+    await new Promise((resolve, reject) => pipeline(source, meter, upload, (err) => (err ? reject(err) : resolve())));
+  } catch (err) {
+    await upload.abort().catch(() => {});
+    throw err;
+  }
+
+  const sha256 = hash.digest('hex');
+  const now = new Date().toISOString();
+  const datasets = db.collection('datasets');
+  const existing = await datasets.findOne({ username, sha256 });
+  if (existing) {
+    await bucket.delete(upload.id);
+    await datasets.updateOne({ _id: existing._id }, { $set: { lastUsedAt: now } });
+    return { dataset: existing, duplicate: true };
+  }
+  const fields = { username, kind, name, sha256, size, ...profile.result(), file_id: upload.id, createdAt: now, lastUsedAt: now };
+  for (let attempt = 1; ; attempt++) {
+    const latest = await datasets.findOne({ username, name }, { sort: { version: -1 }, projection: { version: 1, tags: 1 } });
+    const doc = { ...fields, version: (latest?.version || 0) + 1, tags: latest?.tags || [] };
+    try {
+      const result = await datasets.insertOne(doc);
+      return { dataset: { ...doc, _id: result.insertedId }, duplicate: false };
+    } catch (err) {
+      if (err.code !== 11000) {
+        await bucket.delete(upload.id).catch(() => {});
+        throw err;
+      }
+      // The same file uploaded twice at once: keep whichever was stored first
+      const stored = await datasets.findOne({ username, sha256 });
+      if (stored) {
+        await bucket.delete(upload.id);
+        return { dataset: stored, duplicate: true };
+      }
+      // Another upload under this name took the version number: take the next one
+      if (attempt < MAX_VERSION_ATTEMPTS) continue;
+      await bucket.delete(upload.id);
+      throw new Error(`Too many uploads of "${name}" at once; try again`);
+    }
+  }
+}
+
+function findOwnedDataset(db, username, id) {
+  if (!id || !ObjectId.isValid(String(id))) return null;
+  return db.collection('datasets').findOne({ _id: new ObjectId(String(id)), username });
+}
+
+const openContent = (db, dataset) => bucketFor(db).openDownloadStream(dataset.file_id);
+
+// ── Library ──────────────────────────────────────────────────────────────────
+
+// The user's datasets grouped by name, most recently used first:
+// [{ name, kind, tags, lastUsedAt, versions: [newest … oldest] }]
+async function listLibrary(db, username) {
+  const docs = await db.collection('datasets').find({ username }).sort({ name: 1, version: -1 }).toArray();
+  const entries = new Map();
+  for (const d of docs.map(toClientDataset)) {
+    if (!entries.has(d.name)) entries.set(d.name, { name: d.name, kind: d.kind, tags: d.tags, lastUsedAt: d.lastUsedAt, versions: [] });
+    const entry = entries.get(d.name);
+    entry.versions.push(d);
+    if (d.lastUsedAt > entry.lastUsedAt) entry.lastUsedAt = d.lastUsedAt;
+  }
+  return [...entries.values()].sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+}
+
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) throw Object.assign(new Error('tags must be an array'), { status: 400 });
+  return [...new Set(tags.map((t) => String(t).trim().slice(0, 40)).filter(Boolean))].slice(0, MAX_TAGS);
+};
+
+// Rename and/or retag the library entry `dataset` belongs to (all its
+// versions). Resolves to { name, tags }; throws with `status` 400 / 409.
+async function updateEntry(db, dataset, { name, tags }) {
+  const datasets = db.collection('datasets');
+  const $set = {};
+  if (name !== undefined) {
+    const newName = String(name).trim().slice(0, 200);
+    if (!newName) throw Object.assign(new Error('name required'), { status: 400 });
+    if (newName !== dataset.name && (await datasets.findOne({ username: dataset.username, name: newName }, { projection: { _id: 1 } }))) {
+      throw Object.assign(new Error(`A dataset named "${newName}" already exists`), { status: 409 });
+    }
+    $set.name = newName;
+  }
+  if (tags !== undefined) $set.tags = normalizeTags(tags);
+  try {
+    if (Object.keys($set).length) await datasets.updateMany({ username: dataset.username, name: dataset.name }, { $set });
+  } catch (err) {
+    // Renamed onto a name that was created meanwhile
+    if (err.code === 11000) throw Object.assign(new Error(`A dataset named "${$set.name}" already exists`), { status: 409 });
+    throw err;
+  }
+  return { name: $set.name ?? dataset.name, tags: $set.tags ?? dataset.tags ?? [] };
+}
+
+// Deletes one version, or with `allVersions` the whole library entry.
+// Sessions that linked it simply stop listing it (see liveLinks).
+async function deleteDatasets(db, dataset, { allVersions = false } = {}) {
+  const datasets = db.collection('datasets');
+  const docs = allVersions
+    ? await datasets.find({ username: dataset.username, name: dataset.name }, { projection: { file_id: 1 } }).toArray()
+    : [dataset];
+  const bucket = bucketFor(db);
+  for (const d of docs) {
+    await bucket.delete(d.file_id).catch((err) => {
+      if (!/FileNotFound|not found/i.test(err.message)) throw err;
+    });
+  }
+  await datasets.deleteMany({ _id: { $in: docs.map((d) => d._id) } });
+  return docs.length;
+}
+
+// Validates client links ([{ id } | { jobId }, with name / channel]) against
+// the user's datasets and jobs. Resolves to session links, or throws with
+// `status: 400` naming the first unknown one.
+async function resolveLinks(db, username, links) {
+  if (!Array.isArray(links)) throw Object.assign(new Error('datasets must be an array'), { status: 400 });
+  const out = [];
+  for (const link of links) {
+    const channel = typeof link?.channel === 'string' ? link.channel : null;
+    if (link?.jobId) {
+      const job = ObjectId.isValid(String(link.jobId))
+        && (await db.collection('youtube_jobs').findOne({ _id: new ObjectId(String(link.jobId)), username }, { projection: { channel_title: 1 } }));
+      if (!job) throw Object.assign(new Error(`Unknown YouTube dataset ${link.jobId}`), { status: 400 });
+      out.push({ job_id: job._id, kind: 'youtube', name: String(link.name || job.channel_title || 'YouTube channel'), channel });
+    } else {
+      const dataset = await findOwnedDataset(db, username, link?.id);
+      if (!dataset) throw Object.assign(new Error(`Unknown dataset ${link?.id}`), { status: 400 });
+      out.push({ dataset_id: dataset._id, kind: dataset.kind, name: String(link.name || dataset.name), channel });
+    }
+  }
+  return out;
+}
+
+// A session's links whose dataset or job still exists
+async function liveLinks(db, session) {
+  const links = session.datasets || [];
+  const datasetIds = links.filter((l) => l.dataset_id).map((l) => l.dataset_id);
+  const jobIds = links.filter((l) => l.job_id).map((l) => l.job_id);
+  const [datasets, jobs] = await Promise.all([
+    datasetIds.length ? db.collection('datasets').find({ _id: { $in: datasetIds } }, { projection: { _id: 1 } }).toArray() : [],
+    jobIds.length ? db.collection('youtube_jobs').find({ _id: { $in: jobIds } }, { projection: { _id: 1 } }).toArray() : [],
+  ]);
+  const alive = new Set([...datasets, ...jobs].map((d) => d._id.toString()));
+  return links.filter((l) => alive.has((l.dataset_id || l.job_id).toString()));
+}
+
+module.exports = {
+  KINDS,
+  MAX_UPLOAD_BYTES,
+  UploadTooLargeError,
+  toClientDataset,
+  toClientLink,
+  ensureVersionIndex,
+  storeUpload,
+  findOwnedDataset,
+  openContent,
+  listLibrary,
+  updateEntry,
+  deleteDatasets,
+  resolveLinks,
+  liveLinks,
+};
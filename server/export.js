@@ -0,0 +1,456 @@
+// ── Session export ───────────────────────────────────────────────────────────
+// Renders a chat session as one self-contained Markdown or HTML document:
+// message text, tool calls, charts (drawn here as static SVG, mirroring the
+// recharts components in src/components), generated images, video links and
+// search citations, plus the final synthesis report when there is one. Images
+// and charts are inlined as data URIs / <svg>, so the file needs nothing else
+// to open, print to PDF or paste into slides.
+//
+// `messages` are in the shape GET /api/messages returns (toClientMessage).
+
+const micromark = require('micromark');
+const gfm = require('micromark-extension-gfm');
+const gfmHtml = require('micromark-extension-gfm/html');
+
+const FORMATS = {
+  markdown: { ext: 'md', type: 'text/markdown; charset=utf-8' },
+  html: { ext: 'html', type: 'text/html; charset=utf-8' },
+};
+
+const esc = (s) =>
+  String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const markdownToHtml = (md) => micromark(md || '', { extensions: [gfm()], htmlExtensions: [gfmHtml] });
+
+const formatNumber = (v) =>
+  Math.abs(v) >= 1e6 ? `${+(v / 1e6).toFixed(1)}M` : Math.abs(v) >= 1e3 ? `${+(v / 1e3).toFixed(1)}K` : `${+Number(v).toFixed(2)}`;
+
+const formatTime = (iso) => (iso ? new Date(iso).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '');
+
+// Filesystem-safe name for Content-Disposition
+const fileName = (title, format) =>
+  `${(title || 'chat').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-').slice(0, 80) || 'chat'}.${FORMATS[format].ext}`;
+
+// ── Charts → SVG ─────────────────────────────────────────────────────────────
+
+const CHART = { width: 640, height: 320, top: 36, right: 20, bottom: 80, left: 60 };
+const round = (n) => Math.round(n * 10) / 10;
+const COLORS = ['#6366f1', '#10b981', '#f59e0b', '#ef4444', '#0ea5e9', '#a855f7'];
+
+// ~5 round steps from min (or 0) to max
+function niceTicks(min, max) {
+  const lo = Math.min(0, min);
+  const span = max - lo || 1;
+  const raw = span / 5;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * mag).find((s) => s >= raw);
+  const ticks = [];
+  for (let t = Math.floor(lo / step) * step; t <= max + step * 0.001; t += step) ticks.push(+t.toFixed(10));
+  if (ticks[ticks.length - 1] < max) ticks.push(ticks[ticks.length - 1] + step);
+  return ticks;
+}
+
+// Frame shared by every chart: title, y grid + labels, rotated x labels.
+// Returns { svg(parts), x(i), band, y(v) } for the series renderers.
+function chartFrame(title, labels, values) {
+  const { width, height, top, right, bottom, left } = CHART;
+  const ticks = niceTicks(Math.min(...values), Math.max(...values));
+  const yMin = ticks[0];
+  const yMax = ticks[ticks.length - 1];
+  const plotW = width - left - right;
+  const plotH = height - top - bottom;
+  const band = plotW / Math.max(labels.length, 1);
+  const y = (v) => round(top + plotH - ((v - yMin) / (yMax - yMin || 1)) * plotH);
+  const x = (i) => round(left + band * i + band / 2);
+  // Thin out x labels so they never overlap
+  const every = Math.ceil(labels.length / 24);
+
+  const grid = ticks
+    .map(
+      (t) =>
+        `<line x1="${left}" x2="${width - right}" y1="${y(t)}" y2="${y(t)}" stroke="#e5e7eb" stroke-dasharray="3 3"/>` +
+        `<text x="${left - 8}" y="${y(t) + 4}" text-anchor="end" font-size="11" fill="#6b7280">${formatNumber(t)}</text>`
+    )
+    .join('');
+  const xLabels = labels
+    .map((l, i) =>
+      i % every
+        ? ''
+        : `<text transform="translate(${x(i)},${top + plotH + 14}) rotate(-30)" text-anchor="end" font-size="11" fill="#4b5563">${esc(String(l).slice(0, 24))}</text>`
+    )
+    .join('');
+
+  const svg = (parts) =>
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" font-family="Inter, Helvetica, Arial, sans-serif">` +
+    `<rect width="100%" height="100%" fill="#ffffff"/>` +
+    `<text x="${left}" y="20" font-size="13" font-weight="600" fill="#111827">${esc(title)}</text>` +
+    grid +
+    `<line x1="${left}" x2="${width - right}" y1="${top + plotH}" y2="${top + plotH}" stroke="#9ca3af"/>` +
+    parts +
+    xLabels +
+    `</svg>`;
+  return { svg, x, band, y };
+}
+
+function legend(series) {
+  return series
+    .map(
+      (s, i) =>
+        `<rect x="${CHART.width - CHART.right - 150}" y="${8 + i * 14}" width="10" height="10" fill="${s.color}"/>` +
+        `<text x="${CHART.width - CHART.right - 135}" y="${17 + i * 14}" font-size="11" fill="#374151">${esc(s.name)}</text>`
+    )
+    .join('');
+}
+
+// Grouped bars: series = [{ name, key, color }]
+function barChartSvg(title, rows, series) {
+  const values = rows.flatMap((r) => series.map((s) => Number(r[s.key]) || 0));
+  const { svg, x, band, y } = chartFrame(title, rows.map((r) => r.name), values);
+  const barW = (band * 0.7) / series.length;
+  const bars = rows
+    .map((r, i) =>
+      series
+        .map((s, j) => {
+          const v = Number(r[s.key]) || 0;
+          const bx = round(x(i) - (band * 0.7) / 2 + j * barW);
+          return `<rect x="${bx}" y="${Math.min(y(v), y(0))}" width="${round(Math.max(barW - 2, 1))}" height="${round(Math.abs(y(0) - y(v)))}" fill="${s.color}" rx="2"/>`;
+        })
+        .join('')
+    )
+    .join('');
+  return svg(bars + legend(series));
+}
+
+// Line per series: series = [{ name, points: [{ label, value }], color }].
+// Points with a null value are left out of their line.
+function lineChartSvg(title, series) {
+  const labels = series[0].points.map((p) => p.label);
+  const values = series.flatMap((s) => s.points.filter((p) => p.value != null).map((p) => Number(p.value) || 0));
+  const { svg, x, y } = chartFrame(title, labels, values);
+  const lines = series
+    .map((s) => {
+      const pts = s.points.flatMap((p, i) => (p.value == null ? [] : [`${x(i)},${y(Number(p.value) || 0)}`]));
+      return (
+        `<polyline points="${pts.join(' ')}" fill="none" stroke="${s.color}" stroke-width="2"/>` +
+        pts.map((pt) => `<circle cx="${pt.split(',')[0]}" cy="${pt.split(',')[1]}" r="3" fill="${s.color}"/>`).join('')
+      );
+    })
+    .join('');
+  return svg(lines + (series.length > 1 ? legend(series) : ''));
+}
+
+// Numeric x and y: points = [{ x, y }], optional trend { from, to } drawn dashed
+function scatterChartSvg(title, points, trend) {
+  const { width, height, top, right, bottom, left } = CHART;
+  const xs = points.map((p) => p.x).concat(trend ? [trend.from.x, trend.to.x] : []);
+  const ys = points.map((p) => p.y).concat(trend ? [trend.from.y, trend.to.y] : []);
+  const xTicks = niceTicks(Math.min(...xs), Math.max(...xs));
+  const yTicks = niceTicks(Math.min(...ys), Math.max(...ys));
+  const plotW = width - left - right;
+  const plotH = height - top - bottom + 40; // x labels are horizontal here, not rotated
+  const sx = (v) => round(left + ((v - xTicks[0]) / (xTicks[xTicks.length - 1] - xTicks[0] || 1)) * plotW);
+  const sy = (v) => round(top + plotH - ((v - yTicks[0]) / (yTicks[yTicks.length - 1] - yTicks[0] || 1)) * plotH);
+  const grid =
+    yTicks
+      .map(
+        (t) =>
+          `<line x1="${left}" x2="${width - right}" y1="${sy(t)}" y2="${sy(t)}" stroke="#e5e7eb" stroke-dasharray="3 3"/>` +
+          `<text x="${left - 8}" y="${sy(t) + 4}" text-anchor="end" font-size="11" fill="#6b7280">${formatNumber(t)}</text>`
+      )
+      .join('') +
+    xTicks.map((t) => `<text x="${sx(t)}" y="${top + plotH + 16}" text-anchor="middle" font-size="11" fill="#4b5563">${formatNumber(t)}</text>`).join('');
+  const dots = points.map((p) => `<circle cx="${sx(p.x)}" cy="${sy(p.y)}" r="3" fill="${COLORS[0]}" fill-opacity="0.7"/>`).join('');
+  const line = trend
+    ? `<line x1="${sx(trend.from.x)}" y1="${sy(trend.from.y)}" x2="${sx(trend.to.x)}" y2="${sy(trend.to.y)}" stroke="${COLORS[1]}" stroke-width="2" stroke-dasharray="6 4"/>`
+    : '';
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" font-family="Inter, Helvetica, Arial, sans-serif">` +
+    `<rect width="100%" height="100%" fill="#ffffff"/>` +
+    `<text x="${left}" y="20" font-size="13" font-weight="600" fill="#111827">${esc(title)}</text>` +
+    grid +
+    `<line x1="${left}" x2="${width - right}" y1="${top + plotH}" y2="${top + plotH}" stroke="#9ca3af"/>` +
+    dots +
+    line +
+    `</svg>`
+  );
+}
+
+// Box per category: rows = [{ name, min, q1, median, q3, max }]
+function boxChartSvg(title, rows) {
+  const { svg, x, band, y } = chartFrame(title, rows.map((r) => r.name), rows.flatMap((r) => [r.min, r.max]));
+  const w = Math.max(band * 0.5, 6);
+  const boxes = rows
+    .map((r) => {
+      const cx = x(rows.indexOf(r));
+      return (
+        `<line x1="${cx}" x2="${cx}" y1="${y(r.max)}" y2="${y(r.min)}" stroke="${COLORS[0]}"/>` +
+        `<line x1="${round(cx - w / 4)}" x2="${round(cx + w / 4)}" y1="${y(r.max)}" y2="${y(r.max)}" stroke="${COLORS[0]}"/>` +
+        `<line x1="${round(cx - w / 4)}" x2="${round(cx + w / 4)}" y1="${y(r.min)}" y2="${y(r.min)}" stroke="${COLORS[0]}"/>` +
+        `<rect x="${round(cx - w / 2)}" y="${y(r.q3)}" width="${round(w)}" height="${round(Math.max(y(r.q1) - y(r.q3), 1))}" fill="${COLORS[0]}" fill-opacity="0.3" stroke="${COLORS[0]}"/>` +
+        `<line x1="${round(cx - w / 2)}" x2="${round(cx + w / 2)}" y1="${y(r.median)}" y2="${y(r.median)}" stroke="${COLORS[1]}" stroke-width="2.5"/>`
+      );
+    })
+    .join('');
+  return svg(boxes);
+}
+
+// Correlation matrix: labels × labels cells, indigo for r > 0, red for r < 0
+function heatmapSvg(title, labels, matrix) {
+  const cell = Math.min(48, Math.floor(440 / labels.length));
+  const left = 150;
+  const top = 44;
+  const width = left + cell * labels.length + 20;
+  const height = top + cell * labels.length + 24;
+  const cells = matrix
+    .map((row, i) =>
+      row
+        .map((r, j) => {
+          const fill = r == null ? '#f3f4f6' : r >= 0 ? COLORS[0] : COLORS[3];
+          return (
+            `<rect x="${left + j * cell}" y="${top + i * cell}" width="${cell - 2}" height="${cell - 2}" rx="3" fill="${fill}" fill-opacity="${r == null ? 1 : round(Math.abs(r) * 0.85 + 0.05)}"/>` +
+            (cell >= 30
+              ? `<text x="${left + j * cell + cell / 2 - 1}" y="${top + i * cell + cell / 2 + 3}" text-anchor="middle" font-size="10" fill="#111827">${r == null ? '' : r.toFixed(2)}</text>`
+              : '')
+          );
+        })
+        .join('')
+    )
+    .join('');
+  const rowLabels = labels
+    .map((l, i) => `<text x="${left - 6}" y="${top + i * cell + cell / 2 + 3}" text-anchor="end" font-size="11" fill="#374151">${esc(String(l).slice(0, 22))}</text>`)
+    .join('');
+  const colLabels = labels
+    .map((l, j) => `<text transform="translate(${left + j * cell + cell / 2},${top - 4}) rotate(-40)" font-size="10" fill="#374151">${esc(String(l).slice(0, 14))}</text>`)
+    .join('');
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" font-family="Inter, Helvetica, Arial, sans-serif">` +
+    `<rect width="100%" height="100%" fill="#ffffff"/>` +
+    `<text x="8" y="18" font-size="13" font-weight="600" fill="#111827">${esc(title)}</text>` +
+    cells +
+    rowLabels +
+    colLabels +
+    `</svg>`
+  );
+}
+
+// Static SVG for a `_chartType` payload, or null for types without a renderer.
+function chartSvg(chart) {
+  if (!chart?.data?.length) return null;
+  switch (chart._chartType) {
+    case 'engagement':
+      return barChartSvg(`Mean ${chart.metricColumn || 'Favorite Count'} — with vs without keyword`, chart.data, [
+        { name: 'With keyword', key: 'withKeyword', color: COLORS[0] },
+        { name: 'Without keyword', key: 'withoutKeyword', color: COLORS[1] },
+      ]);
+    case 'metricVsTime':
+      // Several series (e.g. one per channel) share rows; a missing value is a gap
+      return lineChartSvg(
+        `${chart.metricField || 'Metric'} vs Time`,
+        chart.series?.length
+          ? chart.series.map((s, i) => ({
+              name: s.name,
+              points: chart.data.map((d) => ({ label: d.label, value: d[s.key] })),
+              color: COLORS[i % COLORS.length],
+            }))
+          : [{ name: chart.metricField || 'Value', points: chart.data, color: COLORS[0] }]
+      );
+    case 'bar':
+      return barChartSvg(chart.title || 'Bar chart', chart.data, [{ name: chart.yLabel || 'value', key: 'value', color: COLORS[0] }]);
+    case 'histogram':
+      return barChartSvg(chart.title || 'Histogram', chart.data, [{ name: 'count', key: 'count', color: COLORS[0] }]);
+    case 'scatter':
+      return scatterChartSvg(chart.title || 'Scatter', chart.data, chart.trend);
+    case 'box':
+      return boxChartSvg(chart.title || 'Box plot', chart.data);
+    case 'heatmap':
+      return heatmapSvg(chart.title || 'Correlation', chart.labels || [], chart.data);
+    case 'growth':
+      // Days since release on X; ages with no channel median are skipped
+      return lineChartSvg(
+        chart.title || `${chart.metricField || 'Metric'} growth`,
+        (chart.series || []).map((s, i) => ({
+          name: s.name,
+          points: chart.data.map((d) => ({ label: `Day ${d.day}`, value: d[s.key] })),
+          color: COLORS[i % COLORS.length],
+        }))
+      );
+    default:
+      return null;
+  }
+}
+
+const chartTitle = (chart) =>
+  chart._chartType === 'engagement'
+    ? `${chart.metricColumn || 'Favorite Count'} with vs without keyword`
+    : chart._chartType === 'metricVsTime'
+    ? `${chart.metricField || 'Metric'} vs Time`
+    : chart._chartType === 'growth'
+    ? chart.title || `${chart.metricField || 'Metric'} growth`
+    : chart.title || chart._chartType;
+
+// query_videos tables (`_chartType: 'table'`) export as a GFM table, not SVG
+function tableMarkdown(chart) {
+  if (chart?._chartType !== 'table' || !chart.columns?.length || !chart.data?.length) return null;
+  const cell = (v) => (v == null ? '' : String(v).replace(/\|/g, '\\|').replace(/\n/g, ' '));
+  return [
+    `**${cell(chart.title || 'Results')}**`,
+    '',
+    `| ${chart.columns.map((c) => cell(c.label)).join(' | ')} |`,
+    `| ${chart.columns.map((c) => (c.numeric ? '---:' : '---')).join(' | ')} |`,
+    ...chart.data.map((r) => `| ${chart.columns.map((c) => cell(r[c.key])).join(' | ')} |`),
+    ...(chart.truncated ? ['', `_First ${chart.data.length} rows._`] : []),
+  ].join('\n');
+}
+
+const svgDataUri = (svg) => `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+
+// ── Message parts ────────────────────────────────────────────────────────────
+
+// Generated images and video cards live in tool-call results
+const generatedImages = (m) =>
+  (m.toolCalls || []).map((tc) => tc.result).filter((r) => r?._imageType === 'generated' && r.data);
+const videos = (m) => (m.toolCalls || []).map((tc) => tc.result).filter((r) => r?._displayType === 'video');
+const sources = (m) => (m.grounding?.groundingChunks || []).map((c) => c.web).filter(Boolean);
+
+// Tool results without a visual of their own, shortened for the transcript
+const toolSummary = (tc) => {
+  const r = tc.result;
+  if (r?._chartType) return 'rendered chart';
+  if (r?._imageType === 'generated') return 'generated image';
+  if (r?._displayType === 'video') return `video: ${r.title || r.url}`;
+  const json = JSON.stringify(r ?? null);
+  return json.length > 300 ? `${json.slice(0, 300)}…` : json;
+};
+
+const roleName = (m, username) => (m.role === 'user' ? username || 'User' : 'Lisa');
+
+// ── Markdown ─────────────────────────────────────────────────────────────────
+
+function toMarkdown({ session, messages, username }) {
+  const out = [`# ${session.title || 'Chat'}`, ''];
+  out.push(`_Exported ${formatTime(new Date().toISOString())}${session.model ? ` · ${session.provider}/${session.model}` : ''} · ${messages.length} messages_`, '');
+
+  for (const m of messages) {
+    out.push('---', '', `### ${roleName(m, username)} · ${formatTime(m.timestamp)}`, '');
+    if (m.content) out.push(m.content, '');
+    for (const img of m.images || []) out.push(`![attachment](data:${img.mimeType};base64,${img.data})`, '');
+    if (m.toolCalls?.length) {
+      out.push('<details><summary>Tool calls</summary>', '');
+      for (const tc of m.toolCalls) out.push(`- \`${tc.name}(${JSON.stringify(tc.args || {})})\` → ${toolSummary(tc)}`);
+      out.push('', '</details>', '');
+    }
+    for (const chart of m.charts || []) {
+      const svg = chartSvg(chart);
+      if (svg) out.push(`![${chartTitle(chart)}](${svgDataUri(svg)})`, '');
+      const table = tableMarkdown(chart);
+      if (table) out.push(table, '');
+    }
+    for (const img of generatedImages(m)) out.push(`![generated image](data:${img.mimeType || 'image/png'};base64,${img.data})`, '');
+    for (const v of videos(m)) out.push(`▶ [${v.title || 'Watch on YouTube'}](${v.url})`, '');
+    const cited = sources(m);
+    if (cited.length) {
+      out.push('**Sources**', '');
+      cited.forEach((s, i) => out.push(`${i + 1}. [${s.title || s.uri}](${s.uri})`));
+      out.push('');
+    }
+  }
+  if (session.finalSynthesis?.report) {
+    out.push('---', '', '## Final Synthesis Report', '', session.finalSynthesis.report, '');
+  }
+  return out.join('\n');
+}
+
+// ── HTML ─────────────────────────────────────────────────────────────────────
+
+const STYLE = `
+  body { font-family: Inter, -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; color: #111827; max-width: 820px; margin: 2rem auto; padding: 0 1.5rem; line-height: 1.6; }
+  header { border-bottom: 2px solid #e5e7eb; margin-bottom: 1.5rem; }
+  header h1 { margin: 0 0 0.25rem; }
+  header p { margin: 0 0 1rem; color: #6b7280; font-size: 0.85rem; }
+  section.msg { padding: 1rem 1.25rem; margin: 0 0 1rem; border-radius: 12px; border: 1px solid #e5e7eb; page-break-inside: avoid; }
+  section.msg.user { background: #eef2ff; border-color: #c7d2fe; }
+  .meta { font-size: 0.75rem; color: #6b7280; margin-bottom: 0.4rem; }
+  .meta strong { color: #374151; }
+  img { max-width: 100%; border-radius: 8px; }
+  figure { margin: 1rem 0; }
+  figure svg { max-width: 100%; height: auto; }
+  figcaption { font-size: 0.75rem; color: #6b7280; }
+  table { border-collapse: collapse; margin: 0.75rem 0; font-size: 0.85rem; }
+  th, td { border: 1px solid #d1d5db; padding: 0.3rem 0.6rem; text-align: left; }
+  pre { background: #f3f4f6; padding: 0.75rem; border-radius: 8px; overflow-x: auto; font-size: 0.8rem; }
+  details { font-size: 0.8rem; color: #4b5563; margin: 0.5rem 0; }
+  details code { word-break: break-all; }
+  .sources { font-size: 0.8rem; }
+  .sources ol { margin: 0.25rem 0 0; padding-left: 1.25rem; }
+  section.synthesis { border-top: 2px solid #e5e7eb; margin-top: 2rem; padding-top: 1rem; page-break-before: always; }
+  @media print { body { margin: 0; max-width: none; } details { display: none; } a { color: inherit; } }
+`;
+
+function messageHtml(m, username) {
+  const parts = [
+    `<div class="meta"><strong>${esc(roleName(m, username))}</strong> · ${esc(formatTime(m.timestamp))}</div>`,
+  ];
+  if (m.content) parts.push(m.role === 'user' ? `<p>${esc(m.content).replace(/\n/g, '<br>')}</p>` : markdownToHtml(m.content));
+  for (const img of m.images || []) parts.push(`<img src="data:${esc(img.mimeType)};base64,${img.data}" alt="attachment">`);
+  if (m.toolCalls?.length) {
+    parts.push(
+      `<details><summary>${m.toolCalls.length} tool call${m.toolCalls.length > 1 ? 's' : ''}</summary><ul>` +
+        m.toolCalls.map((tc) => `<li><code>${esc(tc.name)}(${esc(JSON.stringify(tc.args || {}))})</code> → ${esc(toolSummary(tc))}</li>`).join('') +
+        '</ul></details>'
+    );
+  }
+  for (const chart of m.charts || []) {
+    const svg = chartSvg(chart);
+    if (svg) parts.push(`<figure>${svg}<figcaption>${esc(chartTitle(chart))}</figcaption></figure>`);
+    const table = tableMarkdown(chart);
+    if (table) parts.push(markdownToHtml(table));
+  }
+  for (const img of generatedImages(m)) parts.push(`<img src="data:${esc(img.mimeType || 'image/png')};base64,${img.data}" alt="generated image">`);
+  for (const v of videos(m)) {
+    parts.push(`<p>▶ <a href="${esc(v.url)}">${esc(v.title || 'Watch on YouTube')}</a></p>`);
+  }
+  const cited = sources(m);
+  if (cited.length) {
+    parts.push(
+      `<div class="sources"><strong>Sources</strong><ol>` +
+        cited.map((s) => `<li><a href="${esc(s.uri)}">${esc(s.title || s.uri)}</a></li>`).join('') +
+        '</ol></div>'
+    );
+  }
+  return `<section class="msg ${m.role === 'user' ? 'user' : 'model'}">${parts.join('\n')}</section>`;
+}
+
+function toHtml({ session, messages, username }) {
+  const title = session.title || 'Chat';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+<h1>${esc(title)}</h1>
+<p>Exported ${esc(formatTime(new Date().toISOString()))}${session.model ? ` · ${esc(session.provider)}/${esc(session.model)}` : ''} · ${messages.length} messages</p>
+</header>
+${messages.map((m) => messageHtml(m, username)).join('\n')}
+${session.finalSynthesis?.report ? `<section class="synthesis"><h2>Final Synthesis Report</h2>\n${markdownToHtml(session.finalSynthesis.report)}</section>` : ''}
+</body>
+</html>
+`;
+}
+
+// Returns { body, type, filename } for format 'markdown' | 'html'.
+function exportSession({ session, messages, username, format }) {
+  if (!FORMATS[format]) throw new Error(`Unknown export format "${format}"`);
+  const body = format === 'html' ? toHtml({ session, messages, username }) : toMarkdown({ session, messages, username });
+  return { body, type: FORMATS[format].type, filename: fileName(session.title, format) };
+}
+
+module.exports = { FORMATS, exportSession, chartSvg };
@@ -7,7 +7,13 @@ const { MongoClient, ObjectId } = require('mongodb');
 const bcrypt = require('bcryptjs');
 const cors = require('cors');
 const fs = require('fs');
-const { OpenAI } = require('openai');
+const crypto = require('crypto');
+const { issueTokens, verifyToken, requireAuth } = require('./auth');
+const llm = require('./llm');
+const messageTree = require('./messageTree');
+const { FORMATS: EXPORT_FORMATS, exportSession } = require('./export');
+const youtube = require('./youtube');
+const datasets = require('./datasets');
 
 const app = express();
 app.use(cors());
@@ -17,13 +23,47 @@ const URI = process.env.REACT_APP_MONGODB_URI || process.env.MONGODB_URI || proc
 const DB = 'chatapp';
 
 let db;
+let youtubeJobs;
 
 async function connect() {
   const client = await MongoClient.connect(URI);
   db = client.db(DB);
+  // Newest-first pages of one session's messages (see GET /api/messages)
+  await db.collection('messages').createIndex({ session_id: 1, _id: -1 });
+  // Full-text search (GET /api/search); MongoDB allows one text index per collection
+  await db.collection('messages').createIndex({ content: 'text' });
+  await db.collection('sessions').createIndex({ title: 'text' });
+  await db.collection('shares').createIndex({ token: 1 }, { unique: true });
+  await db.collection('datasets').createIndex({ username: 1, sha256: 1 }, { unique: true });
+  // Library entries: a file's versions, unique per name (see server/datasets.js)
+  await datasets.ensureVersionIndex(db);
+  await db.collection('youtube_jobs').createIndex({ username: 1, createdAt: -1 });
+  await db.collection('youtube_videos').createIndex({ job_id: 1, video_id: 1 }, { unique: true });
+  await db.collection('youtube_videos').createIndex({ job_id: 1, position: 1 });
+  // Per-video stat snapshots of tracked datasets (MongoDB time-series collection)
+  await db
+    .createCollection('youtube_snapshots', { timeseries: { timeField: 'taken_at', metaField: 'meta', granularity: 'hours' } })
+    .catch((err) => {
+      if (err.codeName !== 'NamespaceExists') throw err;
+    });
+  youtubeJobs = youtube.createJobRunner(db);
+  await youtubeJobs.resumeUnfinished();
+  youtubeJobs.startSnapshotScheduler();
   console.log('MongoDB connected');
 }
 
+// Switch the response to Server-Sent Events; returns a send(obj) helper.
+function startEventStream(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+  return (obj) => {
+    res.write(`data: ${JSON.stringify(obj)}\n\n`);
+    if (typeof res.flush === 'function') res.flush();
+  };
+}
+
 app.get('/', (req, res) => {
   res.send(`
     <html>
@@ -88,18 +128,124 @@ app.post('/api/users/login', async (req, res) => {
       username: name,
       firstName: user.firstName || '',
       lastName: user.lastName || '',
+      ...issueTokens(name, user.tokenVersion || 0),
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+app.post('/api/users/refresh', async (req, res) => {
+  try {
+    const payload = verifyToken(req.body?.refreshToken, 'refresh');
+    if (!payload) return res.status(401).json({ error: 'Session expired' });
+    const user = await db.collection('users').findOne({ username: payload.sub });
+    if (!user || (user.tokenVersion || 0) !== payload.ver)
+      return res.status(401).json({ error: 'Session expired' });
+    res.json({ ok: true, ...issueTokens(user.username, user.tokenVersion || 0) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Shared sessions (public, read-only) ──────────────────────────────────────
+// A share token (minted below by POST /api/sessions/:id/share) is the only
+// credential: anyone holding it can read the session's active branch and final
+// synthesis report until it expires or the owner revokes it.
+
+// The share's session, or an HTTP status and message explaining why not.
+async function resolveShare(token) {
+  const share = token && (await db.collection('shares').findOne({ token: String(token) }));
+  if (!share || share.revokedAt) return { status: 404, error: 'This link was revoked or never existed' };
+  if (share.expiresAt && new Date(share.expiresAt) <= new Date()) return { status: 410, error: 'This link has expired' };
+  const session = await db.collection('sessions').findOne({ _id: share.session_id });
+  if (!session) return { status: 404, error: 'This chat was deleted' };
+  return { share, session };
+}
+
+app.get('/api/shared/:token', async (req, res) => {
+  try {
+    const { share, session, status, error } = await resolveShare(req.params.token);
+    if (!session) return res.status(status).json({ error });
+    const messages = await loadActiveBranch(session);
+    res.json({
+      title: session.title || null,
+      owner: session.username,
+      createdAt: session.createdAt,
+      expiresAt: share.expiresAt,
+      finalSynthesis: session.finalSynthesis || null,
+      messages: messages.map(({ siblings, parentId, ...m }) => m),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/shared/:token/export', async (req, res) => {
+  try {
+    const { session, status, error } = await resolveShare(req.params.token);
+    if (!session) return res.status(status).json({ error });
+    await sendExport(res, session, String(req.query.format || 'markdown'));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Everything below requires a valid access token (see server/auth.js) ─────
+
+app.use('/api', requireAuth);
+
+// Invalidates every refresh token issued to the caller so far.
+app.post('/api/users/logout', async (req, res) => {
+  try {
+    await db.collection('users').updateOne(
+      { username: req.user.username },
+      { $inc: { tokenVersion: 1 } }
+    );
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Saved default { provider, model, temperature } for new chats, or null.
+async function userLlmSettings(username) {
+  const user = await db.collection('users').findOne({ username }, { projection: { llmSettings: 1 } });
+  return user?.llmSettings || null;
+}
+
+app.put('/api/users/me/settings', async (req, res) => {
+  let settings;
+  try {
+    settings = llm.resolveSettings(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    await db.collection('users').updateOne(
+      { username: req.user.username },
+      { $set: { llmSettings: settings } }
+    );
+    res.json({ ok: true, ...settings });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ── Sessions ─────────────────────────────────────────────────────────────────
 
+// Looks up a session by id, but only if it belongs to the authenticated user.
+// Unknown ids, malformed ids and other users' sessions all resolve to null.
+async function findOwnedSession(req, id) {
+  if (!id || !ObjectId.isValid(String(id))) return null;
+  return db
+    .collection('sessions')
+    .findOne({ _id: new ObjectId(String(id)), username: req.user.username });
+}
+
 app.get('/api/sessions', async (req, res) => {
   try {
-    const { username } = req.query;
-    if (!username) return res.status(400).json({ error: 'username required' });
+    const { username } = req.user;
     const sessions = await db
       .collection('sessions')
       .find({ username })
@@ -111,7 +257,10 @@ app.get('/api/sessions', async (req, res) => {
         agent: s.agent || null,
         title: s.title || null,
         createdAt: s.createdAt,
-        messageCount: (s.messages || []).length,
+        messageCount: s.messageCount ?? (s.messages || []).length,
+        provider: s.provider || null,
+        model: s.model || null,
+        temperature: s.temperature ?? null,
       }))
     );
   } catch (err) {
@@ -121,17 +270,40 @@ app.get('/api/sessions', async (req, res) => {
 
 app.post('/api/sessions', async (req, res) => {
   try {
-    const { username, agent } = req.body;
-    if (!username) return res.status(400).json({ error: 'username required' });
-    const { title } = req.body;
+    const { username } = req.user;
+    const { agent, title, provider, model, temperature } = req.body;
+    let settings = { provider: null, model: null, temperature: null };
+    try {
+      if (provider) settings = llm.resolveSettings({ provider, model, temperature });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
     const result = await db.collection('sessions').insertOne({
       username,
       agent: agent || null,
       title: title || null,
+      ...settings,
       createdAt: new Date().toISOString(),
-      messages: [],
+      messageCount: 0,
     });
-    res.json({ id: result.insertedId.toString() });
+    res.json({ id: result.insertedId.toString(), ...settings });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch('/api/sessions/:id/settings', async (req, res) => {
+  try {
+    const session = await findOwnedSession(req, req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    let settings;
+    try {
+      settings = llm.resolveSettings(req.body);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    await db.collection('sessions').updateOne({ _id: session._id }, { $set: settings });
+    res.json({ ok: true, ...settings });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -139,7 +311,11 @@ app.post('/api/sessions', async (req, res) => {
 
 app.delete('/api/sessions/:id', async (req, res) => {
   try {
-    await db.collection('sessions').deleteOne({ _id: new ObjectId(req.params.id) });
+    const session = await findOwnedSession(req, req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    await db.collection('messages').deleteMany({ session_id: session._id });
+    await db.collection('shares').deleteMany({ session_id: session._id });
+    await db.collection('sessions').deleteOne({ _id: session._id });
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -149,8 +325,10 @@ app.delete('/api/sessions/:id', async (req, res) => {
 app.patch('/api/sessions/:id/title', async (req, res) => {
   try {
     const { title } = req.body;
+    const session = await findOwnedSession(req, req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
     await db.collection('sessions').updateOne(
-      { _id: new ObjectId(req.params.id) },
+      { _id: session._id },
       { $set: { title } }
     );
     res.json({ ok: true });
@@ -159,14 +337,117 @@ app.patch('/api/sessions/:id/title', async (req, res) => {
   }
 });
 
+// The interview's final synthesis report, kept so shares and exports include it
+app.put('/api/sessions/:id/synthesis', async (req, res) => {
+  try {
+    const { report } = req.body;
+    if (typeof report !== 'string' || !report.trim()) return res.status(400).json({ error: 'report required' });
+    const session = await findOwnedSession(req, req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const finalSynthesis = { report, createdAt: new Date().toISOString() };
+    await db.collection('sessions').updateOne({ _id: session._id }, { $set: { finalSynthesis } });
+    res.json({ ok: true, ...finalSynthesis });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ── Messages ─────────────────────────────────────────────────────────────────
+// One document per message in the `messages` collection, keyed by session_id
+// and linked into a tree by parent_id (see server/messageTree.js). GET returns
+// the session's active branch a page at a time: newest page first, each page
+// oldest-first; `before` is the id of the oldest message the client already has,
+// and `from` returns everything from that message to the end of the branch
+// (at least one page) so a search hit can be opened in place.
+
+const MESSAGE_PAGE_SIZE = 50;
+const MAX_MESSAGE_PAGE_SIZE = 200;
+
+async function loadSessionTree(session) {
+  const nodes = await db
+    .collection('messages')
+    .find({ session_id: session._id }, { projection: { _id: 1, parent_id: 1 } })
+    .sort({ _id: 1 })
+    .toArray();
+  return messageTree.buildTree(nodes);
+}
+
+function toClientMessage(m, tree) {
+  const arr = m.imageData
+    ? Array.isArray(m.imageData)
+      ? m.imageData
+      : [m.imageData]
+    : [];
+  const id = m._id.toString();
+  const siblings = messageTree.siblingsOf(tree, id);
+  return {
+    id,
+    parentId: tree.parentOf.get(id) || null,
+    role: m.role,
+    content: m.content,
+    timestamp: m.timestamp,
+    images: arr.length
+      ? arr.map((img) => ({ data: img.data, mimeType: img.mimeType }))
+      : undefined,
+    charts: m.charts?.length ? m.charts : undefined,
+    toolCalls: m.toolCalls?.length ? m.toolCalls : undefined,
+    grounding: m.grounding || undefined,
+    route: m.route || undefined,
+    siblings: siblings.length > 1 ? siblings : undefined,
+  };
+}
+
+// Full client messages for `ids` (a slice of a branch path), in that order.
+async function loadMessagesById(ids, tree) {
+  const docs = await db
+    .collection('messages')
+    .find({ _id: { $in: ids.map((id) => new ObjectId(id)) } })
+    .toArray();
+  const byId = new Map(docs.map((m) => [m._id.toString(), m]));
+  return ids.filter((id) => byId.has(id)).map((id) => toClientMessage(byId.get(id), tree));
+}
+
+// Every message on the session's active branch, oldest first (exports, shares).
+async function loadActiveBranch(session) {
+  const tree = await loadSessionTree(session);
+  return loadMessagesById(messageTree.activePath(tree, session.leaf_id?.toString()), tree);
+}
 
+// A reply's answer mode from the client's intent router: { mode, source, reasons }
+const toStoredRoute = (route) => ({
+  mode: String(route.mode || ''),
+  source: String(route.source || ''),
+  reasons: (Array.isArray(route.reasons) ? route.reasons : []).slice(0, 12).map((r) => String(r).slice(0, 300)),
+});
+
+// parent_id omitted → continue the active branch; null → a new root message;
+// an id → branch from that message (edit / regenerate).
 app.post('/api/messages', async (req, res) => {
   try {
-    const { session_id, role, content, imageData, charts, toolCalls } = req.body;
+    const { session_id, parent_id, role, content, imageData, charts, toolCalls, grounding, route } = req.body;
     if (!session_id || !role || content === undefined)
       return res.status(400).json({ error: 'session_id, role, content required' });
+    const session = await findOwnedSession(req, session_id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    let parentId;
+    if (parent_id === undefined) {
+      const path = messageTree.activePath(await loadSessionTree(session), session.leaf_id?.toString());
+      parentId = path.length ? new ObjectId(path[path.length - 1]) : null;
+    } else if (parent_id === null) {
+      parentId = null;
+    } else {
+      const parent = ObjectId.isValid(String(parent_id))
+        && (await db.collection('messages').findOne(
+          { _id: new ObjectId(String(parent_id)), session_id: session._id },
+          { projection: { _id: 1 } }
+        ));
+      if (!parent) return res.status(400).json({ error: 'parent_id is not a message in this session' });
+      parentId = parent._id;
+    }
     const msg = {
+      session_id: session._id,
+      parent_id: parentId,
+      username: req.user.username,
       role,
       content,
       timestamp: new Date().toISOString(),
@@ -175,12 +456,15 @@ app.post('/api/messages', async (req, res) => {
       }),
       ...(charts?.length && { charts }),
       ...(toolCalls?.length && { toolCalls }),
+      ...(grounding && { grounding }),
+      ...(route && { route: toStoredRoute(route) }),
     };
+    const result = await db.collection('messages').insertOne(msg);
     await db.collection('sessions').updateOne(
-      { _id: new ObjectId(session_id) },
-      { $push: { messages: msg } }
+      { _id: session._id },
+      { $inc: { messageCount: 1 }, $set: { leaf_id: result.insertedId } }
     );
-    res.json({ ok: true });
+    res.json({ ok: true, id: result.insertedId.toString(), parentId: parentId ? parentId.toString() : null });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -188,172 +472,608 @@ app.post('/api/messages', async (req, res) => {
 
 app.get('/api/messages', async (req, res) => {
   try {
-    const { session_id } = req.query;
+    const { session_id, before, from } = req.query;
     if (!session_id) return res.status(400).json({ error: 'session_id required' });
-    const doc = await db
-      .collection('sessions')
-      .findOne({ _id: new ObjectId(session_id) });
-    const raw = doc?.messages || [];
-    const msgs = raw.map((m, i) => {
-      const arr = m.imageData
-        ? Array.isArray(m.imageData)
-          ? m.imageData
-          : [m.imageData]
-        : [];
-      return {
-        id: `${doc._id}-${i}`,
-        role: m.role,
-        content: m.content,
-        timestamp: m.timestamp,
-        images: arr.length
-          ? arr.map((img) => ({ data: img.data, mimeType: img.mimeType }))
-          : undefined,
-        charts: m.charts?.length ? m.charts : undefined,
-        toolCalls: m.toolCalls?.length ? m.toolCalls : undefined,
-      };
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || MESSAGE_PAGE_SIZE, 1), MAX_MESSAGE_PAGE_SIZE);
+    const doc = await findOwnedSession(req, session_id);
+    if (!doc) return res.status(404).json({ error: 'Session not found' });
+    const tree = await loadSessionTree(doc);
+    const path = messageTree.activePath(tree, doc.leaf_id?.toString());
+    // `before` off the active branch (it was switched meanwhile) → empty page
+    const end = before ? path.indexOf(String(before)) : path.length;
+    if (end < 0) return res.json({ messages: [], hasMore: false });
+    const fromIndex = from ? path.indexOf(String(from)) : -1;
+    const start = fromIndex >= 0 ? Math.min(fromIndex, Math.max(0, end - limit)) : Math.max(0, end - limit);
+    res.json({
+      messages: await loadMessagesById(path.slice(start, end), tree),
+      hasMore: start > 0,
     });
-    res.json(msgs);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// ── YouTube Channel Download ──────────────────────────────────────────────────
-const YOUTUBE_API_KEY = process.env.REACT_APP_YOUTUBE_API_KEY || process.env.YOUTUBE_API_KEY;
-
-function parseDuration(iso) {
-  if (!iso) return null;
-  const match = iso.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
-  if (!match) return iso;
-  const h = parseInt(match[1] || 0, 10);
-  const m = parseInt(match[2] || 0, 10);
-  const s = parseInt(match[3] || 0, 10);
-  return `${h > 0 ? h + ':' : ''}${String(m).padStart(h ? 2 : 1, '0')}:${String(s).padStart(2, '0')}`;
+// Switch the session to the branch containing message_id (a sibling picked in
+// the UI), continuing down its newest replies.
+app.patch('/api/sessions/:id/branch', async (req, res) => {
+  try {
+    const session = await findOwnedSession(req, req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const tree = await loadSessionTree(session);
+    const messageId = String(req.body.message_id || '');
+    if (!tree.parentOf.has(messageId))
+      return res.status(400).json({ error: 'message_id is not a message in this session' });
+    const leafId = messageTree.newestLeaf(tree, messageId);
+    await db.collection('sessions').updateOne(
+      { _id: session._id },
+      { $set: { leaf_id: new ObjectId(leafId) } }
+    );
+    res.json({ ok: true, leafId });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Export ───────────────────────────────────────────────────────────────────
+// GET /api/sessions/:id/export?format=markdown|html — the active branch as a
+// self-contained document (see server/export.js), sent as a download.
+
+async function sendExport(res, session, format) {
+  if (!EXPORT_FORMATS[format])
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  const messages = await loadActiveBranch(session);
+  const { body, type, filename } = exportSession({ session, messages, username: session.username, format });
+  res.setHeader('Content-Type', type);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(body);
 }
 
-app.get('/api/youtube/channel', async (req, res) => {
-  if (!YOUTUBE_API_KEY) {
-    return res.status(200).json({
-      optional: true,
-      message: 'YouTube Channel Download is optional. Use the sample file veritasium_channel_data.json in the Chat tab (drag it into the chat), or add REACT_APP_YOUTUBE_API_KEY to .env to download your own channel data.',
-    });
-  }
+app.get('/api/sessions/:id/export', async (req, res) => {
   try {
-    const { url, maxVideos = 10 } = req.query;
-    if (!url) return res.status(400).json({ error: 'url required' });
-    const max = Math.min(Math.max(parseInt(maxVideos, 10) || 10, 1), 100);
+    const session = await findOwnedSession(req, req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    await sendExport(res, session, String(req.query.format || 'markdown'));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Shares ───────────────────────────────────────────────────────────────────
+// One `shares` document per link: { token, session_id, username, createdAt,
+// expiresAt | null, revokedAt | null }. Revoked links are kept (not deleted)
+// so the token can never be re-used.
 
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.flushHeaders();
+const SHARE_MAX_DAYS = 365;
+
+const toClientShare = (s) => ({
+  token: s.token,
+  createdAt: s.createdAt,
+  expiresAt: s.expiresAt,
+});
 
-    const send = (obj) => {
-      res.write(`data: ${JSON.stringify(obj)}\n\n`);
-      if (typeof res.flush === 'function') res.flush();
+app.post('/api/sessions/:id/share', async (req, res) => {
+  try {
+    const session = await findOwnedSession(req, req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const days = req.body.expiresInDays == null ? null : Number(req.body.expiresInDays);
+    if (days !== null && !(days > 0 && days <= SHARE_MAX_DAYS))
+      return res.status(400).json({ error: `expiresInDays must be between 1 and ${SHARE_MAX_DAYS}` });
+    const share = {
+      token: crypto.randomBytes(24).toString('base64url'),
+      session_id: session._id,
+      username: req.user.username,
+      createdAt: new Date().toISOString(),
+      expiresAt: days ? new Date(Date.now() + days * 86400000).toISOString() : null,
+      revokedAt: null,
     };
+    await db.collection('shares').insertOne(share);
+    res.json(toClientShare(share));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    let channelId = null;
-    const urlStr = String(url).trim();
-
-    if (/youtube\.com\/channel\/([a-zA-Z0-9_-]+)/.test(urlStr)) {
-      channelId = urlStr.match(/youtube\.com\/channel\/([a-zA-Z0-9_-]+)/)[1];
-    } else if (/youtube\.com\/@([a-zA-Z0-9_-]+)/.test(urlStr) || /youtube\.com\/c\/([a-zA-Z0-9_-]+)/.test(urlStr)) {
-      const handle = urlStr.match(/@([a-zA-Z0-9_-]+)/)?.[1] || urlStr.match(/\/c\/([a-zA-Z0-9_-]+)/)?.[1];
-      if (handle) {
-        const r = await fetch(`https://www.googleapis.com/youtube/v3/channels?part=id&forHandle=${handle}&key=${YOUTUBE_API_KEY}`);
-        const j = await r.json();
-        channelId = j.items?.[0]?.id;
-      }
-    } else if (/youtube\.com\/watch\?v=([a-zA-Z0-9_-]+)/.test(urlStr) || /youtu\.be\/([a-zA-Z0-9_-]+)/.test(urlStr)) {
-      const videoId = urlStr.match(/watch\?v=([a-zA-Z0-9_-]+)/)?.[1] || urlStr.match(/youtu\.be\/([a-zA-Z0-9_-]+)/)?.[1];
-      if (videoId) {
-        send({ progress: 2, stage: 'Getting channel from video...' });
-        const vRes = await fetch(`https://www.googleapis.com/youtube/v3/videos?part=snippet&id=${videoId}&key=${YOUTUBE_API_KEY}`);
-        const vData = await vRes.json();
-        channelId = vData.items?.[0]?.snippet?.channelId;
-      }
-    }
-    if (!channelId) {
-      send({ error: 'Could not parse URL. Use a channel link (e.g. youtube.com/@channelname), a video link (youtube.com/watch?v=...), or youtu.be/VIDEO_ID' });
-      return res.end();
+// Active (unrevoked, unexpired) links, newest first
+app.get('/api/sessions/:id/shares', async (req, res) => {
+  try {
+    const session = await findOwnedSession(req, req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const shares = await db
+      .collection('shares')
+      .find({
+        session_id: session._id,
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date().toISOString() } }],
+      })
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.json(shares.map(toClientShare));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/sessions/:id/shares/:token', async (req, res) => {
+  try {
+    const session = await findOwnedSession(req, req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const result = await db.collection('shares').updateOne(
+      { token: req.params.token, session_id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date().toISOString() } }
+    );
+    if (!result.matchedCount) return res.status(404).json({ error: 'Share not found' });
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Search ───────────────────────────────────────────────────────────────────
+// GET /api/search?q= — text search over the user's message contents and
+// session titles, best matches first. Message hits carry their position in
+// their branch (0 = first message) and whether that branch is the one shown,
+// so the client can switch branches and open the message in place.
+
+const SEARCH_LIMIT = 30;
+const SNIPPET_RADIUS = 70;
+
+// Words the client should highlight: quoted phrases and bare words, minus
+// negated (-word) terms.
+function searchTerms(q) {
+  const terms = [];
+  for (const match of q.matchAll(/(-?)"([^"]+)"|(-?)(\S+)/g)) {
+    if (match[1] || match[3]) continue;
+    const term = (match[2] || match[4]).replace(/"/g, '').trim();
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+function snippetAround(text, terms) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  const lower = flat.toLowerCase();
+  const hits = terms.map((t) => lower.indexOf(t.toLowerCase())).filter((i) => i >= 0);
+  const at = hits.length ? Math.min(...hits) : 0;
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  const end = Math.min(flat.length, at + SNIPPET_RADIUS * 2);
+  return `${start > 0 ? '…' : ''}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`;
+}
+
+app.get('/api/search', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.status(400).json({ error: 'q required' });
+    const { username } = req.user;
+    const terms = searchTerms(q);
+    const byScore = { score: { $meta: 'textScore' } };
+
+    const [messageHits, sessionHits] = await Promise.all([
+      db
+        .collection('messages')
+        .find({ username, $text: { $search: q } }, { projection: { ...byScore, session_id: 1, role: 1, content: 1, timestamp: 1 } })
+        .sort(byScore)
+        .limit(SEARCH_LIMIT)
+        .toArray(),
+      db
+        .collection('sessions')
+        .find({ username, $text: { $search: q } }, { projection: { ...byScore, title: 1, createdAt: 1 } })
+        .sort(byScore)
+        .limit(SEARCH_LIMIT)
+        .toArray(),
+    ]);
+
+    // Titles and branch trees for every session that has a matching message
+    const sessionIds = [...new Set(messageHits.map((m) => m.session_id.toString()))];
+    const sessionDocs = await db
+      .collection('sessions')
+      .find({ _id: { $in: sessionIds.map((id) => new ObjectId(id)) }, username })
+      .toArray();
+    const sessionsById = new Map();
+    for (const doc of sessionDocs) {
+      const tree = await loadSessionTree(doc);
+      const active = new Set(messageTree.activePath(tree, doc.leaf_id?.toString()));
+      sessionsById.set(doc._id.toString(), { doc, tree, active });
     }
 
-    send({ progress: 5, stage: 'Fetching channel info...' });
-    const chRes = await fetch(`https://www.googleapis.com/youtube/v3/channels?part=contentDetails,snippet&id=${channelId}&key=${YOUTUBE_API_KEY}`);
-    const chData = await chRes.json();
-    const uploadsId = chData.items?.[0]?.contentDetails?.relatedPlaylists?.uploads;
-    const channelTitle = chData.items?.[0]?.snippet?.title || 'Channel';
+    const results = [
+      ...sessionHits.map((s) => ({
+        type: 'session',
+        sessionId: s._id.toString(),
+        sessionTitle: s.title || null,
+        createdAt: s.createdAt,
+        score: s.score,
+      })),
+      ...messageHits
+        .filter((m) => sessionsById.has(m.session_id.toString()))
+        .map((m) => {
+          const { doc, tree, active } = sessionsById.get(m.session_id.toString());
+          const id = m._id.toString();
+          return {
+            type: 'message',
+            sessionId: doc._id.toString(),
+            sessionTitle: doc.title || null,
+            messageId: id,
+            role: m.role,
+            timestamp: m.timestamp,
+            position: messageTree.activePath(tree, id).length - 1,
+            onActiveBranch: active.has(id),
+            snippet: snippetAround(m.content, terms),
+            score: m.score,
+          };
+        }),
+    ].sort((a, b) => b.score - a.score);
+
+    res.json({ terms, results });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── LLM proxy ────────────────────────────────────────────────────────────────
+// The browser never talks to OpenAI/Gemini directly; every model call goes
+// through these routes (see server/llm/index.js and its providers/). Logging
+// lives here so quotas and per-user limits have a single place to hook in.
 
-    if (!uploadsId) {
-      send({ error: 'Could not find uploads playlist' });
-      return res.end();
+// Model selection: explicit settings in the body (the chat session's choice)
+// win, then the user's saved default, then the server default. Resolved
+// settings land on req.llm for the routes below.
+app.use('/api/llm', async (req, res, next) => {
+  try {
+    if (req.method === 'POST') {
+      const { provider, model, temperature } = req.body || {};
+      const choice = provider ? { provider, model, temperature } : await userLlmSettings(req.user.username);
+      req.llm = llm.resolveSettings(choice || {});
     }
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const started = Date.now();
+  res.on('finish', () => {
+    const via = req.llm ? `${req.llm.provider}/${req.llm.model}` : '-';
+    console.log(`[LLM] ${req.user.username} ${req.method} ${req.path} via ${via} → ${res.statusCode} (${Date.now() - started}ms)`);
+  });
+  next();
+});
 
-    const videoIds = [];
-    let pageToken = '';
-    while (videoIds.length < max) {
-      send({ progress: 10 + (videoIds.length / max) * 40, stage: `Fetching video list... (${videoIds.length}/${max})` });
-      const plRes = await fetch(`https://www.googleapis.com/youtube/v3/playlistItems?part=snippet&playlistId=${uploadsId}&maxResults=${Math.min(50, max - videoIds.length)}&pageToken=${pageToken}&key=${YOUTUBE_API_KEY}`);
-      const plData = await plRes.json();
-      const items = plData.items || [];
-      for (const it of items) {
-        if (it.snippet?.resourceId?.videoId) videoIds.push(it.snippet.resourceId.videoId);
-        if (videoIds.length >= max) break;
-      }
-      pageToken = plData.nextPageToken || '';
-      if (!pageToken || videoIds.length >= max) break;
+// Providers and models the picker can offer, plus the caller's default.
+app.get('/api/llm/providers', async (req, res) => {
+  try {
+    const saved = await userLlmSettings(req.user.username);
+    let userDefault;
+    try {
+      userDefault = llm.resolveSettings(saved || {});
+    } catch {
+      userDefault = llm.resolveSettings({});
     }
+    res.json({ providers: llm.listProviders(), userDefault });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const videos = [];
-    const batchSize = 50;
-    for (let i = 0; i < videoIds.length; i += batchSize) {
-      const batch = videoIds.slice(i, i + batchSize);
-      send({ progress: 50 + ((i + batch.length) / videoIds.length) * 45, stage: `Fetching video metadata... (${Math.min(i + batchSize, videoIds.length)}/${videoIds.length})` });
-      const vRes = await fetch(`https://www.googleapis.com/youtube/v3/videos?part=snippet,statistics,contentDetails&id=${batch.join(',')}&key=${YOUTUBE_API_KEY}`);
-      const vData = await vRes.json();
-      for (const v of vData.items || []) {
-        const sn = v.snippet || {};
-        const st = v.statistics || {};
-        const cd = v.contentDetails || {};
-        videos.push({
-          video_id: v.id,
-          title: sn.title || '',
-          description: (sn.description || '').slice(0, 5000),
-          duration: parseDuration(cd.duration),
-          duration_iso: cd.duration || null,
-          release_date: sn.publishedAt || null,
-          view_count: parseInt(st.viewCount || 0, 10),
-          like_count: parseInt(st.likeCount || 0, 10),
-          comment_count: parseInt(st.commentCount || 0, 10),
-          video_url: `https://www.youtube.com/watch?v=${v.id}`,
-          thumbnail_url: sn.thumbnails?.high?.url || sn.thumbnails?.default?.url || null,
-          transcript: null,
-        });
-      }
+// Streaming chat over SSE: code execution, search grounding (default) or neither.
+// Events: { type: 'text' | 'fullResponse' | 'grounding', ... }, then { done: true } or { error }.
+app.post('/api/llm/chat', async (req, res) => {
+  const { history, message, images, useCodeExecution, useSearch = true } = req.body;
+  if (typeof message !== 'string') return res.status(400).json({ error: 'message required' });
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const send = startEventStream(res);
+  try {
+    for await (const chunk of llm.streamChat({ ...req.llm, history, message, images, useCodeExecution, useSearch })) {
+      if (closed) break;
+      send(chunk);
     }
+    if (!closed) send({ done: true });
+  } catch (err) {
+    console.error('[LLM chat]', err);
+    if (!closed) send({ error: err.message || 'Chat failed' });
+  }
+  res.end();
+});
+
+// One function-calling turn. The client executes the returned tool calls and
+// calls again with the results appended to `steps` until toolCalls is empty.
+// A client that disconnects (Stop, agent timeout) cancels the provider call.
+app.post('/api/llm/tools', async (req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  try {
+    const { history, message, tools, steps } = req.body;
+    if (typeof message !== 'string') return res.status(400).json({ error: 'message required' });
+    res.json(await llm.chatTurn({ ...req.llm, history, message, tools, steps, signal: controller.signal }));
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    console.error('[LLM tools]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/llm/vision', async (req, res) => {
+  try {
+    const { prompt, images } = req.body;
+    if (!prompt || !Array.isArray(images)) return res.status(400).json({ error: 'prompt and images required' });
+    res.json({ text: await llm.analyzeImages({ ...req.llm, prompt, images }) });
+  } catch (err) {
+    console.error('[LLM vision]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/llm/image', async (req, res) => {
+  try {
+    const { prompt, image } = req.body;
+    if (!image?.data) return res.status(400).json({ error: 'image required' });
+    res.json(await llm.generateImage({ provider: req.llm.provider, prompt: prompt || '', image }));
+  } catch (err) {
+    console.error('[LLM image]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/llm/synthesis', async (req, res) => {
+  try {
+    const { prompt } = req.body;
+    if (!prompt || typeof prompt !== 'string') return res.status(400).json({ error: 'Missing prompt' });
+    res.json({ text: await llm.complete({ ...req.llm, prompt }) });
+  } catch (err) {
+    console.error('[LLM synthesis]', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ── Datasets ─────────────────────────────────────────────────────────────────
+// Files loaded into a chat, stored once per distinct content (server/datasets.js)
+// and linked to sessions so the chat can reload them. Uploads under an existing
+// name become new versions of that library entry.
+
+// The library: [{ name, kind, tags, lastUsedAt, versions }]
+app.get('/api/datasets', async (req, res) => {
+  try {
+    res.json(await datasets.listLibrary(db, req.user.username));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Raw file body: POST /api/datasets?kind=csv|json&name=<file name>
+app.post('/api/datasets', async (req, res) => {
+  try {
+    const kind = String(req.query.kind || '');
+    if (!datasets.KINDS.includes(kind)) return res.status(400).json({ error: `kind must be one of: ${datasets.KINDS.join(', ')}` });
+    const name = String(req.query.name || '').trim().slice(0, 200);
+    if (!name) return res.status(400).json({ error: 'name required' });
+    const { dataset, duplicate } = await datasets.storeUpload(db, { username: req.user.username, kind, name, source: req });
+    res.json({ ...datasets.toClientDataset(dataset), duplicate });
+  } catch (err) {
+    if (err instanceof datasets.UploadTooLargeError) return res.status(413).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rename / retag the entry this version belongs to: { name?, tags? }
+app.patch('/api/datasets/:id', async (req, res) => {
+  try {
+    const dataset = await datasets.findOwnedDataset(db, req.user.username, req.params.id);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+    res.json(await datasets.updateEntry(db, dataset, { name: req.body.name, tags: req.body.tags }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// One version, or ?all=1 for every version of the entry
+app.delete('/api/datasets/:id', async (req, res) => {
+  try {
+    const dataset = await datasets.findOwnedDataset(db, req.user.username, req.params.id);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+    const deleted = await datasets.deleteDatasets(db, dataset, { allVersions: req.query.all === '1' });
+    res.json({ ok: true, deleted });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/datasets/:id/content', async (req, res) => {
+  try {
+    const dataset = await datasets.findOwnedDataset(db, req.user.username, req.params.id);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not found' });
+    res.setHeader('Content-Type', dataset.kind === 'csv' ? 'text/csv' : 'application/json');
+    res.setHeader('Content-Length', dataset.size);
+    datasets
+      .openContent(db, dataset)
+      .on('error', (err) => (res.headersSent ? res.destroy(err) : res.status(500).json({ error: err.message })))
+      .pipe(res);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/sessions/:id/datasets', async (req, res) => {
+  try {
+    const session = await findOwnedSession(req, req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    res.json((await datasets.liveLinks(db, session)).map(datasets.toClientLink));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Replace the session's links: { datasets: [{ id } | { jobId }, …] }
+app.put('/api/sessions/:id/datasets', async (req, res) => {
+  try {
+    const session = await findOwnedSession(req, req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    const links = await datasets.resolveLinks(db, req.user.username, req.body.datasets);
+    await db.collection('sessions').updateOne({ _id: session._id }, { $set: { datasets: links } });
+    res.json(links.map(datasets.toClientLink));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── YouTube Channel Download ──────────────────────────────────────────────────
+// Downloads run as background jobs (server/youtube.js); the browser starts one,
+// polls its progress and loads finished ones from "My datasets".
 
-    send({ progress: 95, stage: 'Finalizing...' });
+const YOUTUBE_OPTIONAL = {
+  optional: true,
+  message: 'YouTube Channel Download is optional. Use the sample file veritasium_channel_data.json in the Chat tab (drag it into the chat), or add REACT_APP_YOUTUBE_API_KEY to .env to download your own channel data.',
+};
 
-    const result = {
-      channel_id: channelId,
-      channel_title: channelTitle,
-      channel_url: urlStr,
-      downloaded_at: new Date().toISOString(),
-      video_count: videos.length,
-      videos,
+// 'all' → null (the whole channel); otherwise a video count ≥ 1.
+const parseMaxVideos = (value) =>
+  value === 'all' || value === null ? null : Math.max(parseInt(value, 10) || 10, 1);
+
+// Top-level comments to fetch per video; 0 = no comments.
+const parseCommentLimit = (value) =>
+  Math.min(Math.max(parseInt(value, 10) || 0, 0), youtube.MAX_COMMENTS_PER_VIDEO);
+
+async function findOwnedJob(req, id) {
+  if (!id || !ObjectId.isValid(String(id))) return null;
+  return db
+    .collection('youtube_jobs')
+    .findOne({ _id: new ObjectId(String(id)), username: req.user.username });
+}
+
+// Projected quota cost before starting: ?url=…&maxVideos=<n>|all
+app.get('/api/youtube/estimate', async (req, res) => {
+  if (!youtube.isConfigured()) return res.status(200).json(YOUTUBE_OPTIONAL);
+  try {
+    const { url, maxVideos = 10, commentsPerVideo = 0 } = req.query;
+    if (!url) return res.status(400).json({ error: 'url required' });
+    res.json(await youtubeJobs.estimate(String(url), parseMaxVideos(maxVideos), parseCommentLimit(commentsPerVideo)));
+  } catch (err) {
+    res.status(err.status && err.status < 500 ? 400 : 500).json({ error: err.message });
+  }
+});
+
+// Start a download. Without an API key the feature is optional, not an error.
+app.post('/api/youtube/jobs', async (req, res) => {
+  if (!youtube.isConfigured()) return res.status(200).json(YOUTUBE_OPTIONAL);
+  try {
+    const { url, maxVideos = 10, includeTranscripts = false, transcriptLang = null, commentsPerVideo = 0 } = req.body;
+    if (!url || typeof url !== 'string') return res.status(400).json({ error: 'url required' });
+    if (transcriptLang && !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/.test(String(transcriptLang)))
+      return res.status(400).json({ error: 'transcriptLang must be a language code like "en" or "pt-BR"' });
+    const now = new Date().toISOString();
+    const job = {
+      username: req.user.username,
+      url: url.trim(),
+      max_videos: parseMaxVideos(maxVideos),
+      include_transcripts: !!includeTranscripts,
+      transcript_lang: (includeTranscripts && transcriptLang) || null,
+      transcript_errors: 0,
+      comments_per_video: parseCommentLimit(commentsPerVideo),
+      comment_errors: 0,
+      status: 'queued',
+      progress: 0,
+      stage: 'Queued...',
+      error: null,
+      page_token: '',
+      page_offset: 0,
+      video_count: 0,
+      quota_units: 0,
+      createdAt: now,
+      updatedAt: now,
     };
+    const result = await db.collection('youtube_jobs').insertOne(job);
+    youtubeJobs.start(result.insertedId);
+    res.json(youtube.toClientJob({ ...job, _id: result.insertedId }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    send({ progress: 100, done: true, data: result });
-    res.end();
+// All of the user's jobs, newest first — running ones and finished datasets
+app.get('/api/youtube/jobs', async (req, res) => {
+  try {
+    const jobs = await db
+      .collection('youtube_jobs')
+      .find({ username: req.user.username })
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.json(jobs.map(youtube.toClientJob));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/youtube/jobs/:id', async (req, res) => {
+  try {
+    const job = await findOwnedJob(req, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(youtube.toClientJob(job));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Continue a failed or paused job from its last stored playlist page (a paused
+// job resumed before the quota resets will just pause again)
+app.post('/api/youtube/jobs/:id/resume', async (req, res) => {
+  try {
+    const job = await findOwnedJob(req, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (job.status === 'done') return res.status(409).json({ error: 'Job already finished' });
+    if (!youtubeJobs.isActive(job._id)) {
+      const fields = { status: 'queued', error: null, stage: 'Resuming...', updatedAt: new Date().toISOString() };
+      await db.collection('youtube_jobs').updateOne({ _id: job._id }, { $set: fields });
+      Object.assign(job, fields);
+      youtubeJobs.start(job._id);
+    }
+    res.json(youtube.toClientJob(job));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The downloaded videos as channel JSON (partial if the job hasn't finished)
+app.get('/api/youtube/jobs/:id/data', async (req, res) => {
+  try {
+    const job = await findOwnedJob(req, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(await youtube.loadDataset(db, job));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Re-snapshot a finished dataset's stats: { intervalHours: 6 | 24 | 168 } or
+// { intervalHours: null } to stop. Turning tracking on snapshots immediately.
+app.put('/api/youtube/jobs/:id/tracking', async (req, res) => {
+  try {
+    const job = await findOwnedJob(req, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (job.status !== 'done') return res.status(409).json({ error: 'Only finished downloads can be tracked' });
+    const hours = req.body.intervalHours == null ? null : Number(req.body.intervalHours);
+    if (hours !== null && !youtube.TRACKING_INTERVALS.includes(hours)) {
+      return res.status(400).json({ error: `intervalHours must be one of ${youtube.TRACKING_INTERVALS.join(', ')} or null` });
+    }
+    res.json(youtube.toClientJob(await youtubeJobs.setTracking(job, hours)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/youtube/jobs/:id', async (req, res) => {
+  try {
+    const job = await findOwnedJob(req, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (youtubeJobs.isActive(job._id)) return res.status(409).json({ error: 'Job is still running' });
+    youtubeJobs.cancel(job._id);
+    await db.collection('youtube_videos').deleteMany({ job_id: job._id });
+    await db.collection('youtube_snapshots').deleteMany({ 'meta.job_id': job._id });
+    await db.collection('youtube_jobs').deleteOne({ _id: job._id });
+    res.json({ ok: true });
   } catch (err) {
-    console.error('[YouTube]', err);
-    res.setHeader('Content-Type', 'application/json');
     res.status(500).json({ error: err.message });
   }
 });
 
-// ── Final Synthesis: save prompt only (AI call is done in frontend) ─────────────
+// ── Final Synthesis: save prompt (AI call goes through /api/llm/synthesis) ─────
 
 app.post('/api/save-final-prompt', (req, res) => {
   try {
@@ -0,0 +1,133 @@
+// ── LLM provider registry ────────────────────────────────────────────────────
+// All model calls go through here so API keys never reach the browser.
+//
+// A provider is a plain object:
+//   name, label, defaultModel, models: [{ id, label, temperature }], codeExecution, isConfigured()
+//   streamChat({ system, history, message, images, useCodeExecution, useSearch, model, temperature })
+//       → async iterable of { type: 'text' | 'fullResponse' | 'grounding', ... }
+//   chatTurn({ system, history, message, tools, steps, model, temperature, signal }) → { text, toolCalls }
+//       (a toolCalls entry may carry `error` when its arguments could not be parsed)
+//   analyzeImages({ prompt, images, model, temperature })                    → string
+//   generateImage({ prompt, image })                                         → { data, mimeType } | { error }
+//   complete({ prompt, model, temperature, maxTokens })                      → string
+// `codeExecution` says whether streamChat honours useCodeExecution (the chat's
+// Python mode). `models[].temperature` says whether the model accepts a
+// temperature; a null temperature always means "provider default".
+// chatTurn's `signal` (an AbortSignal) cancels the provider request when the
+// browser stops waiting.
+//
+// Tool calling is stateless: the browser executes tools (they run against the
+// user's in-memory dataset) and sends back every previous step as
+// [{ text, toolCalls: [{ id, name, args }], results: [{ id, name, result }] }],
+// so each chatTurn() rebuilds the full provider-specific transcript.
+
+const fs = require('fs');
+const path = require('path');
+
+const PROMPT_PATH = path.resolve(__dirname, '..', '..', 'public', 'prompt_chat.txt');
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+registerProvider(require('./providers/openai'));
+registerProvider(require('./providers/gemini'));
+registerProvider(require('./providers/mock'));
+
+// LLM_PROVIDER wins; otherwise the first configured real provider, then mock.
+function defaultProviderName() {
+  const forced = process.env.LLM_PROVIDER;
+  if (forced && providers.has(forced)) return forced;
+  const real = [...providers.values()].find((p) => p.name !== 'mock' && p.isConfigured());
+  return real ? real.name : 'mock';
+}
+
+if (defaultProviderName() === 'mock') {
+  console.warn('[LLM] No OPENAI_API_KEY or GEMINI_API_KEY configured (or LLM_PROVIDER=mock) — using the offline mock provider.');
+}
+
+function getProvider(name) {
+  const provider = providers.get(name || defaultProviderName());
+  if (!provider) throw new Error(`Unknown LLM provider "${name}"`);
+  if (!provider.isConfigured()) {
+    throw new Error(`${provider.label} is not configured. Add its API key to .env and restart the server.`);
+  }
+  return provider;
+}
+
+function listProviders() {
+  return [...providers.values()].map((p) => ({
+    name: p.name,
+    label: p.label,
+    defaultModel: p.defaultModel,
+    models: p.models,
+    codeExecution: !!p.codeExecution,
+    configured: p.isConfigured(),
+  }));
+}
+
+// Validates a { provider, model, temperature } choice and fills in defaults.
+// Throws on an unknown provider or a model the provider doesn't offer.
+function resolveSettings({ provider, model, temperature } = {}) {
+  const p = providers.get(provider || defaultProviderName());
+  if (!p) throw new Error(`Unknown LLM provider "${provider}"`);
+  const m = model || p.defaultModel;
+  if (!p.models.some((x) => x.id === m)) throw new Error(`${p.label} has no model "${m}"`);
+  const t = temperature === '' || temperature == null ? null : Number(temperature);
+  if (t !== null && !(t >= 0 && t <= 2)) throw new Error('temperature must be between 0 and 2');
+  return { provider: p.name, model: m, temperature: t };
+}
+
+// Read on every call so edits to prompt_chat.txt apply without a restart.
+function loadSystemPrompt() {
+  try {
+    return fs.readFileSync(PROMPT_PATH, 'utf8').trim();
+  } catch {
+    return '';
+  }
+}
+
+// ── Entry points used by the /api/llm routes ────────────────────────────────
+// Each accepts optional `provider`, `model` and `temperature` (see
+// resolveSettings); omitted means the provider's defaults.
+
+function streamChat({ provider, ...opts }) {
+  return getProvider(provider).streamChat({ system: loadSystemPrompt(), ...opts });
+}
+
+function chatTurn({ provider, ...opts }) {
+  return getProvider(provider).chatTurn({ system: loadSystemPrompt(), ...opts });
+}
+
+function analyzeImages({ provider, ...opts }) {
+  return getProvider(provider).analyzeImages(opts);
+}
+
+// Configuration problems are returned as { error } like every other failure,
+// since the result is handed back to the model as a tool response.
+async function generateImage({ provider, ...opts }) {
+  try {
+    return await getProvider(provider).generateImage(opts);
+  } catch (err) {
+    return { error: err.message || 'Image generation failed.' };
+  }
+}
+
+function complete({ provider, ...opts }) {
+  return getProvider(provider).complete(opts);
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  resolveSettings,
+  defaultProviderName,
+  streamChat,
+  chatTurn,
+  analyzeImages,
+  generateImage,
+  complete,
+};
@@ -0,0 +1,153 @@
+// ── Gemini adapter ───────────────────────────────────────────────────────────
+// The only provider with Google Search grounding and Python code execution.
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const API_KEY = process.env.GEMINI_API_KEY || process.env.REACT_APP_GEMINI_API_KEY || '';
+const genAI = API_KEY ? new GoogleGenerativeAI(API_KEY) : null;
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+const MODELS = [
+  { id: 'gemini-2.5-flash-lite', label: 'Gemini 2.5 Flash-Lite', temperature: true },
+  { id: 'gemini-2.5-flash', label: 'Gemini 2.5 Flash', temperature: true },
+  { id: 'gemini-2.5-pro', label: 'Gemini 2.5 Pro', temperature: true },
+];
+
+// getGenerativeModel() params for the chosen model and temperature.
+const modelParams = (model, temperature, extra = {}) => ({
+  model: model || DEFAULT_MODEL,
+  ...(temperature != null && { generationConfig: { temperature } }),
+  ...extra,
+});
+
+const SEARCH_TOOL = { googleSearch: {} };
+const CODE_EXEC_TOOL = { codeExecution: {} };
+
+function buildHistory(system, history) {
+  const baseHistory = history.map((m) => ({
+    role: m.role === 'user' ? 'user' : 'model',
+    parts: [{ text: m.content || '' }],
+  }));
+  return system
+    ? [
+        { role: 'user', parts: [{ text: `Follow these instructions in every response:\n\n${system}` }] },
+        { role: 'model', parts: [{ text: "Got it! I'll follow those instructions." }] },
+        ...baseHistory,
+      ]
+    : baseHistory;
+}
+
+async function* streamChat({ system, history = [], message, images = [], useCodeExecution = false, useSearch = true, model, temperature }) {
+  const tools = useCodeExecution ? [CODE_EXEC_TOOL] : useSearch ? [SEARCH_TOOL] : undefined;
+  const gen = genAI.getGenerativeModel(modelParams(model, temperature, { tools }));
+  const chat = gen.startChat({ history: buildHistory(system, history) });
+  const parts = [
+    { text: message },
+    ...images.map((img) => ({ inlineData: { mimeType: img.mimeType || 'image/png', data: img.data } })),
+  ].filter((p) => p.text !== undefined || p.inlineData !== undefined);
+
+  const result = await chat.sendMessageStream(parts);
+  for await (const chunk of result.stream) {
+    const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
+    for (const part of chunkParts) {
+      if (part.text) yield { type: 'text', text: part.text };
+    }
+  }
+  const response = await result.response;
+  const allParts = response.candidates?.[0]?.content?.parts || [];
+  const hasCodeExecution = allParts.some(
+    (p) => p.executableCode || p.codeExecutionResult || (p.inlineData && p.inlineData.mimeType?.startsWith('image/'))
+  );
+  if (hasCodeExecution) {
+    const structuredParts = allParts
+      .map((p) => {
+        if (p.text) return { type: 'text', text: p.text };
+        if (p.executableCode) return { type: 'code', language: p.executableCode.language || 'PYTHON', code: p.executableCode.code };
+        if (p.codeExecutionResult) return { type: 'result', outcome: p.codeExecutionResult.outcome, output: p.codeExecutionResult.output };
+        if (p.inlineData) return { type: 'image', mimeType: p.inlineData.mimeType, data: p.inlineData.data };
+        return null;
+      })
+      .filter(Boolean);
+    yield { type: 'fullResponse', parts: structuredParts };
+  }
+  const grounding = response.candidates?.[0]?.groundingMetadata;
+  if (grounding) yield { type: 'grounding', data: grounding };
+}
+
+async function chatTurn({ system, history = [], message, tools = [], steps = [], model, temperature, signal }) {
+  const gen = genAI.getGenerativeModel(modelParams(model, temperature, {
+    tools: tools.length ? [{ functionDeclarations: tools }] : undefined,
+  }));
+  const contents = [
+    ...buildHistory(system, history),
+    { role: 'user', parts: [{ text: message }] },
+  ];
+  for (const step of steps) {
+    contents.push({ role: 'model', parts: step.toolCalls.map((tc) => ({ functionCall: { name: tc.name, args: tc.args || {} } })) });
+    contents.push({
+      role: 'function',
+      parts: step.results.map((r) => ({ functionResponse: { name: r.name, response: { result: r.result } } })),
+    });
+  }
+  const response = (await gen.generateContent({ contents }, { signal })).response;
+  const parts = response.candidates?.[0]?.content?.parts || [];
+  return {
+    text: parts.filter((p) => p.text).map((p) => p.text).join(''),
+    toolCalls: parts
+      .filter((p) => p.functionCall)
+      .map((p, i) => ({ id: `call_${steps.length}_${i}`, name: p.functionCall.name, args: p.functionCall.args || {} })),
+  };
+}
+
+async function analyzeImages({ prompt, images = [], model, temperature }) {
+  const gen = genAI.getGenerativeModel(modelParams(model, temperature));
+  const parts = [{ text: prompt }];
+  for (const img of images) {
+    parts.push({ inlineData: { mimeType: img.mimeType || 'image/jpeg', data: img.data } });
+  }
+  const result = await gen.generateContent(parts);
+  return result.response.text();
+}
+
+async function generateImage({ prompt, image }) {
+  try {
+    const gen = genAI.getGenerativeModel({ model: DEFAULT_MODEL });
+    const parts = [
+      { text: `Generate a new image based on this reference image and the following prompt. Output the generated image:\n\n${prompt}` },
+      { inlineData: { mimeType: image.mimeType || 'image/png', data: image.data } },
+    ];
+    const result = await gen.generateContent(parts);
+    for (const c of result.response.candidates || []) {
+      for (const p of c.content?.parts || []) {
+        if (p.inlineData?.data) {
+          return { data: p.inlineData.data, mimeType: p.inlineData.mimeType || 'image/png' };
+        }
+      }
+    }
+    return { error: 'No image was generated. The model may not support image output.' };
+  } catch (err) {
+    console.error('[generateImage Gemini]', err);
+    return { error: err.message || 'Image generation failed.' };
+  }
+}
+
+async function complete({ prompt, model, temperature }) {
+  const gen = genAI.getGenerativeModel(modelParams(model, temperature));
+  const result = await gen.generateContent(prompt);
+  return result.response?.text?.() || 'No report generated.';
+}
+
+module.exports = {
+  name: 'gemini',
+  label: 'Gemini',
+  defaultModel: DEFAULT_MODEL,
+  models: MODELS,
+  codeExecution: true,
+  isConfigured: () => !!genAI,
+  streamChat,
+  chatTurn,
+  analyzeImages,
+  generateImage,
+  complete,
+};
@@ -0,0 +1,107 @@
+// ── Mock adapter: deterministic, offline, scripted ──────────────────────────
+// Replays canned replies and tool calls so the whole Chat flow (including the
+// CSV/JSON tool loops) runs without API keys — locally with LLM_PROVIDER=mock,
+// or in Jest via createMockProvider(script).
+//
+// A script is an ordered list of rules; the first whose `match` regex hits
+// the user's question wins:
+//   { match, toolCalls?: [{ name, args }], rounds?: [[...], [...]], reply? }
+// `toolCalls` is shorthand for a single round. Tool calls are only issued when
+// the client offered every tool in that round; otherwise the rule is skipped.
+// In `reply`, {{results}} expands to the tool results and {{message}} to the
+// question. The default script is mockScript.json (override: MOCK_LLM_SCRIPT).
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MODEL = 'mock-1';
+const DEFAULT_SCRIPT_PATH = path.join(__dirname, '..', 'mockScript.json');
+
+// The client prepends context blocks ([CSV columns: ...], dataset summaries)
+// separated by blank lines; the user's actual question is the last paragraph.
+const questionOf = (message) => String(message || '').trim().split(/\n\s*\n/).pop().trim();
+
+const roundsOf = (rule) => rule.rounds || (rule.toolCalls ? [rule.toolCalls] : []);
+
+const formatResults = (steps) =>
+  steps
+    .flatMap((s) => s.results)
+    .map((r) => `- ${r.name}: ${JSON.stringify(r.result).slice(0, 300)}`)
+    .join('\n');
+
+const render = (template, question, steps) =>
+  template.replace(/\{\{message\}\}/g, question).replace(/\{\{results\}\}/g, formatResults(steps));
+
+function createMockProvider(script = []) {
+  const rules = script.map((r) => ({ ...r, re: new RegExp(r.match, 'i') }));
+  const findRule = (text, accept = () => true) => rules.find((r) => r.re.test(text) && accept(r));
+
+  const replyFor = (rule, question, steps) => {
+    if (rule?.reply) return render(rule.reply, question, steps);
+    if (steps.length) return render('Here is what the tools returned:\n\n{{results}}', question, steps);
+    return `Mock response to "${question}".`;
+  };
+
+  async function chatTurn({ message, tools = [], steps = [] }) {
+    const question = questionOf(message);
+    const offered = new Set(tools.map((t) => t.name));
+    const rule = findRule(question, (r) => {
+      const rounds = roundsOf(r);
+      return !rounds.length || rounds.every((round) => round.every((tc) => offered.has(tc.name)));
+    });
+    const round = rule ? roundsOf(rule)[steps.length] : null;
+    if (round?.length) {
+      return {
+        text: '',
+        toolCalls: round.map((tc, i) => ({ id: `mock_${steps.length}_${i}`, name: tc.name, args: tc.args || {} })),
+      };
+    }
+    return { text: replyFor(rule, question, steps), toolCalls: [] };
+  }
+
+  async function* streamChat({ message }) {
+    const question = questionOf(message);
+    const text = replyFor(findRule(question, (r) => !roundsOf(r).length), question, []);
+    for (const word of text.match(/\S+\s*/g) || []) yield { type: 'text', text: word };
+  }
+
+  async function analyzeImages({ images = [] }) {
+    return `**Mock visual evaluation** of ${images.length} image${images.length === 1 ? '' : 's'}: the viewer looked focused throughout and smiled once near the middle.`;
+  }
+
+  // Echoes the anchor image back so the generateImage tool has something to show.
+  async function generateImage({ image }) {
+    return { data: image.data, mimeType: image.mimeType || 'image/png' };
+  }
+
+  async function complete({ prompt }) {
+    return `# Mock Report\n\n${questionOf(prompt).slice(0, 500)}`;
+  }
+
+  return {
+    name: 'mock',
+    label: 'Mock (offline)',
+    defaultModel: DEFAULT_MODEL,
+    models: [{ id: DEFAULT_MODEL, label: 'Mock', temperature: false }],
+    codeExecution: false,
+    isConfigured: () => true,
+    streamChat,
+    chatTurn,
+    analyzeImages,
+    generateImage,
+    complete,
+  };
+}
+
+function loadScript() {
+  const file = process.env.MOCK_LLM_SCRIPT ? path.resolve(process.env.MOCK_LLM_SCRIPT) : DEFAULT_SCRIPT_PATH;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.warn(`[LLM mock] Could not load script ${file}: ${err.message}`);
+    return [];
+  }
+}
+
+module.exports = createMockProvider(loadScript());
+module.exports.createMockProvider = createMockProvider;
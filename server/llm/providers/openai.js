@@ -0,0 +1,179 @@
+// ── OpenAI adapter ───────────────────────────────────────────────────────────
+// No built-in search or code execution like Gemini, so streamChat is plain
+// chat here and useCodeExecution is ignored.
+
+const { OpenAI, toFile } = require('openai');
+const { toOpenAITools } = require('../schema');
+
+const API_KEY = process.env.OPENAI_API_KEY || process.env.REACT_APP_OPENAI_API_KEY || '';
+const client = API_KEY ? new OpenAI({ apiKey: API_KEY }) : null;
+
+const DEFAULT_MODEL = 'gpt-5-nano';
+
+// GPT-5 reasoning models only accept the default temperature.
+const MODELS = [
+  { id: 'gpt-5-nano', label: 'GPT-5 nano', temperature: false },
+  { id: 'gpt-5-mini', label: 'GPT-5 mini', temperature: false },
+  { id: 'gpt-5', label: 'GPT-5', temperature: false },
+  { id: 'gpt-4.1-mini', label: 'GPT-4.1 mini', temperature: true },
+  { id: 'gpt-4o', label: 'GPT-4o', temperature: true },
+];
+
+// Model + sampling params for a request; temperature is dropped where unsupported.
+function modelOptions(model, temperature) {
+  const id = model || DEFAULT_MODEL;
+  const supportsTemperature = MODELS.find((m) => m.id === id)?.temperature;
+  return {
+    model: id,
+    ...(supportsTemperature && temperature != null && { temperature }),
+  };
+}
+
+// Arguments of a tool call; a malformed JSON string becomes an error the
+// agent loop reports back to the model instead of failing the whole turn.
+function parseToolArgs(json) {
+  try {
+    return { args: JSON.parse(json || '{}') };
+  } catch (err) {
+    return { args: {}, error: `Malformed tool arguments: ${err.message}` };
+  }
+}
+
+function buildMessages(system, history, newMessage, imageParts = []) {
+  const messages = [];
+  if (system) {
+    messages.push({ role: 'system', content: `Follow these instructions in every response:\n\n${system}` });
+  }
+  for (const m of history) {
+    messages.push({
+      role: m.role === 'user' ? 'user' : 'assistant',
+      content: m.content || '',
+    });
+  }
+  const content = [];
+  if (newMessage) content.push({ type: 'text', text: newMessage });
+  for (const img of imageParts) {
+    content.push({
+      type: 'image_url',
+      image_url: { url: `data:${img.mimeType || 'image/png'};base64,${img.data}` },
+    });
+  }
+  messages.push({ role: 'user', content: content.length === 1 && content[0].type === 'text' ? content[0].text : content });
+  return messages;
+}
+
+async function* streamChat({ system, history = [], message, images = [], model, temperature }) {
+  const stream = await client.chat.completions.create({
+    ...modelOptions(model, temperature),
+    messages: buildMessages(system, history, message, images),
+    stream: true,
+  });
+  for await (const chunk of stream) {
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) yield { type: 'text', text: delta };
+  }
+}
+
+async function chatTurn({ system, history = [], message, tools = [], steps = [], model, temperature, signal }) {
+  const messages = buildMessages(system, history, message);
+  for (const step of steps) {
+    messages.push({
+      role: 'assistant',
+      content: step.text || null,
+      tool_calls: step.toolCalls.map((tc) => ({
+        id: tc.id,
+        type: 'function',
+        function: { name: tc.name, arguments: JSON.stringify(tc.args || {}) },
+      })),
+    });
+    for (const r of step.results) {
+      messages.push({ role: 'tool', tool_call_id: r.id, content: JSON.stringify(r.result) });
+    }
+  }
+  const openaiTools = toOpenAITools(tools);
+  const response = await client.chat.completions.create({
+    ...modelOptions(model, temperature),
+    messages,
+    tools: openaiTools.length ? openaiTools : undefined,
+    tool_choice: openaiTools.length ? 'auto' : undefined,
+  }, { signal });
+  const msg = response.choices?.[0]?.message || {};
+  return {
+    text: msg.content || '',
+    toolCalls: (msg.tool_calls || []).map((tc) => ({
+      id: tc.id,
+      name: tc.function?.name,
+      ...parseToolArgs(tc.function?.arguments),
+    })),
+  };
+}
+
+async function analyzeImages({ prompt, images = [], model, temperature }) {
+  const content = [
+    { type: 'text', text: prompt },
+    ...images.map((img) => ({
+      type: 'image_url',
+      image_url: { url: `data:${img.mimeType || 'image/jpeg'};base64,${img.data}` },
+    })),
+  ];
+  const response = await client.chat.completions.create({
+    ...modelOptions(model, temperature),
+    messages: [{ role: 'user', content }],
+    max_completion_tokens: 1024,
+  });
+  return response.choices?.[0]?.message?.content || 'No analysis generated.';
+}
+
+async function generateImage({ prompt, image }) {
+  try {
+    // dall-e-2 edit requires a PNG file upload
+    const imageFile = await toFile(Buffer.from(image.data, 'base64'), 'image.png', { type: image.mimeType || 'image/png' });
+    const response = await client.images.edit({
+      model: 'dall-e-2',
+      image: imageFile,
+      prompt: prompt || 'Transform this image while keeping the main subject.',
+      n: 1,
+      size: '1024x1024',
+      response_format: 'b64_json',
+    });
+    const b64 = response.data?.[0]?.b64_json;
+    if (b64) return { data: b64, mimeType: 'image/png' };
+    const url = response.data?.[0]?.url;
+    if (url) {
+      const imgRes = await fetch(url);
+      const buf = Buffer.from(await imgRes.arrayBuffer());
+      return { data: buf.toString('base64'), mimeType: imgRes.headers.get('content-type') || 'image/png' };
+    }
+    return { error: 'No image was generated.' };
+  } catch (err) {
+    // DALL-E edit may not support all formats
+    if (err.code === 'invalid_image' || err.message?.includes('edit')) {
+      return { error: 'Image edit failed. Try a different image or prompt.' };
+    }
+    console.error('[generateImage OpenAI]', err);
+    return { error: err.message || 'Image generation failed.' };
+  }
+}
+
+async function complete({ prompt, model, temperature, maxTokens = 2048 }) {
+  const response = await client.chat.completions.create({
+    ...modelOptions(model, temperature),
+    messages: [{ role: 'user', content: prompt }],
+    max_completion_tokens: maxTokens,
+  });
+  return response.choices?.[0]?.message?.content || 'No report generated.';
+}
+
+module.exports = {
+  name: 'openai',
+  label: 'OpenAI',
+  defaultModel: DEFAULT_MODEL,
+  models: MODELS,
+  codeExecution: false,
+  isConfigured: () => !!client,
+  streamChat,
+  chatTurn,
+  analyzeImages,
+  generateImage,
+  complete,
+};
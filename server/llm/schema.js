@@ -0,0 +1,29 @@
+// ── Tool schema helpers ──────────────────────────────────────────────────────
+// Tool declarations are written in Gemini's format (type: 'OBJECT', 'STRING',
+// ...) in src/services/*Tools.js; adapters convert them as needed.
+
+function normalizeSchema(schema) {
+  const s = { ...schema };
+  if (typeof s.type === 'string') s.type = s.type.toLowerCase();
+  if (s.properties) {
+    s.properties = Object.fromEntries(
+      Object.entries(s.properties).map(([k, v]) => [k, normalizeSchema(v)])
+    );
+  }
+  if (s.items) s.items = normalizeSchema(s.items);
+  return s;
+}
+
+// Convert Gemini-style tool declarations to OpenAI format
+function toOpenAITools(declarations) {
+  return (declarations || []).map((d) => ({
+    type: 'function',
+    function: {
+      name: d.name,
+      description: d.description || '',
+      parameters: normalizeSchema(d.parameters || {}),
+    },
+  }));
+}
+
+module.exports = { normalizeSchema, toOpenAITools };
@@ -0,0 +1,57 @@
+// ── Conversation tree ────────────────────────────────────────────────────────
+// Messages form a tree through `parent_id`: editing a user message or
+// regenerating a reply adds a sibling instead of overwriting, and the session's
+// `leaf_id` marks the branch currently shown. Everything here works on the
+// lightweight { _id, parent_id } skeleton of a session's messages, so heavy
+// payloads (images, charts) are only fetched for the page actually returned.
+//
+// Messages saved before branching existed have no parent_id field at all; each
+// of those simply follows the message before it in _id order.
+
+const ROOT = 'root';
+
+// nodes: [{ _id, parent_id }] sorted by _id ascending.
+function buildTree(nodes) {
+  const parentOf = new Map();
+  const children = new Map();
+  let prev = null;
+  for (const n of nodes) {
+    const id = n._id.toString();
+    const parent = n.parent_id === undefined ? prev : n.parent_id ? n.parent_id.toString() : null;
+    parentOf.set(id, parent);
+    const key = parent || ROOT;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(id);
+    prev = id;
+  }
+  return { parentOf, children, last: prev };
+}
+
+const childrenOf = (tree, id) => tree.children.get(id || ROOT) || [];
+
+// Siblings of a message (itself included), oldest first.
+const siblingsOf = (tree, id) => childrenOf(tree, tree.parentOf.get(id));
+
+// Follows the newest child at every level, so switching to a branch shows its
+// most recent continuation.
+function newestLeaf(tree, id) {
+  let current = id;
+  for (let kids = childrenOf(tree, current); kids.length; kids = childrenOf(tree, current)) {
+    current = kids[kids.length - 1];
+  }
+  return current;
+}
+
+// Root-to-leaf ids of the active branch. Falls back to the newest message when
+// leafId is missing or no longer in the tree.
+function activePath(tree, leafId) {
+  let id = leafId && tree.parentOf.has(leafId) ? leafId : tree.last;
+  const path = [];
+  while (id) {
+    path.push(id);
+    id = tree.parentOf.get(id);
+  }
+  return path.reverse();
+}
+
+module.exports = { buildTree, siblingsOf, newestLeaf, activePath };
@@ -0,0 +1,64 @@
+// ── Migration: embedded session messages → `messages` collection ─────────────
+// Sessions used to hold their whole history in a `messages` array, which runs
+// into MongoDB's 16MB document limit once images and charts pile up. This moves
+// each array into one `messages` document per entry (in order, so _id order is
+// chat order), then drops the array and records `messageCount` on the session.
+//
+//   npm run migrate:messages             # migrate every session
+//   npm run migrate:messages -- --dry-run
+//
+// Safe to re-run: copies are tagged `migrated: true` and replaced if a previous
+// run stopped between inserting messages and unsetting the array.
+
+const path = require('path');
+require('dotenv').config({ path: path.resolve(__dirname, '..', '..', '.env') });
+const { MongoClient, ObjectId } = require('mongodb');
+
+const URI = process.env.REACT_APP_MONGODB_URI || process.env.MONGODB_URI || process.env.REACT_APP_MONGO_URI;
+const DB = 'chatapp';
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrate() {
+  const client = await MongoClient.connect(URI);
+  const db = client.db(DB);
+  const sessions = db.collection('sessions');
+  const messages = db.collection('messages');
+  await messages.createIndex({ session_id: 1, _id: -1 });
+
+  let sessionCount = 0;
+  let messageCount = 0;
+  const cursor = sessions.find({ messages: { $exists: true } });
+  try {
+    for await (const session of cursor) {
+      const embedded = session.messages || [];
+      const docs = embedded.map((m) => ({
+        _id: new ObjectId(),
+        session_id: session._id,
+        username: session.username,
+        ...m,
+        migrated: true,
+      }));
+      console.log(`${session._id} (${session.username}): ${docs.length} messages`);
+      sessionCount++;
+      messageCount += docs.length;
+      if (dryRun) continue;
+
+      await messages.deleteMany({ session_id: session._id, migrated: true });
+      if (docs.length) await messages.insertMany(docs, { ordered: true });
+      const total = await messages.countDocuments({ session_id: session._id });
+      await sessions.updateOne(
+        { _id: session._id },
+        { $unset: { messages: '' }, $set: { messageCount: total } }
+      );
+    }
+  } finally {
+    await client.close();
+  }
+  console.log(`${dryRun ? '[dry run] would migrate' : 'Migrated'} ${messageCount} messages from ${sessionCount} sessions`);
+}
+
+migrate().catch((err) => {
+  console.error('Migration failed:', err.message);
+  process.exit(1);
+});
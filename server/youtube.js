@@ -0,0 +1,684 @@
+// ── YouTube channel download jobs ────────────────────────────────────────────
+// A download is a job document in `youtube_jobs`, worked on in the background
+// so closing the browser tab doesn't lose it. The runner walks the channel's
+// uploads playlist one page (≤ 50 videos) at a time: it fetches that page's
+// video details, upserts them into `youtube_videos`, then records the next
+// `page_token` — with `page_offset`, the position of that page's first video —
+// and progress on the job. A job that stops part-way (API error, quota, server
+// restart) therefore resumes from the last page it finished, re-fetching a
+// half-done page with the same positions, and the videos stored so far are
+// usable the whole time.
+//
+// Job status: queued → running → done | paused | error. `max_videos: null`
+// means the whole channel. The browser polls GET /api/youtube/jobs for
+// progress; finished jobs are the user's "My datasets" and load back in the
+// channel-JSON shape the Chat tools expect.
+//
+// Quota: every Data API list call costs 1 unit, against a daily budget
+// (YOUTUBE_DAILY_QUOTA, default 10,000 — Google's default per project) that
+// resets at midnight Pacific time. Usage is counted in `youtube_quota`. A job
+// that would go over the budget, or gets a quotaExceeded error, is paused and
+// picks up again after the reset; rate-limit and server errors are retried
+// with exponential backoff first.
+//
+// Transcripts (opt-in per job) come from the public caption tracks via
+// youtube-transcript, not the Data API, so they cost no quota. Each video gets
+// `transcript` (plain text), `transcript_segments` ([{ start, duration, text }],
+// seconds) and `transcript_lang`; a video whose captions can't be fetched gets
+// `transcript_error` instead and the job carries on.
+//
+// Comments (opt-in, `comments_per_video` > 0) come from commentThreads.list:
+// top-level comments by relevance, each with the replies YouTube embeds in the
+// thread (up to 5), 100 threads — 1 quota unit — per call. Videos with comments
+// turned off get `comments_error`.
+//
+// Tracking: a finished dataset can be re-snapshotted every few hours/days.
+// Each snapshot re-reads every video's statistics (1 unit per 50 videos) into
+// the `youtube_snapshots` time-series collection and refreshes the counts on
+// `youtube_videos`; loaded datasets then carry a per-video `history`, which
+// the view-velocity tool turns into growth curves.
+
+const { YoutubeTranscript, YoutubeTranscriptTooManyRequestError } = require('youtube-transcript');
+
+const API_KEY = process.env.REACT_APP_YOUTUBE_API_KEY || process.env.YOUTUBE_API_KEY;
+const API = 'https://www.googleapis.com/youtube/v3';
+const PAGE_SIZE = 50;
+const DAILY_QUOTA = parseInt(process.env.YOUTUBE_DAILY_QUOTA, 10) || 10000;
+const PAGE_COST = 2; // playlistItems.list + videos.list
+const QUOTA_TZ = 'America/Los_Angeles';
+
+const RETRY_REASONS = new Set(['rateLimitExceeded', 'userRateLimitExceeded', 'backendError']);
+// budgetExhausted is ours: the call would go over YOUTUBE_DAILY_QUOTA
+const QUOTA_REASONS = new Set(['quotaExceeded', 'dailyLimitExceeded', 'budgetExhausted']);
+const MAX_ATTEMPTS = 5;
+const COMMENT_PAGE_SIZE = 100;
+const MAX_COMMENTS_PER_VIDEO = 1000;
+const TRACKING_INTERVALS = [6, 24, 168]; // hours between snapshots
+const SCHEDULER_MS = 5 * 60 * 1000;
+const HISTORY_LIMIT = 365; // most recent snapshots returned per video
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function parseDuration(iso) {
+  if (!iso) return null;
+  const match = iso.match(/PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
+  if (!match) return iso;
+  const h = parseInt(match[1] || 0, 10);
+  const m = parseInt(match[2] || 0, 10);
+  const s = parseInt(match[3] || 0, 10);
+  return `${h > 0 ? h + ':' : ''}${String(m).padStart(h ? 2 : 1, '0')}:${String(s).padStart(2, '0')}`;
+}
+
+// ── Transcripts ──────────────────────────────────────────────────────────────
+
+// Caption XML text arrives HTML-escaped, sometimes twice (&amp;#39;).
+const decodeEntities = (text) => {
+  let out = text;
+  for (let i = 0; i < 2; i++) {
+    out = out
+      .replace(/&amp;/g, '&')
+      .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(code))
+      .replace(/&quot;/g, '"')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>');
+  }
+  return out;
+};
+
+// lang: ISO code like 'en' or null for the video's default track.
+// Resolves to { transcript, transcript_segments, transcript_lang }.
+async function fetchTranscript(videoId, lang) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const raw = await YoutubeTranscript.fetchTranscript(videoId, lang ? { lang } : undefined);
+      const segments = raw.map((seg) => ({
+        start: Math.round(seg.offset * 100) / 100,
+        duration: Math.round(seg.duration * 100) / 100,
+        text: decodeEntities(seg.text).replace(/\s+/g, ' ').trim(),
+      }));
+      return {
+        transcript: segments.map((seg) => seg.text).join(' '),
+        transcript_segments: segments,
+        transcript_lang: raw[0]?.lang || lang || null,
+      };
+    } catch (err) {
+      if (!(err instanceof YoutubeTranscriptTooManyRequestError) || attempt >= MAX_ATTEMPTS) throw err;
+      await sleep(1000 * 2 ** attempt);
+    }
+  }
+}
+
+// ── Quota budget ─────────────────────────────────────────────────────────────
+
+// Pacific-time calendar day and the next midnight there (when Google resets quota).
+function quotaDay(now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: QUOTA_TZ, year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23',
+    }).formatToParts(now).map((p) => [p.type, p.value])
+  );
+  const elapsed = ((+parts.hour * 60 + +parts.minute) * 60 + +parts.second) * 1000;
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    resetsAt: new Date(now.getTime() - elapsed + 86400000).toISOString(),
+  };
+}
+
+function createQuota(db) {
+  const usage = db.collection('youtube_quota');
+  return {
+    async status() {
+      const { day, resetsAt } = quotaDay();
+      const doc = await usage.findOne({ _id: day });
+      const used = doc?.units || 0;
+      return { budget: DAILY_QUOTA, used, remaining: Math.max(DAILY_QUOTA - used, 0), resetsAt };
+    },
+    charge(units) {
+      return usage.updateOne({ _id: quotaDay().day }, { $inc: { units } }, { upsert: true });
+    },
+  };
+}
+
+// Units a download of `videos` videos costs: channel lookup + channel details +
+// 2 per page, plus (at most) one commentThreads call per 100 comments per video.
+const projectedUnits = (videos, commentsPerVideo = 0) =>
+  2 + Math.ceil(Math.max(videos, 1) / PAGE_SIZE) * PAGE_COST + videos * Math.ceil(commentsPerVideo / COMMENT_PAGE_SIZE);
+
+// ── Data API calls ───────────────────────────────────────────────────────────
+
+// One list call, charged to the quota. Errors carry YouTube's `reason`
+// (e.g. quotaExceeded) and the HTTP status.
+async function youtubeApi(quota, endpoint, params) {
+  const qs = new URLSearchParams({ ...params, key: API_KEY });
+  const res = await fetch(`${API}/${endpoint}?${qs}`);
+  const data = await res.json().catch(() => ({}));
+  const reason = data.error?.errors?.[0]?.reason || null;
+  if (!QUOTA_REASONS.has(reason)) await quota.charge(1);
+  if (!res.ok || data.error) {
+    const err = new Error(data.error?.message || `YouTube API ${endpoint} failed (${res.status})`);
+    err.reason = reason;
+    err.status = res.status;
+    throw err;
+  }
+  return data;
+}
+
+// Retries rate limits and 5xx with exponential backoff (1s, 2s, 4s, …).
+async function withBackoff(fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      const retryable = RETRY_REASONS.has(err.reason) || err.status >= 500;
+      if (!retryable || attempt >= MAX_ATTEMPTS) throw err;
+      await sleep(1000 * 2 ** (attempt - 1));
+    }
+  }
+}
+
+// Channel id from a channel (/channel/ID, /@handle, /c/name) or video link.
+async function resolveChannelId(call, url) {
+  const urlStr = String(url).trim();
+  const direct = urlStr.match(/youtube\.com\/channel\/([a-zA-Z0-9_-]+)/);
+  if (direct) return direct[1];
+  const handle = urlStr.match(/youtube\.com\/@([a-zA-Z0-9_-]+)/)?.[1] || urlStr.match(/youtube\.com\/c\/([a-zA-Z0-9_-]+)/)?.[1];
+  if (handle) {
+    const j = await call('channels', { part: 'id', forHandle: handle });
+    return j.items?.[0]?.id || null;
+  }
+  const videoId = urlStr.match(/watch\?v=([a-zA-Z0-9_-]+)/)?.[1] || urlStr.match(/youtu\.be\/([a-zA-Z0-9_-]+)/)?.[1];
+  if (videoId) {
+    const j = await call('videos', { part: 'snippet', id: videoId });
+    return j.items?.[0]?.snippet?.channelId || null;
+  }
+  return null;
+}
+
+// { channelId, channelTitle, uploadsId, totalVideos } for a link.
+async function fetchChannel(call, url) {
+  const channelId = await resolveChannelId(call, url);
+  if (!channelId) {
+    throw new Error('Could not parse URL. Use a channel link (e.g. youtube.com/@channelname), a video link (youtube.com/watch?v=...), or youtu.be/VIDEO_ID');
+  }
+  const ch = await call('channels', { part: 'contentDetails,snippet,statistics', id: channelId });
+  const item = ch.items?.[0];
+  const uploadsId = item?.contentDetails?.relatedPlaylists?.uploads;
+  if (!uploadsId) throw new Error('Could not find uploads playlist');
+  return {
+    channelId,
+    channelTitle: item.snippet?.title || 'Channel',
+    uploadsId,
+    totalVideos: parseInt(item.statistics?.videoCount || 0, 10),
+  };
+}
+
+function toVideoRecord(v) {
+  const sn = v.snippet || {};
+  const st = v.statistics || {};
+  const cd = v.contentDetails || {};
+  return {
+    video_id: v.id,
+    title: sn.title || '',
+    description: (sn.description || '').slice(0, 5000),
+    duration: parseDuration(cd.duration),
+    duration_iso: cd.duration || null,
+    release_date: sn.publishedAt || null,
+    view_count: parseInt(st.viewCount || 0, 10),
+    like_count: parseInt(st.likeCount || 0, 10),
+    comment_count: parseInt(st.commentCount || 0, 10),
+    video_url: `https://www.youtube.com/watch?v=${v.id}`,
+    thumbnail_url: sn.thumbnails?.high?.url || sn.thumbnails?.default?.url || null,
+  };
+}
+
+const toComment = (c) => ({
+  comment_id: c.id,
+  author: c.snippet?.authorDisplayName || '',
+  text: c.snippet?.textOriginal || c.snippet?.textDisplay || '',
+  like_count: c.snippet?.likeCount || 0,
+  published_at: c.snippet?.publishedAt || null,
+});
+
+// commentThreads item → top-level comment with its embedded replies.
+const toCommentThread = (thread) => ({
+  ...toComment(thread.snippet?.topLevelComment || {}),
+  reply_count: thread.snippet?.totalReplyCount || 0,
+  replies: (thread.replies?.comments || []).map(toComment),
+});
+
+// Job document → what the browser sees (list, status polling).
+const toClientJob = (job) => ({
+  id: job._id.toString(),
+  url: job.url,
+  channelId: job.channel_id || null,
+  channelTitle: job.channel_title || null,
+  maxVideos: job.max_videos ?? null,
+  totalVideos: job.total_videos ?? null,
+  status: job.status,
+  progress: job.progress || 0,
+  stage: job.stage || '',
+  error: job.error || null,
+  videoCount: job.video_count || 0,
+  includeTranscripts: !!job.include_transcripts,
+  transcriptLang: job.transcript_lang || null,
+  transcriptErrors: job.transcript_errors || 0,
+  commentsPerVideo: job.comments_per_video || 0,
+  commentErrors: job.comment_errors || 0,
+  quotaUnits: job.quota_units || 0,
+  resumeAfter: job.resume_after || null,
+  tracking: job.tracking
+    ? {
+        intervalHours: job.tracking.interval_hours,
+        nextAt: job.tracking.next_at,
+        lastAt: job.tracking.last_at || null,
+        snapshots: job.tracking.count || 0,
+        error: job.tracking.error || null,
+      }
+    : null,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  finishedAt: job.finishedAt || null,
+});
+
+// The downloaded channel in the JSON-file shape (same as "Download JSON File").
+// `partial` is set while the job hasn't finished.
+async function loadDataset(db, job) {
+  const videos = await db
+    .collection('youtube_videos')
+    .find({ job_id: job._id }, { projection: { _id: 0, job_id: 0, position: 0, transcript_status: 0, comments_status: 0 } })
+    .sort({ position: 1 })
+    .toArray();
+  if (job.tracking?.count) {
+    const history = new Map();
+    const snapshots = db
+      .collection('youtube_snapshots')
+      .find({ 'meta.job_id': job._id }, { projection: { _id: 0 } })
+      .sort({ taken_at: 1 });
+    for await (const snap of snapshots) {
+      const id = snap.meta.video_id;
+      if (!history.has(id)) history.set(id, []);
+      history.get(id).push({
+        taken_at: snap.taken_at.toISOString(),
+        view_count: snap.view_count,
+        like_count: snap.like_count,
+        comment_count: snap.comment_count,
+      });
+    }
+    for (const v of videos) v.history = (history.get(v.video_id) || []).slice(-HISTORY_LIMIT);
+  }
+  return {
+    channel_id: job.channel_id,
+    channel_title: job.channel_title,
+    channel_url: job.url,
+    downloaded_at: job.finishedAt || job.updatedAt,
+    video_count: videos.length,
+    ...(job.status !== 'done' && { partial: true }),
+    ...(job.tracking && { snapshot_count: job.tracking.count || 0 }),
+    videos,
+  };
+}
+
+// ── Runner ───────────────────────────────────────────────────────────────────
+
+function createJobRunner(db) {
+  const jobs = db.collection('youtube_jobs');
+  const videos = db.collection('youtube_videos');
+  const quota = createQuota(db);
+  const snapshots = db.collection('youtube_snapshots');
+  const active = new Set(); // job ids being worked on by this process
+  const timers = new Map(); // job id → pending resume-after-reset timeout
+
+  const update = (job, fields) => {
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+    return jobs.updateOne({ _id: job._id }, { $set: { ...fields, updatedAt: job.updatedAt } });
+  };
+
+  // A quota-checked, retried API call that also counts units against the job.
+  const callFor = (job) => async (endpoint, params) => {
+    if ((await quota.status()).remaining < 1) {
+      throw Object.assign(new Error('Daily YouTube quota budget used up'), { reason: 'budgetExhausted' });
+    }
+    const data = await withBackoff(() => youtubeApi(quota, endpoint, params));
+    await jobs.updateOne({ _id: job._id }, { $inc: { quota_units: 1 } });
+    return data;
+  };
+
+  // Videos of `ids` (all of the job's videos when null) still missing `field`
+  const missing = (job, ids, field, projection) =>
+    videos
+      .find({ job_id: job._id, ...(ids && { video_id: { $in: ids } }), [field]: { $exists: false } }, { projection })
+      .toArray();
+
+  // Captions for the videos that don't have a transcript (or an error) yet.
+  async function fetchTranscripts(job, ids) {
+    const pending = await missing(job, ids, 'transcript_status', { video_id: 1 });
+    for (const [i, { video_id: videoId }] of pending.entries()) {
+      await update(job, { stage: `Fetching transcripts... (${i + 1}/${pending.length})` });
+      let fields;
+      try {
+        fields = { ...(await fetchTranscript(videoId, job.transcript_lang)), transcript_status: 'ok', transcript_error: null };
+      } catch (err) {
+        fields = { transcript_status: 'error', transcript_error: err.message };
+        await jobs.updateOne({ _id: job._id }, { $inc: { transcript_errors: 1 } });
+        job.transcript_errors = (job.transcript_errors || 0) + 1;
+      }
+      await videos.updateOne({ job_id: job._id, video_id: videoId }, { $set: fields });
+    }
+  }
+
+  // Top comment threads for the videos that haven't been fetched yet.
+  // Quota errors propagate (the job pauses); anything else is per video.
+  async function fetchComments(job, call, ids) {
+    const pending = await missing(job, ids, 'comments_status', { video_id: 1, comment_count: 1 });
+    for (const [i, { video_id: videoId, comment_count: available }] of pending.entries()) {
+      await update(job, { stage: `Fetching comments... (${i + 1}/${pending.length})` });
+      const limit = Math.min(job.comments_per_video, available || 0);
+      const threads = [];
+      let fields;
+      try {
+        let pageToken = '';
+        while (threads.length < limit) {
+          const page = await call('commentThreads', {
+            part: 'snippet,replies',
+            videoId,
+            order: 'relevance',
+            textFormat: 'plainText',
+            maxResults: Math.min(COMMENT_PAGE_SIZE, limit - threads.length),
+            pageToken,
+          });
+          threads.push(...(page.items || []).map(toCommentThread));
+          pageToken = page.nextPageToken || '';
+          if (!pageToken) break;
+        }
+        fields = { comments: threads.slice(0, limit), comments_status: 'ok', comments_error: null };
+      } catch (err) {
+        if (QUOTA_REASONS.has(err.reason)) throw err;
+        fields = {
+          comments: threads,
+          comments_status: 'error',
+          comments_error: err.reason === 'commentsDisabled' ? 'Comments are turned off for this video' : err.message,
+        };
+        await jobs.updateOne({ _id: job._id }, { $inc: { comment_errors: 1 } });
+        job.comment_errors = (job.comment_errors || 0) + 1;
+      }
+      await videos.updateOne({ job_id: job._id, video_id: videoId }, { $set: fields });
+    }
+  }
+
+  async function pause(job, why) {
+    const { resetsAt } = await quota.status();
+    await update(job, {
+      status: 'paused',
+      stage: `${why} — continues after the quota resets (${new Date(resetsAt).toUTCString()})`,
+      resume_after: resetsAt,
+    });
+    schedule(job);
+  }
+
+  async function work(job) {
+    const call = callFor(job);
+    await update(job, { status: 'running', error: null, resume_after: null });
+
+    if (!job.uploads_id) {
+      await update(job, { progress: 2, stage: 'Finding channel...' });
+      const ch = await fetchChannel(call, job.url);
+      await update(job, {
+        channel_id: ch.channelId,
+        channel_title: ch.channelTitle,
+        uploads_id: ch.uploadsId,
+        total_videos: ch.totalVideos,
+        page_token: '',
+        page_offset: 0,
+        progress: 5,
+      });
+    }
+
+    const max = job.max_videos ?? Infinity;
+    const target = () => Math.max(Math.min(max, job.total_videos || max), 1);
+    let count = await videos.countDocuments({ job_id: job._id });
+    let pageToken = job.page_token || '';
+    // Jobs from before page_offset was stored: their pages were stored whole
+    let offset = job.page_offset ?? count;
+    while (offset < max) {
+      if ((await quota.status()).remaining < PAGE_COST) return pause(job, 'Daily YouTube quota budget used up');
+      const of = Number.isFinite(target()) ? `/${target()}` : '';
+      await update(job, { stage: `Fetching videos... (${count}${of})` });
+      let page;
+      try {
+        page = await call('playlistItems', {
+          part: 'snippet',
+          playlistId: job.uploads_id,
+          // Always a full page, so a stored token and page_offset keep matching
+          maxResults: PAGE_SIZE,
+          pageToken,
+        });
+        // Positions come from the page's place in the playlist, so re-fetching
+        // a page after a pause stores its videos at the same positions
+        const pageStart = offset;
+        const ids = (page.items || [])
+          .map((it, i) => ({ id: it.snippet?.resourceId?.videoId, position: pageStart + i }))
+          .filter((v) => v.id && v.position < max);
+        if (ids.length) {
+          const details = await call('videos', { part: 'snippet,statistics,contentDetails', id: ids.map((v) => v.id).join(',') });
+          const byId = new Map((details.items || []).map((v) => [v.id, toVideoRecord(v)]));
+          const ops = ids
+            .filter((v) => byId.has(v.id))
+            .map(({ id, position }) => ({
+              updateOne: {
+                filter: { job_id: job._id, video_id: id },
+                // transcript fields are left alone so a re-fetched page keeps them
+                update: { $set: { ...byId.get(id), position }, $setOnInsert: { transcript: null } },
+                upsert: true,
+              },
+            }));
+          if (ops.length) await videos.bulkWrite(ops, { ordered: false });
+          const pageIds = ids.map((v) => v.id);
+          if (job.comments_per_video > 0) await fetchComments(job, call, pageIds);
+          if (job.include_transcripts) await fetchTranscripts(job, pageIds);
+        }
+      } catch (err) {
+        if (QUOTA_REASONS.has(err.reason)) {
+          return pause(job, err.reason === 'budgetExhausted' ? err.message : 'YouTube API quota exceeded');
+        }
+        throw err;
+      }
+      count = await videos.countDocuments({ job_id: job._id });
+      pageToken = page.nextPageToken || '';
+      offset += (page.items || []).length;
+      // The page is stored before its token moves on, so a resume never skips videos
+      const progress = Number.isFinite(target()) ? 5 + Math.min(count / target(), 1) * 90 : job.progress;
+      await update(job, { page_token: pageToken, page_offset: offset, video_count: count, progress });
+      if (!pageToken) break;
+    }
+
+    // A pause while a page's comments or transcripts were being fetched leaves
+    // them missing once its videos are stored — possibly the last page, which
+    // the loop above won't visit again. Fill in every video still without them.
+    try {
+      if (job.comments_per_video > 0) await fetchComments(job, call, null);
+      if (job.include_transcripts) await fetchTranscripts(job, null);
+    } catch (err) {
+      if (QUOTA_REASONS.has(err.reason)) {
+        return pause(job, err.reason === 'budgetExhausted' ? err.message : 'YouTube API quota exceeded');
+      }
+      throw err;
+    }
+
+    await update(job, { status: 'done', progress: 100, stage: '', video_count: count, finishedAt: new Date().toISOString() });
+  }
+
+  // Runs (or resumes) a job without blocking the request that triggered it.
+  function start(jobId) {
+    const key = jobId.toString();
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+    if (active.has(key)) return;
+    active.add(key);
+    (async () => {
+      const job = await jobs.findOne({ _id: jobId });
+      if (!job || job.status === 'done') return;
+      try {
+        await work(job);
+      } catch (err) {
+        console.error('[YouTube job]', key, err.message);
+        await update(job, { status: 'error', error: err.message, stage: '' });
+      }
+    })()
+      .catch((err) => console.error('[YouTube job]', key, err))
+      .finally(() => active.delete(key));
+  }
+
+  // Paused jobs restart by themselves once their resume_after time passes.
+  function schedule(job) {
+    const key = job._id.toString();
+    clearTimeout(timers.get(key));
+    const delay = Math.max(new Date(job.resume_after).getTime() - Date.now(), 0);
+    timers.set(key, setTimeout(() => start(job._id), delay));
+  }
+
+  // Forget a job's timer (e.g. it was deleted).
+  function cancel(jobId) {
+    const key = jobId.toString();
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+  }
+
+  // ── Snapshots ──
+
+  const statsDoc = (takenAt, jobId, v) => ({
+    taken_at: takenAt,
+    meta: { job_id: jobId, video_id: v.video_id },
+    view_count: v.view_count,
+    like_count: v.like_count,
+    comment_count: v.comment_count,
+  });
+
+  // Re-reads statistics for every video in a finished dataset.
+  async function snapshot(job) {
+    const key = job._id.toString();
+    if (active.has(key)) return;
+    active.add(key);
+    const call = callFor(job);
+    const interval = job.tracking.interval_hours * 3600000;
+    try {
+      const ids = (await videos.find({ job_id: job._id }, { projection: { video_id: 1 } }).sort({ position: 1 }).toArray())
+        .map((v) => v.video_id);
+      const takenAt = new Date();
+      const docs = [];
+      for (let i = 0; i < ids.length; i += PAGE_SIZE) {
+        const page = await call('videos', { part: 'statistics', id: ids.slice(i, i + PAGE_SIZE).join(',') });
+        for (const item of page.items || []) {
+          const st = item.statistics || {};
+          docs.push(statsDoc(takenAt, job._id, {
+            video_id: item.id,
+            view_count: parseInt(st.viewCount || 0, 10),
+            like_count: parseInt(st.likeCount || 0, 10),
+            comment_count: parseInt(st.commentCount || 0, 10),
+          }));
+        }
+      }
+      if (docs.length) {
+        await snapshots.insertMany(docs);
+        await videos.bulkWrite(
+          docs.map((d) => ({
+            updateOne: {
+              filter: { job_id: job._id, video_id: d.meta.video_id },
+              update: { $set: { view_count: d.view_count, like_count: d.like_count, comment_count: d.comment_count, stats_updated_at: takenAt.toISOString() } },
+            },
+          })),
+          { ordered: false }
+        );
+      }
+      await update(job, {
+        tracking: {
+          ...job.tracking,
+          last_at: takenAt.toISOString(),
+          next_at: new Date(takenAt.getTime() + interval).toISOString(),
+          count: (job.tracking.count || 0) + 1,
+          error: null,
+        },
+      });
+    } catch (err) {
+      // Out of quota: try again right after the reset instead of a full interval later
+      const retryAt = QUOTA_REASONS.has(err.reason) ? (await quota.status()).resetsAt : new Date(Date.now() + interval).toISOString();
+      console.error('[YouTube snapshot]', key, err.message);
+      await update(job, { tracking: { ...job.tracking, next_at: retryAt, error: err.message } });
+    } finally {
+      active.delete(key);
+    }
+  }
+
+  // intervalHours: one of TRACKING_INTERVALS, or null to stop tracking. Turning
+  // it on records the download's own counts as the first point and takes a
+  // snapshot straight away.
+  async function setTracking(job, intervalHours) {
+    if (intervalHours == null) {
+      await update(job, { tracking: null });
+      return job;
+    }
+    if (!TRACKING_INTERVALS.includes(intervalHours)) {
+      throw new Error(`intervalHours must be one of ${TRACKING_INTERVALS.join(', ')}`);
+    }
+    let count = job.tracking?.count || 0;
+    if (!count && !(await snapshots.findOne({ 'meta.job_id': job._id }))) {
+      const baseline = new Date(job.finishedAt || job.updatedAt);
+      const current = await videos.find({ job_id: job._id }).toArray();
+      if (current.length) await snapshots.insertMany(current.map((v) => statsDoc(baseline, job._id, v)));
+      count = 1;
+    }
+    await update(job, {
+      tracking: { ...job.tracking, interval_hours: intervalHours, next_at: new Date().toISOString(), count },
+    });
+    snapshot(job).catch((err) => console.error('[YouTube snapshot]', err));
+    return job;
+  }
+
+  // Every few minutes: snapshot tracked datasets that are due.
+  function startSnapshotScheduler() {
+    const tick = async () => {
+      const due = await jobs
+        .find({ status: 'done', 'tracking.next_at': { $lte: new Date().toISOString() } })
+        .toArray();
+      for (const job of due) await snapshot(job);
+    };
+    const run = () => tick().catch((err) => console.error('[YouTube snapshot scheduler]', err));
+    run();
+    setInterval(run, SCHEDULER_MS).unref();
+  }
+
+  // Jobs left queued/running by a previous server process pick up where they
+  // stopped; paused ones are rescheduled.
+  async function resumeUnfinished() {
+    const unfinished = await jobs.find({ status: { $in: ['queued', 'running', 'paused'] } }).toArray();
+    unfinished.forEach((j) => (j.status === 'paused' ? schedule(j) : start(j._id)));
+    if (unfinished.length) console.log(`Resuming ${unfinished.length} YouTube download job(s)`);
+  }
+
+  // Projected cost of downloading from `url` (maxVideos null = all), checked
+  // against what's left of today's budget. The lookup itself costs 1–2 units.
+  async function estimate(url, maxVideos, commentsPerVideo = 0) {
+    const ch = await fetchChannel((endpoint, params) => withBackoff(() => youtubeApi(quota, endpoint, params)), url);
+    const count = maxVideos == null ? ch.totalVideos : Math.min(maxVideos, ch.totalVideos);
+    return {
+      channelId: ch.channelId,
+      channelTitle: ch.channelTitle,
+      channelVideoCount: ch.totalVideos,
+      videos: count,
+      units: projectedUnits(count, commentsPerVideo),
+      quota: await quota.status(),
+    };
+  }
+
+  return {
+    start,
+    cancel,
+    resumeUnfinished,
+    estimate,
+    setTracking,
+    startSnapshotScheduler,
+    isActive: (jobId) => active.has(jobId.toString()),
+  };
+}
+
+module.exports = { MAX_COMMENTS_PER_VIDEO, TRACKING_INTERVALS, isConfigured: () => !!API_KEY, toClientJob, loadDataset, createJobRunner };
@@ -1,19 +1,25 @@
-import { useState } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import Auth from './components/Auth';
 import Chat from './components/Chat';
 import YouTubeDownload from './components/YouTubeDownload';
+import SharedSession from './components/SharedSession';
+import { hasAuthToken, logoutUser, setAuthExpiredHandler } from './services/mongoApi';
 import './App.css';
 
+// /shared/:token — public read-only view, no login
+const sharedToken = window.location.pathname.match(/^\/shared\/([\w-]+)\/?$/)?.[1];
+
 function App() {
   const [user, setUser] = useState(() => {
     const u = localStorage.getItem('chatapp_user');
-    if (!u) return null;
+    if (!u || !hasAuthToken()) return null;
     const fn = localStorage.getItem('chatapp_firstName') || '';
     const ln = localStorage.getItem('chatapp_lastName') || '';
     return { username: u, firstName: fn, lastName: ln };
   });
   const [activeTab, setActiveTab] = useState('chat');
   const [interviewContext, setInterviewContext] = useState(null);
+  const [datasetToOpen, setDatasetToOpen] = useState(null); // { name, data, jobId } from "My datasets"
 
   const handleLogin = (username, firstName = '', lastName = '') => {
     localStorage.setItem('chatapp_user', username);
@@ -22,13 +28,26 @@ function App() {
     setUser({ username, firstName: firstName || '', lastName: lastName || '' });
   };
 
-  const handleLogout = () => {
+  const clearUser = useCallback(() => {
     localStorage.removeItem('chatapp_user');
     localStorage.removeItem('chatapp_firstName');
     localStorage.removeItem('chatapp_lastName');
     setUser(null);
+  }, []);
+
+  const handleLogout = async () => {
+    await logoutUser();
+    clearUser();
   };
 
+  // Token refresh failed (expired or revoked) — drop back to the login screen
+  useEffect(() => {
+    setAuthExpiredHandler(clearUser);
+    return () => setAuthExpiredHandler(null);
+  }, [clearUser]);
+
+  if (sharedToken) return <SharedSession token={sharedToken} />;
+
   if (user) {
     return (
       <div className="app-logged-in">
@@ -54,6 +73,8 @@ function App() {
             onLogout={handleLogout}
             interviewContext={interviewContext}
             onClearInterviewContext={() => setInterviewContext(null)}
+            datasetToOpen={datasetToOpen}
+            onDatasetOpened={() => setDatasetToOpen(null)}
           />
         ) : (
           <YouTubeDownload
@@ -62,6 +83,10 @@ function App() {
               setInterviewContext(ctx);
               setActiveTab('chat');
             }}
+            onOpenDataset={(dataset) => {
+              setDatasetToOpen(dataset);
+              setActiveTab('chat');
+            }}
           />
         )}
       </div>
@@ -1,21 +1,34 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
-import { streamChat, chatWithCsvTools, chatWithJsonTools, CODE_KEYWORDS, generateFinalSynthesis } from '../services/gemini';
-import { parseCsvToRows, executeTool, computeDatasetSummary, enrichWithEngagement, buildSlimCsv } from '../services/csvTools';
-import { executeJsonTool } from '../services/jsonTools';
-import { generateImage as generateImageApi } from '../services/imageService';
+import { streamChat, chatWithTools, classifyIntent, generateFinalSynthesis, DEFAULT_AGENT_LIMITS, AGENT_STOP_REASONS } from '../services/gemini';
+import { MODES, MODE_LABELS, routeIntent, refineWithClassifier, overrideIntent } from '../services/intentRouter';
+import { SLIM_MAX_ROWS } from '../services/csvTools';
+import { toolsFor } from '../services/toolRegistry';
 import {
   getSessions,
   createSession,
   deleteSession,
+  updateSessionSettings,
+  getLlmProviders,
+  saveUserSettings,
   saveMessage,
   loadMessages,
+  switchBranch,
+  searchChats,
+  exportSession,
+  saveSessionSynthesis,
+  authFetch,
+  uploadDataset,
+  getDatasetContent,
+  getSessionDatasets,
+  setSessionDatasets,
+  getYouTubeDataset,
 } from '../services/mongoApi';
-import EngagementChart from './EngagementChart';
-import MetricVsTimeChart from './MetricVsTimeChart';
-import VideoCard from './VideoCard';
-import EnlargeableImage from './EnlargeableImage';
+import ModelPicker from './ModelPicker';
+import MessageContent from './MessageContent';
+import ShareDialog from './ShareDialog';
+import DatasetLibrary from './DatasetLibrary';
 import './Chat.css';
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
@@ -25,97 +38,94 @@ const chatTitle = () => {
   return `Chat · ${d.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
 };
 
-// Encode a string to base64 safely (handles unicode/emoji in tweet text etc.)
-const toBase64 = (str) => {
-  const bytes = new TextEncoder().encode(str);
-  let binary = '';
-  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
-  return btoa(binary);
-};
-
-const parseCSV = (text) => {
-  const lines = text.split('\n').filter((l) => l.trim());
-  if (!lines.length) return null;
-  const headers = lines[0].split(',').map((h) => h.trim().replace(/^"|"$/g, ''));
-  const rowCount = lines.length - 1;
-
-  // Short human-readable preview (header + first 5 rows) for context
-  const preview = lines.slice(0, 6).join('\n');
-
-  // Full CSV as base64 — avoids ALL string-escaping issues in Python code execution
-  // (tweet text with quotes, apostrophes, emojis, etc. all break triple-quoted strings)
-  const raw = text.length > 500000 ? text.slice(0, 500000) : text;
-  const base64 = toBase64(raw);
-  const truncated = text.length > 500000;
-
-  return { headers, rowCount, preview, base64, truncated };
-};
-
 // Extract plain text from a message (for history only — never returns base64)
 const messageText = (m) => {
   if (m.parts) return m.parts.filter((p) => p.type === 'text').map((p) => p.text).join('\n');
   return m.content || '';
 };
 
-// ── Structured part renderer (code execution responses) ───────────────────────
+// Opening of a video's transcript for prompts: "[m:ss] text" lines when the
+// download stored timestamped segments, else the plain transcript string.
+const transcriptExcerpt = (v, maxChars) => {
+  if (!v?.transcript_segments?.length) return v?.transcript ? String(v.transcript).slice(0, maxChars) : '';
+  let out = '';
+  for (const seg of v.transcript_segments) {
+    const line = `[${Math.floor(seg.start / 60)}:${String(Math.floor(seg.start % 60)).padStart(2, '0')}] ${seg.text}\n`;
+    if (out.length + line.length > maxChars) break;
+    out += line;
+  }
+  return out.trimEnd();
+};
 
-function StructuredParts({ parts }) {
+// Wraps each occurrence of a search term in <mark>
+function highlightTerms(text, terms) {
+  if (!text || !terms?.length) return text;
+  const escaped = terms.map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const re = new RegExp(`(${escaped.join('|')})`, 'gi');
+  return text.split(re).map((part, i) => (i % 2 ? <mark key={i}>{part}</mark> : part));
+}
+
+// Ask the LLM classifier when the routing rules are a toss-up (costs a call)
+const LLM_ROUTER = process.env.REACT_APP_LLM_ROUTER === 'true';
+
+// Tool-call budget and time limit of one Tools answer (see runAgentLoop)
+const AGENT_LIMITS = {
+  maxSteps: Number(process.env.REACT_APP_AGENT_MAX_STEPS) || DEFAULT_AGENT_LIMITS.maxSteps,
+  timeoutMs: (Number(process.env.REACT_APP_AGENT_TIMEOUT_SECONDS) || DEFAULT_AGENT_LIMITS.timeoutMs / 1000) * 1000,
+};
+
+// Answer mode of a reply (Search / Tools / Python / Plain); click for the reasons
+function RouteBadge({ route }) {
+  const [open, setOpen] = useState(false);
+  const how = route.source === 'override' ? ' · manual' : route.source === 'llm' ? ' · classifier' : '';
   return (
-    <>
-      {parts.map((part, i) => {
-        if (part.type === 'text' && part.text?.trim()) {
-          return (
-            <div key={i} className="part-text">
-              <ReactMarkdown remarkPlugins={[remarkGfm]}>{part.text}</ReactMarkdown>
-            </div>
-          );
-        }
-        if (part.type === 'code') {
-          return (
-            <div key={i} className="part-code">
-              <div className="part-code-header">
-                <span className="part-code-lang">
-                  {part.language === 'PYTHON' ? 'Python' : part.language}
-                </span>
-              </div>
-              <pre className="part-code-body">
-                <code>{part.code}</code>
-              </pre>
-            </div>
-          );
-        }
-        if (part.type === 'result') {
-          const ok = part.outcome === 'OUTCOME_OK';
-          return (
-            <div key={i} className="part-result">
-              <div className="part-result-header">
-                <span className={`part-result-badge ${ok ? 'ok' : 'err'}`}>
-                  {ok ? '✓ Output' : '✗ Error'}
-                </span>
-              </div>
-              <pre className="part-result-body">{part.output}</pre>
-            </div>
-          );
-        }
-        if (part.type === 'image') {
-          return (
-            <img
-              key={i}
-              src={`data:${part.mimeType};base64,${part.data}`}
-              alt="Generated plot"
-              className="part-image"
-            />
-          );
-        }
-        return null;
-      })}
-    </>
+    <span className="route-badge-wrap">
+      <button
+        type="button"
+        className={`route-badge route-badge-${route.mode}`}
+        onClick={() => setOpen((o) => !o)}
+        title="Why this answer mode?"
+      >
+        {MODE_LABELS[route.mode] || route.mode}{how}
+      </button>
+      {open && (
+        <ul className="route-badge-reasons" onClick={() => setOpen(false)}>
+          {(route.reasons || []).map((r, i) => (
+            <li key={i}>{r}</li>
+          ))}
+        </ul>
+      )}
+    </span>
   );
 }
 
-// ── Main component ────────────────────────────────────────────────────────────
+// ‹ 2/3 › — flips between sibling branches of a message
+function BranchSwitcher({ siblings, current, onSwitch, disabled }) {
+  const pos = siblings.indexOf(current);
+  return (
+    <span className="branch-switcher">
+      <button
+        type="button"
+        onClick={() => onSwitch(siblings[pos - 1])}
+        disabled={disabled || pos <= 0}
+        aria-label="Previous branch"
+      >
+        ‹
+      </button>
+      {pos + 1}/{siblings.length}
+      <button
+        type="button"
+        onClick={() => onSwitch(siblings[pos + 1])}
+        disabled={disabled || pos >= siblings.length - 1}
+        aria-label="Next branch"
+      >
+        ›
+      </button>
+    </span>
+  );
+}
 
-export default function Chat({ username, firstName = '', lastName = '', onLogout, interviewContext, onClearInterviewContext }) {
+export default function Chat({ username, firstName = '', lastName = '', onLogout, interviewContext, onClearInterviewContext, datasetToOpen, onDatasetOpened }) {
   const [sessions, setSessions] = useState([]);
   const [activeSessionId, setActiveSessionId] = useState(null);
   const [messages, setMessages] = useState([]);
@@ -126,27 +136,68 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
   const [sessionCsvHeaders, setSessionCsvHeaders] = useState(null); // headers for tool routing
   const [csvDataSummary, setCsvDataSummary] = useState(null);    // auto-computed column stats summary
   const [sessionSlimCsv, setSessionSlimCsv] = useState(null);   // key-columns CSV string sent directly to Gemini
+  const [csvImport, setCsvImport] = useState(null);             // { name, loaded, total, rows } while the worker parses, or { name, error }
   const [jsonContext, setJsonContext] = useState(null);         // { name, data, videoCount, fields }
-  const [sessionJsonData, setSessionJsonData] = useState(null); // array of video objects for tools
+  const [sessionJsonData, setSessionJsonData] = useState(null); // array of video objects for tools, tagged with channel_title
+  const [datasetLinks, setDatasetLinks] = useState([]);         // server copies of the loaded data: [{ id | jobId, kind, name, channel }]
   const [streaming, setStreaming] = useState(false);
   const [dragOver, setDragOver] = useState(false);
   const [openMenuId, setOpenMenuId] = useState(null);
   const [finalSynthesis, setFinalSynthesis] = useState(null); // { report, prompt }
   const [finalSynthesisLoading, setFinalSynthesisLoading] = useState(false);
+  const [llmProviders, setLlmProviders] = useState([]);
+  const [defaultSettings, setDefaultSettings] = useState(null); // user's saved { provider, model, temperature }
+  const [chatSettings, setChatSettings] = useState(null);       // the active chat's choice
+  const [hasOlderMessages, setHasOlderMessages] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [editing, setEditing] = useState(null); // { id, text } while re-asking a user message
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null); // { terms, results } for the current query
+  const [highlightId, setHighlightId] = useState(null);     // message opened from search
+  const [sharingSession, setSharingSession] = useState(null); // session whose share links are being managed
+  const [libraryOpen, setLibraryOpen] = useState(false);
+  const [modeOverride, setModeOverride] = useState('auto'); // answer mode forced for the next message
+
+  // Channels in sessionJsonData, in load order: [{ title, videoCount }]
+  const loadedChannels = useMemo(() => {
+    const counts = new Map();
+    for (const v of sessionJsonData || []) counts.set(v.channel_title, (counts.get(v.channel_title) || 0) + 1);
+    return [...counts].map(([title, videoCount]) => ({ title, videoCount }));
+  }, [sessionJsonData]);
+
+  // The provider answering this chat (null settings fall back to the user's default)
+  const activeProvider = llmProviders.find((p) => p.name === (chatSettings?.provider || defaultSettings?.provider));
 
   const bottomRef = useRef(null);
+  const messagesRef = useRef(null);
+  // Scroll bookkeeping for the messages effect below: jump straight to the
+  // bottom after a session's first page loads, and keep the viewport steady
+  // (scrollHeight before the prepend) when older pages are added on top.
+  const jumpToBottomRef = useRef(false);
+  const scrollRestoreRef = useRef(null);
+  const scrollToIdRef = useRef(null); // message to keep in view after switching branches
+  const loadSeqRef = useRef(0); // bumped per session switch so stale pages are dropped
   const inputRef = useRef(null);
   const abortRef = useRef(false);
+  const agentAbortRef = useRef(null); // AbortController of the running tool loop
   const fileInputRef = useRef(null);
-  // Set to true immediately before setActiveSessionId() is called during a send
-  // so the messages useEffect knows to skip the reload (streaming is in progress).
-  const justCreatedSessionRef = useRef(false);
+  // Set to true immediately before setActiveSessionId() is called when the
+  // messages are already in state (a send is streaming into a just-created
+  // session, or a search hit was opened) so the messages useEffect skips the reload.
+  const skipReloadRef = useRef(false);
+  // { sessionId, key } of the dataset links last saved to / restored from that
+  // session; links are only saved once the session's own links are known.
+  const syncedLinksRef = useRef(null);
+  const restoreSeqRef = useRef(0); // bumped per restore so a stale one stops loading
 
   // On login: load sessions from DB; 'new' means an unsaved pending chat
   useEffect(() => {
     const init = async () => {
-      const list = await getSessions(username);
+      const [list, { providers, userDefault }] = await Promise.all([getSessions(), getLlmProviders()]);
       setSessions(list);
+      setLlmProviders(providers);
+      setDefaultSettings(userDefault);
+      setChatSettings(userDefault);
       setActiveSessionId('new'); // always start with a fresh empty chat on login
     };
     init();
@@ -162,24 +213,152 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
   }, [interviewContext]);
 
   useEffect(() => {
+    const seq = ++loadSeqRef.current;
     if (!activeSessionId || activeSessionId === 'new') {
       setMessages([]);
+      setHasOlderMessages(false);
       return;
     }
-    // If a session was just created during an active send, messages are already
-    // in state and streaming is in progress — don't wipe them.
-    if (justCreatedSessionRef.current) {
-      justCreatedSessionRef.current = false;
+    // Messages for this session are already in state — don't wipe them.
+    if (skipReloadRef.current) {
+      skipReloadRef.current = false;
       return;
     }
     setMessages([]);
-    loadMessages(activeSessionId).then(setMessages);
+    setHasOlderMessages(false);
+    setEditing(null);
+    loadMessages(activeSessionId).then(({ messages: page, hasMore }) => {
+      if (seq !== loadSeqRef.current) return;
+      jumpToBottomRef.current = true;
+      setMessages(page);
+      setHasOlderMessages(hasMore);
+    });
   }, [activeSessionId]);
 
+  // Save the loaded data's links on the session whenever they change
   useEffect(() => {
-    bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
+    const synced = syncedLinksRef.current;
+    if (!activeSessionId || activeSessionId === 'new' || synced?.sessionId !== activeSessionId) return;
+    const key = JSON.stringify(datasetLinks);
+    if (key === synced.key) return;
+    syncedLinksRef.current = { sessionId: activeSessionId, key };
+    setSessionDatasets(activeSessionId, datasetLinks).catch((err) => console.error('[Chat] failed to save session datasets', err));
+  }, [activeSessionId, datasetLinks]);
+
+  useLayoutEffect(() => {
+    const el = messagesRef.current;
+    if (scrollToIdRef.current && el) {
+      el.querySelector(`[data-message-id="${scrollToIdRef.current}"]`)?.scrollIntoView({ block: 'center' });
+      scrollToIdRef.current = null;
+    } else if (scrollRestoreRef.current != null && el) {
+      el.scrollTop += el.scrollHeight - scrollRestoreRef.current;
+      scrollRestoreRef.current = null;
+    } else if (jumpToBottomRef.current && el) {
+      el.scrollTop = el.scrollHeight;
+      jumpToBottomRef.current = false;
+    } else {
+      bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }
   }, [messages]);
 
+  // Infinite scroll-back: fetch the page before the oldest loaded message
+  const loadOlderMessages = async () => {
+    if (!hasOlderMessages || loadingOlder || !messages.length) return;
+    const seq = loadSeqRef.current;
+    setLoadingOlder(true);
+    try {
+      const { messages: page, hasMore } = await loadMessages(activeSessionId, { before: messages[0].id });
+      if (seq !== loadSeqRef.current) return;
+      scrollRestoreRef.current = messagesRef.current?.scrollHeight ?? null;
+      setMessages((prev) => [...page, ...prev]);
+      setHasOlderMessages(hasMore);
+    } catch (err) {
+      console.error('[Chat] failed to load earlier messages', err);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  const handleMessagesScroll = (e) => {
+    if (e.currentTarget.scrollTop < 120) loadOlderMessages();
+  };
+
+  // ── Branches ────────────────────────────────────────────────────────────────
+  // Editing a user message or regenerating a reply saves a sibling branch
+  // (see handleSend); the ‹ n/m › switcher flips between siblings.
+
+  const handleSwitchBranch = async (messageId) => {
+    if (streaming || !messageId) return;
+    const seq = ++loadSeqRef.current;
+    try {
+      await switchBranch(activeSessionId, messageId);
+      const { messages: page, hasMore } = await loadMessages(activeSessionId);
+      if (seq !== loadSeqRef.current) return;
+      scrollToIdRef.current = messageId;
+      setEditing(null);
+      setMessages(page);
+      setHasOlderMessages(hasMore);
+    } catch (err) {
+      console.error('[Chat] failed to switch branch', err);
+    }
+  };
+
+  // ── Search ──────────────────────────────────────────────────────────────────
+
+  // Opens a search hit: switches to its branch if needed, loads the thread from
+  // that message onwards and scrolls to / highlights it.
+  const handleOpenSearchResult = async (result) => {
+    if (streaming) return;
+    if (result.type === 'session') {
+      handleSelectSession(result.sessionId);
+      return;
+    }
+    const { sessionId, messageId } = result;
+    const seq = ++loadSeqRef.current;
+    try {
+      if (!result.onActiveBranch) await switchBranch(sessionId, messageId);
+      const { messages: page, hasMore } = await loadMessages(sessionId, { from: messageId });
+      if (seq !== loadSeqRef.current) return;
+      if (sessionId !== activeSessionId) {
+        skipReloadRef.current = true;
+        handleSelectSession(sessionId);
+      }
+      scrollToIdRef.current = messageId;
+      setHighlightId(messageId);
+      setEditing(null);
+      setMessages(page);
+      setHasOlderMessages(hasMore);
+    } catch (err) {
+      console.error('[Chat] failed to open search result', err);
+    }
+  };
+
+  const handleSubmitEdit = (at) => {
+    const text = editing?.text.trim();
+    if (!text) return;
+    setEditing(null);
+    handleSend({ at, text });
+  };
+
+  // Debounced sidebar search
+  useEffect(() => {
+    const q = searchQuery.trim();
+    if (q.length < 2) {
+      setSearchResults(null);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      searchChats(q)
+        .then((data) => !cancelled && setSearchResults(data))
+        .catch((err) => console.error('[Chat] search failed', err));
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery]);
+
   useEffect(() => {
     if (!openMenuId) return;
     const handler = () => setOpenMenuId(null);
@@ -191,26 +370,25 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
 
   const handleNewChat = () => {
     setActiveSessionId('new');
+    setChatSettings(defaultSettings);
     setMessages([]);
     setInput('');
     setImages([]);
-    setCsvContext(null);
-    setSessionCsvRows(null);
-    setSessionCsvHeaders(null);
-    setJsonContext(null);
-    setSessionJsonData(null);
+    clearLoadedData();
   };
 
   const handleSelectSession = (sessionId) => {
     if (sessionId === activeSessionId) return;
+    const session = sessions.find((s) => s.id === sessionId);
     setActiveSessionId(sessionId);
+    // Sessions created before model selection existed use the user's default
+    setChatSettings(session?.provider
+      ? { provider: session.provider, model: session.model, temperature: session.temperature ?? null }
+      : defaultSettings);
     setInput('');
     setImages([]);
-    setCsvContext(null);
-    setSessionCsvRows(null);
-    setSessionCsvHeaders(null);
-    setJsonContext(null);
-    setSessionJsonData(null);
+    clearLoadedData();
+    restoreSessionDatasets(sessionId);
   };
 
   const handleDeleteSession = async (sessionId, e) => {
@@ -220,8 +398,43 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
     const remaining = sessions.filter((s) => s.id !== sessionId);
     setSessions(remaining);
     if (activeSessionId === sessionId) {
-      setActiveSessionId(remaining.length > 0 ? remaining[0].id : 'new');
-      setMessages([]);
+      if (remaining.length > 0) handleSelectSession(remaining[0].id);
+      else handleNewChat();
+    }
+  };
+
+  const handleSettingsChange = async (settings) => {
+    setChatSettings(settings);
+    if (!activeSessionId || activeSessionId === 'new') return;
+    setSessions((prev) => prev.map((s) => (s.id === activeSessionId ? { ...s, ...settings } : s)));
+    try {
+      await updateSessionSettings(activeSessionId, settings);
+    } catch (err) {
+      console.error('[Chat] failed to save session settings', err);
+    }
+  };
+
+  const handleSaveDefaultSettings = async () => {
+    try {
+      const { ok, ...saved } = await saveUserSettings(chatSettings);
+      setDefaultSettings(saved);
+    } catch (err) {
+      console.error('[Chat] failed to save default settings', err);
+    }
+  };
+
+  const handleExportSession = async (sessionId, format, e) => {
+    e.stopPropagation();
+    setOpenMenuId(null);
+    try {
+      const { blob, filename } = await exportSession(sessionId, format);
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = filename;
+      a.click();
+      URL.revokeObjectURL(a.href);
+    } catch (err) {
+      console.error('[Chat] export failed', err);
     }
   };
 
@@ -243,6 +456,135 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
       r.readAsText(file);
     });
 
+  const clearLoadedData = () => {
+    restoreSeqRef.current++;
+    setCsvContext(null);
+    setSessionCsvRows(null);
+    setSessionCsvHeaders(null);
+    setCsvDataSummary(null);
+    setSessionSlimCsv(null);
+    setCsvImport(null);
+    setJsonContext(null);
+    setSessionJsonData(null);
+    setDatasetLinks([]);
+  };
+
+  // Channel JSON ({ videos: [...] } or a bare array) is added to the session's JSON
+  // context with every video tagged by channel_title, so a second channel is
+  // compared side by side. Loading a channel again replaces its videos; a
+  // loaded CSV stays, so one tool turn can work across both.
+  // source: { file } to upload the JSON, { link } when it is already stored,
+  // { restoring: true } when reloading a session's own data.
+  const loadJsonData = useCallback((name, data, source = {}) => {
+    const raw = Array.isArray(data.videos) ? data.videos : (Array.isArray(data) ? data : []);
+    const channel = data.channel_title || raw[0]?.channel_title || name.replace(/\.json$/i, '');
+    const videos = raw.map((v) => ({ ...v, channel_title: v.channel_title || channel }));
+    const fields = videos.length ? Object.keys(videos[0]) : [];
+    if (!source.restoring) setJsonContext({ name, videoCount: videos.length, fields });
+    setSessionJsonData((prev) => [...(prev || []).filter((v) => v.channel_title !== channel), ...videos]);
+
+    const link = (l) => setDatasetLinks((prev) => [...prev.filter((p) => p.channel !== channel), { ...l, channel }]);
+    if (source.link) link(source.link);
+    else if (source.file) {
+      uploadDataset(source.file, 'json', name)
+        .then((d) => link({ id: d.id, kind: 'json', name }))
+        .catch((err) => console.error('[Chat] dataset upload failed', err));
+    }
+  }, []);
+
+  // CSV is parsed in a Web Worker (RFC 4180, delimiter/encoding detection,
+  // column types) with progress on the chip; the worker module is loaded on
+  // first use. Rows feed the JS tools; summary + slim CSV go into the prompt.
+  // It replaces an earlier CSV but not the channel JSON. The file is then uploaded so the session can reload it — unless it came
+  // from the server: restored with the session, or attached from the library (`link`).
+  const loadCsvFile = async (file, { restoring = false, link = null } = {}) => {
+    setCsvImport({ name: file.name, loaded: 0, total: file.size, rows: 0 });
+    try {
+      const { loadCsvFile: parseInWorker } = await import('../services/csvWorker');
+      const parsed = await parseInWorker(file, {
+        onProgress: (p) => setCsvImport({ name: file.name, ...p }),
+      });
+      if (!parsed.rowCount) {
+        setCsvImport({ name: file.name, error: 'no data rows' });
+        return;
+      }
+      if (!restoring) {
+        setCsvContext({
+          name: file.name,
+          headers: parsed.headers,
+          rowCount: parsed.rowCount,
+          base64: parsed.base64,
+          base64Rows: parsed.base64Rows,
+          warnings: parsed.warnings,
+        });
+      }
+      setSessionCsvHeaders(parsed.headers);
+      setSessionCsvRows(parsed.rows);
+      setCsvDataSummary(parsed.summary);
+      setSessionSlimCsv(parsed.slimCsv);
+      setCsvImport(null);
+      const linkCsv = (l) => setDatasetLinks((prev) => [...prev.filter((p) => p.kind !== 'csv'), { ...l, channel: null }]);
+      if (link) linkCsv(link);
+      else if (!restoring) {
+        uploadDataset(file, 'csv')
+          .then((d) => linkCsv({ id: d.id, kind: 'csv', name: file.name }))
+          .catch((err) => console.error('[Chat] dataset upload failed', err));
+      }
+    } catch (err) {
+      console.error('[Chat] CSV import failed', err);
+      setCsvImport({ name: file.name, error: err.message });
+    }
+  };
+
+  // Reload the data a session was working with (see server/datasets.js)
+  const restoreSessionDatasets = async (sessionId) => {
+    const seq = ++restoreSeqRef.current;
+    syncedLinksRef.current = null;
+    try {
+      const links = await getSessionDatasets(sessionId);
+      if (seq !== restoreSeqRef.current) return;
+      syncedLinksRef.current = { sessionId, key: JSON.stringify(links) };
+      setDatasetLinks(links);
+      for (const link of links) {
+        if (link.kind === 'csv') {
+          const blob = await getDatasetContent(link.id);
+          if (seq !== restoreSeqRef.current) return;
+          await loadCsvFile(new File([blob], link.name, { type: 'text/csv' }), { restoring: true });
+        } else {
+          const data = link.kind === 'youtube'
+            ? await getYouTubeDataset(link.jobId)
+            : JSON.parse(await (await getDatasetContent(link.id)).text());
+          if (seq !== restoreSeqRef.current) return;
+          loadJsonData(link.name, data, { restoring: true });
+        }
+      }
+    } catch (err) {
+      console.error('[Chat] failed to restore session datasets', err);
+    }
+  };
+
+  // A version picked in the dataset library
+  const handleAttachDataset = async (dataset) => {
+    setLibraryOpen(false);
+    const link = { id: dataset.id, kind: dataset.kind, name: dataset.name };
+    try {
+      const blob = await getDatasetContent(dataset.id);
+      if (dataset.kind === 'csv') await loadCsvFile(new File([blob], dataset.name, { type: 'text/csv' }), { link });
+      else loadJsonData(dataset.name, JSON.parse(await blob.text()), { link });
+    } catch (err) {
+      console.error('[Chat] failed to attach dataset', err);
+    }
+  };
+
+  // "Open in Chat" from My datasets (YouTube tab)
+  useEffect(() => {
+    if (!datasetToOpen) return;
+    loadJsonData(datasetToOpen.name, datasetToOpen.data, datasetToOpen.jobId && {
+      link: { jobId: datasetToOpen.jobId, kind: 'youtube', name: datasetToOpen.name },
+    });
+    onDatasetOpened?.();
+  }, [datasetToOpen, loadJsonData, onDatasetOpened]);
+
   const handleDrop = async (e) => {
     e.preventDefault();
     setDragOver(false);
@@ -252,40 +594,16 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
     const jsonFiles = files.filter((f) => f.name.endsWith('.json') || f.type === 'application/json');
     const imageFiles = files.filter((f) => f.type.startsWith('image/'));
 
-    if (jsonFiles.length > 0) {
-      const file = jsonFiles[0];
+    for (const file of jsonFiles) {
       const text = await fileToText(file);
       try {
-        const data = JSON.parse(text);
-        const videos = Array.isArray(data.videos) ? data.videos : (Array.isArray(data) ? data : []);
-        const fields = videos.length ? Object.keys(videos[0]) : [];
-        setJsonContext({ name: file.name, videoCount: videos.length, fields });
-        setSessionJsonData(videos);
-        setCsvContext(null);
-        setSessionCsvRows(null);
-        setSessionCsvHeaders(null);
+        loadJsonData(file.name, JSON.parse(text), { file });
       } catch {
         // Invalid JSON - ignore
       }
     }
 
-    if (csvFiles.length > 0) {
-      const file = csvFiles[0];
-      const text = await fileToText(file);
-      const parsed = parseCSV(text);
-      if (parsed) {
-        setCsvContext({ name: file.name, ...parsed });
-        // Parse rows, add computed engagement col, build summary + slim CSV
-        const raw = parseCsvToRows(text);
-        const { rows, headers } = enrichWithEngagement(raw.rows, raw.headers);
-        setSessionCsvHeaders(headers);
-        setSessionCsvRows(rows);
-        setCsvDataSummary(computeDatasetSummary(rows, headers));
-        setSessionSlimCsv(buildSlimCsv(rows, headers));
-        setJsonContext(null);
-        setSessionJsonData(null);
-      }
-    }
+    if (csvFiles.length > 0) await loadCsvFile(csvFiles[0]);
 
     if (imageFiles.length > 0) {
       const newImages = await Promise.all(
@@ -307,39 +625,16 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
     const jsonFiles = files.filter((f) => f.name.endsWith('.json') || f.type === 'application/json');
     const imageFiles = files.filter((f) => f.type.startsWith('image/'));
 
-    if (jsonFiles.length > 0) {
-      const text = await fileToText(jsonFiles[0]);
+    for (const file of jsonFiles) {
+      const text = await fileToText(file);
       try {
-        const data = JSON.parse(text);
-        const videos = Array.isArray(data.videos) ? data.videos : (Array.isArray(data) ? data : []);
-        const fields = videos.length ? Object.keys(videos[0]) : [];
-        setJsonContext({ name: jsonFiles[0].name, videoCount: videos.length, fields });
-        setSessionJsonData(videos);
-        setCsvContext(null);
-        setSessionCsvRows(null);
-        setSessionCsvHeaders(null);
+        loadJsonData(file.name, JSON.parse(text), { file });
       } catch {
         // Invalid JSON - ignore
       }
     }
 
-    if (csvFiles.length > 0) {
-      const text = await fileToText(csvFiles[0]);
-      const parsed = parseCSV(text);
-      if (parsed) {
-        setCsvContext({ name: csvFiles[0].name, ...parsed });
-        setJsonContext(null);
-        setSessionJsonData(null);
-        const raw = parseCsvToRows(text);
-        const { rows, headers } = enrichWithEngagement(raw.rows, raw.headers);
-        setSessionCsvHeaders(headers);
-        setSessionCsvRows(rows);
-        setCsvDataSummary(computeDatasetSummary(rows, headers));
-        setSessionSlimCsv(buildSlimCsv(rows, headers));
-        setJsonContext(null);
-        setSessionJsonData(null);
-      }
-    }
+    if (csvFiles.length > 0) await loadCsvFile(csvFiles[0]);
     if (imageFiles.length > 0) {
       const newImages = await Promise.all(
         imageFiles.map(async (f) => ({
@@ -377,53 +672,81 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
 
   const handleStop = () => {
     abortRef.current = true;
+    agentAbortRef.current?.abort();
   };
 
   // ── Send message ────────────────────────────────────────────────────────────
 
-  const handleSend = async () => {
-    const text = input.trim();
-    const hasInterviewOnly = interviewContext && !text && !images.length && !csvContext && !jsonContext;
-    if ((!text && !images.length && !csvContext && !jsonContext && !hasInterviewOnly) || streaming || !activeSessionId) return;
+  // branch: { at, text } re-asks the user message messages[at] with new text;
+  // { at, regenerate: true } re-answers the user message just before the reply
+  // messages[at]. Both save the new turn as a sibling of the one it replaces and
+  // keep the composer's pending attachments untouched.
+  const handleSend = async (branch = null) => {
+    const regenerating = !!branch?.regenerate;
+    const askedAt = branch ? (regenerating ? branch.at - 1 : branch.at) : messages.length;
+    const asked = branch ? messages[askedAt] : null; // the user message being re-asked
+    const replaced = branch ? messages[branch.at] : null;
+    const base = messages.slice(0, askedAt);
+    const text = branch ? (regenerating ? asked.content : branch.text) : input.trim();
+    const msgImages = branch ? asked.images || [] : images;
+    const hasInterviewOnly = !branch && interviewContext && !text && !images.length && !csvContext && !jsonContext;
+    if (streaming || !activeSessionId) return;
+    if (!branch && !text && !images.length && !csvContext && !jsonContext && !hasInterviewOnly) return;
 
     // Lazily create the session in DB on the very first message
     let sessionId = activeSessionId;
     if (sessionId === 'new') {
       const title = chatTitle();
-      const { id } = await createSession(username, 'lisa', title);
+      const { id, ...settings } = await createSession('lisa', title, chatSettings);
       sessionId = id;
-      justCreatedSessionRef.current = true; // tell useEffect to skip the reload
+      skipReloadRef.current = true; // tell useEffect to skip the reload
+      syncedLinksRef.current = { sessionId: id, key: '[]' }; // save the data loaded so far
       setActiveSessionId(id);
-      setSessions((prev) => [{ id, agent: 'lisa', title, createdAt: new Date().toISOString(), messageCount: 0 }, ...prev]);
+      setSessions((prev) => [{ id, agent: 'lisa', title, createdAt: new Date().toISOString(), messageCount: 0, ...settings }, ...prev]);
     }
 
     // ── Routing intent (computed first so we know whether Python/base64 is needed) ──
-    // PYTHON_ONLY = things the client tools genuinely cannot produce
-    const PYTHON_ONLY_KEYWORDS = /\b(regression|scatter|histogram|seaborn|matplotlib|numpy|time.?series|heatmap|box.?plot|violin|distribut|linear.?model|logistic|forecast|trend.?line)\b/i;
-    const wantPythonOnly = PYTHON_ONLY_KEYWORDS.test(text);
-    const wantCode = CODE_KEYWORDS.test(text) && !sessionCsvRows;
-    const capturedCsv = csvContext;
+    // services/intentRouter.js scores the message against what's loaded; the
+    // mode picker next to the input overrides it for this one message.
+    //   tools  — every toolset that applies (services/toolRegistry.js): CSV tools,
+    //            YouTube JSON tools, generateImage for attached images (free, fast)
+    //   python — Gemini code execution; search / plain — streamed chat with / without Google Search
+    const capturedCsv = branch ? null : csvContext;
     const hasCsvInSession = !!sessionCsvRows || !!capturedCsv;
-    // Base64 is only worth sending when Gemini will actually run Python
-    const needsBase64 = !!capturedCsv && wantPythonOnly;
-    // Mode selection:
-    //   useJsonTools    — JSON channel data loaded → YouTube tools (compute_stats_json, plot_metric_vs_time, play_video, generateImage)
-    //   useTools        — CSV loaded + no Python needed → client-side JS tools (free, fast)
-    //   useCodeExecution — Python explicitly needed (regression, histogram, etc.)
-    //   else            — Google Search streaming
-    const capturedJson = jsonContext;
+    const capturedJson = branch ? null : jsonContext;
     const hasJsonInSession = !!sessionJsonData || !!capturedJson;
-    const useJsonTools = !!sessionJsonData && !wantCode;
-    const useTools = !!sessionCsvRows && !wantPythonOnly && !wantCode && !capturedCsv && !useJsonTools;
-    const useCodeExecution = wantPythonOnly || (wantCode && !useJsonTools);
+    const routeContext = {
+      hasData: !!sessionCsvRows || !!sessionJsonData,
+      dataKind: [sessionCsvRows && 'csv', sessionJsonData && 'json'].filter(Boolean).join('+') || null,
+      columns: [...(sessionCsvHeaders || []), ...Object.keys(sessionJsonData?.[0] || {})],
+      hasImages: msgImages.length > 0,
+      interview: !!interviewContext?.video,
+      codeExecution: activeProvider?.codeExecution,
+      providerLabel: activeProvider?.label,
+    };
+    const { mode, source, reasons } = modeOverride !== 'auto'
+      ? overrideIntent(modeOverride, text, routeContext)
+      : await refineWithClassifier(
+          routeIntent(text, routeContext),
+          text,
+          routeContext,
+          LLM_ROUTER && ((t, modes) => classifyIntent(t, modes, chatSettings))
+        );
+    const route = { mode, source, reasons };
+    setModeOverride('auto');
+    // Base64 is only worth sending when Gemini will actually run Python
+    const needsBase64 = !!capturedCsv && mode === 'python';
 
     // ── Build prompt ─────────────────────────────────────────────────────────
     // sessionSummary: auto-computed column stats, included with every message
     const sessionSummary = csvDataSummary || '';
     // slimCsv: key columns only (text, type, metrics, engagement) as plain readable CSV
     // ~6-10k tokens — Gemini reads it directly so it can answer from context or call tools
+    const slimRowCount = Math.min(sessionCsvRows?.length || 0, SLIM_MAX_ROWS);
     const slimCsvBlock = sessionSlimCsv
-      ? `\n\nFull dataset (key columns):\n\`\`\`csv\n${sessionSlimCsv}\n\`\`\``
+      ? sessionCsvRows?.length > slimRowCount
+        ? `\n\nDataset (key columns, first ${slimRowCount} of ${sessionCsvRows.length} rows — use the tools for all rows):\n\`\`\`csv\n${sessionSlimCsv}\n\`\`\``
+        : `\n\nFull dataset (key columns):\n\`\`\`csv\n${sessionSlimCsv}\n\`\`\``
       : '';
 
     const csvPrefix = capturedCsv
@@ -433,7 +756,7 @@ export default function Chat({ username, firstName = '', lastName = '', onLogout
 
 ${sessionSummary}${slimCsvBlock}
 
-IMPORTANT — to load the full data in Python use this exact pattern:
+IMPORTANT — to load the ${capturedCsv.base64Rows < capturedCsv.rowCount ? `first ${capturedCsv.base64Rows} rows of the` : 'full'} data in Python use this exact pattern:
 \`\`\`python
 import pandas as pd, io, base64
 df = pd.read_csv(io.BytesIO(base64.b64decode("${capturedCsv.base64}")))
@@ -463,7 +786,9 @@ ${sessionSummary}${slimCsvBlock}
       fields: Object.keys(sessionJsonData[0] || {}),
     });
     const jsonPrefix = jsonCtx
-      ? `[YouTube Channel JSON: "${jsonCtx.name}" | ${jsonCtx.videoCount} videos | Fields: ${(jsonCtx.fields || []).join(', ')}]\n\n`
+      ? loadedChannels.length > 1
+        ? `[YouTube Channel JSON: ${loadedChannels.length} channels loaded for comparison — ${loadedChannels.map((c) => `"${c.title}" (${c.videoCount} videos)`).join(', ')} | Fields: ${(jsonCtx.fields || []).join(', ')}]\n\n`
+        : `[YouTube Channel JSON: "${jsonCtx.name}" | ${jsonCtx.videoCount} videos | Fields: ${(jsonCtx.fields || []).join(', ')}]\n\n`
       : '';
 
     const v = interviewContext?.video;
@@ -475,7 +800,7 @@ VIDEO METADATA (YouTube):
 - Channel: ${interviewContext.channelTitle || 'N/A'}
 - Duration: ${v.duration || v.duration_iso || 'N/A'}
 - Description: ${(v.description || '').slice(0, 800)}
-${v.transcript ? `- Transcript excerpt: ${String(v.transcript).slice(0, 500)}` : ''}
+${v.transcript ? `- Transcript excerpt (timestamps line up with the visual evaluation):\n${transcriptExcerpt(v, 1500)}` : ''}
 
 VISUAL EVALUATION — 20 snapshots of the user's face while watching the video:
 ${interviewContext.visualEvaluation}
@@ -489,171 +814,208 @@ CRITICAL: You MUST reference the visual evaluation in your responses. Start by c
 
     // userContent  — displayed in bubble and stored in MongoDB (never contains base64)
     // promptForGemini — sent to the Gemini API (may contain the full prefix)
-    const userContent = text || (images.length ? '(Image)' : capturedJson ? '(JSON attached)' : '(CSV attached)');
+    const userContent = text || (msgImages.length ? '(Image)' : capturedJson ? '(JSON attached)' : '(CSV attached)');
     const defaultPrompt = hasInterviewOnly
       ? 'Start the interview. Use the visual evaluation to ask about my reactions to the video.'
-      : images.length ? 'What do you see in this image?' : capturedJson ? 'Please analyze this YouTube channel data.' : 'Please analyze this CSV data.';
+      : msgImages.length ? 'What do you see in this image?' : capturedJson ? 'Please analyze this YouTube channel data.' : 'Please analyze this CSV data.';
     const promptForGemini = userContext + interviewPrefix + csvPrefix + jsonPrefix + (text || defaultPrompt);
 
-    const userMsg = {
+    const userMsg = regenerating ? asked : {
       id: `u-${Date.now()}`,
       role: 'user',
       content: userContent,
       timestamp: new Date().toISOString(),
-      images: [...images],
-      csvName: capturedCsv?.name || null,
-      jsonName: (capturedJson || jsonContext)?.name || null,
+      images: [...msgImages],
+      csvName: capturedCsv?.name || asked?.csvName || null,
+      jsonName: capturedJson?.name || asked?.jsonName || null,
     };
 
-    setMessages((m) => [...m, userMsg]);
-    setInput('');
-    const capturedImages = [...images];
-    setImages([]);
-    setCsvContext(null);
-    setJsonContext(null);
+    setMessages(branch ? [...base, userMsg] : (m) => [...m, userMsg]);
+    const capturedImages = [...msgImages];
+    if (!branch) {
+      setInput('');
+      setImages([]);
+      setCsvContext(null);
+      setJsonContext(null);
+    }
     setStreaming(true);
 
-    // Store display text only — base64 is never persisted
-    await saveMessage(sessionId, 'user', userContent, capturedImages.length ? capturedImages : null);
-
-    const imageParts = capturedImages.map((img) => ({ mimeType: img.mimeType, data: img.data }));
+    // The persist steps can fail (expired login, a rejected parentId); the
+    // composer must not stay locked when they do
+    try {
+      // Store display text only — base64 is never persisted
+      let userMsgId = asked?.id;
+      if (!regenerating) {
+        let saved;
+        try {
+          saved = await saveMessage(
+            sessionId,
+            'user',
+            userContent,
+            capturedImages.length ? capturedImages : null,
+            null,
+            null,
+            { parentId: branch ? asked.parentId ?? null : undefined }
+          );
+        } catch (err) {
+          // Without a saved id the turn can't be branched or answered
+          setMessages((m) => [
+            ...m,
+            { id: `a-${Date.now()}`, role: 'model', content: `Error: your message could not be saved (${err.message}).`, timestamp: new Date().toISOString() },
+          ]);
+          return;
+        }
+        userMsgId = saved.id;
+        setMessages((m) =>
+          m.map((msg) =>
+            msg.id === userMsg.id
+              ? { ...msg, id: saved.id, parentId: saved.parentId, siblings: branch ? [...(asked.siblings || [asked.id]), saved.id] : undefined }
+              : msg
+          )
+        );
+      }
 
-    // History: plain display text only — session summary handles CSV context on every message
-    const history = messages
-      .filter((m) => m.role === 'user' || m.role === 'model')
-      .map((m) => ({ role: m.role, content: m.content || messageText(m) }));
+      const imageParts = capturedImages.map((img) => ({ mimeType: img.mimeType, data: img.data }));
 
-    const assistantId = `a-${Date.now()}`;
-    setMessages((m) => [
-      ...m,
-      { id: assistantId, role: 'model', content: '', timestamp: new Date().toISOString() },
-    ]);
+      // History: plain display text only — session summary handles CSV context on every message
+      const history = base
+        .filter((m) => m.role === 'user' || m.role === 'model')
+        .map((m) => ({ role: m.role, content: m.content || messageText(m) }));
 
-    abortRef.current = false;
+      const assistantId = `a-${Date.now()}`;
+      setMessages((m) => [
+        ...m,
+        { id: assistantId, role: 'model', content: '', timestamp: new Date().toISOString(), route },
+      ]);
 
-    let fullContent = '';
-    let groundingData = null;
-    let structuredParts = null;
-    let toolCharts = [];
-    let toolCalls = [];
+      abortRef.current = false;
 
-    const jsonToolContext = { videoCount: sessionJsonData?.length || 0, fields: sessionJsonData?.length ? Object.keys(sessionJsonData[0] || {}) : [] };
+      let fullContent = '';
+      let groundingData = null;
+      let structuredParts = null;
+      let toolCharts = [];
+      let toolCalls = [];
 
-    try {
-      if (useJsonTools) {
-        const executeJsonFn = async (toolName, args) => {
-          if (toolName === 'generateImage') {
-            const anchor = capturedImages[0];
-            if (!anchor) return { error: 'No anchor image provided. Please attach an image with your message.' };
-            const result = await generateImageApi(args.prompt || '', anchor.data, anchor.mimeType);
-            if (result.error) return { error: result.error };
-            return { _imageType: 'generated', data: result.data, mimeType: result.mimeType || 'image/png' };
+      try {
+        if (mode === 'tools') {
+          // ── Function-calling path: the model picks tools + args, JS executes ──
+          // Every toolset that applies (CSV, channel JSON, attached images) is
+          // offered at once so one turn can chain calls across them. Each step
+          // shows up in the reply's trace as it happens; Stop aborts the loop.
+          const controller = new AbortController();
+          agentAbortRef.current = controller;
+          const tools = toolsFor({
+            csv: sessionCsvRows && { rows: sessionCsvRows, headers: sessionCsvHeaders },
+            videos: sessionJsonData,
+            images: capturedImages,
+            settings: chatSettings,
+          });
+          const onStep = (step, trace) =>
+            setMessages((m) => m.map((msg) => (msg.id === assistantId ? { ...msg, trace: [...trace] } : msg)));
+          let result;
+          try {
+            result = await chatWithTools(history, promptForGemini, tools, chatSettings, {
+              ...AGENT_LIMITS,
+              signal: controller.signal,
+              onStep,
+            });
+          } finally {
+            agentAbortRef.current = null;
+          }
+          fullContent = result.text || (result.stopped ? `_${AGENT_STOP_REASONS[result.stopped]}_` : '');
+          toolCharts = result.charts;
+          toolCalls = result.toolCalls;
+          const generatedImages = result.generatedImages;
+          setMessages((m) =>
+            m.map((msg) =>
+              msg.id === assistantId
+                ? {
+                    ...msg,
+                    content: fullContent,
+                    charts: toolCharts.length ? toolCharts : undefined,
+                    toolCalls: toolCalls.length ? toolCalls : undefined,
+                    generatedImages: generatedImages.length ? generatedImages : undefined,
+                    trace: result.trace.length ? result.trace : undefined,
+                  }
+                : msg
+            )
+          );
+        } else {
+          // ── Streaming path: code execution or search ─────────────────────────
+          for await (const chunk of streamChat(history, promptForGemini, imageParts, mode, chatSettings)) {
+            if (abortRef.current) break;
+            if (chunk.type === 'text') {
+              fullContent += chunk.text;
+              setMessages((m) =>
+                m.map((msg) => (msg.id === assistantId ? { ...msg, content: fullContent } : msg))
+              );
+            } else if (chunk.type === 'fullResponse') {
+              structuredParts = chunk.parts;
+              setMessages((m) =>
+                m.map((msg) =>
+                  msg.id === assistantId ? { ...msg, content: '', parts: structuredParts } : msg
+                )
+              );
+            } else if (chunk.type === 'grounding') {
+              groundingData = chunk.data;
+            }
           }
-          return executeJsonTool(toolName, args, sessionJsonData);
-        };
-        const { text: answer, charts: returnedCharts, toolCalls: returnedCalls, generatedImages: genImgs } = await chatWithJsonTools(
-          history,
-          promptForGemini,
-          jsonToolContext,
-          executeJsonFn
+        }
+      } catch (err) {
+        const errText = `Error: ${err.message}`;
+        setMessages((m) =>
+          m.map((msg) => (msg.id === assistantId ? { ...msg, content: errText } : msg))
         );
-        fullContent = answer;
-        toolCharts = returnedCharts || [];
-        toolCalls = returnedCalls || [];
-        const generatedImages = genImgs || [];
+        fullContent = errText;
+      }
+
+      if (groundingData) {
         setMessages((m) =>
-          m.map((msg) =>
-            msg.id === assistantId
-              ? {
-                  ...msg,
-                  content: fullContent,
-                  charts: toolCharts.length ? toolCharts : undefined,
-                  toolCalls: toolCalls.length ? toolCalls : undefined,
-                  generatedImages: generatedImages.length ? generatedImages : undefined,
-                }
-              : msg
-          )
+          m.map((msg) => (msg.id === assistantId ? { ...msg, grounding: groundingData } : msg))
         );
-      } else if (useTools) {
-        // ── Function-calling path: Gemini picks tool + args, JS executes ──────
-        console.log('[Chat] useTools=true | rows:', sessionCsvRows.length, '| headers:', sessionCsvHeaders);
-        const { text: answer, charts: returnedCharts, toolCalls: returnedCalls } = await chatWithCsvTools(
-          history,
-          promptForGemini,
-          sessionCsvHeaders,
-          (toolName, args) => executeTool(toolName, args, sessionCsvRows)
+      }
+
+      // Save plain text + any tool charts to DB
+      const savedContent = structuredParts
+        ? structuredParts.filter((p) => p.type === 'text').map((p) => p.text).join('\n')
+        : fullContent;
+      let savedReply;
+      try {
+        savedReply = await saveMessage(
+          sessionId,
+          'model',
+          savedContent,
+          null,
+          toolCharts.length ? toolCharts : null,
+          toolCalls.length ? toolCalls : null,
+          { parentId: userMsgId, grounding: groundingData, route }
         );
-        fullContent = answer;
-        toolCharts = returnedCharts || [];
-        toolCalls = returnedCalls || [];
-        console.log('[Chat] returnedCharts:', JSON.stringify(toolCharts));
-        console.log('[Chat] toolCalls:', toolCalls.map((t) => t.name));
+      } catch (err) {
+        const note = `_Error: this reply could not be saved (${err.message})._`;
         setMessages((m) =>
           m.map((msg) =>
             msg.id === assistantId
-              ? {
-                  ...msg,
-                  content: fullContent,
-                  charts: toolCharts.length ? toolCharts : undefined,
-                  toolCalls: toolCalls.length ? toolCalls : undefined,
-                }
+              ? { ...msg, content: `${fullContent}\n\n${note}`, parts: msg.parts && [...msg.parts, { type: 'text', text: note }] }
               : msg
           )
         );
-      } else {
-        // ── Streaming path: code execution or search ─────────────────────────
-        for await (const chunk of streamChat(history, promptForGemini, imageParts, useCodeExecution)) {
-          if (abortRef.current) break;
-          if (chunk.type === 'text') {
-            fullContent += chunk.text;
-            setMessages((m) =>
-              m.map((msg) => (msg.id === assistantId ? { ...msg, content: fullContent } : msg))
-            );
-          } else if (chunk.type === 'fullResponse') {
-            structuredParts = chunk.parts;
-            setMessages((m) =>
-              m.map((msg) =>
-                msg.id === assistantId ? { ...msg, content: '', parts: structuredParts } : msg
-              )
-            );
-          } else if (chunk.type === 'grounding') {
-            groundingData = chunk.data;
-          }
-        }
+        return;
       }
-    } catch (err) {
-      const errText = `Error: ${err.message}`;
       setMessages((m) =>
-        m.map((msg) => (msg.id === assistantId ? { ...msg, content: errText } : msg))
+        m.map((msg) =>
+          msg.id === assistantId
+            ? { ...msg, id: savedReply.id, parentId: savedReply.parentId, siblings: regenerating ? [...(replaced.siblings || [replaced.id]), savedReply.id] : undefined }
+            : msg
+        )
       );
-      fullContent = errText;
-    }
 
-    if (groundingData) {
-      setMessages((m) =>
-        m.map((msg) => (msg.id === assistantId ? { ...msg, grounding: groundingData } : msg))
+      setSessions((prev) =>
+        prev.map((s) => (s.id === sessionId ? { ...s, messageCount: s.messageCount + (regenerating ? 1 : 2) } : s))
       );
+    } finally {
+      setStreaming(false);
+      inputRef.current?.focus();
     }
-
-    // Save plain text + any tool charts to DB
-    const savedContent = structuredParts
-      ? structuredParts.filter((p) => p.type === 'text').map((p) => p.text).join('\n')
-      : fullContent;
-    await saveMessage(
-      sessionId,
-      'model',
-      savedContent,
-      null,
-      toolCharts.length ? toolCharts : null,
-      toolCalls.length ? toolCalls : null
-    );
-
-    setSessions((prev) =>
-      prev.map((s) => (s.id === sessionId ? { ...s, messageCount: s.messageCount + 2 } : s))
-    );
-
-    setStreaming(false);
-    inputRef.current?.focus();
   };
 
   const removeImage = (i) => setImages((prev) => prev.filter((_, idx) => idx !== i));
@@ -681,7 +1043,7 @@ CRITICAL: You MUST reference the visual evaluation in your responses. Start by c
 - **Channel:** ${interviewContext.channelTitle || 'N/A'}
 - **Duration:** ${video.duration || video.duration_iso || 'N/A'}
 - **Description:** ${(video.description || '').slice(0, 1500)}
-
+${video.transcript ? `- **Transcript excerpt:**\n${transcriptExcerpt(video, 3000)}\n` : ''}
 ### Visual Evaluation (20 snapshots of the user's face while watching)
 ${interviewContext.visualEvaluation}
 
@@ -697,11 +1059,10 @@ Write a Final Synthesis Report in markdown with these sections:
 
 Make the report beautifully formatted with headers, bullet points, and clear structure.`;
 
-      const report = await generateFinalSynthesis(prompt);
+      const report = await generateFinalSynthesis(prompt, chatSettings);
 
       // Save prompt to backend (writes final_prompt.txt)
-      const API = process.env.REACT_APP_API_URL || '';
-      const saveRes = await fetch(`${API || ''}/api/save-final-prompt`, {
+      const saveRes = await authFetch('/api/save-final-prompt', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ prompt }),
@@ -709,6 +1070,12 @@ Make the report beautifully formatted with headers, bullet points, and clear str
       if (!saveRes.ok) console.warn('Could not save final_prompt.txt:', await saveRes.text());
 
       setFinalSynthesis({ report, prompt });
+      // Keep the report with the chat so shared links and exports include it
+      if (activeSessionId && activeSessionId !== 'new') {
+        saveSessionSynthesis(activeSessionId, report).catch((err) =>
+          console.warn('Could not save the synthesis report:', err.message)
+        );
+      }
     } catch (err) {
       setFinalSynthesis({ error: err.message || 'Failed to generate report' });
     } finally {
@@ -750,6 +1117,46 @@ Make the report beautifully formatted with headers, bullet points, and clear str
           </button>
         </div>
 
+        <div className="sidebar-search">
+          <input
+            type="search"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setSearchQuery('')}
+            placeholder="Search chats…"
+            aria-label="Search chats"
+          />
+        </div>
+
+        {searchResults ? (
+          <div className="sidebar-sessions sidebar-search-results">
+            {searchResults.results.length === 0 && (
+              <div className="sidebar-search-empty">No matches</div>
+            )}
+            {searchResults.results.map((r) => (
+              <div
+                key={r.type === 'message' ? r.messageId : `s-${r.sessionId}`}
+                className={`sidebar-search-result${r.messageId && r.messageId === highlightId ? ' active' : ''}`}
+                onClick={() => handleOpenSearchResult(r)}
+              >
+                <span className="sidebar-session-title">
+                  {highlightTerms(r.sessionTitle || 'Untitled chat', searchResults.terms)}
+                </span>
+                {r.type === 'message' ? (
+                  <>
+                    <span className="sidebar-search-snippet">{highlightTerms(r.snippet, searchResults.terms)}</span>
+                    <span className="sidebar-session-date">
+                      {r.role === 'user' ? 'You' : 'Lisa'} · message {r.position + 1}
+                      {!r.onActiveBranch && ' · other branch'} · {formatDate(r.timestamp)}
+                    </span>
+                  </>
+                ) : (
+                  <span className="sidebar-session-date">Chat title · {formatDate(r.createdAt)}</span>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
         <div className="sidebar-sessions">
           {sessions.map((session) => (
             <div
@@ -771,6 +1178,28 @@ Make the report beautifully formatted with headers, bullet points, and clear str
                 <span className="three-dots">⋮</span>
                 {openMenuId === session.id && (
                   <div className="session-dropdown">
+                    <button
+                      className="session-menu-btn"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setOpenMenuId(null);
+                        setSharingSession(session);
+                      }}
+                    >
+                      Share…
+                    </button>
+                    <button
+                      className="session-menu-btn"
+                      onClick={(e) => handleExportSession(session.id, 'markdown', e)}
+                    >
+                      Export Markdown
+                    </button>
+                    <button
+                      className="session-menu-btn"
+                      onClick={(e) => handleExportSession(session.id, 'html', e)}
+                    >
+                      Export HTML
+                    </button>
                     <button
                       className="session-delete-btn"
                       onClick={(e) => handleDeleteSession(session.id, e)}
@@ -783,6 +1212,7 @@ Make the report beautifully formatted with headers, bullet points, and clear str
             </div>
           ))}
         </div>
+        )}
 
         <div className="sidebar-footer">
           <span className="sidebar-username">{username}</span>
@@ -797,6 +1227,14 @@ Make the report beautifully formatted with headers, bullet points, and clear str
         <>
         <header className="chat-header">
           <h2 className="chat-header-title">{activeSession?.title ?? 'New Chat'}</h2>
+          <ModelPicker
+            providers={llmProviders}
+            value={chatSettings}
+            defaultValue={defaultSettings}
+            onChange={handleSettingsChange}
+            onSaveDefault={handleSaveDefaultSettings}
+            disabled={streaming}
+          />
           {interviewContext?.video && interviewContext?.visualEvaluation && (
             <button
               type="button"
@@ -810,146 +1248,89 @@ Make the report beautifully formatted with headers, bullet points, and clear str
         </header>
 
         <div
+          ref={messagesRef}
           className={`chat-messages${dragOver ? ' drag-over' : ''}`}
+          onScroll={handleMessagesScroll}
           onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
           onDragLeave={() => setDragOver(false)}
           onDrop={handleDrop}
         >
-          {messages.map((m) => (
-            <div key={m.id} className={`chat-msg ${m.role}`}>
+          {hasOlderMessages && (
+            <button
+              type="button"
+              className="chat-load-older"
+              onClick={loadOlderMessages}
+              disabled={loadingOlder}
+            >
+              {loadingOlder ? 'Loading earlier messages…' : 'Load earlier messages'}
+            </button>
+          )}
+          {messages.map((m, i) => (
+            <div key={m.id} data-message-id={m.id} className={`chat-msg ${m.role}${m.id === highlightId ? ' highlighted' : ''}`}>
               <div className="chat-msg-meta">
                 <span className="chat-msg-role">{m.role === 'user' ? username : 'Lisa'}</span>
                 <span className="chat-msg-time">
                   {new Date(m.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
                 </span>
-              </div>
-
-              {/* CSV badge on user messages */}
-              {m.csvName && (
-                <div className="msg-csv-badge">
-                  📄 {m.csvName}
-                </div>
-              )}
-              {/* JSON badge on user messages */}
-              {m.jsonName && (
-                <div className="msg-json-badge">
-                  📋 {m.jsonName}
-                </div>
-              )}
-
-              {/* Image attachments */}
-              {m.images?.length > 0 && (
-                <div className="chat-msg-images">
-                  {m.images.map((img, i) => (
-                    <img key={i} src={`data:${img.mimeType};base64,${img.data}`} alt="" className="chat-msg-thumb" />
-                  ))}
-                </div>
-              )}
-
-              {/* Message body */}
-              <div className="chat-msg-content">
-                {m.role === 'model' ? (
-                  m.parts ? (
-                    <StructuredParts parts={m.parts} />
-                  ) : m.content ? (
-                    <ReactMarkdown remarkPlugins={[remarkGfm]}>{m.content}</ReactMarkdown>
-                  ) : (
-                    <span className="thinking-dots">
-                      <span /><span /><span />
-                    </span>
-                  )
-                ) : (
-                  m.content
+                {m.route && <RouteBadge route={m.route} />}
+                {m.siblings?.length > 1 && (
+                  <BranchSwitcher
+                    siblings={m.siblings}
+                    current={m.id}
+                    onSwitch={handleSwitchBranch}
+                    disabled={streaming}
+                  />
+                )}
+                {!streaming && m.parentId !== undefined && editing?.id !== m.id && (
+                  m.role === 'user' ? (
+                    <button
+                      type="button"
+                      className="chat-msg-action"
+                      onClick={() => setEditing({ id: m.id, text: m.content || '' })}
+                      title="Edit and ask again as a new branch"
+                    >
+                      ✎ Edit
+                    </button>
+                  ) : messages[i - 1]?.role === 'user' ? (
+                    <button
+                      type="button"
+                      className="chat-msg-action"
+                      onClick={() => handleSend({ at: i, regenerate: true })}
+                      title="Generate another answer as a new branch"
+                    >
+                      ↻ Regenerate
+                    </button>
+                  ) : null
                 )}
               </div>
 
-              {/* Tool calls log */}
-              {m.toolCalls?.length > 0 && (
-                <details className="tool-calls-details">
-                  <summary className="tool-calls-summary">
-                    🔧 {m.toolCalls.length} tool{m.toolCalls.length > 1 ? 's' : ''} used
-                  </summary>
-                  <div className="tool-calls-list">
-                    {m.toolCalls.map((tc, i) => (
-                      <div key={i} className="tool-call-item">
-                        <span className="tool-call-name">{tc.name}</span>
-                        <span className="tool-call-args">{JSON.stringify(tc.args)}</span>
-                        {tc.result && !tc.result._chartType && (
-                          <span className="tool-call-result">
-                            → {JSON.stringify(tc.result).slice(0, 200)}
-                            {JSON.stringify(tc.result).length > 200 ? '…' : ''}
-                          </span>
-                        )}
-                        {tc.result?._chartType && (
-                          <span className="tool-call-result">→ rendered chart</span>
-                        )}
-                        {tc.result?._displayType === 'video' && (
-                          <span className="tool-call-result">→ video card</span>
-                        )}
-                      </div>
-                    ))}
-                  </div>
-                </details>
-              )}
-
-              {/* Charts from tool calls */}
-              {m.charts?.map((chart, ci) =>
-                chart._chartType === 'engagement' ? (
-                  <EngagementChart
-                    key={ci}
-                    data={chart.data}
-                    metricColumn={chart.metricColumn}
-                  />
-                ) : chart._chartType === 'metricVsTime' ? (
-                  <MetricVsTimeChart
-                    key={ci}
-                    data={chart.data}
-                    metricField={chart.metricField}
-                  />
-                ) : null
-              )}
-
-              {/* Video cards from play_video tool */}
-              {m.toolCalls?.map((tc, i) =>
-                tc.result?._displayType === 'video' ? (
-                  <VideoCard
-                    key={`vid-${i}`}
-                    title={tc.result.title}
-                    thumbnail={tc.result.thumbnail}
-                    url={tc.result.url}
-                  />
-                ) : null
-              )}
-
-              {/* Generated images from generateImage tool */}
-              {m.generatedImages?.map((img, i) => (
-                <EnlargeableImage
-                  key={i}
-                  data={img.data}
-                  mimeType={img.mimeType || 'image/png'}
-                />
-              ))}
-
-              {/* Search sources */}
-              {m.grounding?.groundingChunks?.length > 0 && (
-                <div className="chat-msg-sources">
-                  <span className="sources-label">Sources</span>
-                  <div className="sources-list">
-                    {m.grounding.groundingChunks.map((chunk, i) =>
-                      chunk.web ? (
-                        <a key={i} href={chunk.web.uri} target="_blank" rel="noreferrer" className="source-link">
-                          {chunk.web.title || chunk.web.uri}
-                        </a>
-                      ) : null
-                    )}
-                  </div>
-                  {m.grounding.webSearchQueries?.length > 0 && (
-                    <div className="sources-queries">
-                      Searched: {m.grounding.webSearchQueries.join(' · ')}
+              <MessageContent
+                message={m}
+                body={editing?.id === m.id ? (
+                  <div className="chat-msg-edit">
+                    <textarea
+                      value={editing.text}
+                      onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' && !e.shiftKey) {
+                          e.preventDefault();
+                          handleSubmitEdit(i);
+                        } else if (e.key === 'Escape') {
+                          setEditing(null);
+                        }
+                      }}
+                      rows={3}
+                      autoFocus
+                    />
+                    <div className="chat-msg-edit-actions">
+                      <button type="button" onClick={() => setEditing(null)}>Cancel</button>
+                      <button type="button" className="primary" onClick={() => handleSubmitEdit(i)} disabled={!editing.text.trim()}>
+                        Send
+                      </button>
                     </div>
-                  )}
-                </div>
-              )}
+                  </div>
+                ) : null}
+              />
             </div>
           ))}
           <div ref={bottomRef} />
@@ -959,15 +1340,34 @@ Make the report beautifully formatted with headers, bullet points, and clear str
 
         {/* ── Input area ── */}
         <div className="chat-input-area">
+          {/* CSV import progress / error */}
+          {csvImport && (
+            <div className={`csv-chip ${csvImport.error ? 'csv-chip-error' : 'csv-chip-loading'}`}>
+              <span className="csv-chip-icon">📄</span>
+              <span className="csv-chip-name">{csvImport.name}</span>
+              <span className="csv-chip-meta">
+                {csvImport.error
+                  ? `Could not read: ${csvImport.error}`
+                  : `Parsing… ${csvImport.total ? Math.round((csvImport.loaded / csvImport.total) * 100) : 0}% · ${csvImport.rows.toLocaleString()} rows`}
+              </span>
+              {csvImport.error && (
+                <button className="csv-chip-remove" onClick={() => setCsvImport(null)} aria-label="Dismiss">×</button>
+              )}
+            </div>
+          )}
+
           {/* CSV chip */}
           {csvContext && (
-            <div className="csv-chip">
+            <div className={csvContext.warnings?.length ? 'csv-chip csv-chip-warned' : 'csv-chip'}>
               <span className="csv-chip-icon">📄</span>
               <span className="csv-chip-name">{csvContext.name}</span>
               <span className="csv-chip-meta">
-                {csvContext.rowCount} rows · {csvContext.headers.length} cols
+                {csvContext.rowCount.toLocaleString()} rows · {csvContext.headers.length} cols
               </span>
               <button className="csv-chip-remove" onClick={() => setCsvContext(null)} aria-label="Remove CSV">×</button>
+              {csvContext.warnings?.map((w) => (
+                <span key={w} className="csv-chip-warning">⚠ {w}</span>
+              ))}
             </div>
           )}
 
@@ -984,11 +1384,15 @@ Make the report beautifully formatted with headers, bullet points, and clear str
           {jsonContext && (
             <div className="json-chip">
               <span className="json-chip-icon">📋</span>
-              <span className="json-chip-name">{jsonContext.name}</span>
+              <span className="json-chip-name">
+                {loadedChannels.length > 1 ? loadedChannels.map((c) => c.title).join(' vs ') : jsonContext.name}
+              </span>
               <span className="json-chip-meta">
-                {jsonContext.videoCount} videos
+                {loadedChannels.length > 1
+                  ? `${loadedChannels.length} channels · ${sessionJsonData.length} videos`
+                  : `${jsonContext.videoCount} videos`}
               </span>
-              <button className="json-chip-remove" onClick={() => { setJsonContext(null); setSessionJsonData(null); }} aria-label="Remove JSON">×</button>
+              <button className="json-chip-remove" onClick={() => { setJsonContext(null); setSessionJsonData(null); setDatasetLinks((prev) => prev.filter((p) => p.kind === 'csv')); }} aria-label="Remove JSON">×</button>
             </div>
           )}
 
@@ -1024,6 +1428,36 @@ Make the report beautifully formatted with headers, bullet points, and clear str
             >
               📎
             </button>
+            <button
+              type="button"
+              className="attach-btn"
+              onClick={() => setLibraryOpen(true)}
+              disabled={streaming}
+              title="Attach a dataset from your library"
+            >
+              🗂
+            </button>
+            <select
+              className="mode-select"
+              value={modeOverride}
+              onChange={(e) => setModeOverride(e.target.value)}
+              disabled={streaming}
+              title="Answer mode for the next message (Auto picks one from the question and the loaded data)"
+            >
+              <option value="auto">Auto</option>
+              {MODES.map((m) => (
+                <option
+                  key={m}
+                  value={m}
+                  disabled={
+                    (m === 'tools' && !sessionCsvRows && !sessionJsonData && !images.length) ||
+                    (m === 'python' && activeProvider?.codeExecution === false)
+                  }
+                >
+                  {MODE_LABELS[m]}
+                </option>
+              ))}
+            </select>
             <input
               ref={inputRef}
               type="text"
@@ -1040,7 +1474,7 @@ Make the report beautifully formatted with headers, bullet points, and clear str
               </button>
             ) : (
               <button
-                onClick={handleSend}
+                onClick={() => handleSend()}
                 disabled={!input.trim() && !images.length && !csvContext && !jsonContext && !(interviewContext?.video && interviewContext?.visualEvaluation)}
               >
                 Send
@@ -1049,6 +1483,15 @@ Make the report beautifully formatted with headers, bullet points, and clear str
           </div>
         </div>
 
+        {/* ── Share and dataset library dialogs ── */}
+        {sharingSession && (
+          <ShareDialog session={sharingSession} onClose={() => setSharingSession(null)} />
+        )}
+
+        {libraryOpen && (
+          <DatasetLibrary onAttach={handleAttachDataset} onClose={() => setLibraryOpen(false)} />
+        )}
+
         {/* ── Final Synthesis modal ── */}
         {finalSynthesis && (
           <div className="final-synthesis-overlay" onClick={() => setFinalSynthesis(null)}>
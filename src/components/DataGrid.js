@@ -0,0 +1,93 @@
+import { useState, useMemo } from 'react';
+
+// Sortable table for `_chartType: 'table'` tool results (query_videos).
+// columns: [{ key, label, numeric }], data: rows keyed by column key.
+// Click a header to sort; click again to flip the direction.
+
+const formatCell = (value, numeric) =>
+  value == null ? '—' : numeric && typeof value === 'number' ? value.toLocaleString() : String(value);
+
+const csvCell = (value) => {
+  const str = value == null ? '' : String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+export default function DataGrid({ title, columns, data, truncated }) {
+  const [sort, setSort] = useState(null); // { key, desc }
+
+  const rows = useMemo(() => {
+    if (!sort) return data;
+    const numeric = columns.find((c) => c.key === sort.key)?.numeric;
+    return [...data].sort((a, b) => {
+      const [x, y] = [a[sort.key], b[sort.key]];
+      if (x == null) return 1;
+      if (y == null) return -1;
+      const cmp = numeric ? x - y : String(x).localeCompare(String(y), undefined, { numeric: true });
+      return sort.desc ? -cmp : cmp;
+    });
+  }, [data, columns, sort]);
+
+  if (!data?.length || !columns?.length) return null;
+
+  const handleSort = (key) =>
+    setSort((prev) => (prev?.key === key ? { key, desc: !prev.desc } : { key, desc: !!columns.find((c) => c.key === key)?.numeric }));
+
+  const handleDownload = () => {
+    const lines = [columns.map((c) => csvCell(c.label)).join(','), ...rows.map((r) => columns.map((c) => csvCell(r[c.key])).join(','))];
+    const blob = new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = `${(title || 'table').replace(/[^a-z0-9]+/gi, '_')}.csv`;
+    link.href = url;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="data-grid-wrap">
+      <div className="data-grid-header">
+        <p className="metric-vs-time-label">{title || 'Results'}</p>
+        <button type="button" className="data-grid-download" onClick={handleDownload}>
+          CSV
+        </button>
+      </div>
+      <div className="data-grid-scroll">
+        <table className="data-grid">
+          <thead>
+            <tr>
+              {columns.map((c) => (
+                <th
+                  key={c.key}
+                  className={c.numeric ? 'numeric' : undefined}
+                  onClick={() => handleSort(c.key)}
+                  aria-sort={sort?.key === c.key ? (sort.desc ? 'descending' : 'ascending') : 'none'}
+                >
+                  {c.label}
+                  {sort?.key === c.key && <span className="data-grid-arrow">{sort.desc ? '▼' : '▲'}</span>}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r, i) => (
+              <tr key={i}>
+                {columns.map((c) => (
+                  <td key={c.key} className={c.numeric ? 'numeric' : undefined}>
+                    {c.key === 'title' && r.video_url ? (
+                      <a href={r.video_url} target="_blank" rel="noopener noreferrer">
+                        {formatCell(r[c.key])}
+                      </a>
+                    ) : (
+                      formatCell(r[c.key], c.numeric)
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {truncated && <p className="data-grid-note">Showing the first {data.length} rows.</p>}
+    </div>
+  );
+}
@@ -0,0 +1,216 @@
+import { useState, useEffect } from 'react';
+import { listDatasets, updateDataset, deleteDataset } from '../services/mongoApi';
+
+// The user's stored CSV / JSON files (server/datasets.js): attach one to the
+// chat, rename, tag, delete, and compare a file's versions.
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+const describeVersion = (v) =>
+  [
+    `v${v.version}`,
+    v.rowCount != null && `${v.rowCount.toLocaleString()} rows`,
+    v.columns && `${v.columns.length} columns`,
+    formatSize(v.size),
+    new Date(v.createdAt).toLocaleDateString(),
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+// Row count and column set changes from version a to version b
+const diffVersions = (a, b) => {
+  const before = new Set(a.columns || []);
+  const after = new Set(b.columns || []);
+  return {
+    rows: a.rowCount != null && b.rowCount != null ? b.rowCount - a.rowCount : null,
+    added: [...after].filter((c) => !before.has(c)),
+    removed: [...before].filter((c) => !after.has(c)),
+    known: Boolean(a.columns && b.columns),
+  };
+};
+
+function VersionDiff({ versions }) {
+  const [fromId, setFromId] = useState(versions[1].id);
+  const [toId, setToId] = useState(versions[0].id);
+  const from = versions.find((v) => v.id === fromId) || versions[1];
+  const to = versions.find((v) => v.id === toId) || versions[0];
+  const diff = diffVersions(from, to);
+  const pick = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)}>
+      {versions.map((v) => (
+        <option key={v.id} value={v.id}>v{v.version}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="dataset-library-diff">
+      <div>
+        Compare {pick(fromId, setFromId)} → {pick(toId, setToId)}
+      </div>
+      {diff.rows !== null && (
+        <p>
+          Rows: {from.rowCount.toLocaleString()} → {to.rowCount.toLocaleString()}{' '}
+          <span className={diff.rows < 0 ? 'dataset-library-removed' : 'dataset-library-added'}>
+            ({diff.rows >= 0 ? '+' : ''}{diff.rows.toLocaleString()})
+          </span>
+        </p>
+      )}
+      {!diff.known ? (
+        <p className="share-dialog-hint">Column sets weren't recorded for one of these versions.</p>
+      ) : !diff.added.length && !diff.removed.length ? (
+        <p>Same {to.columns.length} columns.</p>
+      ) : (
+        <>
+          {diff.added.length > 0 && (
+            <p>Columns added: <span className="dataset-library-added">{diff.added.join(', ')}</span></p>
+          )}
+          {diff.removed.length > 0 && (
+            <p>Columns removed: <span className="dataset-library-removed">{diff.removed.join(', ')}</span></p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default function DatasetLibrary({ onAttach, onClose }) {
+  const [entries, setEntries] = useState(null);
+  const [filter, setFilter] = useState('');
+  const [expanded, setExpanded] = useState(null);
+  const [editing, setEditing] = useState(null); // { name, field: 'name' | 'tags', value }
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    listDatasets()
+      .then(setEntries)
+      .catch((err) => setError(err.message));
+  }, []);
+
+  const run = async (action) => {
+    setError('');
+    try {
+      await action();
+      setEntries(await listDatasets());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSave = (entry) =>
+    run(async () => {
+      const id = entry.versions[0].id;
+      if (editing.field === 'name') await updateDataset(id, { name: editing.value });
+      else await updateDataset(id, { tags: editing.value.split(',') });
+      if (expanded === entry.name && editing.field === 'name') setExpanded(editing.value.trim());
+      setEditing(null);
+    });
+
+  const q = filter.trim().toLowerCase();
+  const shown = (entries || []).filter(
+    (e) => !q || e.name.toLowerCase().includes(q) || e.tags.some((t) => t.toLowerCase().includes(q))
+  );
+
+  return (
+    <div className="final-synthesis-overlay" onClick={onClose}>
+      <div className="final-synthesis-modal share-dialog dataset-library" onClick={(e) => e.stopPropagation()}>
+        <div className="final-synthesis-header">
+          <h3>Dataset library</h3>
+          <button type="button" className="final-synthesis-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+        <div className="share-dialog-body">
+          <p className="share-dialog-hint">
+            Every CSV and JSON file you load is kept here. Loading a file under a name you already have adds a new version.
+          </p>
+          <div className="share-dialog-create">
+            <input
+              type="search"
+              placeholder="Filter by name or tag…"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+            />
+          </div>
+          {error && <p className="final-synthesis-error">{error}</p>}
+          {entries === null ? (
+            <p className="share-dialog-hint">Loading datasets…</p>
+          ) : shown.length === 0 ? (
+            <p className="share-dialog-hint">{entries.length ? 'No matching datasets.' : 'No datasets yet — drop a CSV or JSON file into a chat.'}</p>
+          ) : (
+            shown.map((entry) => {
+              const latest = entry.versions[0];
+              const isEditing = editing?.name === entry.name;
+              return (
+                <div key={entry.name} className="dataset-library-entry">
+                  <div className="share-dialog-item">
+                    {isEditing ? (
+                      <input
+                        autoFocus
+                        value={editing.value}
+                        placeholder={editing.field === 'tags' ? 'Comma-separated tags' : 'Name'}
+                        onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') handleSave(entry);
+                          if (e.key === 'Escape') setEditing(null);
+                        }}
+                      />
+                    ) : (
+                      <div className="dataset-library-title">
+                        <span className="dataset-library-kind">{entry.kind.toUpperCase()}</span>
+                        <strong>{entry.name}</strong>
+                        {entry.tags.map((t) => (
+                          <span key={t} className="dataset-library-tag">{t}</span>
+                        ))}
+                      </div>
+                    )}
+                    {isEditing ? (
+                      <>
+                        <button type="button" onClick={() => handleSave(entry)}>Save</button>
+                        <button type="button" onClick={() => setEditing(null)}>Cancel</button>
+                      </>
+                    ) : (
+                      <>
+                        <button type="button" onClick={() => onAttach(latest)}>Attach</button>
+                        <button type="button" onClick={() => setEditing({ name: entry.name, field: 'name', value: entry.name })}>Rename</button>
+                        <button type="button" onClick={() => setEditing({ name: entry.name, field: 'tags', value: entry.tags.join(', ') })}>Tags</button>
+                        <button
+                          type="button"
+                          className="share-dialog-revoke"
+                          onClick={() => run(() => deleteDataset(latest.id, { allVersions: true }))}
+                        >
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </div>
+                  <button
+                    type="button"
+                    className="dataset-library-toggle"
+                    onClick={() => setExpanded(expanded === entry.name ? null : entry.name)}
+                  >
+                    {expanded === entry.name ? '▾' : '▸'} {describeVersion(latest)}
+                    {entry.versions.length > 1 && ` · ${entry.versions.length} versions`}
+                  </button>
+                  {expanded === entry.name && (
+                    <div className="dataset-library-versions">
+                      {entry.versions.map((v) => (
+                        <div key={v.id} className="share-dialog-item">
+                          <span className="share-dialog-meta">{describeVersion(v)}</span>
+                          <button type="button" onClick={() => onAttach(v)}>Attach</button>
+                          <button type="button" className="share-dialog-revoke" onClick={() => run(() => deleteDataset(v.id))}>
+                            Delete
+                          </button>
+                        </div>
+                      ))}
+                      {entry.versions.length > 1 && <VersionDiff key={entry.versions.length} versions={entry.versions} />}
+                    </div>
+                  )}
+                </div>
+              );
+            })
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
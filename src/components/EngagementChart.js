@@ -36,16 +36,15 @@ function CustomTooltip({ active, payload, label }) {
           )}
         </p>
       ))}
+      {payload[0].payload.p != null && (
+        <p style={{ margin: '0.4rem 0 0', opacity: 0.7 }}>p = {payload[0].payload.p}</p>
+      )}
     </div>
   );
 }
 
 export default function EngagementChart({ data, metricColumn = 'Favorite Count' }) {
-  console.log('[EngagementChart] render called, data:', data);
-  if (!data?.length) {
-    console.warn('[EngagementChart] no data — chart will not render');
-    return null;
-  }
+  if (!data?.length) return null;
 
   return (
     <div className="engagement-chart-wrap">
@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+
+// Growth curve: a metric against days since release, one line per series
+// (e.g. the selected video and the channel median at the same age).
+// data: [{ day, <series.key>: value }], series: [{ key, name }]
+
+const COLORS = ['#818cf8', '#34d399', '#f472b6', '#fbbf24'];
+
+const compact = (v) => (v >= 1000000 ? +(v / 1000000).toFixed(1) + 'M' : v >= 1000 ? +(v / 1000).toFixed(1) + 'K' : v);
+
+function CustomTooltip({ active, payload, label }) {
+  if (!active || !payload?.length) return null;
+  return (
+    <div style={{
+      background: 'rgba(15, 15, 35, 0.92)',
+      border: '1px solid rgba(255,255,255,0.12)',
+      borderRadius: 10,
+      padding: '0.65rem 0.9rem',
+      fontSize: '0.82rem',
+      fontFamily: 'Inter, sans-serif',
+      color: '#e2e8f0',
+      boxShadow: '0 8px 24px rgba(0,0,0,0.4)',
+    }}>
+      <p style={{ margin: '0 0 0.4rem', fontWeight: 700, color: '#fff' }}>Day {label}</p>
+      {payload.map((p) => (
+        <p key={p.dataKey} style={{ margin: '0.15rem 0', color: p.stroke }}>
+          {p.name}: <strong>{Math.round(Number(p.value)).toLocaleString()}</strong>
+        </p>
+      ))}
+    </div>
+  );
+}
+
+export default function GrowthChart({ data, series, title, metricField }) {
+  const [enlarged, setEnlarged] = useState(false);
+  if (!data?.length || !series?.length) return null;
+
+  const chartContent = (
+    <ResponsiveContainer width="100%" height={300}>
+      <LineChart data={data} margin={{ top: 8, right: 16, left: 0, bottom: 24 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.07)" vertical={false} />
+        <XAxis
+          dataKey="day"
+          type="number"
+          domain={[0, 'dataMax']}
+          tick={{ fill: 'rgba(255,255,255,0.6)', fontSize: 11 }}
+          axisLine={{ stroke: 'rgba(255,255,255,0.12)' }}
+          tickLine={false}
+          label={{ value: 'Days since release', position: 'insideBottom', offset: -12, fill: 'rgba(255,255,255,0.5)', fontSize: 11 }}
+        />
+        <YAxis
+          tick={{ fill: 'rgba(255,255,255,0.5)', fontSize: 11 }}
+          axisLine={false}
+          tickLine={false}
+          width={55}
+          tickFormatter={compact}
+        />
+        <Tooltip content={<CustomTooltip />} />
+        <Legend verticalAlign="top" height={28} wrapperStyle={{ fontSize: 12, color: 'rgba(255,255,255,0.75)' }} />
+        {series.map((s, i) => (
+          <Line
+            key={s.key}
+            type="monotone"
+            dataKey={s.key}
+            name={s.name}
+            stroke={COLORS[i % COLORS.length]}
+            strokeWidth={2}
+            strokeDasharray={i > 0 ? '5 4' : undefined}
+            dot={i === 0 ? { fill: COLORS[0], r: 3 } : false}
+            connectNulls
+          />
+        ))}
+      </LineChart>
+    </ResponsiveContainer>
+  );
+
+  const handleDownload = (e) => {
+    e.stopPropagation();
+    const wrap = document.querySelector('.metric-vs-time-chart-wrap.enlarged');
+    const svg = wrap?.querySelector('svg');
+    if (svg) {
+      const svgData = new XMLSerializer().serializeToString(svg);
+      const blob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.download = `growth_${metricField || 'metric'}.svg`;
+      link.href = url;
+      link.click();
+      URL.revokeObjectURL(url);
+    }
+  };
+
+  return (
+    <div className={`metric-vs-time-chart-wrap growth-chart ${enlarged ? 'enlarged' : ''}`}>
+      <div
+        className="metric-vs-time-chart-inner"
+        onClick={() => setEnlarged(!enlarged)}
+        role="button"
+        tabIndex={0}
+        onKeyDown={(e) => e.key === 'Enter' && setEnlarged(!enlarged)}
+      >
+        <p className="metric-vs-time-label">{title || `${metricField || 'Metric'} growth`}</p>
+        {chartContent}
+        {enlarged && (
+          <div className="metric-vs-time-actions">
+            <button type="button" onClick={handleDownload}>
+              Download
+            </button>
+            <button type="button" onClick={(e) => { e.stopPropagation(); setEnlarged(false); }}>
+              Close
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
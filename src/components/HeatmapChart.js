@@ -0,0 +1,57 @@
+// Correlation matrix from the correlate tool: labels × labels cells coloured
+// by r (indigo positive, pink negative, stronger = more opaque). Hover a cell
+// for its p-value and sample size.
+
+const cellColor = (r) =>
+  r == null ? 'transparent' : r >= 0 ? `rgba(129, 140, 248, ${Math.abs(r) * 0.85})` : `rgba(244, 114, 182, ${Math.abs(r) * 0.85})`;
+
+export default function HeatmapChart({ title, labels, data, pValues, counts }) {
+  if (!labels?.length || !data?.length) return null;
+
+  return (
+    <div className="data-grid-wrap heatmap-wrap">
+      <p className="metric-vs-time-label">{title || 'Correlation'}</p>
+      <div className="data-grid-scroll">
+        <table className="heatmap">
+          <thead>
+            <tr>
+              <th />
+              {labels.map((l) => (
+                <th key={l} className="heatmap-col-label">
+                  <span>{l}</span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {data.map((row, i) => (
+              <tr key={labels[i]}>
+                <th className="heatmap-row-label">{labels[i]}</th>
+                {row.map((r, j) => (
+                  <td
+                    key={labels[j]}
+                    style={{ background: cellColor(r) }}
+                    title={
+                      i === j
+                        ? labels[i]
+                        : `${labels[i]} × ${labels[j]}: r = ${r ?? 'n/a'}` +
+                          (pValues?.[i]?.[j] != null ? `, p = ${pValues[i][j]}` : '') +
+                          (counts?.[i]?.[j] != null ? `, n = ${counts[i][j]}` : '')
+                    }
+                  >
+                    {r == null ? '—' : r.toFixed(2)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="heatmap-legend">
+        <span>−1</span>
+        <span className="heatmap-legend-bar" />
+        <span>+1</span>
+      </div>
+    </div>
+  );
+}
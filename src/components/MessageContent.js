@@ -0,0 +1,275 @@
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import EngagementChart from './EngagementChart';
+import MetricVsTimeChart from './MetricVsTimeChart';
+import GrowthChart from './GrowthChart';
+import DataGrid from './DataGrid';
+import StatChart from './StatChart';
+import HeatmapChart from './HeatmapChart';
+import VideoCard from './VideoCard';
+import EnlargeableImage from './EnlargeableImage';
+import { STAT_CHART_TYPES } from '../services/chartTools';
+import { AGENT_STOP_REASONS } from '../services/gemini';
+
+// Read-only rendering of one chat message below its meta line: attachment
+// badges, images, the text, tool calls, charts, video cards, generated images
+// and search sources. Shared by the chat and the public shared-session view.
+// `body` replaces the text (e.g. the inline editor while re-asking).
+
+// ── Agent trace (live steps of a Tools answer, see runAgentLoop) ────────────
+// Open while the answer is being worked out; each call shows its result once it
+// has run. Not saved — reloaded messages show the tool calls log instead.
+
+function AgentTrace({ trace, running }) {
+  const results = new Map(trace.filter((s) => s.type === 'result').map((s) => [s.id, s]));
+  const calls = trace.filter((s) => s.type === 'call').length;
+  return (
+    <details className="tool-calls-details agent-trace" open={running}>
+      <summary className="tool-calls-summary">
+        🔧 {calls} tool{calls === 1 ? '' : 's'} {running ? 'so far…' : 'used'}
+      </summary>
+      <div className="tool-calls-list">
+        {trace.map((step, i) => {
+          if (step.type === 'thought') return <div key={i} className="agent-trace-thought">💭 {step.text}</div>;
+          if (step.type === 'stop') return <div key={i} className="agent-trace-stop">■ {AGENT_STOP_REASONS[step.reason]}</div>;
+          if (step.type !== 'call') return null;
+          const result = results.get(step.id);
+          return (
+            <div key={i} className="tool-call-item">
+              <span className="tool-call-name">{step.name}</span>
+              <span className="tool-call-args">{JSON.stringify(step.args)}</span>
+              {result ? (
+                <span className={result.error ? 'tool-call-result agent-trace-error' : 'tool-call-result'}>→ {result.summary}</span>
+              ) : (
+                <span className="tool-call-args">running…</span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </details>
+  );
+}
+
+// ── Structured part renderer (code execution responses) ───────────────────────
+
+function StructuredParts({ parts }) {
+  return (
+    <>
+      {parts.map((part, i) => {
+        if (part.type === 'text' && part.text?.trim()) {
+          return (
+            <div key={i} className="part-text">
+              <ReactMarkdown remarkPlugins={[remarkGfm]}>{part.text}</ReactMarkdown>
+            </div>
+          );
+        }
+        if (part.type === 'code') {
+          return (
+            <div key={i} className="part-code">
+              <div className="part-code-header">
+                <span className="part-code-lang">
+                  {part.language === 'PYTHON' ? 'Python' : part.language}
+                </span>
+              </div>
+              <pre className="part-code-body">
+                <code>{part.code}</code>
+              </pre>
+            </div>
+          );
+        }
+        if (part.type === 'result') {
+          const ok = part.outcome === 'OUTCOME_OK';
+          return (
+            <div key={i} className="part-result">
+              <div className="part-result-header">
+                <span className={`part-result-badge ${ok ? 'ok' : 'err'}`}>
+                  {ok ? '✓ Output' : '✗ Error'}
+                </span>
+              </div>
+              <pre className="part-result-body">{part.output}</pre>
+            </div>
+          );
+        }
+        if (part.type === 'image') {
+          return (
+            <img
+              key={i}
+              src={`data:${part.mimeType};base64,${part.data}`}
+              alt="Generated plot"
+              className="part-image"
+            />
+          );
+        }
+        return null;
+      })}
+    </>
+  );
+}
+
+// ── Main component ────────────────────────────────────────────────────────────
+
+export default function MessageContent({ message: m, body = null }) {
+  return (
+    <>
+      {/* CSV badge on user messages */}
+      {m.csvName && (
+        <div className="msg-csv-badge">
+          📄 {m.csvName}
+        </div>
+      )}
+      {/* JSON badge on user messages */}
+      {m.jsonName && (
+        <div className="msg-json-badge">
+          📋 {m.jsonName}
+        </div>
+      )}
+
+      {/* Image attachments */}
+      {m.images?.length > 0 && (
+        <div className="chat-msg-images">
+          {m.images.map((img, i) => (
+            <img key={i} src={`data:${img.mimeType};base64,${img.data}`} alt="" className="chat-msg-thumb" />
+          ))}
+        </div>
+      )}
+
+      {/* Message body */}
+      <div className="chat-msg-content">
+        {m.role === 'model' ? (
+          m.parts ? (
+            <StructuredParts parts={m.parts} />
+          ) : m.content ? (
+            <ReactMarkdown remarkPlugins={[remarkGfm]}>{m.content}</ReactMarkdown>
+          ) : (
+            <span className="thinking-dots">
+              <span /><span /><span />
+            </span>
+          )
+        ) : body ? (
+          body
+        ) : (
+          m.content
+        )}
+      </div>
+
+      {/* Live agent trace, or the saved tool calls log */}
+      {m.trace?.length > 0 ? (
+        <AgentTrace trace={m.trace} running={!m.content} />
+      ) : m.toolCalls?.length > 0 && (
+        <details className="tool-calls-details">
+          <summary className="tool-calls-summary">
+            🔧 {m.toolCalls.length} tool{m.toolCalls.length > 1 ? 's' : ''} used
+          </summary>
+          <div className="tool-calls-list">
+            {m.toolCalls.map((tc, i) => (
+              <div key={i} className="tool-call-item">
+                <span className="tool-call-name">{tc.name}</span>
+                <span className="tool-call-args">{JSON.stringify(tc.args)}</span>
+                {tc.result && !tc.result._chartType && (
+                  <span className="tool-call-result">
+                    → {JSON.stringify(tc.result).slice(0, 200)}
+                    {JSON.stringify(tc.result).length > 200 ? '…' : ''}
+                  </span>
+                )}
+                {tc.result?._chartType && (
+                  <span className="tool-call-result">→ rendered {tc.result._chartType === 'table' ? 'table' : 'chart'}</span>
+                )}
+                {tc.result?._displayType === 'video' && (
+                  <span className="tool-call-result">→ video card</span>
+                )}
+              </div>
+            ))}
+          </div>
+        </details>
+      )}
+
+      {/* Charts from tool calls */}
+      {m.charts?.map((chart, ci) =>
+        chart._chartType === 'engagement' ? (
+          <EngagementChart
+            key={ci}
+            data={chart.data}
+            metricColumn={chart.metricColumn}
+          />
+        ) : chart._chartType === 'metricVsTime' ? (
+          <MetricVsTimeChart
+            key={ci}
+            data={chart.data}
+            metricField={chart.metricField}
+            series={chart.series}
+          />
+        ) : chart._chartType === 'growth' ? (
+          <GrowthChart
+            key={ci}
+            data={chart.data}
+            series={chart.series}
+            title={chart.title}
+            metricField={chart.metricField}
+          />
+        ) : STAT_CHART_TYPES.includes(chart._chartType) ? (
+          <StatChart key={ci} chart={chart} />
+        ) : chart._chartType === 'heatmap' ? (
+          <HeatmapChart
+            key={ci}
+            title={chart.title}
+            labels={chart.labels}
+            data={chart.data}
+            pValues={chart.pValues}
+            counts={chart.counts}
+          />
+        ) : chart._chartType === 'table' ? (
+          <DataGrid
+            key={ci}
+            title={chart.title}
+            columns={chart.columns}
+            data={chart.data}
+            truncated={chart.truncated}
+          />
+        ) : null
+      )}
+
+      {/* Video cards from play_video tool */}
+      {m.toolCalls?.map((tc, i) =>
+        tc.result?._displayType === 'video' ? (
+          <VideoCard
+            key={`vid-${i}`}
+            title={tc.result.title}
+            thumbnail={tc.result.thumbnail}
+            url={tc.result.url}
+          />
+        ) : null
+      )}
+
+      {/* Generated images from generateImage tool */}
+      {m.generatedImages?.map((img, i) => (
+        <EnlargeableImage
+          key={i}
+          data={img.data}
+          mimeType={img.mimeType || 'image/png'}
+        />
+      ))}
+
+      {/* Search sources */}
+      {m.grounding?.groundingChunks?.length > 0 && (
+        <div className="chat-msg-sources">
+          <span className="sources-label">Sources</span>
+          <div className="sources-list">
+            {m.grounding.groundingChunks.map((chunk, i) =>
+              chunk.web ? (
+                <a key={i} href={chunk.web.uri} target="_blank" rel="noreferrer" className="source-link">
+                  {chunk.web.title || chunk.web.uri}
+                </a>
+              ) : null
+            )}
+          </div>
+          {m.grounding.webSearchQueries?.length > 0 && (
+            <div className="sources-queries">
+              Searched: {m.grounding.webSearchQueries.join(' · ')}
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
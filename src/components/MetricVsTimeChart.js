@@ -6,9 +6,16 @@ import {
   YAxis,
   CartesianGrid,
   Tooltip,
+  Legend,
   ResponsiveContainer,
 } from 'recharts';
 
+// One line (data: [{ label, value }]) or, with `series: [{ key, name }]`, one
+// line per series over shared rows (data: [{ label, <series.key>: value }]),
+// e.g. one per channel when comparing channels.
+
+const COLORS = ['#818cf8', '#34d399', '#f472b6', '#fbbf24', '#38bdf8', '#c084fc'];
+
 function CustomTooltip({ active, payload, label }) {
   if (!active || !payload?.length) return null;
   return (
@@ -23,7 +30,7 @@ function CustomTooltip({ active, payload, label }) {
       boxShadow: '0 8px 24px rgba(0,0,0,0.4)',
     }}>
       <p style={{ margin: '0 0 0.4rem', fontWeight: 700, color: '#fff' }}>{label}</p>
-      {payload.map((p) => (
+      {payload.filter((p) => p.value != null).map((p) => (
         <p key={p.dataKey} style={{ margin: '0.15rem 0', color: p.stroke }}>
           {p.name}: <strong>{Number(p.value).toLocaleString()}</strong>
         </p>
@@ -32,11 +39,12 @@ function CustomTooltip({ active, payload, label }) {
   );
 }
 
-export default function MetricVsTimeChart({ data, metricField }) {
+export default function MetricVsTimeChart({ data, metricField, series }) {
   const [enlarged, setEnlarged] = useState(false);
   if (!data?.length) return null;
 
   const chartData = data.map((d) => ({ ...d, name: d.label, value: d.value }));
+  const multi = series?.length > 0;
 
   const chartContent = (
     <ResponsiveContainer width="100%" height={300}>
@@ -56,7 +64,7 @@ export default function MetricVsTimeChart({ data, metricField }) {
           tickLine={false}
           angle={-30}
           textAnchor="end"
-          interval={0}
+          interval={multi ? 'preserveStartEnd' : 0}
         />
         <YAxis
           tick={{ fill: 'rgba(255,255,255,0.5)', fontSize: 11 }}
@@ -66,15 +74,34 @@ export default function MetricVsTimeChart({ data, metricField }) {
           tickFormatter={(v) => v >= 1000000 ? (v / 1000000) + 'M' : v >= 1000 ? (v / 1000) + 'K' : v}
         />
         <Tooltip content={<CustomTooltip />} cursor={{ fill: 'rgba(255,255,255,0.04)' }} />
-        <Line
-          type="monotone"
-          dataKey="value"
-          name={metricField || 'Value'}
-          stroke="#818cf8"
-          strokeWidth={2}
-          dot={{ fill: '#818cf8', r: 4 }}
-          activeDot={{ r: 6 }}
-        />
+        {multi ? (
+          <Legend verticalAlign="top" height={28} wrapperStyle={{ fontSize: 12, color: 'rgba(255,255,255,0.75)' }} />
+        ) : null}
+        {multi ? (
+          series.map((s, i) => (
+            <Line
+              key={s.key}
+              type="monotone"
+              dataKey={s.key}
+              name={s.name}
+              stroke={COLORS[i % COLORS.length]}
+              strokeWidth={2}
+              dot={{ fill: COLORS[i % COLORS.length], r: 3 }}
+              activeDot={{ r: 5 }}
+              connectNulls
+            />
+          ))
+        ) : (
+          <Line
+            type="monotone"
+            dataKey="value"
+            name={metricField || 'Value'}
+            stroke="#818cf8"
+            strokeWidth={2}
+            dot={{ fill: '#818cf8', r: 4 }}
+            activeDot={{ r: 6 }}
+          />
+        )}
       </LineChart>
     </ResponsiveContainer>
   );
@@ -0,0 +1,69 @@
+// Provider / model / temperature dropdowns shown in the chat header.
+// `value` is { provider, model, temperature }; temperature null = model default.
+
+const TEMPERATURES = [0, 0.3, 0.7, 1, 1.5];
+
+const sameSettings = (a, b) =>
+  !!a && !!b && a.provider === b.provider && a.model === b.model && (a.temperature ?? null) === (b.temperature ?? null);
+
+export default function ModelPicker({ providers, value, defaultValue, onChange, onSaveDefault, disabled }) {
+  if (!providers?.length || !value) return null;
+
+  const configured = providers.filter((p) => p.configured);
+  const provider = providers.find((p) => p.name === value.provider);
+  const model = provider?.models.find((m) => m.id === value.model);
+  const isDefault = sameSettings(value, defaultValue);
+
+  const handleModel = (e) => {
+    const [name, id] = e.target.value.split(':');
+    const next = providers.find((p) => p.name === name)?.models.find((m) => m.id === id);
+    onChange({ provider: name, model: id, temperature: next?.temperature ? value.temperature : null });
+  };
+
+  const handleTemperature = (e) => {
+    onChange({ ...value, temperature: e.target.value === '' ? null : Number(e.target.value) });
+  };
+
+  return (
+    <div className="model-picker">
+      <select
+        className="model-picker-select"
+        value={`${value.provider}:${value.model}`}
+        onChange={handleModel}
+        disabled={disabled}
+        title="Model for this chat"
+      >
+        {configured.map((p) => (
+          <optgroup key={p.name} label={p.label}>
+            {p.models.map((m) => (
+              <option key={m.id} value={`${p.name}:${m.id}`}>{m.label}</option>
+            ))}
+          </optgroup>
+        ))}
+      </select>
+      {model?.temperature && (
+        <select
+          className="model-picker-select"
+          value={value.temperature ?? ''}
+          onChange={handleTemperature}
+          disabled={disabled}
+          title="Temperature"
+        >
+          <option value="">Temp: default</option>
+          {TEMPERATURES.map((t) => (
+            <option key={t} value={t}>Temp: {t}</option>
+          ))}
+        </select>
+      )}
+      <button
+        type="button"
+        className="model-picker-default"
+        onClick={onSaveDefault}
+        disabled={disabled || isDefault}
+        title={isDefault ? 'This is your default for new chats' : 'Use this model for new chats'}
+      >
+        {isDefault ? '★' : '☆'}
+      </button>
+    </div>
+  );
+}
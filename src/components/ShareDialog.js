@@ -0,0 +1,109 @@
+import { useState, useEffect } from 'react';
+import { createShare, getShares, revokeShare } from '../services/mongoApi';
+
+// Manage read-only links for one session: mint (optionally expiring), copy, revoke.
+
+const EXPIRY_OPTIONS = [
+  { label: 'Never expires', days: null },
+  { label: 'Expires in 1 day', days: 1 },
+  { label: 'Expires in 7 days', days: 7 },
+  { label: 'Expires in 30 days', days: 30 },
+];
+
+const shareUrl = (token) => `${window.location.origin}/shared/${token}`;
+
+export default function ShareDialog({ session, onClose }) {
+  const [shares, setShares] = useState(null);
+  const [expiryIndex, setExpiryIndex] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getShares(session.id)
+      .then(setShares)
+      .catch((err) => setError(err.message));
+  }, [session.id]);
+
+  const handleCreate = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const share = await createShare(session.id, EXPIRY_OPTIONS[expiryIndex].days);
+      setShares((prev) => [share, ...(prev || [])]);
+      handleCopy(share.token);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    setError('');
+    try {
+      await revokeShare(session.id, token);
+      setShares((prev) => prev.filter((s) => s.token !== token));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCopy = async (token) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(token));
+      setCopied(token);
+    } catch {
+      // Clipboard blocked (e.g. insecure origin) — the link is still shown to copy by hand
+    }
+  };
+
+  return (
+    <div className="final-synthesis-overlay" onClick={onClose}>
+      <div className="final-synthesis-modal share-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="final-synthesis-header">
+          <h3>Share “{session.title || 'Chat'}”</h3>
+          <button type="button" className="final-synthesis-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+        <div className="share-dialog-body">
+          <p className="share-dialog-hint">
+            Anyone with a link can read this chat — including its charts and final synthesis report — without logging in.
+          </p>
+          <div className="share-dialog-create">
+            <select value={expiryIndex} onChange={(e) => setExpiryIndex(Number(e.target.value))}>
+              {EXPIRY_OPTIONS.map((o, i) => (
+                <option key={o.label} value={i}>{o.label}</option>
+              ))}
+            </select>
+            <button type="button" className="final-synthesis-download" onClick={handleCreate} disabled={busy}>
+              {busy ? 'Creating…' : 'Create link'}
+            </button>
+          </div>
+          {error && <p className="final-synthesis-error">{error}</p>}
+          <div className="share-dialog-list">
+            {shares === null ? (
+              <p className="share-dialog-hint">Loading links…</p>
+            ) : shares.length === 0 ? (
+              <p className="share-dialog-hint">No active links.</p>
+            ) : (
+              shares.map((s) => (
+                <div key={s.token} className="share-dialog-item">
+                  <input readOnly value={shareUrl(s.token)} onFocus={(e) => e.target.select()} />
+                  <span className="share-dialog-meta">
+                    {s.expiresAt ? `Expires ${new Date(s.expiresAt).toLocaleDateString()}` : 'No expiry'}
+                  </span>
+                  <button type="button" onClick={() => handleCopy(s.token)}>
+                    {copied === s.token ? 'Copied' : 'Copy'}
+                  </button>
+                  <button type="button" className="share-dialog-revoke" onClick={() => handleRevoke(s.token)}>
+                    Revoke
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
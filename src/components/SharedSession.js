@@ -0,0 +1,71 @@
+import { useState, useEffect } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { getSharedSession, sharedExportUrl } from '../services/mongoApi';
+import MessageContent from './MessageContent';
+import './Chat.css';
+
+// Public, read-only view of a shared chat (/shared/:token). No login needed.
+export default function SharedSession({ token }) {
+  const [shared, setShared] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getSharedSession(token)
+      .then(setShared)
+      .catch((err) => setError(err.message));
+  }, [token]);
+
+  if (error || !shared) {
+    return (
+      <div className="shared-session">
+        <p className="shared-session-status">{error || 'Loading shared chat…'}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="shared-session">
+      <header className="chat-header">
+        <div className="shared-session-title">
+          <h2 className="chat-header-title">{shared.title || 'Shared chat'}</h2>
+          <span className="shared-session-meta">
+            Shared by {shared.owner} · read-only
+            {shared.expiresAt && ` · link expires ${new Date(shared.expiresAt).toLocaleDateString()}`}
+          </span>
+        </div>
+        <a className="session-menu-btn shared-session-export" href={sharedExportUrl(token, 'markdown')}>
+          Markdown
+        </a>
+        <a className="session-menu-btn shared-session-export" href={sharedExportUrl(token, 'html')}>
+          HTML
+        </a>
+      </header>
+
+      <div className="chat-messages">
+        {shared.messages.map((m) => (
+          <div key={m.id} className={`chat-msg ${m.role}`}>
+            <div className="chat-msg-meta">
+              <span className="chat-msg-role">{m.role === 'user' ? shared.owner : 'Lisa'}</span>
+              <span className="chat-msg-time">
+                {new Date(m.timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+              </span>
+            </div>
+            <MessageContent message={m} />
+          </div>
+        ))}
+
+        {shared.finalSynthesis?.report && (
+          <section className="final-synthesis-modal shared-session-synthesis">
+            <div className="final-synthesis-header">
+              <h3>Final Synthesis Report</h3>
+            </div>
+            <div className="final-synthesis-content">
+              <ReactMarkdown remarkPlugins={[remarkGfm]}>{shared.finalSynthesis.report}</ReactMarkdown>
+            </div>
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,210 @@
+import { useState } from 'react';
+import {
+  BarChart,
+  Bar,
+  ScatterChart,
+  Scatter,
+  ReferenceLine,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from 'recharts';
+
+// Charts from the make_chart tool (src/services/chartTools.js):
+//   bar / histogram — data: [{ name, value | count }]
+//   scatter         — data: [{ x, y, label }], optional trend { from, to, slope, intercept, r2 }
+//   box             — data: [{ name, min, q1, median, q3, max, mean, n, outlierCount }]
+
+const COLOR = '#818cf8';
+const ACCENT = '#34d399';
+
+const compact = (v) =>
+  Math.abs(v) >= 1000000 ? +(v / 1000000).toFixed(1) + 'M' : Math.abs(v) >= 1000 ? +(v / 1000).toFixed(1) + 'K' : +Number(v).toFixed(2);
+
+const tooltipStyle = {
+  background: 'rgba(15, 15, 35, 0.92)',
+  border: '1px solid rgba(255,255,255,0.12)',
+  borderRadius: 10,
+  padding: '0.65rem 0.9rem',
+  fontSize: '0.82rem',
+  fontFamily: 'Inter, sans-serif',
+  color: '#e2e8f0',
+  boxShadow: '0 8px 24px rgba(0,0,0,0.4)',
+  maxWidth: 280,
+};
+
+function CustomTooltip({ active, payload, chart }) {
+  if (!active || !payload?.length) return null;
+  const d = payload[0].payload;
+  const line = (label, value) => (
+    <p key={label} style={{ margin: '0.15rem 0' }}>
+      {label}: <strong>{typeof value === 'number' ? value.toLocaleString() : value}</strong>
+    </p>
+  );
+  return (
+    <div style={tooltipStyle}>
+      {chart._chartType === 'scatter' ? (
+        <>
+          {d.label && <p style={{ margin: '0 0 0.4rem', fontWeight: 700, color: '#fff' }}>{d.label}</p>}
+          {line(chart.xLabel, d.x)}
+          {line(chart.yLabel, d.y)}
+        </>
+      ) : chart._chartType === 'box' ? (
+        <>
+          <p style={{ margin: '0 0 0.4rem', fontWeight: 700, color: '#fff' }}>{d.name}</p>
+          {[['max', d.max], ['q3', d.q3], ['median', d.median], ['q1', d.q1], ['min', d.min], ['mean', d.mean], ['n', d.n]].map(([k, v]) => line(k, v))}
+          {d.outlierCount > 0 && line('outliers', d.outlierCount)}
+        </>
+      ) : (
+        <>
+          <p style={{ margin: '0 0 0.4rem', fontWeight: 700, color: '#fff' }}>{d.name}</p>
+          {chart._chartType === 'histogram' ? line('count', d.count) : line(chart.yLabel, d.value)}
+          {chart._chartType === 'bar' && d.count !== d.value && line('rows', d.count)}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Range bar [min, max] drawn as a box plot: whisker, q1–q3 box, median line
+function BoxShape({ x, y, width, height, payload }) {
+  if (payload == null || height == null) return null;
+  const span = payload.max - payload.min;
+  const py = (v) => (span ? y + (height * (payload.max - v)) / span : y);
+  const cx = x + width / 2;
+  const boxW = Math.max(width * 0.6, 6);
+  return (
+    <g>
+      <line x1={cx} x2={cx} y1={py(payload.max)} y2={py(payload.min)} stroke={COLOR} strokeWidth={1.5} />
+      <line x1={cx - boxW / 4} x2={cx + boxW / 4} y1={py(payload.max)} y2={py(payload.max)} stroke={COLOR} strokeWidth={1.5} />
+      <line x1={cx - boxW / 4} x2={cx + boxW / 4} y1={py(payload.min)} y2={py(payload.min)} stroke={COLOR} strokeWidth={1.5} />
+      <rect
+        x={cx - boxW / 2}
+        y={py(payload.q3)}
+        width={boxW}
+        height={Math.max(py(payload.q1) - py(payload.q3), 1)}
+        fill="rgba(129, 140, 248, 0.35)"
+        stroke={COLOR}
+        strokeWidth={1.5}
+        rx={2}
+      />
+      <line x1={cx - boxW / 2} x2={cx + boxW / 2} y1={py(payload.median)} y2={py(payload.median)} stroke={ACCENT} strokeWidth={2.5} />
+    </g>
+  );
+}
+
+const axisProps = {
+  tick: { fill: 'rgba(255,255,255,0.6)', fontSize: 11 },
+  axisLine: { stroke: 'rgba(255,255,255,0.12)' },
+  tickLine: false,
+};
+
+const yAxisProps = {
+  tick: { fill: 'rgba(255,255,255,0.5)', fontSize: 11 },
+  axisLine: false,
+  tickLine: false,
+  width: 55,
+  tickFormatter: compact,
+};
+
+export default function StatChart({ chart }) {
+  const [enlarged, setEnlarged] = useState(false);
+  if (!chart?.data?.length) return null;
+
+  const grid = <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.07)" vertical={false} />;
+  const tooltip = <Tooltip content={<CustomTooltip chart={chart} />} cursor={{ fill: 'rgba(255,255,255,0.04)' }} />;
+
+  const chartContent =
+    chart._chartType === 'scatter' ? (
+      <ResponsiveContainer width="100%" height={300}>
+        <ScatterChart margin={{ top: 8, right: 16, left: 0, bottom: 24 }}>
+          {grid}
+          <XAxis
+            dataKey="x"
+            type="number"
+            name={chart.xLabel}
+            domain={['auto', 'auto']}
+            tickFormatter={compact}
+            label={{ value: chart.xLabel, position: 'insideBottom', offset: -12, fill: 'rgba(255,255,255,0.5)', fontSize: 11 }}
+            {...axisProps}
+          />
+          <YAxis dataKey="y" type="number" name={chart.yLabel} domain={['auto', 'auto']} {...yAxisProps} />
+          {tooltip}
+          <Scatter data={chart.data} fill={COLOR} fillOpacity={0.7} />
+          {chart.trend && (
+            <ReferenceLine
+              segment={[chart.trend.from, chart.trend.to]}
+              stroke={ACCENT}
+              strokeWidth={2}
+              strokeDasharray="6 4"
+              ifOverflow="extendDomain"
+            />
+          )}
+        </ScatterChart>
+      </ResponsiveContainer>
+    ) : (
+      <ResponsiveContainer width="100%" height={300}>
+        <BarChart data={chart.data} margin={{ top: 8, right: 16, left: 0, bottom: 64 }} barCategoryGap={chart._chartType === 'histogram' ? 1 : '20%'}>
+          {grid}
+          <XAxis dataKey="name" angle={-30} textAnchor="end" interval={chart.data.length > 24 ? 'preserveStartEnd' : 0} {...axisProps} />
+          <YAxis {...yAxisProps} />
+          {tooltip}
+          {chart._chartType === 'box' ? (
+            <Bar dataKey={(d) => [d.min, d.max]} shape={<BoxShape />} isAnimationActive={false} />
+          ) : (
+            <Bar dataKey={chart._chartType === 'histogram' ? 'count' : 'value'} fill={COLOR} radius={[3, 3, 0, 0]} />
+          )}
+        </BarChart>
+      </ResponsiveContainer>
+    );
+
+  const handleDownload = (e) => {
+    e.stopPropagation();
+    const wrap = document.querySelector('.metric-vs-time-chart-wrap.enlarged');
+    const svg = wrap?.querySelector('svg');
+    if (svg) {
+      const svgData = new XMLSerializer().serializeToString(svg);
+      const blob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.download = `${(chart.title || chart._chartType).replace(/[^a-z0-9]+/gi, '_')}.svg`;
+      link.href = url;
+      link.click();
+      URL.revokeObjectURL(url);
+    }
+  };
+
+  return (
+    <div className={`metric-vs-time-chart-wrap stat-chart ${enlarged ? 'enlarged' : ''}`}>
+      <div
+        className="metric-vs-time-chart-inner"
+        onClick={() => setEnlarged(!enlarged)}
+        role="button"
+        tabIndex={0}
+        onKeyDown={(e) => e.key === 'Enter' && setEnlarged(!enlarged)}
+      >
+        <p className="metric-vs-time-label">{chart.title || chart._chartType}</p>
+        {chartContent}
+        {(chart.trend || chart.note) && (
+          <p className="stat-chart-note">
+            {chart.trend && `Trend: y = ${+chart.trend.slope.toPrecision(3)}·x ${chart.trend.intercept < 0 ? '−' : '+'} ${compact(Math.abs(chart.trend.intercept))} (r² = ${chart.trend.r2})`}
+            {chart.trend && chart.note && ' · '}
+            {chart.note}
+          </p>
+        )}
+        {enlarged && (
+          <div className="metric-vs-time-actions">
+            <button type="button" onClick={handleDownload}>
+              Download
+            </button>
+            <button type="button" onClick={(e) => { e.stopPropagation(); setEnlarged(false); }}>
+              Close
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
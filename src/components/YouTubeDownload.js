@@ -1,94 +1,156 @@
-import { useState, useCallback } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import VisualEvaluationView from './VisualEvaluationView';
+import {
+  getYouTubeEstimate,
+  startYouTubeJob,
+  getYouTubeJobs,
+  resumeYouTubeJob,
+  getYouTubeDataset,
+  setYouTubeTracking,
+  deleteYouTubeJob,
+} from '../services/mongoApi';
 import './YouTubeDownload.css';
 
-const API = process.env.REACT_APP_API_URL || '';
+// Downloads run as server-side jobs, so they keep going if this tab closes;
+// the list is polled while any job is still in progress.
+const POLL_MS = 2000;
+const isUnfinished = (job) => job.status === 'queued' || job.status === 'running';
 
-export default function YouTubeDownload({ onBack, onStartInterview }) {
+// Re-snapshot schedules for finished datasets (hours between snapshots)
+const TRACKING_OPTIONS = [
+  { label: 'Not tracked', hours: null },
+  { label: 'Snapshot every 6h', hours: 6 },
+  { label: 'Snapshot daily', hours: 24 },
+  { label: 'Snapshot weekly', hours: 168 },
+];
+
+// api() rejects with the raw response body; show the server's { error } if there is one
+const errorText = (err) => {
+  try {
+    return JSON.parse(err.message).error || err.message;
+  } catch {
+    return err.message;
+  }
+};
+
+export default function YouTubeDownload({ onBack, onStartInterview, onOpenDataset }) {
   const [channelUrl, setChannelUrl] = useState('https://www.youtube.com/@veritasium');
   const [maxVideos, setMaxVideos] = useState(10);
-  const [progress, setProgress] = useState(0);
-  const [stage, setStage] = useState('');
-  const [loading, setLoading] = useState(false);
+  const [allVideos, setAllVideos] = useState(false);
+  const [includeTranscripts, setIncludeTranscripts] = useState(false);
+  const [transcriptLang, setTranscriptLang] = useState('');  // blank = each video's default captions
+  const [includeComments, setIncludeComments] = useState(false);
+  const [commentsPerVideo, setCommentsPerVideo] = useState(100);
+  const [estimate, setEstimate] = useState(null);       // projected quota cost awaiting confirmation
+  const [starting, setStarting] = useState(false);
   const [error, setError] = useState('');
   const [infoMessage, setInfoMessage] = useState('');
-  const [result, setResult] = useState(null);
-  const [downloadReady, setDownloadReady] = useState(false);
+  const [jobs, setJobs] = useState([]);
+  const [result, setResult] = useState(null);           // dataset opened for browsing
+  const [busyJobId, setBusyJobId] = useState(null);
   const [selectedVideo, setSelectedVideo] = useState(null);
 
-  const handleDownload = useCallback(async () => {
+  const refreshJobs = useCallback(async () => {
+    try {
+      setJobs(await getYouTubeJobs());
+    } catch (err) {
+      setError(errorText(err));
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshJobs();
+  }, [refreshJobs]);
+
+  useEffect(() => {
+    if (!jobs.some(isUnfinished)) return;
+    const timer = setTimeout(refreshJobs, POLL_MS);
+    return () => clearTimeout(timer);
+  }, [jobs, refreshJobs]);
+
+  const maxParam = allVideos ? 'all' : Math.max(parseInt(maxVideos, 10) || 10, 1);
+  const commentLimit = includeComments ? Math.min(Math.max(parseInt(commentsPerVideo, 10) || 0, 0), 1000) : 0;
+
+  // Any change to what would be downloaded invalidates the shown estimate
+  useEffect(() => {
+    setEstimate(null);
+  }, [channelUrl, maxVideos, allVideos, commentLimit]);
+
+  // Step 1: look up the channel and show the projected quota cost
+  const handleEstimate = async () => {
     setError('');
     setInfoMessage('');
-    setResult(null);
-    setLoading(true);
-    setProgress(0);
-    setStage('Connecting...');
-    setDownloadReady(false);
-
-    let gotResult = false;
+    setStarting(true);
     try {
-      const url = `${API}/api/youtube/channel?url=${encodeURIComponent(channelUrl)}&maxVideos=${Math.min(Math.max(parseInt(maxVideos, 10) || 10, 1), 100)}`;
-      const res = await fetch(url);
-
-      const contentType = res.headers.get('content-type') || '';
-      if (contentType.includes('application/json')) {
-        const data = await res.json();
-        if (data.optional && data.message) {
-          setInfoMessage(data.message);
-          setLoading(false);
-          setStage('');
-          return;
-        }
-        if (!res.ok) {
-          throw new Error(data.error || res.statusText || 'Download failed');
-        }
+      const est = await getYouTubeEstimate(channelUrl, maxParam, commentLimit);
+      if (est.optional && est.message) {
+        setInfoMessage(est.message);
+        return;
       }
+      setEstimate(est);
+    } catch (err) {
+      setError(errorText(err) || 'Could not look up channel');
+    } finally {
+      setStarting(false);
+    }
+  };
 
-      if (!res.ok) {
-        const errData = await res.json().catch(() => ({}));
-        throw new Error(errData.error || res.statusText || 'Download failed');
+  // Step 2: confirmed — queue the job on the server
+  const handleDownload = async () => {
+    setError('');
+    setStarting(true);
+    try {
+      const transcripts = includeTranscripts ? { lang: transcriptLang.trim() || null } : null;
+      const job = await startYouTubeJob(channelUrl, maxParam, { transcripts, commentsPerVideo: commentLimit });
+      if (job.optional && job.message) {
+        setInfoMessage(job.message);
+        return;
       }
+      setJobs((prev) => [job, ...prev]);
+      setEstimate(null);
+    } catch (err) {
+      setError(errorText(err) || 'Download failed');
+    } finally {
+      setStarting(false);
+    }
+  };
 
-      const reader = res.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            try {
-              const obj = JSON.parse(line.slice(6));
-              if (obj.error) throw new Error(obj.error);
-              if (obj.progress !== undefined) setProgress(obj.progress);
-              if (obj.stage) setStage(obj.stage);
-              if (obj.done && obj.data) {
-                setResult(obj.data);
-                setDownloadReady(true);
-                gotResult = true;
-              }
-            } catch (e) {
-              if (e.message && e.message !== 'Unexpected end of JSON input') {
-                throw e;
-              }
-            }
-          }
-        }
-      }
-      if (!gotResult) {
-        throw new Error('Incomplete response from server. Check that YouTube API key is configured.');
-      }
+  // Wraps a dataset-row action: disables that row's buttons and surfaces errors
+  const withJob = (job, fn) => async () => {
+    setError('');
+    setBusyJobId(job.id);
+    try {
+      await fn(job);
     } catch (err) {
-      setError(err.message || 'Download failed');
+      setError(errorText(err));
     } finally {
-      setLoading(false);
-      setStage('');
+      setBusyJobId(null);
     }
-  }, [channelUrl, maxVideos]);
+  };
+
+  const viewDataset = async (job) => {
+    setSelectedVideo(null);
+    setResult(await getYouTubeDataset(job.id));
+  };
+  const openInChat = async (job) => {
+    const data = await getYouTubeDataset(job.id);
+    const name = data.channel_title || 'YouTube channel';
+    onOpenDataset?.({ name: data.partial ? `${name} (partial)` : name, data, jobId: job.id });
+  };
+  const resumeJob = async (job) => {
+    const updated = await resumeYouTubeJob(job.id);
+    setJobs((prev) => prev.map((j) => (j.id === updated.id ? updated : j)));
+  };
+  const changeTracking = (job, hours) =>
+    withJob(job, async () => {
+      const updated = await setYouTubeTracking(job.id, hours);
+      setJobs((prev) => prev.map((j) => (j.id === updated.id ? updated : j)));
+    })();
+  const deleteJob = async (job) => {
+    await deleteYouTubeJob(job.id);
+    setJobs((prev) => prev.filter((j) => j.id !== job.id));
+    if (result && result.channel_id === job.channelId) setResult(null);
+  };
 
   const handleDownloadJson = () => {
     if (!result) return;
@@ -100,6 +162,9 @@ export default function YouTubeDownload({ onBack, onStartInterview }) {
     URL.revokeObjectURL(a.href);
   };
 
+  const running = jobs.filter(isUnfinished);
+  const datasets = jobs.filter((j) => !isUnfinished(j));
+
   return (
     <div className="youtube-download">
       <div className="youtube-download-card">
@@ -120,59 +185,214 @@ export default function YouTubeDownload({ onBack, onStartInterview }) {
               placeholder="https://www.youtube.com/@veritasium"
               value={channelUrl}
               onChange={(e) => setChannelUrl(e.target.value)}
-              disabled={loading}
+              disabled={starting}
             />
           </label>
           <label>
-            Max videos (1–100)
+            Max videos
             <input
               type="number"
               min={1}
-              max={100}
               value={maxVideos}
               onChange={(e) => setMaxVideos(e.target.value)}
-              disabled={loading}
+              disabled={starting || allVideos}
+            />
+          </label>
+          <label className="youtube-checkbox">
+            <input
+              type="checkbox"
+              checked={allVideos}
+              onChange={(e) => setAllVideos(e.target.checked)}
+              disabled={starting}
+            />
+            All videos on the channel
+          </label>
+          <label className="youtube-checkbox">
+            <input
+              type="checkbox"
+              checked={includeTranscripts}
+              onChange={(e) => setIncludeTranscripts(e.target.checked)}
+              disabled={starting}
             />
+            Include transcripts (timestamped captions, slower, no API quota)
           </label>
+          {includeTranscripts && (
+            <label>
+              Transcript language
+              <input
+                type="text"
+                placeholder="e.g. en, es, pt-BR — blank for each video's default"
+                value={transcriptLang}
+                onChange={(e) => setTranscriptLang(e.target.value)}
+                disabled={starting}
+              />
+            </label>
+          )}
+          <label className="youtube-checkbox">
+            <input
+              type="checkbox"
+              checked={includeComments}
+              onChange={(e) => setIncludeComments(e.target.checked)}
+              disabled={starting}
+            />
+            Include comments and replies (1 quota unit per 100 comments per video)
+          </label>
+          {includeComments && (
+            <label>
+              Top comments per video (1–1000)
+              <input
+                type="number"
+                min={1}
+                max={1000}
+                value={commentsPerVideo}
+                onChange={(e) => setCommentsPerVideo(e.target.value)}
+                disabled={starting}
+              />
+            </label>
+          )}
         </div>
 
         {error && <p className="youtube-error">{error}</p>}
         {infoMessage && <p className="youtube-info">{infoMessage}</p>}
 
-        {loading && (
-          <div className="youtube-progress-wrap">
+        {running.map((job) => (
+          <div key={job.id} className="youtube-progress-wrap">
+            <p className="youtube-job-title">{job.channelTitle || job.url}</p>
             <div className="youtube-progress-bar">
-              <div className="youtube-progress-fill" style={{ width: `${progress}%` }} />
+              <div className="youtube-progress-fill" style={{ width: `${job.progress}%` }} />
             </div>
-            <p className="youtube-stage">{stage}</p>
+            <p className="youtube-stage">
+              {job.stage}
+              {job.videoCount > 0 && (
+                <button type="button" className="youtube-partial-btn" onClick={withJob(job, openInChat)} disabled={busyJobId === job.id}>
+                  Use {job.videoCount} so far in Chat
+                </button>
+              )}
+            </p>
           </div>
-        )}
+        ))}
 
-        <div className="youtube-actions">
-          <button
-            type="button"
-            className="youtube-download-btn"
-            onClick={handleDownload}
-            disabled={loading}
-          >
-            {loading ? 'Downloading...' : 'Download Channel Data'}
-          </button>
-          {downloadReady && result && (
+        {estimate ? (
+          <div className="youtube-estimate">
+            <p>
+              <strong>{estimate.channelTitle}</strong> has {estimate.channelVideoCount.toLocaleString()} videos.
+              Downloading {estimate.videos.toLocaleString()} will use about{' '}
+              <strong>{estimate.units.toLocaleString()}</strong> YouTube API quota units;{' '}
+              {estimate.quota.remaining.toLocaleString()} of today's {estimate.quota.budget.toLocaleString()} are left.
+            </p>
+            {estimate.units > estimate.quota.remaining && (
+              <p className="youtube-estimate-warn">
+                That's more than is left today — the download will pause when the budget runs out and
+                continue after the reset ({new Date(estimate.quota.resetsAt).toLocaleString()}).
+              </p>
+            )}
+            <div className="youtube-actions">
+              <button type="button" className="youtube-download-btn" onClick={handleDownload} disabled={starting}>
+                {starting ? 'Starting...' : 'Start download'}
+              </button>
+              <button type="button" className="youtube-json-btn" onClick={() => setEstimate(null)} disabled={starting}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="youtube-actions">
             <button
               type="button"
-              className="youtube-json-btn"
-              onClick={handleDownloadJson}
+              className="youtube-download-btn"
+              onClick={handleEstimate}
+              disabled={starting}
             >
-              Download JSON File
+              {starting ? 'Checking channel...' : 'Download Channel Data'}
             </button>
-          )}
-        </div>
+          </div>
+        )}
+        {running.length > 0 && (
+          <p className="youtube-summary-hint">Downloads continue on the server — you can close this tab and come back.</p>
+        )}
+
+        {datasets.length > 0 && (
+          <div className="youtube-datasets">
+            <h3>My datasets</h3>
+            <ul className="youtube-dataset-list">
+              {datasets.map((job) => (
+                <li key={job.id} className={`youtube-dataset ${job.status}`}>
+                  <div className="youtube-dataset-info">
+                    <span className="video-list-title">{job.channelTitle || job.url}</span>
+                    <span className="video-list-meta">
+                      {job.videoCount} video{job.videoCount === 1 ? '' : 's'}
+                      {job.status === 'done' && ` · ${new Date(job.finishedAt || job.updatedAt).toLocaleDateString()}`}
+                      {job.status === 'paused' && ` · paused: ${job.stage}`}
+                      {job.status === 'error' && ` · stopped: ${job.error || 'interrupted'}`}
+                      {job.quotaUnits > 0 && ` · ${job.quotaUnits} quota units`}
+                      {job.includeTranscripts && (job.transcriptErrors
+                        ? ` · ${job.transcriptErrors} transcript${job.transcriptErrors === 1 ? '' : 's'} unavailable`
+                        : ' · with transcripts')}
+                      {job.commentsPerVideo > 0 && (job.commentErrors
+                        ? ` · comments off on ${job.commentErrors} video${job.commentErrors === 1 ? '' : 's'}`
+                        : ' · with comments')}
+                    </span>
+                    {job.status === 'done' && (
+                      <span className="video-list-meta youtube-tracking">
+                        <select
+                          value={job.tracking?.intervalHours ?? ''}
+                          onChange={(e) => changeTracking(job, e.target.value ? Number(e.target.value) : null)}
+                          disabled={busyJobId === job.id}
+                        >
+                          {TRACKING_OPTIONS.map((o) => (
+                            <option key={o.label} value={o.hours ?? ''}>{o.label}</option>
+                          ))}
+                        </select>
+                        {job.tracking && (
+                          <>
+                            {` ${job.tracking.snapshots} snapshot${job.tracking.snapshots === 1 ? '' : 's'}`}
+                            {job.tracking.nextAt && ` · next ${new Date(job.tracking.nextAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}`}
+                            {job.tracking.error && <span className="video-list-warn" title={job.tracking.error}> · last snapshot failed</span>}
+                          </>
+                        )}
+                      </span>
+                    )}
+                  </div>
+                  <div className="youtube-dataset-actions">
+                    {job.videoCount > 0 && (
+                      <>
+                        <button type="button" onClick={withJob(job, openInChat)} disabled={busyJobId === job.id}>
+                          Open in Chat
+                        </button>
+                        <button type="button" onClick={withJob(job, viewDataset)} disabled={busyJobId === job.id}>
+                          View
+                        </button>
+                      </>
+                    )}
+                    {(job.status === 'error' || job.status === 'paused') && (
+                      <button type="button" onClick={withJob(job, resumeJob)} disabled={busyJobId === job.id}>
+                        Resume
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      className="youtube-dataset-delete"
+                      onClick={withJob(job, deleteJob)}
+                      disabled={busyJobId === job.id}
+                      aria-label="Delete dataset"
+                    >
+                      ×
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
 
         {result && (
           <div className="youtube-summary">
-            <h3>Download complete</h3>
+            <h3>{result.channel_title}</h3>
             <p>
-              <strong>{result.channel_title}</strong> — {result.video_count} videos
+              {result.video_count} videos
+              <button type="button" className="youtube-json-btn youtube-json-inline" onClick={handleDownloadJson}>
+                Download JSON File
+              </button>
             </p>
             <p className="youtube-summary-hint">Scroll down and click a video to enter visual evaluation:</p>
             <ul className="video-list">
@@ -188,6 +408,11 @@ export default function YouTubeDownload({ onBack, onStartInterview }) {
                   <span className="video-list-meta">
                     {v.view_count != null && `${(v.view_count / 1000).toFixed(1)}K views`}
                     {v.release_date && ` · ${new Date(v.release_date).toLocaleDateString()}`}
+                    {v.transcript_segments && ` · transcript (${v.transcript_lang || '?'})`}
+                    {v.comments && ` · ${v.comments.length} comments`}
+                    {v.transcript_error && (
+                      <span className="video-list-warn" title={v.transcript_error}> · no transcript</span>
+                    )}
                   </span>
                 </li>
               ))}
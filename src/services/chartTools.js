@@ -0,0 +1,246 @@
+// ── make_chart: declarative charts computed in the browser ───────────────────
+// Shared by csvTools (rows of strings) and jsonTools (video objects). The tool
+// bins, groups and summarises the loaded rows and returns chart-ready data with
+// `_chartType` bar | histogram | scatter | box, rendered by StatChart and drawn
+// as SVG by server/export.js — so these charts need no code execution and work
+// with every provider.
+
+export const STAT_CHART_TYPES = ['bar', 'histogram', 'scatter', 'box'];
+
+const MAX_SCATTER_POINTS = 1000;
+
+// `fieldNote` tells the model how to name columns in this dataset
+export const makeChartDeclaration = (fieldNote, extraProperties = {}) => ({
+  name: 'make_chart',
+  description:
+    'Draw a chart from the loaded data, computed in the browser: ' +
+    'bar (a category on x; count of rows, or mean/median/sum of a numeric y per category), ' +
+    'histogram (distribution of one numeric x), ' +
+    'scatter (numeric x vs numeric y, optionally with a least-squares trend line and r²), ' +
+    'box (spread of numeric y: quartiles, whiskers and outliers, optionally per category x). ' +
+    'Use for any bar chart, histogram, distribution, scatter plot, trend line, box plot or comparison chart request. ' + fieldNote,
+  parameters: {
+    type: 'OBJECT',
+    properties: {
+      chart_type: { type: 'STRING', description: 'bar, histogram, scatter or box.' },
+      x: { type: 'STRING', description: 'bar: category field. histogram: numeric field. scatter: numeric x field. box: optional category to split by.' },
+      y: { type: 'STRING', description: 'bar: optional numeric field to aggregate (omit to count rows). scatter/box: numeric field.' },
+      aggregation: { type: 'STRING', description: 'bar only: count, mean, median or sum. Default: mean when y is given, otherwise count.' },
+      bins: { type: 'NUMBER', description: 'histogram only: number of bins (2–100). Default: chosen from the row count.' },
+      trend_line: { type: 'BOOLEAN', description: 'scatter only: add a least-squares trend line. Default: false.' },
+      top_n: { type: 'NUMBER', description: 'bar/box: keep the N largest categories. Default: 15 (bar), 10 (box).' },
+      sort_by: { type: 'STRING', description: 'bar only: "value" (largest first) or "label". Default: label for years/dates/numbers, otherwise value.' },
+      title: { type: 'STRING', description: 'Optional chart title.' },
+      ...extraProperties,
+    },
+    required: ['chart_type', 'x'],
+  },
+});
+
+// ── Math ─────────────────────────────────────────────────────────────────────
+
+const round = (n) => (Number.isInteger(n) ? n : +n.toFixed(4));
+const mean = (vals) => vals.reduce((a, b) => a + b, 0) / vals.length;
+
+// Linear-interpolated quantile of ascending values (p in [0, 1])
+export const quantile = (sorted, p) => {
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+// Least squares fit of y = slope·x + intercept
+export const linearFit = (xs, ys) => {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  if (!sxx) return null;
+  const slope = sxy / sxx;
+  return { slope, intercept: my - slope * mx, r2: syy ? (sxy * sxy) / (sxx * syy) : 1 };
+};
+
+const AGGREGATE = {
+  count: (vals) => vals.length,
+  mean: (vals) => mean(vals),
+  median: (vals) => quantile([...vals].sort((a, b) => a - b), 0.5),
+  sum: (vals) => vals.reduce((a, b) => a + b, 0),
+};
+
+// Evenly thinned so saved messages stay small; fits use every point
+export const thinPoints = (points) => {
+  const stride = Math.ceil(points.length / MAX_SCATTER_POINTS);
+  return stride > 1 ? points.filter((_, i) => i % stride === 0) : points;
+};
+
+const shortNumber = (n) =>
+  Math.abs(n) >= 1e6 ? `${+(n / 1e6).toFixed(1)}M` : Math.abs(n) >= 1e3 ? `${+(n / 1e3).toFixed(1)}K` : `${+n.toFixed(2)}`;
+
+// Years, dates and numbers read best in their natural order
+const looksOrdered = (labels) => labels.every((l) => /^-?\d+(\.\d+)?$/.test(l) || /^\d{4}-\d{2}(-\d{2})?/.test(l));
+
+const groupRows = (rows, key, category) => {
+  const groups = new Map();
+  for (const r of rows) {
+    const label = category(r, key);
+    if (label == null || label === '') continue;
+    const k = String(label);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  }
+  return groups;
+};
+
+// ── Builders ─────────────────────────────────────────────────────────────────
+
+function barChart(args, rows, { resolve, numeric, category }) {
+  const x = resolve(args.x);
+  const y = args.y ? resolve(args.y) : null;
+  const agg = String(args.aggregation || (y ? 'mean' : 'count')).toLowerCase();
+  if (!AGGREGATE[agg]) return { error: `Unknown aggregation "${args.aggregation}". Use count, mean, median or sum.` };
+  if (agg !== 'count' && !y) return { error: `aggregation "${agg}" needs a numeric y field.` };
+
+  let data = [...groupRows(rows, x, category)]
+    .map(([name, group]) => {
+      const vals = y ? group.map((r) => numeric(r, y)).filter((n) => !isNaN(n)) : group;
+      return vals.length ? { name, value: round(AGGREGATE[agg](vals)), count: group.length } : null;
+    })
+    .filter(Boolean);
+  if (!data.length) return { error: `No values to chart for x "${x}"${y ? ` and y "${y}"` : ''}.` };
+
+  const byLabel = args.sort_by ? String(args.sort_by).toLowerCase() === 'label' : looksOrdered(data.map((d) => d.name));
+  const topN = Math.max(parseInt(args.top_n, 10) || 15, 1);
+  const categories = data.length;
+  data = [...data].sort((a, b) => b.value - a.value).slice(0, topN);
+  if (byLabel) data.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  return {
+    _chartType: 'bar',
+    title: args.title || (y ? `${agg} ${y} by ${x}` : `Count by ${x}`),
+    xLabel: x,
+    yLabel: y ? `${agg} ${y}` : 'count',
+    ...(categories > data.length && { note: `Top ${data.length} of ${categories} categories.` }),
+    data,
+  };
+}
+
+function histogram(args, rows, { resolve, numeric }) {
+  const x = resolve(args.x);
+  const vals = rows.map((r) => numeric(r, x)).filter((n) => !isNaN(n)).sort((a, b) => a - b);
+  if (vals.length < 2) return { error: `Need at least 2 numeric values in "${x}".` };
+  const lo = vals[0];
+  const hi = vals[vals.length - 1];
+  // Sturges' rule unless asked
+  const bins = hi === lo ? 1 : Math.min(Math.max(parseInt(args.bins, 10) || Math.ceil(Math.log2(vals.length) + 1), 2), 100);
+  const width = (hi - lo) / bins || 1;
+  const data = Array.from({ length: bins }, (_, i) => ({
+    start: round(lo + i * width),
+    end: round(i === bins - 1 ? hi : lo + (i + 1) * width),
+    count: 0,
+  }));
+  for (const v of vals) data[Math.min(Math.floor((v - lo) / width), bins - 1)].count++;
+  return {
+    _chartType: 'histogram',
+    title: args.title || `Distribution of ${x}`,
+    xLabel: x,
+    yLabel: 'count',
+    stats: { n: vals.length, mean: round(mean(vals)), median: round(quantile(vals, 0.5)), min: lo, max: hi },
+    data: data.map((d) => ({ ...d, name: `${shortNumber(d.start)}–${shortNumber(d.end)}` })),
+  };
+}
+
+function scatter(args, rows, { resolve, numeric, labelOf }) {
+  const x = resolve(args.x);
+  const y = args.y ? resolve(args.y) : null;
+  if (!y) return { error: 'scatter needs both x and y.' };
+  const points = rows
+    .map((r) => ({ x: numeric(r, x), y: numeric(r, y), label: labelOf?.(r) || undefined }))
+    .filter((p) => !isNaN(p.x) && !isNaN(p.y));
+  if (points.length < 2) return { error: `Need at least 2 rows with numeric "${x}" and "${y}".` };
+
+  const fit = args.trend_line ? linearFit(points.map((p) => p.x), points.map((p) => p.y)) : null;
+  const minX = points.reduce((m, p) => Math.min(m, p.x), Infinity);
+  const maxX = points.reduce((m, p) => Math.max(m, p.x), -Infinity);
+  const shown = thinPoints(points);
+  return {
+    _chartType: 'scatter',
+    title: args.title || `${y} vs ${x}`,
+    xLabel: x,
+    yLabel: y,
+    n: points.length,
+    ...(shown.length < points.length && { note: `Showing ${shown.length} of ${points.length} points.` }),
+    ...(fit && {
+      trend: {
+        slope: round(fit.slope),
+        intercept: round(fit.intercept),
+        r2: round(fit.r2),
+        from: { x: minX, y: round(fit.slope * minX + fit.intercept) },
+        to: { x: maxX, y: round(fit.slope * maxX + fit.intercept) },
+      },
+    }),
+    data: shown,
+  };
+}
+
+// Tukey box: whiskers reach the furthest values within 1.5 × IQR of the box
+const boxStats = (name, vals) => {
+  const sorted = [...vals].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const fence = 1.5 * (q3 - q1);
+  const inside = sorted.filter((v) => v >= q1 - fence && v <= q3 + fence);
+  const outliers = sorted.filter((v) => v < q1 - fence || v > q3 + fence);
+  return {
+    name,
+    n: sorted.length,
+    min: inside[0],
+    q1: round(q1),
+    median: round(quantile(sorted, 0.5)),
+    q3: round(q3),
+    max: inside[inside.length - 1],
+    mean: round(mean(sorted)),
+    outlierCount: outliers.length,
+    outliers: outliers.slice(0, 5).concat(outliers.slice(-5)).filter((v, i, a) => a.indexOf(v) === i),
+  };
+};
+
+function boxPlot(args, rows, { resolve, numeric, category }) {
+  const y = resolve(args.y || args.x);
+  const x = args.y && args.x ? resolve(args.x) : null;
+  const groups = x ? [...groupRows(rows, x, category)] : [[y, rows]];
+  const topN = Math.max(parseInt(args.top_n, 10) || 10, 1);
+  const data = groups
+    .map(([name, group]) => [name, group.map((r) => numeric(r, y)).filter((n) => !isNaN(n))])
+    .filter(([, vals]) => vals.length)
+    .sort((a, b) => b[1].length - a[1].length)
+    .slice(0, topN)
+    .map(([name, vals]) => boxStats(name, vals));
+  if (!data.length) return { error: `No numeric values in "${y}".` };
+  if (x && looksOrdered(data.map((d) => d.name))) data.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  return {
+    _chartType: 'box',
+    title: args.title || (x ? `${y} by ${x}` : `Spread of ${y}`),
+    xLabel: x || '',
+    yLabel: y,
+    ...(groups.length > data.length && { note: `Largest ${data.length} of ${groups.length} groups.` }),
+    data,
+  };
+}
+
+const BUILDERS = { bar: barChart, histogram, scatter, box: boxPlot };
+
+// accessors: { resolve(name) → key, numeric(row, key) → number|NaN,
+//              category(row, key) → label, labelOf(row) → point label }
+export function makeChart(args, rows, accessors) {
+  const type = String(args.chart_type || '').toLowerCase().replace(/[\s_-]*(plot|chart)$/, '');
+  const build = BUILDERS[type];
+  if (!build) return { error: `Unknown chart_type "${args.chart_type}". Use bar, histogram, scatter or box.` };
+  if (!rows?.length) return { error: 'No rows loaded.' };
+  return build(args, rows, accessors);
+}
@@ -0,0 +1,42 @@
+// make_chart through both tool sets: CSV rows (strings) and channel JSON videos.
+import { executeTool } from './csvTools';
+import { executeJsonTool } from './jsonTools';
+
+const rows = [1, 2, 3, 4, 5, 6, 7, 8, 9, 100].map((n) => ({
+  Language: n % 2 ? 'en' : 'es',
+  'View Count': String(n * 10),
+  'Favorite Count': String(n * 2 + 1),
+}));
+
+test('bar and histogram on CSV columns', () => {
+  const bar = executeTool('make_chart', { chart_type: 'bar', x: 'language', y: 'view count', aggregation: 'median' }, rows);
+  expect(bar).toMatchObject({ _chartType: 'bar', yLabel: 'median View Count' });
+  expect(bar.data).toEqual([{ name: 'es', value: 60, count: 5 }, { name: 'en', value: 50, count: 5 }]);
+
+  const hist = executeTool('make_chart', { chart_type: 'histogram', x: 'View Count', bins: 4 }, rows);
+  expect(hist.data.map((d) => d.count)).toEqual([9, 0, 0, 1]);
+  expect(hist.stats).toMatchObject({ n: 10, min: 10, max: 1000 });
+});
+
+test('scatter trend line and box plot quartiles', () => {
+  const sc = executeTool('make_chart', { chart_type: 'scatter plot', x: 'View Count', y: 'Favorite Count', trend_line: true }, rows);
+  expect(sc.trend).toMatchObject({ slope: 0.2, intercept: 1, r2: 1 });
+  expect(sc.data).toHaveLength(10);
+
+  const box = executeTool('make_chart', { chart_type: 'box', y: 'View Count', x: 'Language' }, rows);
+  const en = box.data.find((d) => d.name === 'en');
+  expect(en).toMatchObject({ n: 5, min: 10, q1: 30, median: 50, q3: 70, max: 90, outlierCount: 0 });
+  const es = box.data.find((d) => d.name === 'es');
+  expect(es).toMatchObject({ max: 80, outlierCount: 1, outliers: [1000] });
+});
+
+test('JSON make_chart groups by derived fields', () => {
+  const videos = [
+    { title: 'a', release_date: '2023-05-01T00:00:00Z', view_count: '100' },
+    { title: 'b', release_date: '2023-09-01T00:00:00Z', view_count: '300' },
+    { title: 'c', release_date: '2024-01-01T00:00:00Z', view_count: '50' },
+  ];
+  const chart = executeJsonTool('make_chart', { chart_type: 'bar', x: 'year', y: 'view_count', aggregation: 'sum' }, videos);
+  expect(chart.data.map((d) => [d.name, d.value])).toEqual([['2023', 400], ['2024', 50]]);
+  expect(executeJsonTool('make_chart', { chart_type: 'pie', x: 'year' }, videos).error).toContain('Unknown chart_type');
+});
@@ -0,0 +1,115 @@
+// ── CSV file import ──────────────────────────────────────────────────────────
+// Reads a File in slices (so files of hundreds of MB never sit in memory as one
+// string), detects its encoding and delimiter, parses it with the streaming
+// RFC 4180 parser and builds everything the chat needs: rows and headers for
+// the tools, column types, the dataset summary, the slim CSV for the prompt
+// and a base64 copy for Python. Runs inside csvImport.worker.js.
+
+import { createCsvParser, detectDelimiter, normalizeHeaders, recordToRow, inferColumnTypes, toCsv } from './csvParser';
+import { enrichWithEngagement, computeDatasetSummary, buildSlimCsv } from './csvTools';
+
+const CHUNK_BYTES = 4 * 1024 * 1024;
+// Whole rows up to this many characters go to Python; the JS tools see every row
+export const PYTHON_CSV_MAX_CHARS = 500000;
+
+// Byte-order mark, else strict UTF-8, else Windows-1252 (Excel's "CSV" export)
+const encodingFromBom = (bytes) => {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+  return null;
+};
+
+class EncodingError extends Error {}
+
+const toBase64 = (str) => {
+  const bytes = new TextEncoder().encode(str);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return btoa(binary);
+};
+
+async function parseWithEncoding(file, encoding, onProgress) {
+  // fatal: invalid UTF-8 throws, and the import retries as Windows-1252
+  const decoder = new TextDecoder(encoding, { fatal: encoding === 'utf-8' });
+  const decode = (bytes, options) => {
+    try {
+      return decoder.decode(bytes, options);
+    } catch {
+      throw new EncodingError(encoding);
+    }
+  };
+  let delimiter = null;
+  let headers = null;
+  const rows = [];
+  let parser = null;
+  let pending = '';
+
+  const feed = (text, last = false) => {
+    if (!parser) {
+      // Wait for enough text to detect the delimiter reliably
+      pending += text;
+      if (pending.length < 65536 && !last) return;
+      delimiter = detectDelimiter(pending);
+      parser = createCsvParser({
+        delimiter,
+        onRecord: (fields) => {
+          if (!headers) headers = normalizeHeaders(fields);
+          else rows.push(recordToRow(headers, fields));
+        },
+      });
+      text = pending;
+      pending = '';
+    }
+    parser.push(text);
+  };
+
+  for (let offset = 0; offset < file.size; offset += CHUNK_BYTES) {
+    const bytes = new Uint8Array(await file.slice(offset, offset + CHUNK_BYTES).arrayBuffer());
+    feed(decode(bytes, { stream: true }));
+    onProgress?.({ loaded: Math.min(offset + CHUNK_BYTES, file.size), total: file.size, rows: rows.length });
+  }
+  feed(decode(), true);
+  const complete = parser.finish();
+  return { delimiter, headers: headers || [], rows, complete };
+}
+
+// → { headers, rows, columnTypes, summary, slimCsv, rowCount, delimiter,
+//     encoding, base64, base64Rows, warnings }
+export async function readCsvFile(file, { onProgress } = {}) {
+  const head = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+  let encoding = encodingFromBom(head) || 'utf-8';
+  let parsed;
+  try {
+    parsed = await parseWithEncoding(file, encoding, onProgress);
+  } catch (err) {
+    if (!(err instanceof EncodingError)) throw err;
+    encoding = 'windows-1252';
+    parsed = await parseWithEncoding(file, encoding, onProgress);
+  }
+  if (!parsed.headers.length) throw new Error('The file has no header row.');
+
+  const warnings = [];
+  if (!parsed.complete) warnings.push('The file ends inside a quoted field; the last row may be incomplete.');
+
+  const python = toCsv(parsed.rows, parsed.headers, PYTHON_CSV_MAX_CHARS);
+  if (python.rows < parsed.rows.length) {
+    warnings.push(`The copy for Python holds the first ${python.rows} of ${parsed.rows.length} rows.`);
+  }
+
+  const { rows, headers } = enrichWithEngagement(parsed.rows, parsed.headers);
+  const columnTypes = inferColumnTypes(rows, headers);
+  return {
+    headers,
+    rows,
+    columnTypes,
+    summary: computeDatasetSummary(rows, headers, columnTypes),
+    slimCsv: buildSlimCsv(rows, headers),
+    rowCount: rows.length,
+    delimiter: parsed.delimiter,
+    encoding,
+    base64: toBase64(python.text),
+    base64Rows: python.rows,
+    warnings,
+  };
+}
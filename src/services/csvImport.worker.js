@@ -0,0 +1,17 @@
+// Web Worker: parses a dropped CSV file off the main thread.
+// in:  { file }
+// out: { type: 'progress', loaded, total, rows } … then { type: 'done', result } or { type: 'error', error }
+
+/* global globalThis */
+import { readCsvFile } from './csvImport';
+
+globalThis.addEventListener('message', async ({ data }) => {
+  try {
+    const result = await readCsvFile(data.file, {
+      onProgress: (p) => globalThis.postMessage({ type: 'progress', ...p }),
+    });
+    globalThis.postMessage({ type: 'done', result });
+  } catch (err) {
+    globalThis.postMessage({ type: 'error', error: err.message || String(err) });
+  }
+});
@@ -0,0 +1,221 @@
+// ── RFC 4180 CSV parsing ─────────────────────────────────────────────────────
+// Streaming parser: feed text chunks with push() and call finish() at the end;
+// quoted fields may contain delimiters, "" escapes and line breaks, and a
+// chunk boundary can fall anywhere (inside quotes, between \r and \n, …).
+// Also delimiter detection, per-column type inference and CSV serialisation.
+// No dependencies, so it runs the same in the browser, a Web Worker and Jest.
+
+export const DELIMITERS = [',', ';', '\t', '|'];
+
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3; // a " inside quotes: escape ("") or closing quote
+
+// onRecord(fields) is called once per record; blank lines are skipped
+export function createCsvParser({ delimiter = ',', onRecord }) {
+  let state = FIELD_START;
+  let field = '';
+  let fields = [];
+  let skipLF = false; // last chunk ended on \r of a \r\n
+  let records = 0;
+
+  const endField = () => {
+    fields.push(state === UNQUOTED ? field.trim() : field);
+    field = '';
+    state = FIELD_START;
+  };
+  const endRecord = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== '') {
+      records++;
+      onRecord(fields);
+    }
+    fields = [];
+  };
+
+  const push = (chunk) => {
+    const len = chunk.length;
+    let i = 0;
+    if (skipLF && chunk[0] === '\n') i = 1;
+    skipLF = false;
+    while (i < len) {
+      const ch = chunk[i];
+      if (state === QUOTED) {
+        // Jump straight to the next quote — line breaks inside are kept
+        const q = chunk.indexOf('"', i);
+        if (q === -1) {
+          field += chunk.slice(i);
+          return;
+        }
+        field += chunk.slice(i, q);
+        state = QUOTE_IN_QUOTED;
+        i = q + 1;
+        continue;
+      }
+      if (state === QUOTE_IN_QUOTED) {
+        if (ch === '"') {
+          field += '"';
+          state = QUOTED;
+          i++;
+          continue;
+        }
+        // Closing quote. Text after it (before the next delimiter) is
+        // malformed — keep it rather than losing the row
+        if (ch !== delimiter && ch !== '\n' && ch !== '\r') {
+          field += ch;
+          state = UNQUOTED;
+          i++;
+          continue;
+        }
+      }
+      if (state === FIELD_START && ch === '"') {
+        state = QUOTED;
+        i++;
+        continue;
+      }
+      if (ch === delimiter) {
+        endField();
+        i++;
+      } else if (ch === '\n' || ch === '\r') {
+        endRecord();
+        if (ch === '\r') {
+          if (i + 1 === len) skipLF = true;
+          else if (chunk[i + 1] === '\n') i++;
+        }
+        i++;
+      } else {
+        // Unquoted run up to the next delimiter or line break
+        let j = i + 1;
+        while (j < len && chunk[j] !== delimiter && chunk[j] !== '\n' && chunk[j] !== '\r') j++;
+        field += chunk.slice(i, j);
+        state = UNQUOTED;
+        i = j;
+      }
+    }
+  };
+
+  // Flush the last record (files often lack a trailing newline). Returns false
+  // when the input ended inside an unterminated quoted field.
+  const finish = () => {
+    const complete = state !== QUOTED;
+    if (state !== FIELD_START || field || fields.length) endRecord();
+    return complete;
+  };
+
+  return { push, finish, get records() { return records; } };
+}
+
+// Header names: trimmed, blanks named column_N, duplicates suffixed _2, _3…
+export const normalizeHeaders = (fields) => {
+  const seen = new Map();
+  return fields.map((f, i) => {
+    const base = String(f).trim() || `column_${i + 1}`;
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    return n > 1 ? `${base}_${n}` : base;
+  });
+};
+
+// Rows as { header: value } objects; short records are padded with '',
+// extra fields dropped
+export const recordToRow = (headers, fields) => {
+  const row = {};
+  for (let i = 0; i < headers.length; i++) row[headers[i]] = fields[i] ?? '';
+  return row;
+};
+
+// The delimiter that splits the first records into the most, and most
+// consistent, fields. `sample` is the start of the file.
+export function detectDelimiter(sample) {
+  // Drop the last (probably cut-off) line so it can't skew the counts
+  const text = sample.length > 65536 ? sample.slice(0, sample.lastIndexOf('\n', 65536) + 1 || 65536) : sample;
+  let best = { delimiter: ',', score: 0 };
+  for (const delimiter of DELIMITERS) {
+    const counts = [];
+    const parser = createCsvParser({ delimiter, onRecord: (f) => counts.length < 20 && counts.push(f.length) });
+    parser.push(text);
+    parser.finish();
+    if (!counts.length || counts[0] < 2) continue;
+    const consistent = counts.filter((c) => c === counts[0]).length / counts.length;
+    const score = consistent * counts[0];
+    if (score > best.score) best = { delimiter, score };
+  }
+  return best.delimiter;
+}
+
+// Whole text at once: { headers, rows, delimiter }
+export function parseCsvText(text, delimiter = detectDelimiter(text)) {
+  let headers = null;
+  const rows = [];
+  const parser = createCsvParser({
+    delimiter,
+    onRecord: (fields) => {
+      if (!headers) headers = normalizeHeaders(fields);
+      else rows.push(recordToRow(headers, fields));
+    },
+  });
+  parser.push(text.charCodeAt(0) === 0xfeff ? text.slice(1) : text);
+  parser.finish();
+  return { headers: headers || [], rows, delimiter };
+}
+
+// ── Column types ─────────────────────────────────────────────────────────────
+
+const BOOLEAN_VALUES = new Set(['true', 'false', 'yes', 'no', 't', 'f', 'y', 'n']);
+const TYPE_SAMPLE = 5000;
+
+const isNumber = (s) => s.trim() !== '' && !isNaN(Number(s));
+// ISO dates, "12/31/2023", and Twitter's "Wed Oct 10 20:19:24 +0000 2018"
+const isDate = (s) => /\d/.test(s) && /[-/:]|[a-z]{3}/i.test(s) && !isNaN(Date.parse(s));
+
+// number | date | boolean | category (few distinct, repeated, short values) | text.
+// A type needs 80% of the non-empty values (the share numericColumns uses).
+export function inferColumnTypes(rows, headers) {
+  const sample = rows.length > TYPE_SAMPLE ? rows.filter((_, i) => i % Math.ceil(rows.length / TYPE_SAMPLE) === 0) : rows;
+  const types = {};
+  for (const h of headers) {
+    const vals = [];
+    for (const r of sample) {
+      const v = r[h];
+      if (v != null && v !== '') vals.push(String(v));
+    }
+    if (!vals.length) {
+      types[h] = 'text';
+      continue;
+    }
+    const share = (test) => vals.filter(test).length / vals.length;
+    const distinct = new Set(vals).size;
+    if (vals.every((v) => BOOLEAN_VALUES.has(v.toLowerCase()))) types[h] = 'boolean';
+    else if (share(isNumber) >= 0.8) types[h] = 'number';
+    else if (share(isDate) >= 0.8) types[h] = 'date';
+    else if (
+      distinct <= Math.max(20, vals.length * 0.05) &&
+      distinct <= vals.length / 2 &&
+      vals.reduce((a, v) => a + v.length, 0) / vals.length < 40
+    )
+      types[h] = 'category';
+    else types[h] = 'text';
+  }
+  return types;
+}
+
+// ── Serialise ────────────────────────────────────────────────────────────────
+
+export const escapeCell = (v) => {
+  const s = String(v ?? '');
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// CSV text of whole rows, stopping before maxChars: { text, rows: rows included }
+export function toCsv(rows, headers, maxChars = Infinity) {
+  let text = headers.map(escapeCell).join(',');
+  let n = 0;
+  for (const r of rows) {
+    const line = '\n' + headers.map((h) => escapeCell(r[h])).join(',');
+    if (text.length + line.length > maxChars) break;
+    text += line;
+    n++;
+  }
+  return { text, rows: n };
+}
@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+// Streaming RFC 4180 parsing and the file import pipeline (Node's Blob and
+// TextDecoder stand in for the browser's File).
+import { createCsvParser, detectDelimiter, parseCsvText, inferColumnTypes } from './csvParser';
+import { Blob } from 'buffer';
+import { readCsvFile } from './csvImport';
+
+const TWEETS =
+  'Text,Favorite Count,View Count,Created At,Verified\r\n' +
+  '"Line one\r\nline two, with comma",10,100,2024-01-05,true\r\n' +
+  '"She said ""hi""",5,50,2024-02-01,false\r\n' +
+  'plain,,200,2024-03-10,true\r\n';
+
+test('quoted line breaks, escaped quotes and CRLF split across chunks', () => {
+  const whole = parseCsvText(TWEETS);
+  expect(whole.headers).toEqual(['Text', 'Favorite Count', 'View Count', 'Created At', 'Verified']);
+  expect(whole.rows).toHaveLength(3);
+  expect(whole.rows[0].Text).toBe('Line one\r\nline two, with comma');
+  expect(whole.rows[1].Text).toBe('She said "hi"');
+  expect(whole.rows[2]['Favorite Count']).toBe('');
+
+  // Every possible split point gives the same records
+  for (let cut = 1; cut < TWEETS.length; cut++) {
+    const records = [];
+    const parser = createCsvParser({ onRecord: (f) => records.push(f) });
+    parser.push(TWEETS.slice(0, cut));
+    parser.push(TWEETS.slice(cut));
+    expect(parser.finish()).toBe(true);
+    expect(records).toHaveLength(4);
+    expect(records[2][0]).toBe('She said "hi"');
+  }
+});
+
+test('detects delimiters and column types', () => {
+  expect(detectDelimiter('a;b;c\n1,5;2;3\n4;5;6')).toBe(';');
+  expect(detectDelimiter('name\tnote\nx\ta, b, c\ny\td, e')).toBe('\t');
+  expect(parseCsvText('a,,a\n1,2,3').headers).toEqual(['a', 'column_2', 'a_2']);
+
+  const { rows, headers } = parseCsvText(TWEETS);
+  expect(inferColumnTypes(rows, headers)).toEqual({
+    Text: 'text',
+    'Favorite Count': 'number',
+    'View Count': 'number',
+    'Created At': 'date',
+    Verified: 'boolean',
+  });
+});
+
+test('readCsvFile streams a file into rows, summary and a base64 copy', async () => {
+  const progress = [];
+  const file = new Blob(['﻿' + TWEETS.replace(/,/g, ';')]);
+  const res = await readCsvFile(file, { onProgress: (p) => progress.push(p) });
+  expect(res).toMatchObject({ delimiter: ';', encoding: 'utf-8', rowCount: 3, base64Rows: 3, warnings: [] });
+  expect(res.headers).toContain('engagement');
+  expect(res.rows[0].engagement).toBe(0.1);
+  expect(res.summary).toContain('"Created At": 2024-01-05 → 2024-03-10');
+  expect(Buffer.from(res.base64, 'base64').toString()).toContain('"She said ""hi"""');
+  expect(progress[progress.length - 1].loaded).toBe(file.size);
+
+  // Invalid UTF-8 falls back to Windows-1252
+  const latin = await readCsvFile(new Blob([new Uint8Array([0x6e, 0x61, 0x6d, 0x65, 0x0a, 0x63, 0x61, 0x66, 0xe9])]));
+  expect(latin.encoding).toBe('windows-1252');
+  expect(latin.rows[0].name).toBe('café');
+});
@@ -1,3 +1,8 @@
+import { makeChartDeclaration, makeChart } from './chartTools';
+import { correlateDeclaration, correlate, linearRegressionDeclaration, linearRegression } from './statsTools';
+import { keywordImpactDeclaration, keywordImpact } from './keywordTools';
+import { parseCsvText, inferColumnTypes, escapeCell } from './csvParser';
+
 // ── Tool declarations (sent to Gemini so it knows what functions exist) ───────
 
 // IMPORTANT NOTE embedded in every description:
@@ -63,43 +68,18 @@ export const CSV_TOOL_DECLARATIONS = [
       required: ['sort_column'],
     },
   },
+  makeChartDeclaration(COL_NOTE),
+  correlateDeclaration(COL_NOTE),
+  linearRegressionDeclaration(COL_NOTE),
+  keywordImpactDeclaration(COL_NOTE),
 ];
 
-// ── Parse a CSV line, respecting quoted fields ────────────────────────────────
-
-const parseLine = (line) => {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      inQuotes = !inQuotes;
-    } else if (ch === ',' && !inQuotes) {
-      result.push(current.trim());
-      current = '';
-    } else {
-      current += ch;
-    }
-  }
-  result.push(current.trim());
-  return result;
-};
-
 // ── Parse a full CSV text into an array of row objects ────────────────────────
+// RFC 4180 (quoted commas, "" escapes, multi-line fields); the delimiter is
+// detected. Files dropped into the chat go through csvImport in a worker.
 
 export const parseCsvToRows = (text) => {
-  const lines = text.split('\n').filter((l) => l.trim());
-  if (lines.length < 2) return { headers: [], rows: [] };
-  const headers = parseLine(lines[0]).map((h) => h.replace(/^"|"$/g, ''));
-  const rows = lines.slice(1).map((line) => {
-    const vals = parseLine(line);
-    const obj = {};
-    headers.forEach((h, i) => {
-      obj[h] = (vals[i] || '').replace(/^"|"$/g, '');
-    });
-    return obj;
-  });
+  const { headers, rows } = parseCsvText(text);
   return { headers, rows };
 };
 
@@ -123,6 +103,15 @@ const resolveCol = (rows, name) => {
 const numericValues = (rows, col) =>
   rows.map((r) => parseFloat(r[col])).filter((v) => !isNaN(v));
 
+// Columns where at least 80% of the non-empty values (in the first 500 rows) are
+// numbers; id columns are left out
+const numericColumns = (rows) =>
+  Object.keys(rows[0] || {}).filter((h) => {
+    if (/(^|\s|_)id$/i.test(h)) return false;
+    const vals = rows.slice(0, 500).map((r) => r[h]).filter((v) => v !== '' && v != null);
+    return vals.length && vals.filter((v) => !isNaN(Number(v))).length >= vals.length * 0.8;
+  });
+
 const median = (sorted) =>
   sorted.length % 2 === 0
     ? (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2
@@ -133,7 +122,10 @@ const fmt = (n) => +n.toFixed(4);
 // ── Build a slim CSV with only the key analytical columns ────────────────────
 // Extracts text, language, type, engagement metrics, and the computed engagement
 // ratio. Returns a plain CSV string Gemini can read directly in its context —
-// no base64 or Python needed. ~6-10k tokens for a 250-row tweet dataset.
+// no base64 or Python needed. ~6-10k tokens for a 250-row tweet dataset; larger
+// files are cut to the first SLIM_MAX_ROWS rows (the tools still see them all).
+
+export const SLIM_MAX_ROWS = 2000;
 
 const SLIM_PATTERNS = [
   /^text$/i,
@@ -148,23 +140,16 @@ const SLIM_PATTERNS = [
   /^engagement$/i,            // computed column added by enrichWithEngagement
 ];
 
-export const buildSlimCsv = (rows, headers) => {
+export const buildSlimCsv = (rows, headers, maxRows = SLIM_MAX_ROWS) => {
   if (!rows.length || !headers.length) return '';
 
   // Pick columns that match any slim pattern, preserving header order
   const slimHeaders = headers.filter((h) => SLIM_PATTERNS.some((re) => re.test(h)));
   if (!slimHeaders.length) return '';
 
-  const escapeCell = (v) => {
-    const s = String(v ?? '');
-    return s.includes(',') || s.includes('"') || s.includes('\n')
-      ? `"${s.replace(/"/g, '""')}"`
-      : s;
-  };
-
   const lines = [
     slimHeaders.join(','),
-    ...rows.map((r) => slimHeaders.map((h) => escapeCell(r[h])).join(',')),
+    ...rows.slice(0, maxRows).map((r) => slimHeaders.map((h) => escapeCell(r[h])).join(',')),
   ];
   return lines.join('\n');
 };
@@ -203,37 +188,61 @@ export const enrichWithEngagement = (rows, headers) => {
 // ── Dataset summary (auto-computed when CSV is loaded) ───────────────────────
 // Returns a compact markdown string describing every column so Gemini always
 // has exact column names, types, and value distributions in its context.
+// `columnTypes` comes from inferColumnTypes (the CSV import passes it along).
 
-export const computeDatasetSummary = (rows, headers) => {
+export const computeDatasetSummary = (rows, headers, columnTypes = inferColumnTypes(rows, headers)) => {
   if (!rows.length || !headers.length) return '';
 
   const lines = [`**Dataset: ${rows.length} rows × ${headers.length} columns**\n`];
   const numericCols = [];
+  const dateCols = [];
+  const booleanCols = [];
   const categoricalCols = [];
 
   headers.forEach((h) => {
     const vals = rows.map((r) => r[h]).filter((v) => v !== '' && v !== undefined && v !== null);
-    const numVals = vals.map((v) => parseFloat(v)).filter((v) => !isNaN(v));
-    const numericRatio = numVals.length / (vals.length || 1);
+    const type = columnTypes[h];
 
-    if (numericRatio >= 0.8 && numVals.length > 0) {
+    if (type === 'number') {
+      const numVals = vals.map((v) => Number(v)).filter((v) => !isNaN(v));
+      if (!numVals.length) return;
       const mean = numVals.reduce((a, b) => a + b, 0) / numVals.length;
       numericCols.push({
         name: h,
         count: numVals.length,
         mean: +mean.toFixed(2),
-        min: Math.min(...numVals),
-        max: Math.max(...numVals),
+        // reduce, not Math.min(...): spreading 100k+ values overflows the stack
+        min: numVals.reduce((a, b) => (b < a ? b : a), Infinity),
+        max: numVals.reduce((a, b) => (b > a ? b : a), -Infinity),
       });
+    } else if (type === 'date') {
+      const times = vals.map((v) => Date.parse(v)).filter((t) => !isNaN(t));
+      if (!times.length) return;
+      const day = (t) => new Date(t).toISOString().slice(0, 10);
+      dateCols.push({
+        name: h,
+        count: times.length,
+        from: day(times.reduce((a, b) => (b < a ? b : a), Infinity)),
+        to: day(times.reduce((a, b) => (b > a ? b : a), -Infinity)),
+      });
+    } else if (type === 'boolean') {
+      const yes = vals.filter((v) => /^(true|yes|t|y)$/i.test(String(v))).length;
+      booleanCols.push({ name: h, yes, no: vals.length - yes });
     } else {
       const counts = {};
       vals.forEach((v) => { counts[v] = (counts[v] || 0) + 1; });
+      const unique = Object.keys(counts).length;
+      if (type === 'text') {
+        const avgLength = vals.length ? Math.round(vals.reduce((a, v) => a + String(v).length, 0) / vals.length) : 0;
+        categoricalCols.push({ name: h, unique, top: null, avgLength });
+        return;
+      }
       const top = Object.entries(counts)
         .sort((a, b) => b[1] - a[1])
         .slice(0, 5)
         .map(([v, n]) => `${v} (${n})`)
         .join(', ');
-      categoricalCols.push({ name: h, unique: Object.keys(counts).length, top });
+      categoricalCols.push({ name: h, unique, top });
     }
   });
 
@@ -244,10 +253,28 @@ export const computeDatasetSummary = (rows, headers) => {
     });
   }
 
+  if (dateCols.length) {
+    lines.push('\n**Date columns**:');
+    dateCols.forEach((c) => {
+      lines.push(`  • "${c.name}": ${c.from} → ${c.to}, n=${c.count}`);
+    });
+  }
+
+  if (booleanCols.length) {
+    lines.push('\n**Boolean columns**:');
+    booleanCols.forEach((c) => {
+      lines.push(`  • "${c.name}": true=${c.yes}, false=${c.no}`);
+    });
+  }
+
   if (categoricalCols.length) {
     lines.push('\n**Categorical columns** (exact names — use these verbatim in tool calls):');
     categoricalCols.forEach((c) => {
-      lines.push(`  • "${c.name}": ${c.unique} unique values — top: ${c.top}`);
+      lines.push(
+        c.top == null
+          ? `  • "${c.name}": free text, ${c.unique} unique values, avg ${c.avgLength} chars`
+          : `  • "${c.name}": ${c.unique} unique values — top: ${c.top}`
+      );
     });
   }
 
@@ -347,7 +374,53 @@ export const executeTool = (toolName, args, rows) => {
       };
     }
 
+    case 'make_chart': {
+      const textCol = availableHeaders.find((h) => /^text$/i.test(h));
+      return makeChart(args, rows, {
+        resolve: (name) => resolveCol(rows, name),
+        numeric: (r, col) => parseFloat(r[col]),
+        category: (r, col) => r[col],
+        labelOf: textCol ? (r) => String(r[textCol] || '').slice(0, 80) : null,
+      });
+    }
+
+    case 'correlate':
+      return correlate(args, rows, {
+        resolve: (name) => resolveCol(rows, name),
+        numeric: (r, col) => parseFloat(r[col]),
+        numericFields: () => numericColumns(rows),
+      });
+
+    case 'linear_regression': {
+      const textCol = availableHeaders.find((h) => /^text$/i.test(h));
+      return linearRegression(args, rows, {
+        resolve: (name) => resolveCol(rows, name),
+        numeric: (r, col) => parseFloat(r[col]),
+        labelOf: textCol ? (r) => String(r[textCol] || '').slice(0, 80) : null,
+      });
+    }
+
+    case 'keyword_impact':
+      return keywordImpact(args, rows, {
+        resolve: (name) => resolveCol(rows, name),
+        numeric: (r, col) => parseFloat(r[col]),
+        textOf: (r, cols) => cols.map((c) => r[c] || '').join('\n'),
+        defaultMetric: availableHeaders.includes('engagement') ? 'engagement' : availableHeaders.find((h) => /favorite|like/i.test(h)),
+        defaultTextFields: availableHeaders.find((h) => /^text$/i.test(h)),
+      });
+
     default:
       return { error: `Unknown tool: ${toolName}` };
   }
 };
+
+// ── Toolset (see toolRegistry.js) ─────────────────────────────────────────────
+// ctx.csv: { rows, headers } of the loaded CSV
+export const CSV_TOOLSET = {
+  name: 'csv',
+  label: 'CSV',
+  isAvailable: (ctx) => !!ctx.csv?.rows?.length,
+  declarations: CSV_TOOL_DECLARATIONS,
+  execute: (toolName, args, ctx) => executeTool(toolName, args, ctx.csv.rows),
+  describe: (ctx) => `[CSV columns: ${ctx.csv.headers.join(', ')}]`,
+};
@@ -0,0 +1,28 @@
+// Parse a CSV File in a Web Worker (see csvImport.js for the result shape).
+// Chat.js loads this module with a dynamic import(): `import.meta` below is
+// what webpack needs to bundle the worker, but Jest cannot parse it.
+
+import { readCsvFile } from './csvImport';
+
+export function loadCsvFile(file, { onProgress } = {}) {
+  // No worker support (old browsers): same pipeline on the main thread
+  if (typeof Worker === 'undefined') return readCsvFile(file, { onProgress });
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./csvImport.worker.js', import.meta.url));
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress?.(data);
+        return;
+      }
+      worker.terminate();
+      if (data.type === 'done') resolve(data.result);
+      else reject(new Error(data.error));
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message || 'CSV worker failed'));
+    };
+    worker.postMessage({ file });
+  });
+}
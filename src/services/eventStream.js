@@ -0,0 +1,24 @@
+// ── Server-Sent Events over fetch() ─────────────────────────────────────────
+// EventSource can't POST or send an Authorization header, so SSE endpoints are
+// read from the fetch() body stream instead. Yields each parsed `data:` object.
+
+export async function* readEventStream(res) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+    for (const line of lines) {
+      if (!line.startsWith('data: ')) continue;
+      try {
+        yield JSON.parse(line.slice(6));
+      } catch {
+        // Partial or malformed event — skip
+      }
+    }
+  }
+}
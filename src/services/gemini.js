@@ -1,359 +1,228 @@
-// ── AI service: uses OpenAI gpt-5-nano (or Gemini fallback) ─────────────────
-// Primary: OpenAI gpt-5-nano for all AI processing
-// Fallback: Gemini when OpenAI key not configured
-
-import OpenAI from 'openai';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { CSV_TOOL_DECLARATIONS } from './csvTools';
-import { JSON_TOOL_DECLARATIONS } from './jsonTools';
-import { IMAGE_TOOL_DECLARATIONS } from './imageTools';
-
-const OPENAI_KEY = process.env.REACT_APP_OPENAI_API_KEY || '';
-const GEMINI_KEY = process.env.REACT_APP_GEMINI_API_KEY || '';
-const USE_OPENAI = !!OPENAI_KEY;
-
-const openai = OPENAI_KEY ? new OpenAI({ apiKey: OPENAI_KEY }) : null;
-const genAI = GEMINI_KEY ? new GoogleGenerativeAI(GEMINI_KEY) : null;
-
-const MODEL_OPENAI = 'gpt-5-nano';
-const MODEL_GEMINI = 'gemini-2.5-flash';
-
-const SEARCH_TOOL = { googleSearch: {} };
-const CODE_EXEC_TOOL = { codeExecution: {} };
-
-export const CODE_KEYWORDS = /\b(plot|chart|graph|analyz|statistic|regression|correlat|histogram|visualiz|calculat|compute|run code|write code|execute|pandas|numpy|matplotlib|csv|data)\b/i;
-
-// Convert Gemini-style tool declarations to OpenAI format
-function toOpenAITools(declarations) {
-  return (declarations || []).map((d) => ({
-    type: 'function',
-    function: {
-      name: d.name,
-      description: d.description || '',
-      parameters: normalizeParams(d.parameters || {}),
-    },
-  }));
-}
-
-function normalizeParams(params) {
-  const p = { ...params };
-  if (p.type === 'OBJECT') p.type = 'object';
-  if (p.properties) {
-    p.properties = Object.fromEntries(
-      Object.entries(p.properties).map(([k, v]) => [k, normalizeProp(v)])
-    );
-  }
-  return p;
-}
-
-function normalizeProp(prop) {
-  const v = { ...prop };
-  if (v.type === 'STRING') v.type = 'string';
-  if (v.type === 'NUMBER') v.type = 'number';
-  if (v.type === 'BOOLEAN') v.type = 'boolean';
-  if (v.type === 'ARRAY') v.type = 'array';
-  if (v.type === 'OBJECT') v.type = 'object';
-  return v;
-}
-
-let cachedPrompt = null;
-
-async function loadSystemPrompt() {
-  if (cachedPrompt) return cachedPrompt;
-  try {
-    const res = await fetch('/prompt_chat.txt');
-    cachedPrompt = res.ok ? (await res.text()).trim() : '';
-  } catch {
-    cachedPrompt = '';
-  }
-  return cachedPrompt;
-}
-
-// Build messages array for OpenAI
-function buildMessages(systemInstruction, baseHistory, newMessage, imageParts = []) {
-  const messages = [];
-  if (systemInstruction) {
-    messages.push({ role: 'system', content: `Follow these instructions in every response:\n\n${systemInstruction}` });
-  }
-  for (const m of baseHistory) {
-    messages.push({
-      role: m.role === 'user' ? 'user' : 'assistant',
-      content: m.content || '',
-    });
+// ── AI service client ────────────────────────────────────────────────────────
+// Thin client of the server-side LLM proxy (/api/llm/*, see the provider
+// registry in server/llm/index.js). API keys live on the server; tools still
+// execute here in the browser against the loaded CSV/JSON data. Every call
+// takes an optional `settings` ({ provider, model, temperature }, the chat
+// session's choice); when omitted the server falls back to the user's saved
+// default.
+
+import { authFetch } from './mongoApi';
+import { readEventStream } from './eventStream';
+
+// signal: an AbortSignal that cancels the request (and the provider call behind it)
+export const postLlm = async (path, body, { signal } = {}) => {
+  const res = await authFetch(`/api/llm/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || res.statusText);
+  return data;
+};
+
+const toHistory = (history) => history.map((m) => ({ role: m.role, content: m.content || '' }));
+
+// ── streamChat: search-grounded, code-execution or plain chat, streamed over SSE ──
+// mode: 'search' | 'python' | 'plain' (see intentRouter.js)
+export async function* streamChat(history, newMessage, imageParts = [], mode = 'search', settings = null) {
+  const res = await authFetch('/api/llm/chat', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      ...settings,
+      history: toHistory(history),
+      message: newMessage,
+      images: imageParts,
+      useCodeExecution: mode === 'python',
+      useSearch: mode === 'search',
+    }),
+  });
+  if (!res.ok) {
+    const errData = await res.json().catch(() => ({}));
+    throw new Error(errData.error || res.statusText);
   }
-  const content = [];
-  if (newMessage) content.push({ type: 'text', text: newMessage });
-  for (const img of imageParts) {
-    content.push({
-      type: 'image_url',
-      image_url: { url: `data:${img.mimeType || 'image/png'};base64,${img.data}` },
-    });
+  for await (const event of readEventStream(res)) {
+    if (event.error) throw new Error(event.error);
+    if (event.done) return;
+    yield event;
   }
-  messages.push({ role: 'user', content: content.length === 1 && content[0].type === 'text' ? content[0].text : content });
-  return messages;
 }
 
-// ── OpenAI: streamChat ─────────────────────────────────────────────────────
-async function* streamChatOpenAI(history, newMessage, imageParts = [], useCodeExecution = false) {
-  const systemInstruction = await loadSystemPrompt();
-  const baseHistory = history.map((m) => ({
-    role: m.role,
-    content: m.content || '',
-  }));
-  const messages = buildMessages(systemInstruction, baseHistory, newMessage, imageParts);
+// ── Agent loop: the model picks tools, execute runs them locally ─────────────
+// Generated image bytes are shown to the user but not echoed back to the model,
+// and long chart data (e.g. scatter points) is cut down to a sample.
+const MAX_CHART_ROWS_FOR_MODEL = 200;
 
-  const tools = useCodeExecution ? [{ type: 'code_interpreter' }] : undefined;
-  // gpt-5-nano: no built-in search/code_execution like Gemini; use plain chat
-  const opts = {
-    model: MODEL_OPENAI,
-    messages,
-    stream: true,
-  };
-
-  const stream = await openai.chat.completions.create(opts);
-  let fullContent = '';
-  for await (const chunk of stream) {
-    const delta = chunk.choices?.[0]?.delta?.content;
-    if (delta) {
-      fullContent += delta;
-      yield { type: 'text', text: delta };
-    }
+const forModel = (result) => {
+  if (result?._imageType === 'generated') {
+    return { _imageType: 'generated', mimeType: result.mimeType, note: 'Image generated and shown to the user.' };
   }
-}
-
-// ── Gemini fallback: streamChat ────────────────────────────────────────────
-async function* streamChatGemini(history, newMessage, imageParts = [], useCodeExecution = false) {
-  const systemInstruction = await loadSystemPrompt();
-  const tools = useCodeExecution ? [CODE_EXEC_TOOL] : [SEARCH_TOOL];
-  const model = genAI.getGenerativeModel({ model: MODEL_GEMINI, tools });
-
-  const baseHistory = history.map((m) => ({
-    role: m.role === 'user' ? 'user' : 'model',
-    parts: [{ text: m.content || '' }],
-  }));
-
-  const chatHistory = systemInstruction
-    ? [
-        { role: 'user', parts: [{ text: `Follow these instructions in every response:\n\n${systemInstruction}` }] },
-        { role: 'model', parts: [{ text: "Got it! I'll follow those instructions." }] },
-        ...baseHistory,
-      ]
-    : baseHistory;
-
-  const chat = model.startChat({ history: chatHistory });
-  const parts = [
-    { text: newMessage },
-    ...imageParts.map((img) => ({ inlineData: { mimeType: img.mimeType || 'image/png', data: img.data } })),
-  ].filter((p) => p.text !== undefined || p.inlineData !== undefined);
-
-  const result = await chat.sendMessageStream(parts);
-  for await (const chunk of result.stream) {
-    const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
-    for (const part of chunkParts) {
-      if (part.text) yield { type: 'text', text: part.text };
-    }
+  if (result?._chartType && result.data?.length > MAX_CHART_ROWS_FOR_MODEL) {
+    return {
+      ...result,
+      data: result.data.slice(0, MAX_CHART_ROWS_FOR_MODEL),
+      data_note: `First ${MAX_CHART_ROWS_FOR_MODEL} of ${result.data.length} rows; the full chart is shown to the user.`,
+    };
   }
-  const response = await result.response;
-  const allParts = response.candidates?.[0]?.content?.parts || [];
-  const hasCodeExecution = allParts.some(
-    (p) => p.executableCode || p.codeExecutionResult || (p.inlineData && p.inlineData.mimeType?.startsWith('image/'))
-  );
-  if (hasCodeExecution) {
-    const structuredParts = allParts
-      .map((p) => {
-        if (p.text) return { type: 'text', text: p.text };
-        if (p.executableCode) return { type: 'code', language: p.executableCode.language || 'PYTHON', code: p.executableCode.code };
-        if (p.codeExecutionResult) return { type: 'result', outcome: p.codeExecutionResult.outcome, output: p.codeExecutionResult.output };
-        if (p.inlineData) return { type: 'image', mimeType: p.inlineData.mimeType, data: p.inlineData.data };
-        return null;
-      })
-      .filter(Boolean);
-    yield { type: 'fullResponse', parts: structuredParts };
-  }
-  const grounding = response.candidates?.[0]?.groundingMetadata;
-  if (grounding) yield { type: 'grounding', data: grounding };
-}
-
-export const streamChat = USE_OPENAI ? streamChatOpenAI : streamChatGemini;
-
-// ── OpenAI: chatWithCsvTools ───────────────────────────────────────────────
-async function chatWithCsvToolsOpenAI(history, newMessage, csvHeaders, executeFn) {
-  const systemInstruction = await loadSystemPrompt();
-  const baseHistory = history.map((m) => ({ role: m.role, content: m.content || '' }));
-  const msgWithContext = csvHeaders?.length ? `[CSV columns: ${csvHeaders.join(', ')}]\n\n${newMessage}` : newMessage;
-  const messages = buildMessages(systemInstruction, baseHistory, msgWithContext);
-  const tools = toOpenAITools(CSV_TOOL_DECLARATIONS);
-
+  return result;
+};
+
+// One line for the progress trace
+const summarizeResult = (result) => {
+  if (result?.error) return String(result.error).slice(0, 200);
+  if (result?._imageType === 'generated') return 'generated an image';
+  if (result?._chartType) return `rendered ${result._chartType === 'table' ? 'a table' : `a ${result._chartType} chart`}`;
+  if (result?._displayType === 'video') return `video card: ${result.title || result.url}`;
+  const json = JSON.stringify(result) ?? 'no result';
+  return json.length > 160 ? `${json.slice(0, 160)}…` : json;
+};
+
+export const DEFAULT_AGENT_LIMITS = { maxSteps: 12, timeoutMs: 120000 };
+
+// Why a loop ended early, as shown in the trace
+export const AGENT_STOP_REASONS = {
+  max_steps: 'Stopped: the tool-call budget is used up.',
+  timeout: 'Stopped: the time limit was reached.',
+  aborted: 'Stopped.',
+};
+
+// Runs turns until the model answers without calling tools. A step is one tool
+// call; calls past `maxSteps` are not run — the model is told the budget is
+// spent and gets one more turn to answer with what it has. `timeoutMs` and
+// `signal` (the Stop button) abort the request in flight, and tools get the
+// loop's signal as execute(name, args, { signal }) so they stop too. A loop
+// stopped before the model answered returns its last thought as the text.
+// onStep(step) streams the trace as it happens:
+//   { type: 'thought', text }                     text sent along with tool calls
+//   { type: 'call', id, name, args }
+//   { type: 'result', id, name, summary, error }
+//   { type: 'stop', reason: 'max_steps' | 'timeout' | 'aborted' }
+// → { text, charts, toolCalls, generatedImages, trace, stopped }
+async function runAgentLoop(history, message, declarations, execute, { maxSteps, timeoutMs, signal, onStep, settings }) {
+  const steps = [];
   const charts = [];
   const toolCalls = [];
-  let response = await openai.chat.completions.create({
-    model: MODEL_OPENAI,
-    messages,
-    tools: tools.length ? tools : undefined,
-    tool_choice: tools.length ? 'auto' : undefined,
-  });
-
-  for (let round = 0; round < 5; round++) {
-    const msg = response.choices?.[0]?.message;
-    if (!msg?.tool_calls?.length) break;
-    const messagesWithAssistant = [...messages];
-    messagesWithAssistant.push({ role: 'assistant', content: msg.content || null, tool_calls: msg.tool_calls });
-    for (const tc of msg.tool_calls) {
-      const name = tc.function?.name;
-      const args = JSON.parse(tc.function?.arguments || '{}');
-      const toolResult = executeFn(name, args);
-      toolCalls.push({ name, args, result: toolResult });
-      if (toolResult?._chartType) charts.push(toolResult);
-      messagesWithAssistant.push({
-        role: 'tool',
-        tool_call_id: tc.id,
-        content: JSON.stringify(toolResult),
-      });
-    }
-    response = await openai.chat.completions.create({
-      model: MODEL_OPENAI,
-      messages: messagesWithAssistant,
-      tools,
-      tool_choice: 'auto',
-    });
-  }
+  const generatedImages = [];
+  const trace = [];
+  const emit = (step) => {
+    trace.push(step);
+    onStep?.(step, trace);
+  };
 
-  const text = response.choices?.[0]?.message?.content || '';
-  return { text, charts, toolCalls };
-}
+  const controller = new AbortController();
+  let stopReason = null;
+  const stop = (reason) => {
+    if (stopReason) return;
+    stopReason = reason;
+    controller.abort();
+  };
+  const onAbort = () => stop('aborted');
+  if (signal?.aborted) onAbort();
+  signal?.addEventListener('abort', onAbort);
+  const timer = timeoutMs ? setTimeout(() => stop('timeout'), timeoutMs) : null;
+
+  const finish = (text) => {
+    if (stopReason) emit({ type: 'stop', reason: stopReason });
+    const lastThought = stopReason ? trace.filter((s) => s.type === 'thought').pop()?.text : '';
+    return { text: text || lastThought || '', charts, toolCalls, generatedImages, trace, stopped: stopReason };
+  };
 
-// ── Gemini: chatWithCsvTools ───────────────────────────────────────────────
-async function chatWithCsvToolsGemini(history, newMessage, csvHeaders, executeFn) {
-  const systemInstruction = await loadSystemPrompt();
-  const model = genAI.getGenerativeModel({ model: MODEL_GEMINI, tools: [{ functionDeclarations: CSV_TOOL_DECLARATIONS }] });
-  const baseHistory = history.map((m) => ({ role: m.role === 'user' ? 'user' : 'model', parts: [{ text: m.content || '' }] }));
-  const chatHistory = systemInstruction
-    ? [
-        { role: 'user', parts: [{ text: `Follow these instructions in every response:\n\n${systemInstruction}` }] },
-        { role: 'model', parts: [{ text: "Got it! I'll follow those instructions." }] },
-        ...baseHistory,
-      ]
-    : baseHistory;
-  const chat = model.startChat({ history: chatHistory });
-  const msgWithContext = csvHeaders?.length ? `[CSV columns: ${csvHeaders.join(', ')}]\n\n${newMessage}` : newMessage;
-  let response = (await chat.sendMessage(msgWithContext)).response;
-  const charts = [];
-  const toolCalls = [];
-  for (let round = 0; round < 5; round++) {
-    const parts = response.candidates?.[0]?.content?.parts || [];
-    const funcCall = parts.find((p) => p.functionCall);
-    if (!funcCall) break;
-    const { name, args } = funcCall.functionCall;
-    const toolResult = executeFn(name, args);
-    toolCalls.push({ name, args, result: toolResult });
-    if (toolResult?._chartType) charts.push(toolResult);
-    response = (await chat.sendMessage([{ functionResponse: { name, response: { result: toolResult } } }])).response;
+  try {
+    let budgetSpent = false;
+    while (!stopReason) {
+      let turn;
+      try {
+        turn = await postLlm(
+          'tools',
+          { ...settings, history: toHistory(history), message, tools: declarations, steps },
+          { signal: controller.signal }
+        );
+      } catch (err) {
+        if (stopReason) break;
+        throw err;
+      }
+      if (!turn.toolCalls?.length || budgetSpent) {
+        if (budgetSpent) stopReason = 'max_steps';
+        return finish(turn.text || '');
+      }
+      if (turn.text) emit({ type: 'thought', text: turn.text });
+
+      const results = [];
+      for (const tc of turn.toolCalls) {
+        if (stopReason) break;
+        const args = tc.args || {};
+        if (toolCalls.length >= maxSteps) {
+          budgetSpent = true;
+          results.push({
+            id: tc.id,
+            name: tc.name,
+            result: { error: `Not run: the budget of ${maxSteps} tool calls is used up. Answer with the results you have.` },
+          });
+          continue;
+        }
+        emit({ type: 'call', id: tc.id, name: tc.name, args });
+        let toolResult;
+        try {
+          // tc.error: the provider could not read the call's arguments
+          toolResult = tc.error ? { error: tc.error } : await execute(tc.name, args, { signal: controller.signal });
+        } catch (err) {
+          toolResult = { error: err.message };
+        }
+        toolCalls.push({ name: tc.name, args: tc.args, result: toolResult });
+        if (toolResult?._chartType) charts.push(toolResult);
+        if (toolResult?._imageType === 'generated' && toolResult.data) generatedImages.push(toolResult);
+        results.push({ id: tc.id, name: tc.name, result: forModel(toolResult) });
+        emit({ type: 'result', id: tc.id, name: tc.name, summary: summarizeResult(toolResult), error: !!toolResult?.error });
+      }
+      steps.push({ text: turn.text || '', toolCalls: turn.toolCalls, results });
+    }
+    return finish('');
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
   }
-  return { text: response.text(), charts, toolCalls };
 }
 
-export const chatWithCsvTools = USE_OPENAI ? chatWithCsvToolsOpenAI : chatWithCsvToolsGemini;
-
-// ── OpenAI: chatWithJsonTools ──────────────────────────────────────────────
-const ALL_JSON_TOOLS = [...JSON_TOOL_DECLARATIONS, ...IMAGE_TOOL_DECLARATIONS];
-
-async function chatWithJsonToolsOpenAI(history, newMessage, jsonContext, executeFn) {
-  const systemInstruction = await loadSystemPrompt();
-  const baseHistory = history.map((m) => ({ role: m.role, content: m.content || '' }));
-  const msgWithContext = jsonContext
-    ? `[YouTube Channel JSON loaded: ${jsonContext.videoCount || 0} videos. Fields: ${(jsonContext.fields || []).join(', ')}]\n\n${newMessage}`
-    : newMessage;
-  const messages = buildMessages(systemInstruction, baseHistory, msgWithContext);
-  const tools = toOpenAITools(ALL_JSON_TOOLS);
-
-  const charts = [];
-  const toolCalls = [];
-  const generatedImages = [];
-  let response = await openai.chat.completions.create({
-    model: MODEL_OPENAI,
-    messages,
-    tools,
-    tool_choice: 'auto',
+// ── chatWithTools ──────────────────────────────────────────────────────────
+// tools: toolsFor(ctx) from toolRegistry.js — every toolset that applies to
+// the attached CSV, channel JSON and images, offered together so the model can
+// chain calls across them. options: { maxSteps, timeoutMs, signal, onStep }
+// (see runAgentLoop).
+export async function chatWithTools(history, newMessage, tools, settings = null, options = {}) {
+  const msgWithContext = tools.context ? `${tools.context}\n\n${newMessage}` : newMessage;
+  return runAgentLoop(history, msgWithContext, tools.declarations, tools.execute, {
+    ...DEFAULT_AGENT_LIMITS,
+    ...options,
+    settings,
   });
-
-  for (let round = 0; round < 8; round++) {
-    const msg = response.choices?.[0]?.message;
-    if (!msg?.tool_calls?.length) break;
-    const messagesWithAssistant = [...messages];
-    messagesWithAssistant.push({ role: 'assistant', content: msg.content || null, tool_calls: msg.tool_calls });
-    for (const tc of msg.tool_calls) {
-      const name = tc.function?.name;
-      const args = JSON.parse(tc.function?.arguments || '{}');
-      let toolResult = executeFn(name, args);
-      if (toolResult && typeof toolResult.then === 'function') toolResult = await toolResult;
-      toolCalls.push({ name, args, result: toolResult });
-      if (toolResult?._chartType) charts.push(toolResult);
-      if (toolResult?._imageType === 'generated' && toolResult.data) generatedImages.push(toolResult);
-      messagesWithAssistant.push({ role: 'tool', tool_call_id: tc.id, content: JSON.stringify(toolResult) });
-    }
-    response = await openai.chat.completions.create({
-      model: MODEL_OPENAI,
-      messages: messagesWithAssistant,
-      tools,
-      tool_choice: 'auto',
-    });
-  }
-
-  const text = response.choices?.[0]?.message?.content || '';
-  return { text, charts, toolCalls, generatedImages };
 }
 
-// ── Gemini: chatWithJsonTools ──────────────────────────────────────────────
-async function chatWithJsonToolsGemini(history, newMessage, jsonContext, executeFn) {
-  const systemInstruction = await loadSystemPrompt();
-  const model = genAI.getGenerativeModel({ model: MODEL_GEMINI, tools: [{ functionDeclarations: ALL_JSON_TOOLS }] });
-  const baseHistory = history.map((m) => ({ role: m.role === 'user' ? 'user' : 'model', parts: [{ text: m.content || '' }] }));
-  const chatHistory = systemInstruction
-    ? [
-        { role: 'user', parts: [{ text: `Follow these instructions in every response:\n\n${systemInstruction}` }] },
-        { role: 'model', parts: [{ text: "Got it! I'll follow those instructions." }] },
-        ...baseHistory,
-      ]
-    : baseHistory;
-  const chat = model.startChat({ history: chatHistory });
-  const msgWithContext = jsonContext
-    ? `[YouTube Channel JSON loaded: ${jsonContext.videoCount || 0} videos. Fields: ${(jsonContext.fields || []).join(', ')}]\n\n${newMessage}`
-    : newMessage;
-  let response = (await chat.sendMessage(msgWithContext)).response;
-  const charts = [];
-  const toolCalls = [];
-  const generatedImages = [];
-  for (let round = 0; round < 8; round++) {
-    const parts = response.candidates?.[0]?.content?.parts || [];
-    const funcCall = parts.find((p) => p.functionCall);
-    if (!funcCall) break;
-    const { name, args } = funcCall.functionCall;
-    let toolResult = executeFn(name, args);
-    if (toolResult && typeof toolResult.then === 'function') toolResult = await toolResult;
-    toolCalls.push({ name, args, result: toolResult });
-    if (toolResult?._chartType) charts.push(toolResult);
-    if (toolResult?._imageType === 'generated' && toolResult.data) generatedImages.push(toolResult);
-    response = (await chat.sendMessage([{ functionResponse: { name, response: { result: toolResult } } }])).response;
-  }
-  return { text: response.text(), charts, toolCalls, generatedImages };
+// ── Intent classifier ──────────────────────────────────────────────────────
+// Optional second opinion for intentRouter.js when its rules are a toss-up.
+// Resolves to { mode, reason } (the router checks the mode).
+const MODE_DESCRIPTIONS = {
+  search: 'answer with Google Search (facts, news, anything about the outside world)',
+  tools: "call the app's data tools on the user's loaded CSV / YouTube channel JSON (stats, charts, filtering)",
+  python: 'write and run Python code (custom analysis, models, calculations, matplotlib plots)',
+  plain: 'answer directly without search or code (writing, conversation, opinions)',
+};
+
+export async function classifyIntent(text, modes, settings = null) {
+  const prompt = `Classify how an assistant should answer the user's message. Options:
+${modes.map((m) => `- ${m}: ${MODE_DESCRIPTIONS[m]}`).join('\n')}
+
+Message: ${JSON.stringify(text.slice(0, 2000))}
+
+Reply with only JSON: {"mode": "<one of ${modes.join(', ')}>", "reason": "<one short sentence>"}`;
+  const { text: reply } = await postLlm('synthesis', { ...settings, prompt });
+  const json = reply?.match(/\{[\s\S]*\}/)?.[0];
+  return json ? JSON.parse(json) : null;
 }
 
-export const chatWithJsonTools = USE_OPENAI ? chatWithJsonToolsOpenAI : chatWithJsonToolsGemini;
-
-// ── Final Synthesis (same OpenAI client as chat; Gemini fallback if no OpenAI key) ─
-export async function generateFinalSynthesis(prompt) {
-  if (openai) {
-    const response = await openai.chat.completions.create({
-      model: MODEL_OPENAI,
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 2048,
-    });
-    return response.choices?.[0]?.message?.content || 'No report generated.';
-  }
-  if (genAI) {
-    const model = genAI.getGenerativeModel({ model: MODEL_GEMINI });
-    const result = await model.generateContent(prompt);
-    return result.response?.text?.() || 'No report generated.';
-  }
-  throw new Error('OpenAI API key not configured. Add REACT_APP_OPENAI_API_KEY to your .env file and restart the server.');
+// ── Final Synthesis ────────────────────────────────────────────────────────
+export async function generateFinalSynthesis(prompt, settings = null) {
+  const { text } = await postLlm('synthesis', { ...settings, prompt });
+  return text || 'No report generated.';
 }
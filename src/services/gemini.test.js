@@ -0,0 +1,171 @@
+// Runs the browser-side tool loops end-to-end against the server's scripted
+// mock provider — no network, no API keys.
+import { chatWithTools } from './gemini';
+import { parseCsvToRows, enrichWithEngagement } from './csvTools';
+import { toolsFor } from './toolRegistry';
+import { authFetch } from './mongoApi';
+
+const { createMockProvider } = require('../../server/llm/providers/mock');
+const defaultScript = require('../../server/llm/mockScript.json');
+
+jest.mock('./mongoApi', () => ({ authFetch: jest.fn() }));
+
+const routeTo = (provider) => {
+  authFetch.mockImplementation(async (path, options) => {
+    expect(path).toBe('/api/llm/tools');
+    const data = await provider.chatTurn(JSON.parse(options.body));
+    return { ok: true, json: async () => data };
+  });
+};
+
+const videos = [
+  { video_id: 'a', title: 'Alpha', view_count: 100, release_date: '2024-01-01T00:00:00Z' },
+  { video_id: 'b', title: 'Beta', view_count: 300, release_date: '2024-02-01T00:00:00Z' },
+];
+
+test('JSON tool loop executes the scripted tool call and returns the final reply', async () => {
+  routeTo(createMockProvider(defaultScript));
+  const result = await chatWithTools([], 'What is the average view count?', toolsFor({ videos }));
+  expect(result.toolCalls).toHaveLength(1);
+  expect(result.toolCalls[0]).toMatchObject({ name: 'compute_stats_json', result: { mean: 200, count: 2 } });
+  expect(result.text).toContain('view statistics');
+  expect(result.text).toContain('"mean":200');
+});
+
+test('chart results are collected from the JSON tool loop', async () => {
+  routeTo(createMockProvider(defaultScript));
+  const result = await chatWithTools([], 'plot views over time', toolsFor({ videos }));
+  expect(result.charts).toHaveLength(1);
+  expect(result.charts[0]._chartType).toBe('metricVsTime');
+});
+
+test('CSV tool loop follows multi-round scripts and stops when the model replies', async () => {
+  routeTo(createMockProvider([
+    {
+      match: 'compare',
+      rounds: [
+        [{ name: 'compute_column_stats', args: { column: 'View Count' } }],
+        [{ name: 'get_top_tweets', args: { sort_column: 'engagement', n: 1 } }],
+      ],
+      reply: 'Compared.',
+    },
+  ]));
+  const raw = parseCsvToRows('Text,View Count,Favorite Count\nhello,100,10\nworld,200,5');
+  const { rows, headers } = enrichWithEngagement(raw.rows, raw.headers);
+  const result = await chatWithTools([], 'compare these', toolsFor({ csv: { rows, headers } }));
+  expect(result.toolCalls.map((t) => t.name)).toEqual(['compute_column_stats', 'get_top_tweets']);
+  expect(result.toolCalls[1].result.tweets[0].text).toBe('hello');
+  expect(result.text).toBe('Compared.');
+  expect(authFetch).toHaveBeenCalledTimes(3);
+});
+
+test('rules whose tools are not offered are skipped', async () => {
+  routeTo(createMockProvider(defaultScript));
+  const tools = toolsFor({ csv: { rows: [{ Text: 'hi' }], headers: ['Text'] } });
+  const result = await chatWithTools([], 'play the first video', {
+    ...tools,
+    execute: () => {
+      throw new Error('no tool should run');
+    },
+  });
+  expect(result.toolCalls).toHaveLength(0);
+  expect(result.text).toBe('Mock response to "play the first video".');
+});
+
+test('CSV and JSON tools are offered together and chained in one turn', async () => {
+  routeTo(createMockProvider([
+    {
+      match: 'tweets vs views',
+      rounds: [
+        [{ name: 'compute_column_stats', args: { column: 'View Count' } }],
+        [{ name: 'compute_stats_json', args: { field: 'view_count' } }],
+      ],
+      reply: 'Both compared.',
+    },
+  ]));
+  const raw = parseCsvToRows('Text,View Count,Favorite Count\nhello,100,10\nworld,200,5');
+  const tools = toolsFor({ csv: enrichWithEngagement(raw.rows, raw.headers), videos });
+  expect(tools.toolsets).toEqual(['csv', 'json']);
+  const names = tools.declarations.map((d) => d.name);
+  expect(names).toEqual(expect.arrayContaining(['csv_make_chart', 'json_make_chart']));
+  expect(names).not.toContain('make_chart');
+
+  const result = await chatWithTools([], 'tweets vs views', tools);
+  expect(result.toolCalls.map((t) => t.name)).toEqual(['compute_column_stats', 'compute_stats_json']);
+  expect(result.toolCalls[1].result).toMatchObject({ mean: 200 });
+  expect(result.text).toBe('Both compared.');
+  expect(tools.execute('play_video_x', {})).toHaveProperty('error');
+});
+
+test('the agent loop streams its steps and stops at the tool-call budget', async () => {
+  routeTo(createMockProvider([
+    {
+      match: 'dig in',
+      rounds: [
+        [{ name: 'compute_stats_json', args: { field: 'view_count' } }],
+        [{ name: 'plot_metric_vs_time', args: { metric: 'view_count' } }],
+      ],
+      reply: 'Done with {{results}}',
+    },
+  ]));
+  const onStep = jest.fn();
+  const result = await chatWithTools([], 'dig in', toolsFor({ videos }), null, { maxSteps: 1, onStep });
+  expect(result.toolCalls.map((t) => t.name)).toEqual(['compute_stats_json']);
+  expect(result.stopped).toBe('max_steps');
+  expect(result.text).toContain('budget of 1 tool calls is used up');
+  expect(result.trace.map((s) => s.type)).toEqual(['call', 'result', 'stop']);
+  expect(result.trace[1].summary).toContain('"mean":200');
+  expect(onStep).toHaveBeenCalledTimes(3);
+});
+
+test('aborting the signal cancels the request in flight', async () => {
+  authFetch.mockImplementation(
+    (path, { signal }) =>
+      new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))))
+  );
+  const controller = new AbortController();
+  const pending = chatWithTools([], 'anything', toolsFor({ videos }), null, { signal: controller.signal });
+  controller.abort();
+  const result = await pending;
+  expect(result.stopped).toBe('aborted');
+  expect(result.text).toBe('');
+  expect(result.trace).toEqual([{ type: 'stop', reason: 'aborted' }]);
+});
+
+test('the time limit cancels a tool in flight and keeps the last thought', async () => {
+  authFetch.mockImplementation(async () => ({
+    ok: true,
+    json: async () => ({ text: 'Checking the views first.', toolCalls: [{ id: 't1', name: 'slow_tool', args: {} }] }),
+  }));
+  let toolSignal;
+  const tools = {
+    declarations: [{ name: 'slow_tool', description: 'Never finishes on its own.' }],
+    context: '',
+    execute: (name, args, { signal }) => {
+      toolSignal = signal;
+      return new Promise((resolve) => signal.addEventListener('abort', () => resolve({ error: 'cancelled' })));
+    },
+  };
+  const result = await chatWithTools([], 'anything', tools, null, { timeoutMs: 20 });
+  expect(toolSignal.aborted).toBe(true);
+  expect(result.stopped).toBe('timeout');
+  expect(result.text).toBe('Checking the views first.');
+  expect(result.trace.map((s) => s.type)).toEqual(['thought', 'call', 'result', 'stop']);
+});
+
+test('a tool call with unreadable arguments is reported back instead of run', async () => {
+  authFetch
+    .mockImplementationOnce(async () => ({
+      ok: true,
+      json: async () => ({ text: '', toolCalls: [{ id: 't1', name: 'compute_stats_json', args: {}, error: 'Malformed tool arguments: bad JSON' }] }),
+    }))
+    .mockImplementationOnce(async (path, options) => {
+      expect(JSON.parse(options.body).steps[0].results[0].result).toEqual({ error: 'Malformed tool arguments: bad JSON' });
+      return { ok: true, json: async () => ({ text: 'Sorry, retrying did not help.', toolCalls: [] }) };
+    });
+  const execute = jest.fn();
+  const result = await chatWithTools([], 'anything', { declarations: [], context: '', execute }, null);
+  expect(execute).not.toHaveBeenCalled();
+  expect(result.toolCalls[0].result).toHaveProperty('error');
+  expect(result.text).toBe('Sorry, retrying did not help.');
+});
@@ -1,5 +1,7 @@
 // ── Image generation tool declaration for Gemini ────────────────────────────
 
+import { generateImage } from './imageService';
+
 export const IMAGE_TOOL_DECLARATIONS = [
   {
     name: 'generateImage',
@@ -19,3 +21,22 @@ export const IMAGE_TOOL_DECLARATIONS = [
     },
   },
 ];
+
+// ── Toolset (see toolRegistry.js) ─────────────────────────────────────────────
+// ctx.images: images attached to the message (the first is the anchor);
+// ctx.settings: the chat's LLM settings for the image call; ctx.signal: the
+// tool loop's (Stop or its time limit)
+export const IMAGE_TOOLSET = {
+  name: 'image',
+  label: 'Image',
+  isAvailable: (ctx) => !!ctx.images?.length,
+  declarations: IMAGE_TOOL_DECLARATIONS,
+  execute: async (toolName, args, ctx) => {
+    if (toolName !== 'generateImage') return { error: `Unknown tool: ${toolName}` };
+    const anchor = ctx.images[0];
+    const result = await generateImage(args.prompt || '', anchor.data, anchor.mimeType, ctx.settings, { signal: ctx.signal });
+    if (result.error) return { error: result.error };
+    return { _imageType: 'generated', data: result.data, mimeType: result.mimeType || 'image/png' };
+  },
+  describe: (ctx) => `[${ctx.images.length} image${ctx.images.length > 1 ? 's' : ''} attached — the first is the anchor for generateImage]`,
+};
@@ -0,0 +1,228 @@
+// ── Intent routing ───────────────────────────────────────────────────────────
+// Decides how a message is answered:
+//   search — streamed chat with Google Search grounding
+//   tools  — function calling over the loaded CSV / channel JSON and attached
+//            images (client-side tools, see toolRegistry.js)
+//   python — streamed chat with Python code execution
+//   plain  — streamed chat with neither
+// A scored rule set runs first: each mode starts from a prior set by what is
+// loaded, and every matching rule adds its weight and a human-readable reason.
+// When the top two scores are close an optional LLM classifier gets the final
+// word. The decision ({ mode, source, reasons }) is stored on the reply and
+// shown as a badge; the user can also force a mode for one message.
+
+export const MODES = ['search', 'tools', 'python', 'plain'];
+export const MODE_LABELS = { search: 'Search', tools: 'Tools', python: 'Python', plain: 'Plain' };
+
+// A lead this small or smaller is a toss-up (see refineWithClassifier) — e.g.
+// a question that matched no rule and only has the default prior
+export const AMBIGUOUS_MARGIN = 1;
+
+// Ties go to the earlier mode: the more specific answer path wins
+const TIE_ORDER = ['python', 'tools', 'search', 'plain'];
+
+// { mode, weight, pattern, reason, when? } — reason gets the matched words;
+// when(context) limits a rule to some situations
+const RULES = [
+  // Python: what the client tools genuinely cannot do
+  {
+    mode: 'python',
+    weight: 4,
+    pattern: /\b(seaborn|matplotlib|numpy|pandas|scipy|sklearn|scikit-learn|statsmodels)\b/i,
+    reason: 'names a Python library',
+  },
+  {
+    mode: 'python',
+    weight: 3,
+    pattern: /\b(time.?series|violin|logistic|forecast\w*|arima|k-?means|cluster\w*|pca|monte carlo|simulat\w+)\b/i,
+    reason: 'asks for a technique only Python covers',
+  },
+  {
+    mode: 'python',
+    weight: 4,
+    pattern: /\b(run|write|execute)\b[\w\s]{0,20}\b(code|python|script)\b|```python/i,
+    reason: 'asks to run code',
+  },
+  {
+    mode: 'python',
+    weight: 1.5,
+    pattern: /\b(plot|chart|graph|visuali[sz]e|histogram|scatter|heatmap)\b/i,
+    reason: 'wants a chart with no dataset loaded',
+    when: (c) => !c.hasData,
+  },
+  {
+    mode: 'python',
+    weight: 1.5,
+    pattern: /\b(calculate|compute|solve|integral|derivative|factorial|prime numbers?)\b/i,
+    reason: 'asks for a calculation',
+    when: (c) => !c.hasData,
+  },
+
+  // Tools: questions about the loaded data
+  {
+    mode: 'tools',
+    weight: 1,
+    pattern: /\b(plot|chart|graph|visuali[sz]e|histogram|scatter|heatmap|box ?plot|table)\b/i,
+    reason: 'wants a chart of the loaded data',
+    when: (c) => c.hasData,
+  },
+  {
+    mode: 'tools',
+    weight: 1,
+    pattern: /\b(average|mean|median|sum|total|count|how many|top \d+|most|least|highest|lowest|correlat\w*|regression|distribution|compare|trend|engagement|views?|likes?|comments?|uploads?|sentiment)\b/i,
+    reason: 'asks for statistics',
+    when: (c) => c.hasData,
+  },
+  {
+    mode: 'tools',
+    weight: 1.5,
+    pattern: null, // see matchColumns
+    reason: 'mentions a loaded column',
+    when: (c) => c.hasData && c.columns?.length > 0,
+  },
+  {
+    mode: 'tools',
+    weight: 3,
+    pattern: /\b(generate|transform|restyle|make (it|this|them) look|turn (it|this|them) into|in the style of)\b/i,
+    reason: 'wants an attached image changed',
+    when: (c) => c.hasImages,
+  },
+
+  // Search: facts about the world
+  {
+    mode: 'search',
+    weight: 2,
+    pattern: /\b(latest|news|today|tonight|yesterday|this (week|month|year)|current(ly)?|recent(ly)?|right now|price|weather|score|release date|20\d\d)\b/i,
+    reason: 'asks about current events',
+  },
+  {
+    mode: 'search',
+    weight: 1,
+    pattern: /^(who|when|where|which|what is|what are|what was|is there|how do|how does|how to)\b/i,
+    reason: 'asks a factual question',
+    when: (c) => !c.hasData,
+  },
+  {
+    mode: 'search',
+    weight: 1,
+    pattern: /\b(look up|search|google|sources?|cite|according to)\b/i,
+    reason: 'asks for sources',
+  },
+
+  // Plain: writing and conversation need no search
+  {
+    mode: 'plain',
+    weight: 3,
+    pattern: /^(hi|hello|hey|thanks|thank you|ok(ay)?|cool|great)\b[\s!.]*$/i,
+    reason: 'is small talk',
+  },
+  {
+    mode: 'plain',
+    weight: 2,
+    pattern: /\b(rewrite|rephrase|reword|translate|proofread|paraphrase|brainstorm|draft|write (me )?(a|an) (email|poem|story|letter|tweet|caption|post))\b/i,
+    reason: 'is a writing task',
+  },
+  {
+    mode: 'plain',
+    weight: 1.5,
+    pattern: /\b(interview|how did i|my reactions?|i felt|i think)\b/i,
+    reason: 'is about the interview',
+    when: (c) => c.interview,
+  },
+];
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Column / field names (of 3+ characters) that appear in the text
+const matchColumns = (text, columns) =>
+  columns.filter((col) => col.length >= 3 && new RegExp(`\\b${escapeRegExp(col.replace(/_/g, ' '))}\\b|\\b${escapeRegExp(col)}\\b`, 'i').test(text));
+
+// Python needs a provider that executes code (context.codeExecution: false
+// for e.g. OpenAI; unknown counts as able)
+const canRunCode = (context) => context.codeExecution !== false;
+const noCodeReason = (context) => `${context.providerLabel || 'This provider'} can't run Python code`;
+
+// Modes that can answer at all: tools need loaded data or an attached image,
+// python a provider that runs code
+export const availableModes = (context) =>
+  MODES.filter((m) => (m !== 'tools' || context.hasData || context.hasImages) && (m !== 'python' || canRunCode(context)));
+
+const DATA_LABELS = { csv: 'a CSV', json: 'channel JSON', 'csv+json': 'a CSV and channel JSON' };
+
+// text: the user's message. context: { hasData, dataKind: 'csv' | 'json' |
+// 'csv+json' | null, columns, hasImages, interview, codeExecution, providerLabel }. Returns { mode, source: 'rules', reasons, scores, margin }.
+export function routeIntent(text, context = {}) {
+  const scores = { search: 0, tools: 0, python: 0, plain: 0 };
+  const reasons = { search: [], tools: [], python: [], plain: [] };
+  const add = (mode, weight, reason) => {
+    scores[mode] += weight;
+    reasons[mode].push(reason);
+  };
+
+  // Priors: what's loaded decides the default
+  if (context.hasData) add('tools', 2, `${DATA_LABELS[context.dataKind] || 'a CSV'} ${context.dataKind === 'csv+json' ? 'are' : 'is'} loaded`);
+  else add('search', 1, 'default for general questions');
+  if (context.interview) add('plain', 1.5, 'an interview is in progress');
+
+  for (const rule of RULES) {
+    if (rule.when && !rule.when(context)) continue;
+    if (!rule.pattern) {
+      const hits = matchColumns(text, context.columns);
+      if (hits.length) add(rule.mode, rule.weight, `${rule.reason} (${hits.slice(0, 3).join(', ')})`);
+      continue;
+    }
+    const match = text.match(rule.pattern);
+    if (match) add(rule.mode, rule.weight, `${rule.reason} (“${match[0].trim().slice(0, 30)}”)`);
+  }
+
+  // Python can't read channel JSON; the JSON tools answer instead
+  if (context.hasData && context.dataKind === 'json' && scores.python > 0) {
+    scores.python = 0;
+    reasons.tools.push('Python has no access to the channel JSON');
+  }
+
+  const ranked = availableModes(context).sort((a, b) => scores[b] - scores[a] || TIE_ORDER.indexOf(a) - TIE_ORDER.indexOf(b));
+  const [mode, runnerUp] = ranked;
+  if (!canRunCode(context) && scores.python > scores[mode]) reasons[mode].push(`${noCodeReason(context)}, so Python is off`);
+  return {
+    mode,
+    source: 'rules',
+    reasons: reasons[mode],
+    scores,
+    margin: scores[mode] - scores[runnerUp],
+  };
+}
+
+// When the rules are a toss-up, ask `classify(text, modes)` → { mode, reason }
+// (an LLM call, see classifyIntent in gemini.js). Its answer is used only if it
+// names an available mode; any failure keeps the rules' decision.
+export async function refineWithClassifier(decision, text, context, classify) {
+  if (!classify || decision.margin > AMBIGUOUS_MARGIN) return decision;
+  const modes = availableModes(context);
+  try {
+    const answer = await classify(text, modes);
+    if (!modes.includes(answer?.mode)) return decision;
+    return {
+      ...decision,
+      mode: answer.mode,
+      source: 'llm',
+      reasons: [`classifier: ${String(answer.reason || 'no reason given').slice(0, 160)}`, ...decision.reasons.map((r) => `rules: ${r}`)],
+    };
+  } catch {
+    return decision;
+  }
+}
+
+// A mode picked by the user for one message; tools fall back to the rules
+// when nothing is loaded or attached, python when the provider can't run code
+export function overrideIntent(mode, text, context) {
+  if (mode === 'tools' && !context.hasData && !context.hasImages) {
+    const decision = routeIntent(text, context);
+    return { ...decision, reasons: ['Tools need a loaded CSV or JSON, or an attached image', ...decision.reasons] };
+  }
+  if (mode === 'python' && !canRunCode(context)) {
+    const decision = routeIntent(text, context);
+    return { ...decision, reasons: [noCodeReason(context), ...decision.reasons.filter((r) => !r.startsWith(noCodeReason(context)))] };
+  }
+  return { mode, source: 'override', reasons: [`${MODE_LABELS[mode]} chosen for this message`] };
+}
@@ -0,0 +1,67 @@
+// Scored intent routing, the classifier tie-break and per-message overrides.
+import { routeIntent, refineWithClassifier, overrideIntent } from './intentRouter';
+
+const none = { hasData: false, dataKind: null, columns: [] };
+const csv = { hasData: true, dataKind: 'csv', columns: ['Text', 'Favorite Count', 'engagement'] };
+const json = { hasData: true, dataKind: 'json', columns: ['title', 'view_count', 'duration'] };
+
+test('everyday words like "data" or "chart" do not flip the mode', () => {
+  expect(routeIntent('What does the data say about remote work productivity?', none).mode).toBe('search');
+  expect(routeIntent('Who topped the music charts in 1985?', none).mode).toBe('search');
+  expect(routeIntent('Rewrite this paragraph about data privacy to sound friendlier', none).mode).toBe('plain');
+  expect(routeIntent('thanks!', none).mode).toBe('plain');
+});
+
+test('loaded data favours the tools unless Python is clearly needed', () => {
+  const stats = routeIntent('Which tweets have the highest Favorite Count?', csv);
+  expect(stats.mode).toBe('tools');
+  expect(stats.reasons.join(' ')).toMatch(/CSV is loaded/);
+  expect(stats.reasons.join(' ')).toMatch(/Favorite Count/);
+
+  const forecast = routeIntent('Forecast next month with a seaborn plot', csv);
+  expect(forecast.mode).toBe('python');
+  expect(forecast.reasons.join(' ')).toMatch(/seaborn/);
+
+  // Python can't see channel JSON, so the JSON tools answer
+  expect(routeIntent('Use numpy to get the mean view_count', json).mode).toBe('tools');
+  expect(routeIntent('plot a sine wave', none).mode).toBe('python');
+});
+
+test('the classifier only settles close calls and must name an available mode', async () => {
+  const classify = jest.fn(async () => ({ mode: 'plain', reason: 'opinion question' }));
+  const close = routeIntent('Tell me about cats', none);
+  expect(close).toMatchObject({ mode: 'search', margin: 1 });
+  const refined = await refineWithClassifier(close, 'Tell me about cats', none, classify);
+  expect(refined).toMatchObject({ mode: 'plain', source: 'llm' });
+  expect(refined.reasons[0]).toBe('classifier: opinion question');
+  expect(classify).toHaveBeenCalledWith('Tell me about cats', ['search', 'python', 'plain']);
+
+  const clear = routeIntent('Run this python code: print(1)', none);
+  expect(await refineWithClassifier(clear, 'Run this python code', none, classify)).toBe(clear);
+
+  const invalid = await refineWithClassifier(close, 'Tell me about cats', none, async () => ({ mode: 'tools' }));
+  expect(invalid).toBe(close);
+  const failing = await refineWithClassifier(close, 'Tell me about cats', none, async () => {
+    throw new Error('offline');
+  });
+  expect(failing).toBe(close);
+});
+
+test('overrides apply to one message; Tools needs loaded data', () => {
+  expect(overrideIntent('python', 'hello', csv)).toMatchObject({ mode: 'python', source: 'override' });
+  const noData = overrideIntent('tools', 'What is new today?', none);
+  expect(noData).toMatchObject({ mode: 'search', source: 'rules' });
+  expect(noData.reasons[0]).toMatch(/Tools need/);
+});
+
+test('Python is off when the provider cannot run code', () => {
+  const openai = { ...csv, codeExecution: false, providerLabel: 'OpenAI' };
+  const forecast = routeIntent('Forecast next month with a seaborn plot', openai);
+  expect(forecast.mode).toBe('tools');
+  expect(forecast.reasons.join(' ')).toMatch(/OpenAI can't run Python code/);
+  expect(routeIntent('plot a sine wave', { ...none, codeExecution: false }).mode).not.toBe('python');
+
+  const forced = overrideIntent('python', 'hello', openai);
+  expect(forced.mode).not.toBe('python');
+  expect(forced.reasons[0]).toBe("OpenAI can't run Python code");
+});
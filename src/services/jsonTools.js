@@ -1,6 +1,24 @@
 // ── YouTube/JSON Channel Data Tools ──────────────────────────────────────────
 // Tool declarations for Gemini function calling when channel JSON is loaded.
-// Tools: compute_stats_json, plot_metric_vs_time, play_video
+// Tools: compute_stats_json, query_videos, make_chart, correlate, linear_regression, keyword_impact,
+//        plot_metric_vs_time, play_video, view_velocity,
+//        compare_channels, upload_cadence (several channels loaded side by side),
+//        comment_sentiment, top_comments, comment_themes (need a download with comments)
+
+import { contentTokens, ngrams, sentimentScore } from './textAnalysis';
+import { makeChartDeclaration, makeChart } from './chartTools';
+import { correlateDeclaration, correlate, linearRegressionDeclaration, linearRegression } from './statsTools';
+import { keywordImpactDeclaration, keywordImpact } from './keywordTools';
+
+const COMMENT_SELECTOR = {
+  type: 'STRING',
+  description: 'Which video: "first", "second", etc. (ordinal), "most viewed", "least viewed", a partial title match, or "all" for every video. Default: all.',
+};
+
+const CHANNEL_FILTER = {
+  type: 'STRING',
+  description: 'Optional. Only use videos from this channel (partial channel_title match) when several channels are loaded. Default: all loaded channels.',
+};
 
 const COL_NOTE = 'Use the exact field name as it appears in the JSON (e.g. view_count, like_count, comment_count, duration, release_date). Numeric duration is in seconds if available, otherwise use duration_iso.';
 
@@ -18,16 +36,75 @@ export const JSON_TOOL_DECLARATIONS = [
           type: 'STRING',
           description: 'Exact numeric field name from the JSON (e.g. view_count, like_count, comment_count).',
         },
+        channel: CHANNEL_FILTER,
       },
       required: ['field'],
     },
   },
+  {
+    name: 'query_videos',
+    description:
+      'Filter videos precisely and optionally group them, returning a table that is shown to the user as a sortable grid. ' +
+      'Filters: release date range, numeric/text comparisons on any field, keyword match in title/description/transcript, duration buckets, channel. ' +
+      'group_by with aggregations answers "per year", "by length", "per weekday" questions. ' +
+      'Example: "average views of videos longer than 20 minutes released in 2023" → date_from "2023", date_to "2023", duration_bucket "long", aggregations "count, mean(view_count)". ' +
+      'Derived fields usable in filters and group_by: year, month, weekday, duration_minutes, duration_bucket, engagement_rate, channel. ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        filters: {
+          type: 'ARRAY',
+          description: 'Conditions that must all hold.',
+          items: {
+            type: 'OBJECT',
+            properties: {
+              field: { type: 'STRING', description: 'Field name, e.g. view_count, duration_minutes, like_count, title.' },
+              op: {
+                type: 'STRING',
+                description: 'One of: eq, ne, gt, gte, lt, lte, between (value..value2), contains, not_contains, in (comma-separated values).',
+              },
+              value: { type: 'STRING', description: 'Value to compare with (numbers as text, e.g. "1000").' },
+              value2: { type: 'STRING', description: 'Upper bound for between.' },
+            },
+            required: ['field', 'op', 'value'],
+          },
+        },
+        date_from: { type: 'STRING', description: 'Released on or after this date (inclusive). "2023", "2023-06" or "2023-06-15".' },
+        date_to: { type: 'STRING', description: 'Released on or before this date (inclusive; "2023" means through Dec 31, 2023).' },
+        keywords: { type: 'STRING', description: 'Comma-separated words or phrases to look for (case-insensitive).' },
+        keyword_fields: { type: 'STRING', description: 'Where to look: comma-separated title, description, transcript. Default: title, description.' },
+        match_all_keywords: { type: 'BOOLEAN', description: 'Require every keyword instead of any. Default: false.' },
+        duration_bucket: {
+          type: 'STRING',
+          description: 'Comma-separated length buckets: shorts (≤ 1 min), short (1–4 min), medium (4–20 min), long (> 20 min).',
+        },
+        channel: CHANNEL_FILTER,
+        group_by: { type: 'STRING', description: 'Optional field to group by (e.g. year, month, weekday, duration_bucket, channel).' },
+        aggregations: {
+          type: 'STRING',
+          description: 'Comma-separated, e.g. "count, mean(view_count), median(like_count), sum(view_count)". Also min(...) and max(...). ' +
+            'Default: count, mean(view_count), median(view_count).',
+        },
+        sort_by: { type: 'STRING', description: 'Column to sort rows by (a field, or an aggregation like mean_view_count). Default: release_date for videos, the group for groups.' },
+        descending: { type: 'BOOLEAN', description: 'Sort descending. Default: false.' },
+        limit: { type: 'NUMBER', description: 'Maximum rows returned. Default: 50, max 500.' },
+      },
+    },
+  },
+  makeChartDeclaration(
+    COL_NOTE + ' Derived fields also work: year, month, weekday, duration_minutes, duration_bucket, engagement_rate, channel.',
+    { channel: CHANNEL_FILTER }
+  ),
+  correlateDeclaration(COL_NOTE + ' Derived numeric fields also work: duration_minutes, engagement_rate, year.', { channel: CHANNEL_FILTER }),
+  linearRegressionDeclaration(COL_NOTE + ' Derived numeric fields also work: duration_minutes, engagement_rate, year.', { channel: CHANNEL_FILTER }),
+  keywordImpactDeclaration(COL_NOTE + ' Searchable text fields: title, description, tags, transcript.', { channel: CHANNEL_FILTER }),
   {
     name: 'plot_metric_vs_time',
     description:
       'Plot any numeric field (views, likes, comments, etc.) vs time for the channel videos. ' +
       'Creates a line/area chart with release_date on X-axis and the metric on Y-axis. ' +
-      'Use when user asks to visualize trends over time, plot metrics vs date, or see how views/likes evolved. ' + COL_NOTE,
+      'Use when user asks to visualize trends over time, plot metrics vs date, or see how views/likes evolved. ' +
+      'With several channels loaded, draws one line per channel on the same axes. ' + COL_NOTE,
     parameters: {
       type: 'OBJECT',
       properties: {
@@ -39,6 +116,12 @@ export const JSON_TOOL_DECLARATIONS = [
           type: 'STRING',
           description: 'Date field for X-axis. Usually "release_date". Default: release_date.',
         },
+        video_selector: {
+          type: 'STRING',
+          description: 'Optional. Plot ONE video\'s metric over time from its tracked snapshots (X = snapshot date) instead of all videos by release date. ' +
+            'Same selectors as play_video ("first", "most viewed", a title keyword).',
+        },
+        channel: CHANNEL_FILTER,
       },
       required: ['metric_field'],
     },
@@ -60,6 +143,95 @@ export const JSON_TOOL_DECLARATIONS = [
       required: ['video_selector'],
     },
   },
+  {
+    name: 'view_velocity',
+    description:
+      'How fast videos grow: views (or likes/comments) gained per day since release, and per day between the latest tracked snapshots. ' +
+      'For one video, plots its growth curve (metric vs days since release) against the channel median at the same age and says whether it is ahead or behind. ' +
+      'For "all", ranks videos by velocity and plots views/day against release date. ' +
+      'Use for growth, momentum, trending, "is this video doing well for its age", or velocity questions.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        video_selector: {
+          type: 'STRING',
+          description: 'One video ("first", "most viewed", a title keyword) or "all". Default: all.',
+        },
+        metric_field: {
+          type: 'STRING',
+          description: 'view_count (default), like_count or comment_count.',
+        },
+      },
+    },
+  },
+  {
+    name: 'compare_channels',
+    description:
+      'Side-by-side statistics per loaded channel: video count, mean/median/total of each metric, engagement rate ((likes + comments) / views) ' +
+      'and which channel leads each metric by median. Use for benchmarking a creator against competitors, "which channel does better", or any per-channel comparison.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        fields: {
+          type: 'STRING',
+          description: 'Comma-separated numeric fields to compare. Default: view_count, like_count, comment_count.',
+        },
+      },
+    },
+  },
+  {
+    name: 'upload_cadence',
+    description:
+      'How often each channel publishes: uploads per week, median and longest gap between uploads (days), busiest weekday, first and last upload. ' +
+      'Plots uploads per month with one line per channel. Use for posting frequency, schedule or consistency questions.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        channel: CHANNEL_FILTER,
+      },
+    },
+  },
+  {
+    name: 'comment_sentiment',
+    description:
+      'Summarize the sentiment of viewer comments (and replies) on a video or the whole channel: share of positive, neutral and negative comments, ' +
+      'a like-weighted score, and the most-liked positive and negative examples. ' +
+      'Use for questions about audience reaction, how viewers felt, or whether a video was received well.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        video_selector: COMMENT_SELECTOR,
+        include_replies: { type: 'BOOLEAN', description: 'Also score replies, not just top-level comments. Default: true.' },
+      },
+    },
+  },
+  {
+    name: 'top_comments',
+    description:
+      'List the most-liked comments on a video (or across all videos) with author, likes, reply count and date. ' +
+      'Use when the user asks what people are saying, the top/best/most popular comments, or for example reactions.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        video_selector: COMMENT_SELECTOR,
+        n: { type: 'NUMBER', description: 'How many comments to return. Default: 10.' },
+      },
+    },
+  },
+  {
+    name: 'comment_themes',
+    description:
+      'Find recurring themes in the comments: the words and two-word phrases mentioned by the most commenters, ' +
+      'each with how many comments mention it, their average likes and sentiment, and the most-liked example. ' +
+      'Use when the user asks what viewers talk about, common topics, requests or complaints.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        video_selector: COMMENT_SELECTOR,
+        top_n: { type: 'NUMBER', description: 'Number of themes to return. Default: 8.' },
+      },
+    },
+  },
 ];
 
 // ── Resolve numeric field (handle snake_case and variations) ──────────────────
@@ -95,6 +267,15 @@ const durationToSeconds = (val) => {
   return NaN;
 };
 
+// Numeric value of a field; durations like "PT4M13S" or "4:13" become seconds
+const metricValue = (v, field) => {
+  const n = parseFloat(v[field]);
+  if (isNaN(n) && (field.toLowerCase().includes('duration') || field === 'duration_iso')) {
+    return durationToSeconds(v[field] ?? v.duration ?? v.duration_iso);
+  }
+  return n;
+};
+
 const median = (sorted) =>
   sorted.length % 2 === 0
     ? (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2
@@ -102,6 +283,259 @@ const median = (sorted) =>
 
 const fmt = (n) => (Number.isInteger(n) ? n : +n.toFixed(4));
 
+// ── Pick a video by ordinal, view rank or title ─────────────────────────────
+const selectVideo = (videos, selector) => {
+  const sel = String(selector || '').toLowerCase().trim();
+  if (sel === 'most viewed' || sel === 'most viewed video') {
+    return [...videos].sort((a, b) => (parseInt(b.view_count, 10) || 0) - (parseInt(a.view_count, 10) || 0))[0];
+  }
+  if (sel === 'least viewed' || sel === 'least viewed video') {
+    return [...videos].sort((a, b) => (parseInt(a.view_count, 10) || 0) - (parseInt(b.view_count, 10) || 0))[0];
+  }
+  if (/^(first|1st|1)$/.test(sel)) return videos[0];
+  if (/^(second|2nd|2)$/.test(sel)) return videos[1];
+  if (/^(third|3rd|3)$/.test(sel)) return videos[2];
+  if (/^(\d+)(st|nd|rd|th)?$/.test(sel)) return videos[parseInt(sel.match(/\d+/)[0], 10) - 1];
+  return videos.find((v) => (v.title || '').toLowerCase().includes(sel));
+};
+
+// ── Channels ─────────────────────────────────────────────────────────────────
+// Chat.js tags each loaded video with its channel_title, so a session can hold
+// several channels. Videos without one count as a single channel.
+
+const channelOf = (v) => v.channel_title || 'Channel';
+
+// Map of channel_title → videos, in load order
+const groupByChannel = (videos) => {
+  const groups = new Map();
+  for (const v of videos) {
+    const channel = channelOf(v);
+    if (!groups.has(channel)) groups.set(channel, []);
+    groups.get(channel).push(v);
+  }
+  return groups;
+};
+
+const inChannel = (videos, channel) => {
+  const sel = String(channel || '').toLowerCase().trim();
+  return sel ? videos.filter((v) => channelOf(v).toLowerCase().includes(sel)) : videos;
+};
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// ── Query helpers (query_videos) ─────────────────────────────────────────────
+
+const durationSeconds = (v) => {
+  const n = durationToSeconds(v.duration ?? v.duration_iso);
+  return isNaN(n) ? durationToSeconds(v.duration_iso) : n;
+};
+
+// YouTube search's length filters, with Shorts split out
+const durationBucket = (seconds) =>
+  isNaN(seconds) ? null : seconds <= 60 ? 'shorts' : seconds < 240 ? 'short' : seconds <= 1200 ? 'medium' : 'long';
+
+const releaseDate = (v) => {
+  const d = new Date(v.release_date);
+  return isNaN(d) ? null : d;
+};
+
+// Fields computed from the video rather than stored on it
+const DERIVED_FIELDS = {
+  year: (v) => releaseDate(v)?.getUTCFullYear() ?? null,
+  month: (v) => releaseDate(v)?.toISOString().slice(0, 7) ?? null,
+  weekday: (v) => (releaseDate(v) ? WEEKDAYS[releaseDate(v).getUTCDay()] : null),
+  duration_minutes: (v) => (isNaN(durationSeconds(v)) ? null : fmt(durationSeconds(v) / 60)),
+  duration_bucket: (v) => durationBucket(durationSeconds(v)),
+  engagement_rate: (v) =>
+    Number(v.view_count) ? fmt(((Number(v.like_count) || 0) + (Number(v.comment_count) || 0)) / Number(v.view_count)) : null,
+  channel: (v) => channelOf(v),
+};
+
+const fieldValue = (v, field) => (DERIVED_FIELDS[field] ? DERIVED_FIELDS[field](v) : v[field]);
+
+// Accessors for the shared chart/stats tools: derived fields by name, stored
+// fields through resolveField, durations as seconds
+const toolAccessors = (videos) => ({
+  resolve: (name) => (DERIVED_FIELDS[name] ? name : resolveField(videos, name)),
+  numeric: (v, field) => (DERIVED_FIELDS[field] ? Number(fieldValue(v, field) ?? NaN) : metricValue(v, field)),
+  category: (v, field) => fieldValue(v, field),
+  labelOf: (v) => v.title,
+  // Stored fields that are numeric for most videos, then the derived ones
+  numericFields: () => [
+    ...Object.keys(videos[0] || {}).filter((k) => {
+      if (/(^|_)id$|^position$/.test(k)) return false;
+      const vals = videos.map((v) => v[k]).filter((x) => x != null && x !== '' && typeof x !== 'object');
+      return vals.length >= videos.length * 0.8 && vals.every((x) => !isNaN(Number(x)));
+    }),
+    'duration_minutes',
+    'engagement_rate',
+  ],
+});
+
+// Dates may be partial ("2023", "2023-06"): `from` is the start of that
+// period, `to` its last millisecond.
+const dateBound = (text, end) => {
+  const str = String(text || '').trim();
+  const m = str.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+  if (!m) {
+    const d = new Date(str);
+    return isNaN(d) ? null : d.getTime();
+  }
+  const [y, mo, d] = [Number(m[1]), m[2] ? Number(m[2]) - 1 : null, m[3] ? Number(m[3]) : null];
+  if (!end) return Date.UTC(y, mo ?? 0, d ?? 1);
+  if (d != null) return Date.UTC(y, mo, d + 1) - 1;
+  return mo != null ? Date.UTC(y, mo + 1, 1) - 1 : Date.UTC(y + 1, 0, 1) - 1;
+};
+
+const isDateField = (field) => /date|_at$/i.test(field);
+
+// Compare as numbers when both sides are numeric, as dates for date fields,
+// otherwise as case-insensitive text
+const compareValues = (a, b, field) => {
+  if (isDateField(field)) return new Date(a).getTime() - dateBound(b, false);
+  const [x, y] = [Number(a), Number(b)];
+  if (!isNaN(x) && !isNaN(y) && String(a).trim() !== '' && String(b).trim() !== '') return x - y;
+  return String(a ?? '').toLowerCase().localeCompare(String(b ?? '').toLowerCase());
+};
+
+const FILTER_OPS = {
+  eq: (a, f) => compareValues(a, f.value, f.field) === 0,
+  ne: (a, f) => compareValues(a, f.value, f.field) !== 0,
+  gt: (a, f) => compareValues(a, f.value, f.field) > 0,
+  gte: (a, f) => compareValues(a, f.value, f.field) >= 0,
+  lt: (a, f) => compareValues(a, f.value, f.field) < 0,
+  lte: (a, f) => compareValues(a, f.value, f.field) <= 0,
+  between: (a, f) => compareValues(a, f.value, f.field) >= 0 && compareValues(a, f.value2, f.field) <= 0,
+  contains: (a, f) => String(a ?? '').toLowerCase().includes(String(f.value).toLowerCase()),
+  not_contains: (a, f) => !String(a ?? '').toLowerCase().includes(String(f.value).toLowerCase()),
+  in: (a, f) => String(f.value).split(',').some((x) => compareValues(a, x.trim(), f.field) === 0),
+};
+
+const AGGREGATORS = {
+  count: (vals) => vals.length,
+  mean: (vals) => (vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : null),
+  median: (vals) => (vals.length ? median([...vals].sort((a, b) => a - b)) : null),
+  sum: (vals) => vals.reduce((a, b) => a + b, 0),
+  min: (vals) => (vals.length ? Math.min(...vals) : null),
+  max: (vals) => (vals.length ? Math.max(...vals) : null),
+};
+const AGG_ALIASES = { avg: 'mean', average: 'mean' };
+
+// "count, mean(view_count)" → [{ fn, field, key: 'mean_view_count' }]
+const parseAggregations = (text, videos) =>
+  String(text || 'count, mean(view_count), median(view_count)')
+    .split(',')
+    .map((part) => part.trim().match(/^(\w+)\s*(?:\(\s*([\w .-]+?)\s*\))?$/))
+    .filter(Boolean)
+    .map(([, name, field]) => {
+      const fn = AGG_ALIASES[name.toLowerCase()] || name.toLowerCase();
+      if (!AGGREGATORS[fn]) return null;
+      if (fn === 'count') return { fn, key: 'count' };
+      const resolved = DERIVED_FIELDS[field] ? field : resolveField(videos, field || 'view_count');
+      return { fn, field: resolved, key: `${fn}_${resolved}` };
+    })
+    .filter(Boolean);
+
+const aggregate = (vids, aggs) =>
+  Object.fromEntries(
+    aggs.map(({ fn, field, key }) => {
+      if (fn === 'count') return [key, vids.length];
+      const vals = vids
+        .map((v) => (DERIVED_FIELDS[field] ? fieldValue(v, field) ?? NaN : metricValue(v, field)))
+        .map(Number)
+        .filter((n) => !isNaN(n));
+      const out = AGGREGATORS[fn](vals);
+      return [key, out == null ? null : fmt(out)];
+    })
+  );
+
+const sortRows = (rows, key, descending) => {
+  const dir = descending ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    if (a[key] == null) return 1;
+    if (b[key] == null) return -1;
+    return dir * compareValues(a[key], b[key], key);
+  });
+};
+
+// ── Growth over time ─────────────────────────────────────────────────────────
+// Tracked datasets give each video history: [{ taken_at, view_count, ... }].
+// A video's growth series starts at (0 days, 0) on release_date.
+
+const DAY_MS = 86400000;
+const ageInDays = (from, to) => (new Date(to) - new Date(from)) / DAY_MS;
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// [{ age, value }] ascending by age; without history the one known count is
+// dated at the last stats refresh (or now).
+const growthSeries = (v, metric) => {
+  if (!v.release_date) return [];
+  const measured = v.history?.length
+    ? v.history
+    : [{ taken_at: v.stats_updated_at || new Date().toISOString(), [metric]: v[metric] }];
+  const points = measured
+    .map((h) => ({ age: ageInDays(v.release_date, h.taken_at), value: Number(h[metric]) }))
+    .filter((p) => p.age > 0 && !isNaN(p.value));
+  return [{ age: 0, value: 0 }, ...points];
+};
+
+// Linear interpolation; null past the last measurement.
+const valueAtAge = (series, age) => {
+  for (let i = 1; i < series.length; i++) {
+    const [a, b] = [series[i - 1], series[i]];
+    if (age <= b.age) return b.age === a.age ? b.value : a.value + ((b.value - a.value) * (age - a.age)) / (b.age - a.age);
+  }
+  return null;
+};
+
+// Lifetime (per day since release) and recent (between the last two snapshots) velocity.
+const velocityOf = (series) => {
+  if (series.length < 2) return null;
+  const last = series[series.length - 1];
+  const prev = series.length > 2 ? series[series.length - 2] : null;
+  return {
+    lifetime: last.value / Math.max(last.age, 1),
+    recent: prev && last.age > prev.age ? (last.value - prev.value) / (last.age - prev.age) : null,
+    age: last.age,
+  };
+};
+
+const medianOf = (vals) => (vals.length ? median([...vals].sort((a, b) => a - b)) : null);
+
+// ── Comments ─────────────────────────────────────────────────────────────────
+// Videos downloaded with comments carry comments: [{ author, text, like_count,
+// published_at, reply_count, replies: [...] }].
+
+// { scope, comments } for a selector ("all"/empty = every video), or { error }.
+const commentsFor = (videos, selector, { includeReplies = true } = {}) => {
+  if (!videos.some((v) => Array.isArray(v.comments))) {
+    return { error: 'The loaded channel data has no comments. Re-download the channel with "Include comments" checked.' };
+  }
+  const sel = String(selector || '').toLowerCase().trim();
+  const picked = !sel || sel === 'all' || sel === 'all videos' ? videos : [selectVideo(videos, sel)].filter(Boolean);
+  if (!picked.length) return { error: `Video not found for "${selector}". Try "first", "most viewed", a title keyword, or "all".` };
+  const comments = picked.flatMap((v) =>
+    (v.comments || []).flatMap((c) => [
+      { ...c, video: v.title },
+      ...(includeReplies ? (c.replies || []).map((r) => ({ ...r, video: v.title, is_reply: true })) : []),
+    ])
+  );
+  if (!comments.length) {
+    const why = picked.length === 1 && picked[0].comments_error ? ` (${picked[0].comments_error})` : '';
+    return { error: `No comments downloaded for ${picked.length === 1 ? `"${picked[0].title}"` : 'these videos'}${why}.` };
+  }
+  return { scope: picked.length === 1 ? picked[0].title : `all ${picked.length} videos`, comments };
+};
+
+const byLikes = (a, b) => (b.like_count || 0) - (a.like_count || 0);
+
+const shortComment = (c) => ({
+  author: c.author,
+  text: c.text.length > 300 ? `${c.text.slice(0, 300)}…` : c.text,
+  like_count: c.like_count || 0,
+  ...(c.is_reply && { reply: true }),
+});
+
 // ── Execute JSON tools ───────────────────────────────────────────────────────
 export const executeJsonTool = (toolName, args, videos) => {
   if (!Array.isArray(videos) || !videos.length) {
@@ -111,11 +545,8 @@ export const executeJsonTool = (toolName, args, videos) => {
   switch (toolName) {
     case 'compute_stats_json': {
       const field = resolveField(videos, args.field);
-      let vals = videos.map((r) => parseFloat(r[field]));
-      if (vals.every(isNaN) && (field.toLowerCase().includes('duration') || field === 'duration_iso')) {
-        vals = videos.map((r) => durationToSeconds(r[field] ?? r.duration ?? r.duration_iso));
-      }
-      vals = vals.filter((v) => !isNaN(v));
+      const pool = inChannel(videos, args.channel);
+      const vals = pool.map((r) => metricValue(r, field)).filter((v) => !isNaN(v));
       if (!vals.length)
         return { error: `No numeric values in "${field}". Available: ${Object.keys(videos[0]).join(', ')}` };
       const mean = vals.reduce((a, b) => a + b, 0) / vals.length;
@@ -132,55 +563,194 @@ export const executeJsonTool = (toolName, args, videos) => {
       };
     }
 
+    case 'query_videos': {
+      let pool = inChannel(videos, args.channel);
+      const applied = [];
+      if (args.channel) applied.push(`channel ~ "${args.channel}"`);
+
+      if (args.date_from || args.date_to) {
+        const from = args.date_from ? dateBound(args.date_from, false) : -Infinity;
+        const to = args.date_to ? dateBound(args.date_to, true) : Infinity;
+        if (from == null || to == null) return { error: `Could not read date range "${args.date_from || ''}" – "${args.date_to || ''}". Use YYYY, YYYY-MM or YYYY-MM-DD.` };
+        pool = pool.filter((v) => releaseDate(v) && releaseDate(v).getTime() >= from && releaseDate(v).getTime() <= to);
+        applied.push(`released ${args.date_from || '…'} – ${args.date_to || '…'}`);
+      }
+
+      if (args.duration_bucket) {
+        const buckets = String(args.duration_bucket).toLowerCase().split(',').map((b) => b.trim()).filter(Boolean);
+        pool = pool.filter((v) => buckets.includes(durationBucket(durationSeconds(v))));
+        applied.push(`duration: ${buckets.join(' or ')}`);
+      }
+
+      if (args.keywords) {
+        const words = String(args.keywords).toLowerCase().split(',').map((w) => w.trim()).filter(Boolean);
+        const where = String(args.keyword_fields || 'title, description').toLowerCase().split(',').map((f) => f.trim()).filter(Boolean);
+        const hits = (v) => {
+          const text = where.map((f) => v[f] || '').join('\n').toLowerCase();
+          return words.filter((w) => text.includes(w)).length;
+        };
+        pool = pool.filter((v) => (args.match_all_keywords ? hits(v) === words.length : hits(v) > 0));
+        applied.push(`${args.match_all_keywords ? 'all' : 'any'} of "${words.join('", "')}" in ${where.join('/')}`);
+      }
+
+      for (const f of Array.isArray(args.filters) ? args.filters : []) {
+        const op = FILTER_OPS[String(f.op || '').toLowerCase()];
+        if (!op) return { error: `Unknown filter op "${f.op}". Use one of: ${Object.keys(FILTER_OPS).join(', ')}.` };
+        const field = DERIVED_FIELDS[f.field] ? f.field : resolveField(videos, f.field);
+        const filter = { ...f, field };
+        pool = pool.filter((v) => {
+          const val = fieldValue(v, field);
+          return val != null && val !== '' && op(val, filter);
+        });
+        applied.push(`${field} ${f.op} ${f.value}${f.value2 != null ? `..${f.value2}` : ''}`);
+      }
+
+      const aggs = parseAggregations(args.aggregations, videos);
+      const limit = Math.min(Math.max(parseInt(args.limit, 10) || 50, 1), 500);
+      const multiChannel = groupByChannel(videos).size > 1;
+      const base = { matched: pool.length, of: videos.length, filters: applied };
+
+      if (args.group_by) {
+        const groupField = DERIVED_FIELDS[args.group_by] ? args.group_by : resolveField(videos, args.group_by);
+        const groups = new Map();
+        for (const v of pool) {
+          const key = fieldValue(v, groupField) ?? '(none)';
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(v);
+        }
+        const all = sortRows(
+          [...groups].map(([key, vids]) => ({ [groupField]: key, ...aggregate(vids, aggs) })),
+          args.sort_by || groupField,
+          !!args.descending
+        );
+        return {
+          ...base,
+          groups: all.length,
+          ...(all.length > limit && { truncated: true }),
+          _chartType: 'table',
+          title: `Videos by ${groupField}`,
+          columns: [
+            { key: groupField, label: groupField },
+            ...aggs.map((a) => ({ key: a.key, label: a.fn === 'count' ? 'count' : `${a.fn}(${a.field})`, numeric: true })),
+          ],
+          data: all.slice(0, limit),
+        };
+      }
+
+      const columns = [
+        { key: 'title', label: 'title' },
+        ...(multiChannel ? [{ key: 'channel', label: 'channel' }] : []),
+        { key: 'release_date', label: 'release_date' },
+        { key: 'duration_minutes', label: 'minutes', numeric: true },
+        { key: 'view_count', label: 'views', numeric: true },
+        { key: 'like_count', label: 'likes', numeric: true },
+        { key: 'comment_count', label: 'comments', numeric: true },
+      ];
+      const rows = sortRows(
+        pool.map((v) => ({
+          title: v.title || '',
+          ...(multiChannel && { channel: channelOf(v) }),
+          release_date: v.release_date ? String(v.release_date).slice(0, 10) : null,
+          duration_minutes: fieldValue(v, 'duration_minutes'),
+          view_count: Number(v.view_count) || 0,
+          like_count: Number(v.like_count) || 0,
+          comment_count: Number(v.comment_count) || 0,
+          video_url: v.video_url || (v.video_id ? `https://www.youtube.com/watch?v=${v.video_id}` : null),
+        })),
+        args.sort_by ? resolveField(videos, args.sort_by) : 'release_date',
+        !!args.descending
+      );
+      return {
+        ...base,
+        summary: aggregate(pool, aggs),
+        ...(rows.length > limit && { truncated: true }),
+        _chartType: 'table',
+        title: `${pool.length} matching video${pool.length === 1 ? '' : 's'}`,
+        columns,
+        data: rows.slice(0, limit),
+      };
+    }
+
+    case 'make_chart':
+      return makeChart(args, inChannel(videos, args.channel), toolAccessors(videos));
+
+    case 'correlate':
+      return correlate(args, inChannel(videos, args.channel), toolAccessors(videos));
+
+    case 'linear_regression':
+      return linearRegression(args, inChannel(videos, args.channel), toolAccessors(videos));
+
+    case 'keyword_impact':
+      return keywordImpact(args, inChannel(videos, args.channel), {
+        ...toolAccessors(videos),
+        textOf: (v, fields) => fields.map((f) => (Array.isArray(v[f]) ? v[f].join(' ') : v[f] || '')).join('\n'),
+        defaultMetric: 'view_count',
+        defaultTextFields: 'title',
+      });
+
     case 'plot_metric_vs_time': {
       const metricField = resolveField(videos, args.metric_field);
+      if (args.video_selector) {
+        const video = selectVideo(videos, args.video_selector);
+        if (!video) return { error: `Video not found for "${args.video_selector}".` };
+        if (!video.history?.length)
+          return { error: `"${video.title}" has no tracked snapshots. Turn on tracking for this dataset under My datasets (YouTube tab) and reload it.` };
+        return {
+          _chartType: 'metricVsTime',
+          data: video.history.map((h) => ({
+            date: h.taken_at,
+            label: new Date(h.taken_at).toLocaleDateString([], { month: 'short', day: 'numeric' }),
+            value: Number(h[metricField]) || 0,
+            title: video.title || '',
+          })),
+          metricField,
+          dateField: 'snapshot',
+        };
+      }
       const dateField = args.date_field ? resolveField(videos, args.date_field) : 'release_date';
-      const data = videos
+      const pool = inChannel(videos, args.channel);
+      if (!pool.length)
+        return { error: `No channel matches "${args.channel}". Loaded: ${[...groupByChannel(videos).keys()].join(', ')}` };
+      const data = pool
         .map((v) => {
-          let metricVal = parseFloat(v[metricField]);
-          if (isNaN(metricVal) && (metricField.toLowerCase().includes('duration') || metricField === 'duration_iso')) {
-            metricVal = durationToSeconds(v[metricField] ?? v.duration ?? v.duration_iso);
-          }
+          const metricVal = metricValue(v, metricField);
           const dateVal = v[dateField];
-          if (dateVal == null || (isNaN(metricVal) && metricVal !== 0)) return null;
+          if (dateVal == null || isNaN(metricVal)) return null;
           return {
             date: dateVal,
             label: new Date(dateVal).toLocaleDateString([], { month: 'short', day: 'numeric', year: '2-digit' }),
-            value: isNaN(metricVal) ? 0 : metricVal,
+            value: metricVal,
             title: v.title || '',
+            channel: channelOf(v),
           };
         })
         .filter(Boolean)
         .sort((a, b) => new Date(a.date) - new Date(b.date));
       if (!data.length)
         return { error: `Could not plot. Metric: "${metricField}", date: "${dateField}". Available: ${Object.keys(videos[0]).join(', ')}` };
+      const channels = [...groupByChannel(pool).keys()];
+      if (channels.length < 2) {
+        return {
+          _chartType: 'metricVsTime',
+          data,
+          metricField,
+          dateField,
+        };
+      }
+      // Overlay: each video's value goes under its channel's series key
+      const series = channels.map((name, i) => ({ key: `s${i}`, name }));
+      const keyOf = new Map(channels.map((name, i) => [name, `s${i}`]));
       return {
         _chartType: 'metricVsTime',
-        data,
+        data: data.map(({ value, channel, ...point }) => ({ ...point, channel, [keyOf.get(channel)]: value })),
+        series,
         metricField,
         dateField,
       };
     }
 
     case 'play_video': {
-      const sel = String(args.video_selector || '').toLowerCase().trim();
-      let video = null;
-      if (sel === 'most viewed' || sel === 'most viewed video') {
-        video = [...videos].sort((a, b) => (parseInt(b.view_count, 10) || 0) - (parseInt(a.view_count, 10) || 0))[0];
-      } else if (sel === 'least viewed' || sel === 'least viewed video') {
-        video = [...videos].sort((a, b) => (parseInt(a.view_count, 10) || 0) - (parseInt(b.view_count, 10) || 0))[0];
-      } else if (/^(first|1st|1)$/.test(sel)) {
-        video = videos[0];
-      } else if (/^(second|2nd|2)$/.test(sel)) {
-        video = videos[1];
-      } else if (/^(third|3rd|3)$/.test(sel)) {
-        video = videos[2];
-      } else if (/^(\d+)(st|nd|rd|th)?$/.test(sel)) {
-        const idx = parseInt(sel.match(/\d+/)[0], 10) - 1;
-        video = videos[idx];
-      } else {
-        video = videos.find((v) => (v.title || '').toLowerCase().includes(sel));
-      }
+      const video = selectVideo(videos, args.video_selector);
       if (!video)
         return { error: `Video not found for "${args.video_selector}". Try "first", "most viewed", or a title keyword.` };
       return {
@@ -191,7 +761,266 @@ export const executeJsonTool = (toolName, args, videos) => {
       };
     }
 
+    case 'compare_channels': {
+      const groups = groupByChannel(videos);
+      const fields = String(args.fields || 'view_count, like_count, comment_count')
+        .split(',')
+        .map((f) => resolveField(videos, f.trim()))
+        .filter(Boolean);
+      const sum = (vals) => vals.reduce((a, b) => a + b, 0);
+      const channels = [...groups].map(([channel, vids]) => {
+        const row = { channel, videos: vids.length };
+        for (const field of fields) {
+          const vals = vids.map((v) => metricValue(v, field)).filter((n) => !isNaN(n));
+          row[field] = vals.length
+            ? { mean: fmt(sum(vals) / vals.length), median: fmt(median([...vals].sort((a, b) => a - b))), total: fmt(sum(vals)) }
+            : null;
+        }
+        const views = sum(vids.map((v) => Number(v.view_count) || 0));
+        const interactions = sum(vids.map((v) => (Number(v.like_count) || 0) + (Number(v.comment_count) || 0)));
+        row.engagement_rate = views ? fmt(interactions / views) : null;
+        return row;
+      });
+      const leaders = Object.fromEntries(
+        fields.map((field) => {
+          const ranked = channels.filter((c) => c[field]).sort((a, b) => b[field].median - a[field].median);
+          return [field, ranked[0]?.channel ?? null];
+        })
+      );
+      return {
+        channels,
+        leaders_by_median: leaders,
+        ...(groups.size < 2 && { note: 'Only one channel is loaded. Drop another channel JSON into the chat to compare.' }),
+      };
+    }
+
+    case 'upload_cadence': {
+      const pool = inChannel(videos, args.channel);
+      if (!pool.length)
+        return { error: `No channel matches "${args.channel}". Loaded: ${[...groupByChannel(videos).keys()].join(', ')}` };
+      const monthly = new Map(); // 'YYYY-MM' → { channel: uploads }
+      const channels = [...groupByChannel(pool)].map(([channel, vids]) => {
+        const times = vids
+          .map((v) => new Date(v.release_date).getTime())
+          .filter((t) => !isNaN(t))
+          .sort((a, b) => a - b);
+        for (const t of times) {
+          const month = new Date(t).toISOString().slice(0, 7);
+          const counts = monthly.get(month) || {};
+          counts[channel] = (counts[channel] || 0) + 1;
+          monthly.set(month, counts);
+        }
+        if (times.length < 2) return { channel, uploads: times.length, note: 'Not enough dated videos.' };
+        const gaps = times.slice(1).map((t, i) => (t - times[i]) / DAY_MS).sort((a, b) => a - b);
+        const weekdays = new Array(7).fill(0);
+        times.forEach((t) => weekdays[new Date(t).getUTCDay()]++);
+        const spanWeeks = (times[times.length - 1] - times[0]) / DAY_MS / 7;
+        return {
+          channel,
+          uploads: times.length,
+          first_upload: new Date(times[0]).toISOString().slice(0, 10),
+          last_upload: new Date(times[times.length - 1]).toISOString().slice(0, 10),
+          uploads_per_week: fmt((times.length - 1) / Math.max(spanWeeks, 1 / 7)),
+          median_gap_days: fmt(median(gaps)),
+          longest_gap_days: fmt(gaps[gaps.length - 1]),
+          busiest_weekday: WEEKDAYS[weekdays.indexOf(Math.max(...weekdays))],
+        };
+      });
+      if (!monthly.size) return { error: 'No videos with a release_date.' };
+
+      // Every month from the first upload to the last, so quiet months show as 0
+      const months = [...monthly.keys()].sort();
+      const range = [];
+      for (let d = new Date(`${months[0]}-01T00:00:00Z`); d.toISOString().slice(0, 7) <= months[months.length - 1]; d.setUTCMonth(d.getUTCMonth() + 1)) {
+        range.push(d.toISOString().slice(0, 7));
+      }
+      const series = channels.map((c, i) => ({ key: `s${i}`, name: c.channel }));
+      return {
+        channels,
+        _chartType: 'metricVsTime',
+        metricField: 'uploads_per_month',
+        dateField: 'release_date',
+        series,
+        data: range.map((month) => ({
+          date: `${month}-01`,
+          label: new Date(`${month}-01T00:00:00Z`).toLocaleDateString([], { month: 'short', year: '2-digit', timeZone: 'UTC' }),
+          ...Object.fromEntries(series.map((s) => [s.key, monthly.get(month)?.[s.name] || 0])),
+        })),
+      };
+    }
+
+    case 'view_velocity': {
+      const metric = resolveField(videos, args.metric_field || 'view_count');
+      const sel = String(args.video_selector || '').toLowerCase().trim();
+      const all = videos
+        .map((v) => ({ v, series: growthSeries(v, metric) }))
+        .map((x) => ({ ...x, velocity: velocityOf(x.series) }))
+        .filter((x) => x.velocity);
+      if (!all.length) return { error: `No videos with release_date and ${metric}.` };
+      const tracked = videos.some((v) => (v.history?.length || 0) > 1);
+      const channelMedian = medianOf(all.map((x) => x.velocity.lifetime));
+      const note = tracked ? undefined : 'Only one measurement per video, so recent velocity and curve shapes are unknown. Turn on tracking under My datasets to collect snapshots.';
+
+      if (!sel || sel === 'all' || sel === 'all videos') {
+        const ranked = [...all].sort((a, b) => (b.velocity.recent ?? b.velocity.lifetime) - (a.velocity.recent ?? a.velocity.lifetime));
+        return {
+          metric,
+          videos: all.length,
+          channel_median_per_day: fmt(channelMedian),
+          fastest: ranked.slice(0, 10).map(({ v, velocity }) => ({
+            title: v.title,
+            age_days: round1(velocity.age),
+            lifetime_per_day: fmt(velocity.lifetime),
+            recent_per_day: velocity.recent == null ? null : fmt(velocity.recent),
+          })),
+          ...(note && { note }),
+          _chartType: 'metricVsTime',
+          metricField: `${metric}_per_day`,
+          dateField: 'release_date',
+          data: all
+            .map(({ v, velocity }) => ({
+              date: v.release_date,
+              label: new Date(v.release_date).toLocaleDateString([], { month: 'short', day: 'numeric', year: '2-digit' }),
+              value: Math.round(velocity.lifetime),
+              title: v.title || '',
+            }))
+            .sort((a, b) => new Date(a.date) - new Date(b.date)),
+        };
+      }
+
+      const video = selectVideo(videos, sel);
+      const own = video && all.find((x) => x.v === video);
+      if (!own) return { error: `Video not found (or has no release_date / ${metric}) for "${args.video_selector}".` };
+      const others = all.filter((x) => x !== own);
+      // Channel median at each of this video's ages, among videos measured at least that old
+      const data = own.series.map(({ age, value }) => {
+        const peers = others.map((x) => valueAtAge(x.series, age)).filter((val) => val != null);
+        return { day: round1(age), video: Math.round(value), median: peers.length >= 3 ? Math.round(medianOf(peers)) : null };
+      });
+      const latest = data[data.length - 1];
+      const vsMedian = latest.median ? latest.video / latest.median : null;
+      return {
+        video: video.title,
+        metric,
+        age_days: round1(own.velocity.age),
+        lifetime_per_day: fmt(own.velocity.lifetime),
+        recent_per_day: own.velocity.recent == null ? null : fmt(own.velocity.recent),
+        channel_median_per_day: fmt(channelMedian),
+        vs_channel_median_at_same_age: vsMedian == null ? null : `${fmt(vsMedian)}x`,
+        snapshots: video.history?.length || 0,
+        ...(note && { note }),
+        _chartType: 'growth',
+        metricField: metric,
+        title: `${(video.title || 'Video').slice(0, 40)}: ${metric} vs channel median`,
+        series: [
+          { key: 'video', name: (video.title || 'Video').slice(0, 40) },
+          { key: 'median', name: 'Channel median' },
+        ],
+        data,
+      };
+    }
+
+    case 'comment_sentiment': {
+      const picked = commentsFor(videos, args.video_selector, { includeReplies: args.include_replies !== false });
+      if (picked.error) return picked;
+      const scored = picked.comments.map((c) => ({ ...c, ...sentimentScore(c.text) }));
+      const count = (label) => scored.filter((c) => c.label === label).length;
+      const pct = (n) => +((n / scored.length) * 100).toFixed(1);
+      // Likes as extra votes: a liked comment speaks for more viewers
+      const weight = scored.reduce((a, c) => a + 1 + (c.like_count || 0), 0);
+      const weighted = scored.reduce((a, c) => a + c.score * (1 + (c.like_count || 0)), 0) / weight;
+      const [positive, neutral, negative] = ['positive', 'neutral', 'negative'].map(count);
+      return {
+        scope: picked.scope,
+        analyzed: scored.length,
+        positive,
+        neutral,
+        negative,
+        positive_pct: pct(positive),
+        neutral_pct: pct(neutral),
+        negative_pct: pct(negative),
+        mean_score: fmt(scored.reduce((a, c) => a + c.score, 0) / scored.length),
+        like_weighted_score: fmt(weighted),
+        most_liked_positive: scored.filter((c) => c.label === 'positive').sort(byLikes).slice(0, 3).map(shortComment),
+        most_liked_negative: scored.filter((c) => c.label === 'negative').sort(byLikes).slice(0, 3).map(shortComment),
+        method: 'Word-list sentiment (negation-aware, emoji included); scores range -1 to 1.',
+      };
+    }
+
+    case 'top_comments': {
+      const picked = commentsFor(videos, args.video_selector, { includeReplies: false });
+      if (picked.error) return picked;
+      const n = Math.min(Math.max(parseInt(args.n, 10) || 10, 1), 50);
+      return {
+        scope: picked.scope,
+        total_comments: picked.comments.length,
+        comments: [...picked.comments].sort(byLikes).slice(0, n).map((c) => ({
+          ...shortComment(c),
+          reply_count: c.reply_count || 0,
+          published_at: c.published_at,
+          ...(picked.scope.startsWith('all ') && { video: c.video }),
+        })),
+      };
+    }
+
+    case 'comment_themes': {
+      const picked = commentsFor(videos, args.video_selector);
+      if (picked.error) return picked;
+      const topN = Math.min(Math.max(parseInt(args.top_n, 10) || 8, 1), 25);
+      // Document frequency: how many comments mention each word / two-word phrase
+      const mentions = new Map();
+      picked.comments.forEach((c, i) => {
+        const tokens = contentTokens(c.text);
+        for (const term of new Set([...tokens, ...ngrams(tokens, 2)])) {
+          if (!mentions.has(term)) mentions.set(term, []);
+          mentions.get(term).push(i);
+        }
+      });
+      const minMentions = Math.max(2, Math.ceil(picked.comments.length * 0.01));
+      const ranked = [...mentions.entries()]
+        .filter(([, ids]) => ids.length >= minMentions)
+        // Phrases first when equally common — "speed of light" beats "light"
+        .sort((a, b) => b[1].length - a[1].length || b[0].split(' ').length - a[0].split(' ').length);
+      const themes = [];
+      for (const [term, ids] of ranked) {
+        if (themes.length >= topN) break;
+        // Skip a word already covered by a chosen phrase (or vice versa) with most of the same comments
+        const overlaps = themes.some((t) =>
+          (t.theme.split(' ').includes(term) || term.split(' ').includes(t.theme)) && t.comments >= ids.length * 0.8
+        );
+        if (overlaps) continue;
+        const hits = ids.map((i) => picked.comments[i]);
+        themes.push({
+          theme: term,
+          comments: ids.length,
+          share_pct: +((ids.length / picked.comments.length) * 100).toFixed(1),
+          avg_likes: fmt(hits.reduce((a, c) => a + (c.like_count || 0), 0) / hits.length),
+          sentiment: fmt(hits.reduce((a, c) => a + sentimentScore(c.text).score, 0) / hits.length),
+          example: shortComment([...hits].sort(byLikes)[0]),
+        });
+      }
+      if (!themes.length) return { scope: picked.scope, analyzed: picked.comments.length, themes: [], note: 'No word or phrase is repeated across enough comments.' };
+      return { scope: picked.scope, analyzed: picked.comments.length, themes };
+    }
+
     default:
       return { error: `Unknown tool: ${toolName}` };
   }
 };
+
+// ── Toolset (see toolRegistry.js) ─────────────────────────────────────────────
+// ctx.videos: every loaded channel's videos, tagged with channel_title
+export const JSON_TOOLSET = {
+  name: 'json',
+  label: 'YouTube JSON',
+  isAvailable: (ctx) => !!ctx.videos?.length,
+  declarations: JSON_TOOL_DECLARATIONS,
+  execute: (toolName, args, ctx) => executeJsonTool(toolName, args, ctx.videos),
+  describe: (ctx) => {
+    const channels = [...groupByChannel(ctx.videos).keys()];
+    const from = channels.length > 1
+      ? ` from ${channels.length} channels (${channels.join(', ')}); each video has channel_title`
+      : '';
+    return `[YouTube Channel JSON loaded: ${ctx.videos.length} videos${from}. Fields: ${Object.keys(ctx.videos[0] || {}).join(', ')}]`;
+  },
+};
@@ -0,0 +1,129 @@
+// Comment tools run on channel JSON downloaded with "Include comments";
+// growth tools on datasets with tracked snapshots (history); comparison tools
+// on several channels loaded into one session (tagged with channel_title).
+import { executeJsonTool } from './jsonTools';
+
+const videos = [
+  {
+    video_id: 'a',
+    title: 'Speed of light explained',
+    view_count: 500,
+    comments: [
+      { author: 'ann', text: 'Amazing explanation of the speed of light!', like_count: 40, reply_count: 1,
+        replies: [{ author: 'bo', text: 'Not good, the speed of light part was wrong', like_count: 2 }] },
+      { author: 'cy', text: 'The speed of light section was so clear, thanks', like_count: 12, reply_count: 0, replies: [] },
+      { author: 'di', text: 'Audio was terrible and boring', like_count: 3, reply_count: 0, replies: [] },
+    ],
+  },
+  { video_id: 'b', title: 'Comments off', view_count: 100, comments: [], comments_error: 'Comments are turned off for this video' },
+];
+
+test('comment_sentiment scores comments and replies, with negation', () => {
+  const result = executeJsonTool('comment_sentiment', { video_selector: 'speed of light' }, videos);
+  expect(result).toMatchObject({ scope: 'Speed of light explained', analyzed: 4, positive: 2, negative: 2 });
+  expect(result.most_liked_positive[0].author).toBe('ann');
+  expect(result.most_liked_negative.map((c) => c.author)).toEqual(['di', 'bo']);
+  expect(result.like_weighted_score).toBeGreaterThan(result.mean_score);
+});
+
+test('top_comments and comment_themes surface liked comments and repeated phrases', () => {
+  const top = executeJsonTool('top_comments', { video_selector: 'first', n: 2 }, videos);
+  expect(top.comments.map((c) => c.author)).toEqual(['ann', 'cy']);
+
+  const { themes } = executeJsonTool('comment_themes', { video_selector: 'all' }, videos);
+  expect(themes[0]).toMatchObject({ theme: 'speed light', comments: 3 });
+  expect(themes[0].example.author).toBe('ann');
+});
+
+test('comment tools explain what is missing', () => {
+  expect(executeJsonTool('top_comments', { video_selector: 'comments off' }, videos).error).toContain('turned off');
+  expect(executeJsonTool('comment_themes', {}, [{ title: 'x' }]).error).toContain('Include comments');
+});
+
+const snap = (day, views) => ({ taken_at: `2026-01-${String(1 + day).padStart(2, '0')}T00:00:00Z`, view_count: views });
+const tracked = [
+  { title: 'Breakout', release_date: '2026-01-01T00:00:00Z', view_count: 9000, history: [snap(10, 3000), snap(20, 9000)] },
+  ...[1, 2, 3].map((i) => ({
+    title: `Steady ${i}`,
+    release_date: '2026-01-01T00:00:00Z',
+    view_count: 1000 * i,
+    history: [snap(10, 500 * i), snap(20, 1000 * i)],
+  })),
+];
+
+test('view_velocity compares one video with the channel median at the same age', () => {
+  const result = executeJsonTool('view_velocity', { video_selector: 'breakout' }, tracked);
+  expect(result).toMatchObject({ _chartType: 'growth', lifetime_per_day: 450, recent_per_day: 600, vs_channel_median_at_same_age: '4.5x' });
+  expect(result.data).toEqual([
+    { day: 0, video: 0, median: 0 },
+    { day: 10, video: 3000, median: 1000 },
+    { day: 20, video: 9000, median: 2000 },
+  ]);
+
+  const all = executeJsonTool('view_velocity', {}, tracked);
+  expect(all.fastest[0].title).toBe('Breakout');
+  expect(all.note).toBeUndefined();
+});
+
+const twoChannels = [
+  ...['2026-01-05', '2026-01-12', '2026-01-19', '2026-02-02'].map((d, i) => ({
+    channel_title: 'Weekly', title: `W${i}`, release_date: `${d}T15:00:00Z`, view_count: 1000, like_count: 50, comment_count: 10,
+  })),
+  ...['2026-01-01', '2026-03-01'].map((d, i) => ({
+    channel_title: 'Rare', title: `R${i}`, release_date: `${d}T15:00:00Z`, view_count: 5000, like_count: 100, comment_count: 0,
+  })),
+];
+
+test('compare_channels and upload_cadence report per channel', () => {
+  const { channels, leaders_by_median } = executeJsonTool('compare_channels', {}, twoChannels);
+  expect(channels.map((c) => [c.channel, c.videos, c.engagement_rate])).toEqual([['Weekly', 4, 0.06], ['Rare', 2, 0.02]]);
+  expect(leaders_by_median).toEqual({ view_count: 'Rare', like_count: 'Rare', comment_count: 'Weekly' });
+
+  const cadence = executeJsonTool('upload_cadence', {}, twoChannels);
+  expect(cadence.channels[0]).toMatchObject({ uploads: 4, median_gap_days: 7, longest_gap_days: 14, busiest_weekday: 'Monday' });
+  expect(cadence.series.map((s) => s.name)).toEqual(['Weekly', 'Rare']);
+  expect(cadence.data.map((d) => [d.s0, d.s1])).toEqual([[3, 1], [1, 0], [0, 1]]);
+});
+
+test('plot_metric_vs_time overlays one series per channel', () => {
+  const chart = executeJsonTool('plot_metric_vs_time', { metric_field: 'view_count' }, twoChannels);
+  expect(chart.series).toEqual([{ key: 's0', name: 'Weekly' }, { key: 's1', name: 'Rare' }]);
+  expect(chart.data[0]).toMatchObject({ title: 'R0', s1: 5000 });
+  expect(chart.data[0].s0).toBeUndefined();
+
+  const one = executeJsonTool('plot_metric_vs_time', { metric_field: 'view_count', channel: 'rare' }, twoChannels);
+  expect(one.series).toBeUndefined();
+  expect(one.data).toHaveLength(2);
+});
+
+const library = [
+  { title: 'Long 2023 deep dive', release_date: '2023-03-01T12:00:00Z', duration: 'PT25M', view_count: '3000', description: 'physics' },
+  { title: 'Long 2023 lecture', release_date: '2023-11-20T12:00:00Z', duration: 'PT1H2M', view_count: '5000', description: 'math' },
+  { title: 'Short 2023 clip', release_date: '2023-07-04T12:00:00Z', duration: 'PT3M', view_count: '9000', description: 'physics' },
+  { title: 'Long 2024 deep dive', release_date: '2024-01-02T12:00:00Z', duration: 'PT40M', view_count: '100', description: 'physics' },
+  { title: 'Shorts', release_date: '2024-02-02T12:00:00Z', duration: 'PT45S', view_count: '70000', description: '#shorts' },
+];
+
+test('query_videos filters by date range, duration bucket and keyword', () => {
+  const result = executeJsonTool(
+    'query_videos',
+    { date_from: '2023', date_to: '2023', duration_bucket: 'long', aggregations: 'count, mean(view_count)' },
+    library
+  );
+  expect(result).toMatchObject({ _chartType: 'table', matched: 2, summary: { count: 2, mean_view_count: 4000 } });
+
+  const physics = executeJsonTool(
+    'query_videos',
+    { keywords: 'physics', keyword_fields: 'description', filters: [{ field: 'duration_minutes', op: 'gt', value: '20' }], sort_by: 'view_count', descending: true },
+    library
+  );
+  expect(physics.data.map((r) => r.title)).toEqual(['Long 2023 deep dive', 'Long 2024 deep dive']);
+});
+
+test('query_videos groups with aggregations', () => {
+  const { columns, data } = executeJsonTool('query_videos', { group_by: 'duration_bucket', aggregations: 'count, median(view_count)', sort_by: 'count', descending: true }, library);
+  expect(columns.map((c) => c.key)).toEqual(['duration_bucket', 'count', 'median_view_count']);
+  expect(data[0]).toEqual({ duration_bucket: 'long', count: 3, median_view_count: 3000 });
+  expect(executeJsonTool('query_videos', { group_by: 'year' }, library).data.map((r) => [r.year, r.count])).toEqual([[2023, 3], [2024, 2]]);
+  expect(executeJsonTool('query_videos', { filters: [{ field: 'title', op: 'like', value: 'x' }] }, library).error).toContain('Unknown filter op');
+});
@@ -0,0 +1,175 @@
+// ── keyword_impact: does mentioning X go with more engagement? ───────────────
+// Shared by csvTools (tweet text) and jsonTools (video titles). Each keyword
+// splits the rows into "mentions it" / "doesn't", compares the metric between
+// the two groups with Welch's t-test, and the result renders as an
+// EngagementChart (`_chartType: 'engagement'`). Without keywords the most
+// frequent words and two-word phrases in the text are tried instead.
+
+import { STOPWORDS, contentTokens, ngrams, tokenize } from './textAnalysis';
+import { quantile } from './chartTools';
+import { tTestP } from './statsTools';
+
+const MAX_KEYWORDS = 12;
+const ALPHA = 0.05;
+
+// `fieldNote` tells the model how to name columns in this dataset;
+// `extraProperties` adds dataset-specific filters (e.g. channel)
+export const keywordImpactDeclaration = (fieldNote, extraProperties = {}) => ({
+  name: 'keyword_impact',
+  description:
+    'Compare a metric between rows that mention a keyword and rows that do not, for one or more keywords or topics. ' +
+    'Returns mean and median per group, the % difference and a Welch t-test p-value per keyword, shown to the user as a with/without bar chart. ' +
+    'Leave keywords empty to test the most frequent words and phrases automatically. ' +
+    'Use for "do posts about X get more likes", "which topics drive views", or keyword/hashtag impact questions. ' + fieldNote,
+  parameters: {
+    type: 'OBJECT',
+    properties: {
+      keywords: {
+        type: 'STRING',
+        description:
+          'Comma-separated keywords or phrases (case-insensitive, whole words). Wrap a regular expression in slashes, e.g. "/gpt-?\\d/". ' +
+          'Omit to auto-suggest keywords from word and phrase frequency.',
+      },
+      metric: { type: 'STRING', description: 'Numeric field to compare. Default: engagement for tweets, view_count for videos.' },
+      text_fields: { type: 'STRING', description: 'Comma-separated text fields to search. Default: the text column for tweets, title for videos.' },
+      top_n: { type: 'NUMBER', description: `How many keywords to suggest when keywords is omitted (1–${MAX_KEYWORDS}). Default: 8.` },
+      ...extraProperties,
+    },
+  },
+});
+
+const round = (n) => (n == null || !isFinite(n) ? null : Number.isInteger(n) ? n : +n.toFixed(4));
+const mean = (vals) => vals.reduce((a, b) => a + b, 0) / vals.length;
+
+// "/regex/flags" as written; anything else matches its words in order,
+// separated by any punctuation or spacing ("ai-powered" ~ "AI powered")
+const keywordMatcher = (keyword) => {
+  const re = keyword.match(/^\/(.+)\/([a-z]*)$/);
+  if (re) {
+    try {
+      const pattern = new RegExp(re[1], re[2].replace('g', '') || 'i');
+      return { test: (text) => pattern.test(text) };
+    } catch (e) {
+      return { error: `Invalid regular expression ${keyword}: ${e.message}` };
+    }
+  }
+  const words = tokenize(keyword).map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (!words.length) return { error: `Keyword "${keyword}" has no letters or digits.` };
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${words.join('[^\\p{L}\\p{N}]+')}(?![\\p{L}\\p{N}])`, 'iu');
+  return { test: (text) => pattern.test(text.replace(/['’]/g, '')) };
+};
+
+const groupStats = (vals) => {
+  const sorted = [...vals].sort((a, b) => a - b);
+  const m = sorted.length ? mean(sorted) : null;
+  const variance = sorted.length > 1 ? sorted.reduce((a, v) => a + (v - m) ** 2, 0) / (sorted.length - 1) : null;
+  return { n: sorted.length, mean: m, median: sorted.length ? quantile(sorted, 0.5) : null, variance };
+};
+
+// Welch's t-test: no equal-variance assumption, so lopsided groups are fine
+const welchP = (a, b) => {
+  if (a.n < 2 || b.n < 2) return null;
+  const va = a.variance / a.n;
+  const vb = b.variance / b.n;
+  if (!va && !vb) return a.mean === b.mean ? 1 : 0;
+  const t = (a.mean - b.mean) / Math.sqrt(va + vb);
+  const df = (va + vb) ** 2 / (va ** 2 / (a.n - 1) + vb ** 2 / (b.n - 1));
+  return tTestP(t, df);
+};
+
+const pctDiff = (a, b) => (a != null && b ? round(((a - b) / Math.abs(b)) * 100) : null);
+
+// Words and two-word phrases found in between ~1% and 50% of rows, most common
+// first; a word mostly covered by a chosen phrase (or vice versa) is skipped
+export function suggestKeywords(texts, topN) {
+  const docs = new Map();
+  texts.forEach((text) => {
+    const words = tokenize(text);
+    const phrases = ngrams(words, 2).filter((p) => p.split(' ').every((w) => !STOPWORDS.has(w) && !/^\d+$/.test(w)));
+    for (const term of new Set([...contentTokens(text), ...phrases])) {
+      if (!docs.has(term)) docs.set(term, 0);
+      docs.set(term, docs.get(term) + 1);
+    }
+  });
+  const minRows = Math.max(3, Math.ceil(texts.length * 0.01));
+  const ranked = [...docs.entries()]
+    .filter(([, n]) => n >= minRows && n <= texts.length * 0.5)
+    .sort((a, b) => b[1] - a[1] || b[0].split(' ').length - a[0].split(' ').length);
+  const picked = [];
+  for (const [term, rows] of ranked) {
+    if (picked.length >= topN) break;
+    const overlaps = picked.some(
+      (p) => (p.keyword.split(' ').includes(term) || term.split(' ').includes(p.keyword)) && p.rows >= rows * 0.8
+    );
+    if (!overlaps) picked.push({ keyword: term, rows });
+  }
+  return picked;
+}
+
+// accessors: { resolve(name) → key, numeric(row, key) → number|NaN,
+//              textOf(row, fields) → searchable text, defaultMetric, defaultTextFields }
+export function keywordImpact(args, rows, { resolve, numeric, textOf, defaultMetric, defaultTextFields }) {
+  if (!rows?.length) return { error: 'No rows loaded.' };
+  const metric = resolve(String(args.metric || defaultMetric || '').trim());
+  if (!metric) return { error: 'keyword_impact needs a numeric metric.' };
+  const fields = String(args.text_fields || defaultTextFields || '').split(',').map((f) => f.trim()).filter(Boolean).map(resolve);
+  if (!fields.length) return { error: 'No text field to search. Pass text_fields.' };
+
+  const scored = rows
+    .map((r) => ({ value: numeric(r, metric), text: textOf(r, fields) }))
+    .filter((r) => !isNaN(r.value));
+  if (scored.length < 4) return { error: `Need at least 4 rows with a numeric "${metric}".` };
+
+  const given = String(args.keywords || '').split(',').map((k) => k.trim()).filter(Boolean);
+  const topN = Math.min(Math.max(parseInt(args.top_n, 10) || 8, 1), MAX_KEYWORDS);
+  const suggested = given.length ? null : suggestKeywords(scored.map((r) => r.text), topN);
+  const keywords = given.length ? given.slice(0, MAX_KEYWORDS) : suggested.map((s) => s.keyword);
+  if (!keywords.length) return { error: `No word or phrase is repeated across enough rows of ${fields.join(', ')} to suggest keywords.` };
+
+  // Several keywords at once: Bonferroni keeps the overall false-positive rate at 5%
+  const threshold = ALPHA / keywords.length;
+  const results = [];
+  for (const keyword of keywords) {
+    const matcher = keywordMatcher(keyword);
+    if (matcher.error) return { error: matcher.error };
+    const withVals = [];
+    const withoutVals = [];
+    for (const r of scored) (matcher.test(r.text) ? withVals : withoutVals).push(r.value);
+    const a = groupStats(withVals);
+    const b = groupStats(withoutVals);
+    const p = welchP(a, b);
+    results.push({
+      keyword,
+      with: { n: a.n, mean: round(a.mean), median: round(a.median) },
+      without: { n: b.n, mean: round(b.mean), median: round(b.median) },
+      mean_diff_pct: pctDiff(a.mean, b.mean),
+      median_diff_pct: pctDiff(a.median, b.median),
+      p_value: p == null ? null : +p.toPrecision(3),
+      significant: p != null && p < threshold,
+    });
+  }
+  // Suggested keywords: most convincing differences first
+  if (suggested) results.sort((x, y) => (x.p_value ?? 2) - (y.p_value ?? 2));
+
+  return {
+    metric,
+    rows: scored.length,
+    searched: fields,
+    ...(suggested && { suggested_keywords: suggested }),
+    test: `Welch's t-test on mean ${metric}; significant when p < ${+threshold.toPrecision(3)}` +
+      (keywords.length > 1 ? ` (0.05 Bonferroni-corrected for ${keywords.length} keywords)` : ''),
+    keywords: results,
+    _chartType: 'engagement',
+    metricColumn: metric,
+    data: results
+      .filter((r) => r.with.n)
+      .map((r) => ({
+        name: r.keyword,
+        withKeyword: r.with.mean,
+        withoutKeyword: r.without.mean,
+        withCount: r.with.n,
+        withoutCount: r.without.n,
+        p: r.p_value,
+      })),
+  };
+}
@@ -0,0 +1,37 @@
+// keyword_impact on tweet rows and channel videos.
+import { executeTool } from './csvTools';
+import { executeJsonTool } from './jsonTools';
+
+// Tweets about "machine learning" get ~10× the likes of the rest
+const tweets = Array.from({ length: 40 }, (_, i) => ({
+  Text: i % 4 === 0 ? `New machine-learning paper #${i}` : `Coffee break number ${i} today`,
+  'Favorite Count': String(i % 4 === 0 ? 100 + i : 10 + (i % 7)),
+}));
+
+test('splits rows by keyword and tests the difference', () => {
+  const res = executeTool('keyword_impact', { keywords: 'Machine Learning, coffee, /paper #[12]\\d/' }, tweets);
+  expect(res).toMatchObject({ _chartType: 'engagement', metric: 'Favorite Count', searched: ['Text'] });
+  const [ml, coffee, re] = res.keywords;
+  expect(ml.with.n).toBe(10);
+  expect(ml.without.n).toBe(30);
+  expect(ml.mean_diff_pct).toBeGreaterThan(500);
+  expect(ml.significant).toBe(true);
+  expect(coffee.with.n).toBe(30);
+  expect(re.with.n).toBe(5);
+  expect(res.data[0]).toMatchObject({ name: 'Machine Learning', withCount: 10, withoutCount: 30 });
+
+  expect(executeTool('keyword_impact', { keywords: '/(/' }, tweets).error).toContain('Invalid regular expression');
+});
+
+test('suggests keywords from titles when none are given', () => {
+  const videos = Array.from({ length: 20 }, (_, i) => ({
+    title: i % 3 === 0 ? `Minecraft speedrun ${i}` : `Cooking pasta episode ${i}`,
+    view_count: String(i % 3 === 0 ? 5000 : 800),
+  }));
+  const res = executeJsonTool('keyword_impact', { top_n: 3 }, videos);
+  const suggested = res.suggested_keywords.map((s) => s.keyword);
+  expect(suggested).toContain('minecraft speedrun');
+  expect(suggested).not.toContain('minecraft');
+  expect(res.keywords[0].p_value).toBeLessThan(0.001);
+  expect(res.metricColumn).toBe('view_count');
+});
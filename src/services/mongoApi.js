@@ -1,46 +1,139 @@
 const API = process.env.REACT_APP_API_URL || '';
 
-const api = async (path, options = {}) => {
-  const res = await fetch(`${API}${path}`, {
-    headers: { 'Content-Type': 'application/json', ...options.headers },
-    ...options,
-  });
+// ── Auth tokens ──────────────────────────────────────────────────────────────
+// The access token is attached to every /api request; when it expires the
+// refresh token is exchanged once for a new pair and the request is retried.
+
+const TOKEN_KEY = 'chatapp_token';
+const REFRESH_KEY = 'chatapp_refreshToken';
+
+let onAuthExpired = null;
+let refreshing = null;
+
+export const hasAuthToken = () => !!localStorage.getItem(TOKEN_KEY);
+
+// Called with no arguments when the session can no longer be refreshed.
+export const setAuthExpiredHandler = (fn) => {
+  onAuthExpired = fn;
+};
+
+const storeTokens = ({ token, refreshToken }) => {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_KEY, refreshToken);
+};
+
+const clearTokens = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_KEY);
+};
+
+// Single-flight: concurrent 401s share one refresh request.
+const refreshTokens = () => {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const refreshToken = localStorage.getItem(REFRESH_KEY);
+      if (!refreshToken) return false;
+      try {
+        const res = await fetch(`${API}/api/users/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken }),
+        });
+        if (!res.ok) return false;
+        storeTokens(await res.json());
+        return true;
+      } catch {
+        return false;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+// fetch() with the Authorization header attached. Use this for any /api call
+// that is not JSON-in/JSON-out (e.g. the SSE endpoints).
+export const authFetch = async (path, options = {}) => {
+  const send = () => {
+    const token = localStorage.getItem(TOKEN_KEY);
+    return fetch(`${API}${path}`, {
+      ...options,
+      headers: { ...options.headers, ...(token && { Authorization: `Bearer ${token}` }) },
+    });
+  };
+  let res = await send();
+  if (res.status === 401 && (await refreshTokens())) res = await send();
+  if (res.status === 401) {
+    clearTokens();
+    onAuthExpired?.();
+  }
+  return res;
+};
+
+const parse = async (res) => {
   const text = await res.text();
   if (!res.ok) throw new Error(text || res.statusText);
   return text ? JSON.parse(text) : {};
 };
 
+const api = async (path, options = {}) =>
+  parse(await authFetch(path, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+  }));
+
+// Unauthenticated requests (account creation and login).
+const publicApi = async (path, options = {}) =>
+  parse(await fetch(`${API}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+  }));
+
 // ── Users ────────────────────────────────────────────────────────────────────
 
 export const createUser = async (username, password, email = '', firstName = '', lastName = '') => {
-  await api('/api/users', {
+  await publicApi('/api/users', {
     method: 'POST',
     body: JSON.stringify({ username, password, email, firstName, lastName }),
   });
 };
 
 export const findUser = async (username, password) => {
-  const data = await api('/api/users/login', {
+  const data = await publicApi('/api/users/login', {
     method: 'POST',
     body: JSON.stringify({ username, password }),
   });
-  return data.ok ? {
+  if (!data.ok) return null;
+  storeTokens(data);
+  return {
     username: data.username,
     firstName: data.firstName || '',
     lastName: data.lastName || '',
-  } : null;
+  };
+};
+
+export const logoutUser = async () => {
+  try {
+    if (hasAuthToken()) await api('/api/users/logout', { method: 'POST' });
+  } catch {
+    // Token already expired — nothing to revoke server-side
+  } finally {
+    clearTokens();
+  }
 };
 
 // ── Sessions ─────────────────────────────────────────────────────────────────
 
-export const getSessions = async (username) => {
-  return api(`/api/sessions?username=${encodeURIComponent(username)}`);
+export const getSessions = async () => {
+  return api('/api/sessions');
 };
 
-export const createSession = async (username, agent = null, title = null) => {
+// settings: { provider, model, temperature } chosen in the chat header (optional)
+export const createSession = async (agent = null, title = null, settings = null) => {
   return api('/api/sessions', {
     method: 'POST',
-    body: JSON.stringify({ username, agent, title }),
+    body: JSON.stringify({ agent, title, ...settings }),
   });
 };
 
@@ -55,15 +148,214 @@ export const updateSessionTitle = async (sessionId, title) => {
   });
 };
 
+export const updateSessionSettings = async (sessionId, settings) => {
+  return api(`/api/sessions/${sessionId}/settings`, {
+    method: 'PATCH',
+    body: JSON.stringify(settings),
+  });
+};
+
+// Stores the interview's final synthesis report on the session (shown to shares)
+export const saveSessionSynthesis = async (sessionId, report) => {
+  return api(`/api/sessions/${sessionId}/synthesis`, {
+    method: 'PUT',
+    body: JSON.stringify({ report }),
+  });
+};
+
+// ── Sharing ──────────────────────────────────────────────────────────────────
+
+// expiresInDays: null for a link that never expires. Resolves to { token, createdAt, expiresAt }.
+export const createShare = async (sessionId, expiresInDays = null) => {
+  return api(`/api/sessions/${sessionId}/share`, {
+    method: 'POST',
+    body: JSON.stringify({ expiresInDays }),
+  });
+};
+
+export const getShares = async (sessionId) => {
+  return api(`/api/sessions/${sessionId}/shares`);
+};
+
+export const revokeShare = async (sessionId, token) => {
+  return api(`/api/sessions/${sessionId}/shares/${encodeURIComponent(token)}`, { method: 'DELETE' });
+};
+
+// Public: anyone with the token can read the shared chat
+export const getSharedSession = async (token) => {
+  const res = await fetch(`${API}/api/shared/${encodeURIComponent(token)}`);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || res.statusText);
+  return data;
+};
+
+export const sharedExportUrl = (token, format) =>
+  `${API}/api/shared/${encodeURIComponent(token)}/export?format=${format}`;
+
+// ── Model settings ───────────────────────────────────────────────────────────
+
+// { providers: [{ name, label, defaultModel, models, configured }], userDefault }
+export const getLlmProviders = async () => {
+  return api('/api/llm/providers');
+};
+
+export const saveUserSettings = async (settings) => {
+  return api('/api/users/me/settings', {
+    method: 'PUT',
+    body: JSON.stringify(settings),
+  });
+};
+
 // ── Messages ─────────────────────────────────────────────────────────────────
 
-export const saveMessage = async (sessionId, role, content, imageData = null, charts = null, toolCalls = null) => {
+// parentId: omit to continue the active branch, or pass the message to branch
+// from (null = a new first message). grounding: search citations to keep with
+// a reply; route: how it was answered ({ mode, source, reasons }, see
+// intentRouter.js). Resolves to { id, parentId }.
+export const saveMessage = async (sessionId, role, content, imageData = null, charts = null, toolCalls = null, { parentId, grounding, route } = {}) => {
   return api('/api/messages', {
     method: 'POST',
-    body: JSON.stringify({ session_id: sessionId, role, content, imageData, charts, toolCalls }),
+    body: JSON.stringify({ session_id: sessionId, parent_id: parentId, role, content, imageData, charts, toolCalls, grounding, route }),
+  });
+};
+
+// Resolves to { messages, hasMore }: the newest `limit` messages (oldest first),
+// the page just before message id `before` when scrolling back, or everything
+// from message id `from` onwards when opening a search hit.
+export const loadMessages = async (sessionId, { before = null, from = null, limit = null } = {}) => {
+  const params = new URLSearchParams({ session_id: sessionId });
+  if (before) params.set('before', before);
+  if (from) params.set('from', from);
+  if (limit) params.set('limit', limit);
+  return api(`/api/messages?${params}`);
+};
+
+// Show the branch containing messageId (one of a message's siblings).
+export const switchBranch = async (sessionId, messageId) => {
+  return api(`/api/sessions/${sessionId}/branch`, {
+    method: 'PATCH',
+    body: JSON.stringify({ message_id: messageId }),
+  });
+};
+
+// ── Export ───────────────────────────────────────────────────────────────────
+
+// Resolves to { blob, filename } for format 'markdown' | 'html'.
+export const exportSession = async (sessionId, format) => {
+  const res = await authFetch(`/api/sessions/${sessionId}/export?format=${format}`);
+  if (!res.ok) throw new Error((await res.text()) || res.statusText);
+  const filename = res.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `chat.${format === 'html' ? 'html' : 'md'}`;
+  return { blob: await res.blob(), filename };
+};
+
+// ── Search ───────────────────────────────────────────────────────────────────
+
+// Resolves to { terms, results }; see GET /api/search in server/index.js.
+export const searchChats = async (q) => {
+  return api(`/api/search?q=${encodeURIComponent(q)}`);
+};
+
+// ── Datasets ─────────────────────────────────────────────────────────────────
+// Files loaded into a chat are stored server-side (deduplicated by content) and
+// linked to the session, so they come back when the session is reopened.
+
+// file: a File or Blob; kind: 'csv' | 'json'. A new file under an existing
+// name becomes its next version. Resolves to { id, kind, name, version, tags,
+// size, sha256, rowCount, columns, createdAt, lastUsedAt, duplicate }.
+export const uploadDataset = async (file, kind, name = file.name) => {
+  return parse(await authFetch(`/api/datasets?kind=${kind}&name=${encodeURIComponent(name)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: file,
+  }));
+};
+
+// The library: [{ name, kind, tags, lastUsedAt, versions: [newest … oldest] }]
+export const listDatasets = async () => {
+  return api('/api/datasets');
+};
+
+// Rename / retag a library entry (all versions of the file datasetId belongs to)
+export const updateDataset = async (datasetId, { name, tags }) => {
+  return api(`/api/datasets/${datasetId}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ name, tags }),
+  });
+};
+
+export const deleteDataset = async (datasetId, { allVersions = false } = {}) => {
+  return api(`/api/datasets/${datasetId}${allVersions ? '?all=1' : ''}`, { method: 'DELETE' });
+};
+
+// Resolves to the stored file as a Blob.
+export const getDatasetContent = async (datasetId) => {
+  const res = await authFetch(`/api/datasets/${datasetId}/content`);
+  if (!res.ok) throw new Error((await res.text()) || res.statusText);
+  return res.blob();
+};
+
+// Resolves to the session's links: [{ id | jobId, kind: 'csv' | 'json' | 'youtube', name, channel }]
+export const getSessionDatasets = async (sessionId) => {
+  return api(`/api/sessions/${sessionId}/datasets`);
+};
+
+export const setSessionDatasets = async (sessionId, links) => {
+  return api(`/api/sessions/${sessionId}/datasets`, {
+    method: 'PUT',
+    body: JSON.stringify({ datasets: links }),
+  });
+};
+
+// ── YouTube download jobs ────────────────────────────────────────────────────
+// Jobs run on the server; poll getYouTubeJob(id) for { status, progress, stage }.
+
+// maxVideos: a count or 'all'. transcripts: null, or { lang } (lang null = each
+// video's default captions). commentsPerVideo: top-level comments to fetch, 0 = none.
+// Resolves to the new job, or { optional, message } when no YouTube API key is set.
+export const startYouTubeJob = async (url, maxVideos, { transcripts = null, commentsPerVideo = 0 } = {}) => {
+  return api('/api/youtube/jobs', {
+    method: 'POST',
+    body: JSON.stringify({
+      url,
+      maxVideos,
+      includeTranscripts: !!transcripts,
+      transcriptLang: transcripts?.lang || null,
+      commentsPerVideo,
+    }),
+  });
+};
+
+// maxVideos: a count or 'all'. Resolves to { channelTitle, channelVideoCount, videos,
+// units, quota: { budget, used, remaining, resetsAt } } — or { optional, message }.
+export const getYouTubeEstimate = async (url, maxVideos, commentsPerVideo = 0) => {
+  return api(`/api/youtube/estimate?url=${encodeURIComponent(url)}&maxVideos=${maxVideos}&commentsPerVideo=${commentsPerVideo}`);
+};
+
+export const getYouTubeJobs = async () => {
+  return api('/api/youtube/jobs');
+};
+
+export const getYouTubeJob = async (jobId) => {
+  return api(`/api/youtube/jobs/${jobId}`);
+};
+
+export const resumeYouTubeJob = async (jobId) => {
+  return api(`/api/youtube/jobs/${jobId}/resume`, { method: 'POST' });
+};
+
+// Channel JSON: { channel_id, channel_title, channel_url, downloaded_at, video_count, videos }
+export const getYouTubeDataset = async (jobId) => {
+  return api(`/api/youtube/jobs/${jobId}/data`);
+};
+
+// intervalHours: 6, 24 or 168 to re-snapshot the dataset's stats on that schedule; null to stop.
+export const setYouTubeTracking = async (jobId, intervalHours) => {
+  return api(`/api/youtube/jobs/${jobId}/tracking`, {
+    method: 'PUT',
+    body: JSON.stringify({ intervalHours }),
   });
 };
 
-export const loadMessages = async (sessionId) => {
-  return api(`/api/messages?session_id=${encodeURIComponent(sessionId)}`);
+export const deleteYouTubeJob = async (jobId) => {
+  return api(`/api/youtube/jobs/${jobId}`, { method: 'DELETE' });
 };
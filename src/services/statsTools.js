@@ -0,0 +1,342 @@
+// ── correlate / linear_regression: statistics computed in the browser ────────
+// Shared by csvTools and jsonTools like make_chart (chartTools.js), so "does
+// duration predict views?" gets real coefficients and p-values on every
+// provider instead of a trip through Python code execution.
+//
+// correlate returns a `_chartType: 'heatmap'` matrix (HeatmapChart); a
+// regression comes with a scatter (StatChart): the fit line for one
+// predictor, actual vs fitted for several.
+
+import { quantile, thinPoints } from './chartTools';
+
+const MAX_DEFAULT_FIELDS = 12;
+
+export const correlateDeclaration = (fieldNote, extraProperties = {}) => ({
+  name: 'correlate',
+  description:
+    'Correlation matrix between numeric fields (Pearson, Spearman rank, or both), shown to the user as a heatmap. ' +
+    'Returns every coefficient with its p-value and sample size, and the strongest pairs. ' +
+    'Use for "what correlates with …", "is X related to Y", or relationship overviews. ' + fieldNote,
+  parameters: {
+    type: 'OBJECT',
+    properties: {
+      fields: { type: 'STRING', description: `Comma-separated numeric fields. Default: all numeric fields (up to ${MAX_DEFAULT_FIELDS}).` },
+      method: { type: 'STRING', description: 'pearson (linear, default), spearman (rank, robust to outliers and skew) or both.' },
+      ...extraProperties,
+    },
+  },
+});
+
+export const linearRegressionDeclaration = (fieldNote, extraProperties = {}) => ({
+  name: 'linear_regression',
+  description:
+    'Ordinary least squares regression of one numeric response on one or more numeric predictors. ' +
+    'Returns coefficients with standard errors, t and p-values, R², adjusted R², the F-test and residual statistics, plus a chart. ' +
+    'Use for "does X predict Y", "effect of X on Y controlling for Z", or trend-line questions. ' +
+    'Heavy-tailed counts such as view_count fit much better with log_transform. ' + fieldNote,
+  parameters: {
+    type: 'OBJECT',
+    properties: {
+      y: { type: 'STRING', description: 'Response field.' },
+      x: { type: 'STRING', description: 'Comma-separated predictor fields (one or more).' },
+      log_transform: {
+        type: 'STRING',
+        description: 'Comma-separated fields (response and/or predictors) to replace with ln(1 + value). Example: "view_count".',
+      },
+      ...extraProperties,
+    },
+    required: ['y', 'x'],
+  },
+});
+
+// ── Distributions ────────────────────────────────────────────────────────────
+
+// Lanczos approximation
+const logGamma = (x) => {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (const ci of c) ser += ci / ++y;
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+};
+
+// Continued fraction for the incomplete beta function (Numerical Recipes)
+const betaContinuedFraction = (a, b, x) => {
+  const TINY = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  d = 1 / (Math.abs(d) < TINY ? TINY : d);
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    for (const aa of [(m * (b - m) * x) / ((a + m2 - 1) * (a + m2)), (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1))]) {
+      d = 1 + aa * d;
+      d = 1 / (Math.abs(d) < TINY ? TINY : d);
+      c = 1 + aa / c;
+      if (Math.abs(c) < TINY) c = TINY;
+      h *= d * c;
+    }
+    if (Math.abs(d * c - 1) < 1e-12) break;
+  }
+  return h;
+};
+
+// Regularized incomplete beta I_x(a, b)
+const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2) ? (front * betaContinuedFraction(a, b, x)) / a : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+};
+
+// Two-sided p-value of Student's t
+export const tTestP = (t, df) => (df > 0 && isFinite(t) ? incompleteBeta(df / (df + t * t), df / 2, 0.5) : t ? 0 : 1);
+
+// Upper-tail p-value of F(d1, d2)
+const fTestP = (f, d1, d2) => (d2 > 0 && isFinite(f) ? incompleteBeta(d2 / (d2 + d1 * f), d2 / 2, d1 / 2) : 0);
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+const round = (n) => (n == null || !isFinite(n) ? null : Number.isInteger(n) ? n : +n.toFixed(4));
+const roundP = (p) => (p == null ? null : +p.toPrecision(3));
+const mean = (vals) => vals.reduce((a, b) => a + b, 0) / vals.length;
+
+const splitFields = (text) =>
+  String(text || '')
+    .split(',')
+    .map((f) => f.trim())
+    .filter(Boolean);
+
+// Average ranks (ties share their mean rank)
+const ranks = (vals) => {
+  const order = vals.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+  const out = new Array(vals.length);
+  for (let i = 0; i < order.length; ) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    for (let k = i; k <= j; k++) out[order[k][1]] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return out;
+};
+
+const pearson = (xs, ys) => {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+};
+
+const correlationP = (r, n) => (n > 2 && Math.abs(r) < 1 ? tTestP(r * Math.sqrt((n - 2) / (1 - r * r)), n - 2) : n > 2 ? 0 : null);
+
+// Gauss–Jordan inverse with partial pivoting; null when singular
+const invert = (m) => {
+  const n = m.length;
+  const a = m.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    if (Math.abs(a[pivot][col]) < 1e-10) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    const p = a[col][col];
+    for (let j = 0; j < 2 * n; j++) a[col][j] /= p;
+    for (let r = 0; r < n; r++) {
+      if (r === col || !a[r][col]) continue;
+      const f = a[r][col];
+      for (let j = 0; j < 2 * n; j++) a[r][j] -= f * a[col][j];
+    }
+  }
+  return a.map((row) => row.slice(n));
+};
+
+// ── correlate ────────────────────────────────────────────────────────────────
+
+// accessors: { resolve(name), numeric(row, key), numericFields() }
+export function correlate(args, rows, { resolve, numeric, numericFields }) {
+  const fields = args.fields ? splitFields(args.fields).map(resolve) : numericFields().slice(0, MAX_DEFAULT_FIELDS);
+  const method = String(args.method || 'pearson').toLowerCase();
+  if (!['pearson', 'spearman', 'both'].includes(method)) return { error: `Unknown method "${args.method}". Use pearson, spearman or both.` };
+  if (fields.length < 2) return { error: `Need at least 2 numeric fields to correlate. Numeric fields: ${numericFields().join(', ') || 'none'}` };
+
+  const columns = fields.map((f) => rows.map((r) => numeric(r, f)));
+  const empty = fields.filter((_, i) => columns[i].every((v) => isNaN(v)));
+  if (empty.length) return { error: `No numeric values in: ${empty.join(', ')}` };
+
+  // Pairwise complete observations
+  const pair = (i, j, kind) => {
+    const xs = [];
+    const ys = [];
+    columns[i].forEach((v, k) => {
+      if (!isNaN(v) && !isNaN(columns[j][k])) {
+        xs.push(v);
+        ys.push(columns[j][k]);
+      }
+    });
+    if (xs.length < 3) return { r: null, p: null, n: xs.length };
+    const r = kind === 'spearman' ? pearson(ranks(xs), ranks(ys)) : pearson(xs, ys);
+    return { r: round(r), p: r == null ? null : roundP(correlationP(r, xs.length)), n: xs.length };
+  };
+
+  const kinds = method === 'both' ? ['pearson', 'spearman'] : [method];
+  const matrices = Object.fromEntries(
+    kinds.map((kind) => [kind, fields.map((_, i) => fields.map((__, j) => (i === j ? { r: 1, p: 0, n: columns[i].filter((v) => !isNaN(v)).length } : pair(i, j, kind))))])
+  );
+  const primary = matrices[kinds[0]];
+  const pairs = [];
+  for (let i = 0; i < fields.length; i++) {
+    for (let j = i + 1; j < fields.length; j++) {
+      if (primary[i][j].r == null) continue;
+      pairs.push({
+        a: fields[i],
+        b: fields[j],
+        ...Object.fromEntries(kinds.map((kind) => [kind, matrices[kind][i][j].r])),
+        p_value: primary[i][j].p,
+        n: primary[i][j].n,
+      });
+    }
+  }
+  pairs.sort((a, b) => Math.abs(b[kinds[0]]) - Math.abs(a[kinds[0]]));
+
+  return {
+    method,
+    fields,
+    strongest_pairs: pairs.slice(0, 8),
+    ...(method === 'both' && { spearman_matrix: matrices.spearman.map((row) => row.map((c) => c.r)) }),
+    _chartType: 'heatmap',
+    title: `${kinds[0] === 'spearman' ? 'Spearman' : 'Pearson'} correlation`,
+    labels: fields,
+    data: primary.map((row) => row.map((c) => c.r)),
+    pValues: primary.map((row) => row.map((c) => c.p)),
+    counts: primary.map((row) => row.map((c) => c.n)),
+  };
+}
+
+// ── linear_regression ────────────────────────────────────────────────────────
+
+// accessors: { resolve(name), numeric(row, key), labelOf(row) }
+export function linearRegression(args, rows, { resolve, numeric, labelOf }) {
+  const yField = resolve(String(args.y || '').trim());
+  const xFields = splitFields(args.x).map(resolve);
+  if (!yField || !xFields.length) return { error: 'linear_regression needs y and at least one x.' };
+  const logged = new Set(splitFields(args.log_transform).map(resolve));
+  const name = (f) => (logged.has(f) ? `ln(1 + ${f})` : f);
+  const value = (r, f) => {
+    const v = numeric(r, f);
+    if (!logged.has(f)) return v;
+    return v > -1 ? Math.log1p(v) : NaN;
+  };
+
+  // Listwise deletion: rows with every variable present
+  const used = [];
+  for (const r of rows) {
+    const y = value(r, yField);
+    const xs = xFields.map((f) => value(r, f));
+    if (!isNaN(y) && xs.every((v) => !isNaN(v))) used.push({ y, xs, label: labelOf?.(r) });
+  }
+  const n = used.length;
+  const k = xFields.length;
+  if (n < k + 2) return { error: `Only ${n} rows have numeric ${[yField, ...xFields].join(', ')}; need at least ${k + 2}.` };
+
+  // Fit on z-scored predictors (well conditioned even for view counts), then
+  // convert back to the original units
+  const means = xFields.map((_, j) => mean(used.map((u) => u.xs[j])));
+  const sds = xFields.map((_, j) => Math.sqrt(mean(used.map((u) => (u.xs[j] - means[j]) ** 2))));
+  const constant = xFields.filter((_, j) => !sds[j]);
+  if (constant.length) return { error: `Predictor has no variation: ${constant.join(', ')}` };
+  const Z = used.map((u) => [1, ...u.xs.map((v, j) => (v - means[j]) / sds[j])]);
+  const p = k + 1;
+  const ZtZ = Array.from({ length: p }, (_, a) => Array.from({ length: p }, (__, b) => Z.reduce((s, row) => s + row[a] * row[b], 0)));
+  const Zty = Array.from({ length: p }, (_, a) => Z.reduce((s, row, i) => s + row[a] * used[i].y, 0));
+  const inv = invert(ZtZ);
+  if (!inv) return { error: `Predictors are perfectly collinear: ${xFields.join(', ')}. Drop one of them.` };
+  const b = inv.map((row) => row.reduce((s, v, j) => s + v * Zty[j], 0));
+
+  const fitted = Z.map((row) => row.reduce((s, v, j) => s + v * b[j], 0));
+  const residuals = used.map((u, i) => u.y - fitted[i]);
+  const yMean = mean(used.map((u) => u.y));
+  const sse = residuals.reduce((s, e) => s + e * e, 0);
+  const sst = used.reduce((s, u) => s + (u.y - yMean) ** 2, 0);
+  const df = n - p;
+  const sigma2 = df > 0 ? sse / df : 0;
+  const r2 = sst ? 1 - sse / sst : 0;
+
+  // Original-unit coefficients: slope_j = b_j / sd_j, intercept = b_0 − Σ slope_j·mean_j.
+  // The intercept's variance comes from the full covariance σ²(ZᵀZ)⁻¹.
+  const a = [1, ...means.map((m, j) => -m / sds[j])];
+  const interceptVar = sigma2 * a.reduce((s, ai, i) => s + ai * a.reduce((t, aj, j) => t + aj * inv[i][j], 0), 0);
+  const terms = [
+    { term: '(intercept)', estimate: b.reduce((s, bj, j) => s + bj * a[j], 0), se: Math.sqrt(interceptVar) },
+    ...xFields.map((f, j) => ({ term: name(f), estimate: b[j + 1] / sds[j], se: Math.sqrt(sigma2 * inv[j + 1][j + 1]) / sds[j], standardized: b[j + 1] })),
+  ];
+  const ySd = Math.sqrt(sst / n);
+  const coefficients = terms.map((t) => {
+    const tStat = t.se ? t.estimate / t.se : null;
+    return {
+      term: t.term,
+      estimate: round(t.estimate),
+      std_error: round(t.se),
+      t: round(tStat),
+      p_value: tStat == null ? null : roundP(tTestP(tStat, df)),
+      ...(t.standardized != null && ySd && { standardized_beta: round(t.standardized / ySd) }),
+    };
+  });
+
+  const fStat = k && sse ? (sst - sse) / k / (sse / df) : null;
+  const sortedRes = [...residuals].sort((x, y) => x - y);
+  const anyLog = [yField, ...xFields].some((f) => logged.has(f));
+
+  const points =
+    k === 1
+      ? used.map((u) => ({ x: u.xs[0], y: u.y, label: u.label || undefined }))
+      : used.map((u, i) => ({ x: round(fitted[i]), y: u.y, label: u.label || undefined }));
+  const xs = points.map((pt) => pt.x);
+  const [lo, hi] = [xs.reduce((m, v) => Math.min(m, v), Infinity), xs.reduce((m, v) => Math.max(m, v), -Infinity)];
+  const line = k === 1 ? (v) => round(coefficients[0].estimate + coefficients[1].estimate * v) : (v) => v;
+  const thinned = thinPoints(points);
+
+  return {
+    response: name(yField),
+    predictors: xFields.map(name),
+    n,
+    coefficients,
+    r2: round(r2),
+    adj_r2: round(1 - ((1 - r2) * (n - 1)) / df),
+    f_stat: round(fStat),
+    f_p_value: fStat == null ? null : roundP(fTestP(fStat, k, df)),
+    residuals: {
+      std_error: round(Math.sqrt(sigma2)),
+      min: round(sortedRes[0]),
+      q1: round(quantile(sortedRes, 0.25)),
+      median: round(quantile(sortedRes, 0.5)),
+      q3: round(quantile(sortedRes, 0.75)),
+      max: round(sortedRes[n - 1]),
+    },
+    ...(anyLog && {
+      log_note:
+        logged.has(yField)
+          ? `${yField} is modelled as ln(1 + ${yField}): a coefficient b means about (e^b − 1) × 100% change in ${yField} per unit of the predictor.`
+          : 'Logged predictors are ln(1 + value): a coefficient is the change in the response per one-unit change in the log.',
+    }),
+    _chartType: 'scatter',
+    title: k === 1 ? `${name(yField)} vs ${name(xFields[0])} (R² = ${round(r2)})` : `Actual vs fitted ${name(yField)} (R² = ${round(r2)})`,
+    xLabel: k === 1 ? name(xFields[0]) : `fitted ${name(yField)}`,
+    yLabel: name(yField),
+    trend: {
+      slope: k === 1 ? coefficients[1].estimate : 1,
+      intercept: k === 1 ? coefficients[0].estimate : 0,
+      r2: round(r2),
+      from: { x: lo, y: line(lo) },
+      to: { x: hi, y: line(hi) },
+    },
+    ...(thinned.length < points.length && { note: `Showing ${thinned.length} of ${points.length} points.` }),
+    data: thinned,
+  };
+}
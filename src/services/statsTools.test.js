@@ -0,0 +1,62 @@
+// correlate and linear_regression through the CSV and JSON tool sets.
+import { executeTool } from './csvTools';
+import { executeJsonTool } from './jsonTools';
+
+// y = 2x + 1 + z·3 with a small alternating wobble so the fit is not exact
+const rows = Array.from({ length: 30 }, (_, i) => ({
+  Title: `row ${i}`,
+  X: String(i),
+  Z: String(i % 5),
+  Y: String(2 * i + 1 + 3 * (i % 5) + (i % 2 ? 0.5 : -0.5)),
+}));
+
+test('linear_regression recovers coefficients and p-values', () => {
+  const fit = executeTool('linear_regression', { y: 'y', x: 'x, z' }, rows);
+  expect(fit.n).toBe(30);
+  const [intercept, x, z] = fit.coefficients;
+  expect(intercept.term).toBe('(intercept)');
+  expect(x.estimate).toBeCloseTo(2, 1);
+  expect(z.estimate).toBeCloseTo(3, 1);
+  expect(x.p_value).toBeLessThan(1e-6);
+  expect(fit.r2).toBeGreaterThan(0.99);
+  expect(fit.residuals.median).toBeCloseTo(0, 0);
+  expect(fit).toMatchObject({ _chartType: 'scatter', xLabel: 'fitted Y', yLabel: 'Y' });
+
+  const logged = executeTool('linear_regression', { y: 'Y', x: 'X', log_transform: 'Y' }, rows);
+  expect(logged.response).toBe('ln(1 + Y)');
+  expect(logged.trend).toBeDefined();
+
+  const collinear = executeTool('linear_regression', { y: 'Y', x: 'X, X2' }, rows.map((r) => ({ ...r, X2: String(2 * r.X) })));
+  expect(collinear.error).toContain('collinear');
+});
+
+test('correlate builds a pearson / spearman heatmap', () => {
+  // Spearman sees the monotone relationship Pearson understates
+  const videos = [1, 2, 3, 4, 5, 6, 7, 8].map((n) => ({ title: `v${n}`, view_count: String(10 ** n), like_count: String(n) }));
+  const res = executeJsonTool('correlate', { fields: 'view_count, like_count', method: 'both' }, videos);
+  expect(res).toMatchObject({ _chartType: 'heatmap', labels: ['view_count', 'like_count'] });
+  expect(res.data[0][0]).toBe(1);
+  expect(res.data[0][1]).toBeLessThan(0.8);
+  expect(res.spearman_matrix[0][1]).toBe(1);
+  expect(res.counts[0][1]).toBe(8);
+
+  expect(executeTool('correlate', { fields: 'Y' }, rows).error).toContain('at least 2');
+});
+
+test('correlate and linear_regression can be limited to one loaded channel', () => {
+  // likes rise with views on one channel and fall on the other
+  const videos = [1, 2, 3, 4, 5, 6].flatMap((n) => [
+    { title: `up ${n}`, channel_title: 'Rising', view_count: n * 100, like_count: n * 10 + (n % 2) },
+    { title: `down ${n}`, channel_title: 'Falling', view_count: n * 100, like_count: 100 - n * 10 + (n % 2) },
+  ]);
+  const up = executeJsonTool('correlate', { fields: 'view_count, like_count', channel: 'rising' }, videos);
+  const down = executeJsonTool('correlate', { fields: 'view_count, like_count', channel: 'falling' }, videos);
+  expect(up.counts[0][1]).toBe(6);
+  expect(up.data[0][1]).toBeGreaterThan(0.9);
+  expect(down.data[0][1]).toBeLessThan(-0.9);
+
+  const fit = executeJsonTool('linear_regression', { y: 'like_count', x: 'view_count', channel: 'Falling' }, videos);
+  expect(fit.n).toBe(6);
+  expect(fit.coefficients[1].estimate).toBeLessThan(0);
+  expect(executeJsonTool('linear_regression', { y: 'like_count', x: 'view_count' }, videos).n).toBe(12);
+});
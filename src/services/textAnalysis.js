@@ -0,0 +1,82 @@
+// ── Text analysis helpers ────────────────────────────────────────────────────
+// Small, dependency-free building blocks for the data tools: tokenizing,
+// stopwords, n-grams and a lexicon sentiment score. Runs in the browser on the
+// loaded dataset, so it has to stay fast on thousands of short texts.
+
+export const STOPWORDS = new Set(
+  (
+    'a about above after again against all am an and any are as at be because been before being below between both ' +
+    'but by can could did do does doing down during each few for from further had has have having he her here hers ' +
+    'herself him himself his how i if in into is it its itself just me more most my myself no nor not now of off on ' +
+    'once only or other our ours ourselves out over own same she should so some such than that the their theirs them ' +
+    'themselves then there these they this those through to too under until up very was we were what when where ' +
+    'which while who whom why will with would you your yours yourself yourselves also get got im ive id dont doesnt ' +
+    'didnt cant wont isnt arent wasnt its thats theres youre theyre hes shes lets one really even much many still ' +
+    'well way thing things make made know think going go see say said us lol'
+  ).split(' ')
+);
+
+// Lowercased words (letters/digits, any script); apostrophes are dropped so
+// "don't" and "dont" match.
+export const tokenize = (text) =>
+  (String(text ?? '').toLowerCase().replace(/['’]/g, '').match(/[\p{L}\p{N}]+/gu) || []);
+
+// Tokens worth counting as topics: no stopwords, numbers or 1–2 letter words.
+export const contentTokens = (text) =>
+  tokenize(text).filter((t) => t.length > 2 && !STOPWORDS.has(t) && !/^\d+$/.test(t));
+
+export const ngrams = (tokens, n) => {
+  const out = [];
+  for (let i = 0; i + n <= tokens.length; i++) out.push(tokens.slice(i, i + n).join(' '));
+  return out;
+};
+
+// ── Sentiment ────────────────────────────────────────────────────────────────
+
+const POSITIVE = new Set(
+  (
+    'love loved loving lovely liked good great awesome amazing excellent fantastic wonderful beautiful best ' +
+    'better brilliant cool nice perfect enjoy enjoyed enjoying fun funny favorite favourite happy glad thank thanks ' +
+    'helpful interesting fascinating incredible impressive inspiring informative insightful clear masterpiece ' +
+    'underrated wholesome legendary genius mindblowing wow agree respect appreciate appreciated recommend satisfying ' +
+    'learned learn educational entertaining hilarious epic gem'
+  ).split(' ')
+);
+
+const NEGATIVE = new Set(
+  (
+    'hate hated bad worse worst terrible awful horrible boring bored wrong misleading clickbait annoying annoyed ' +
+    'disappointed disappointing disappointment sad angry stupid dumb useless waste poor confusing confused ' +
+    'overrated cringe fake lie lies lying scam sucks sucked ugly unfortunately problem problems fail failed failure ' +
+    'disagree dislike mistake mistakes incorrect inaccurate biased unwatchable garbage trash ridiculous'
+  ).split(' ')
+);
+
+const NEGATORS = new Set(['not', 'no', 'never', 'dont', 'doesnt', 'didnt', 'isnt', 'wasnt', 'cant', 'wont', 'without', 'hardly']);
+
+const POSITIVE_EMOJI = /[😀😃😄😁😆😊😍🥰😘🤩👍👏🙌❤💯🔥✨🎉😂🤣]/gu;
+const NEGATIVE_EMOJI = /[😞😠😡🤬👎😢😭💩🙄😒]/gu;
+
+// Score in [-1, 1] (share of positive minus negative hits) and a label:
+// positive > 0.2, negative < -0.2, otherwise neutral. A negator flips the
+// next three words ("not good" counts as negative).
+export function sentimentScore(text) {
+  const tokens = tokenize(text);
+  let pos = (String(text ?? '').match(POSITIVE_EMOJI) || []).length;
+  let neg = (String(text ?? '').match(NEGATIVE_EMOJI) || []).length;
+  let flip = 0;
+  for (const t of tokens) {
+    if (NEGATORS.has(t)) {
+      flip = 3;
+      continue;
+    }
+    const polarity = POSITIVE.has(t) ? 1 : NEGATIVE.has(t) ? -1 : 0;
+    if (polarity) {
+      if ((flip > 0 ? -polarity : polarity) > 0) pos++;
+      else neg++;
+    }
+    if (flip > 0) flip--;
+  }
+  const score = pos + neg ? (pos - neg) / (pos + neg) : 0;
+  return { score, label: score > 0.2 ? 'positive' : score < -0.2 ? 'negative' : 'neutral' };
+}
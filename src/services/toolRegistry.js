@@ -0,0 +1,60 @@
+// ── Tool registry ────────────────────────────────────────────────────────────
+// Every client-side tool module exports a toolset and is registered below:
+//   name, label
+//   isAvailable(ctx)            → whether it applies to what's attached
+//   declarations                → function declarations sent to the model
+//   execute(toolName, args, ctx) → result (or a promise of one)
+//   describe(ctx)               → context line put in front of the user message
+// ctx: { csv: { rows, headers } | null, videos, images, settings }, plus the
+// `signal` of the running tool loop, passed to each call.
+//
+// toolsFor(ctx) merges every available toolset into one declaration list and
+// one executor, so a single tool loop can chain calls across the CSV, the
+// channel JSON and attached images. Tool names offered by more than one
+// active toolset (make_chart, correlate, …) are prefixed with the toolset's
+// name — csv_make_chart, json_make_chart — and say which data they run on.
+
+import { CSV_TOOLSET } from './csvTools';
+import { JSON_TOOLSET } from './jsonTools';
+import { IMAGE_TOOLSET } from './imageTools';
+
+const toolsets = new Map();
+
+export function registerToolset(toolset) {
+  toolsets.set(toolset.name, toolset);
+}
+
+registerToolset(CSV_TOOLSET);
+registerToolset(JSON_TOOLSET);
+registerToolset(IMAGE_TOOLSET);
+
+// → { toolsets: [names], declarations, execute(name, args, { signal }), context }
+export function toolsFor(ctx) {
+  const active = [...toolsets.values()].filter((t) => t.isAvailable(ctx));
+  const uses = new Map();
+  for (const t of active) for (const d of t.declarations) uses.set(d.name, (uses.get(d.name) || 0) + 1);
+
+  const declarations = [];
+  const routes = new Map(); // name offered to the model → { toolset, name }
+  for (const t of active) {
+    for (const d of t.declarations) {
+      const shared = uses.get(d.name) > 1;
+      const name = shared ? `${t.name}_${d.name}` : d.name;
+      declarations.push(shared ? { ...d, name, description: `[${t.label} data] ${d.description}` } : d);
+      routes.set(name, { toolset: t, name: d.name });
+    }
+  }
+
+  const execute = (toolName, args, { signal } = {}) => {
+    const route = routes.get(toolName);
+    if (!route) return { error: `Unknown tool: ${toolName}. Available: ${[...routes.keys()].join(', ')}` };
+    return route.toolset.execute(route.name, args, { ...ctx, signal });
+  };
+
+  return {
+    toolsets: active.map((t) => t.name),
+    declarations,
+    execute,
+    context: active.map((t) => t.describe(ctx)).join('\n'),
+  };
+}